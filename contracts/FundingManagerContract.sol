@@ -5,6 +5,7 @@ import "./libraries/ProposalLib.sol";
 import "./libraries/EventLib.sol";
 import "./libraries/Errors.sol";
 import "./libraries/FundingLib.sol";
+import "./libraries/GovernanceLib.sol";
 import "./WhitelistManager.sol";
 import "./interfaces/IInvtronDao.sol";
 
@@ -19,9 +20,10 @@ contract FundingManagerContract {
     // --- DAO wiring ---
     address public dao;
 
-    // --- Config ---
-    uint256 public constant VOTING_PERIOD = 72 hours;
-    uint256 public constant ENDORSER_VOTES_FOR_FUNDING_PASS = 3; // adjust on mainnet if needed
+    // --- Config (from the deployment's governance profile; INVTRON_DAO checks it matches its own) ---
+    uint256 public immutable VOTING_PERIOD;
+    uint256 public immutable ENDORSER_VOTES_FOR_FUNDING_PASS;
+    uint256 public immutable FUNDING_REQUEST_FEE; // USD, 18 decimals
 
     // --- Core State ---
     FundingLib.State internal _fundingState;
@@ -35,6 +37,12 @@ contract FundingManagerContract {
     mapping(uint256 => mapping(address => address)) public delegateAtVote;
     mapping(uint256 => mapping(address => bool)) public rewardClaimed;
 
+    constructor(GovernanceLib.Config memory config) {
+        VOTING_PERIOD = config.votingPeriod;
+        ENDORSER_VOTES_FOR_FUNDING_PASS = config.endorserVotesForFundingPass;
+        FUNDING_REQUEST_FEE = config.fundingRequestFee;
+    }
+
     // --- One-time DAO setter ---
     function setDao(address _dao) external {
         if (dao != address(0)) revert Errors.DaoAlreadySet();
@@ -101,7 +109,7 @@ contract FundingManagerContract {
         int p = IInvtronDao(dao).getLatestUsdPrice();
         if (p <= 0) revert Errors.OraclePriceInvalid();
         uint256 price = uint256(p);
-        uint256 feeInInv = (100 * 1e18 * 1e18) / uint256(price); // FUNDING_REQUEST_FEE = $100
+        uint256 feeInInv = (FUNDING_REQUEST_FEE * 1e18) / uint256(price);
         // Caller must approve DAO; manager instructs DAO to collect
         // Use a dedicated fee-collector hook to avoid exposing ERC20 internals; implemented in DAO
         IInvtronDao(dao).collectInvFee(msg.sender, feeInInv);
@@ -164,18 +172,18 @@ contract FundingManagerContract {
         if (p <= 0) revert Errors.OraclePriceInvalid();
         uint256 price = uint256(p);
         // Original unclamped powers (USD6), derived from delegated votes model:
-        uint256 senderPower = _getVotingValueByVotes(msg.sender, int(price), req.amount);
+        uint256 senderPower = _getVotingValueByVotes(msg.sender, int(price), req.amount, req.snapshotBlock);
         uint256 delegatedPower = 0;
         if (voter != msg.sender) {
-            delegatedPower = _getVotingValueByVotes(voter, int(price), req.amount);
+            delegatedPower = _getVotingValueByVotes(voter, int(price), req.amount, req.snapshotBlock);
         }
         uint256 rawPower = senderPower + delegatedPower;
         uint256 power = rawPower;
 
-        // -------- Cross-type headroom clamp (prevents "free votes") --------
-        // Headroom tokens available for *any* new lock right now:
-        uint256 headroomSender = IInvtronDao(dao).freeHeadroomTokens(msg.sender);
-        uint256 headroomVoter  = voter != msg.sender ? IInvtronDao(dao).freeHeadroomTokens(voter) : 0;
+        // -------- Funding-lock headroom clamp (prevents "free votes") --------
+        // Tokens not yet locked for funding votes; CEO locks are accounted separately.
+        uint256 headroomSender = IInvtronDao(dao).freeTokensForFunding(msg.sender);
+        uint256 headroomVoter  = voter != msg.sender ? IInvtronDao(dao).freeTokensForFunding(voter) : 0;
         // Maximum USD capacity implied by headroom (must be covered by actual lock later):
         //   lockTokens = usd6 * 200 * 1e30 / price  =>  usd6 = lockTokens * price / (200 * 1e30)
         uint256 maxUsdBySenderFree = (headroomSender * price) / (200 * 1e30);
@@ -348,7 +356,7 @@ contract FundingManagerContract {
         return (usd6 * 22 * 1e28) / price;
     }
 
-    function _getVotingValueByVotes(address who, int price, uint256 requestAmount)
+    function _getVotingValueByVotes(address who, int price, uint256 requestAmount, uint256 snapshotBlock)
         internal
         view
         returns (uint256 value)
@@ -358,8 +366,8 @@ contract FundingManagerContract {
         uint256 MAX_RATE_BPS = 50; // 0.5%
         uint256 MATURATION_PERIOD_SECONDS = 12 * 30 days; // 12 months
 
-        // 1. Get user's INV balance and its USD value
-        uint256 vp = IInvtronDao(dao).getPastVotes(who, block.number - 1);
+        // 1. Get user's voting power at the request's creation block and its USD value
+        uint256 vp = IInvtronDao(dao).getPastVotes(who, snapshotBlock);
         uint256 invValueUsd = (vp * uint256(price)) / 1e30; // USD(6)
 
         // 2. Get the user's holding duration from the DAO
@@ -5,6 +5,9 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 import "./interfaces/AggregatorV3Interface.sol";
 import "./libraries/VotingLib.sol";
 import "./libraries/Errors.sol";
@@ -15,20 +18,28 @@ import "./libraries/WhitelistLib.sol";
 import "./libraries/TokenHolderLib.sol";
 import "./libraries/EventLib.sol";
 import "./libraries/ProposalLib.sol";
+import "./libraries/GovernanceLib.sol";
 import "./interfaces/IFundingManager.sol";
 import "./InvUsdToken.sol";
 import "./WhitelistManager.sol";
 import "./CeoManager.sol";
 import "./ExchangeManager.sol";
 
-/// @dev Minimal live-votes delegation (no checkpoints, no past-block reads).
-/// - Voting power mirrors current balances of delegatees.
-/// - Exposes ERC20Votes-like names: delegates(), getVotes(), delegate().
+/// @dev Minimal votes delegation with per-block checkpoints.
+/// - Voting power mirrors balances delegated to each delegatee; every change is
+///   checkpointed at the current block so past power can be resolved.
+/// - Exposes ERC20Votes-like names: delegates(), getVotes(), getPastVotes(),
+///   getPastTotalSupply(), delegate().
+/// - Power is lock-agnostic: the same votes back CEO and funding votes; each
+///   vote type clamps by its own free tokens (freeTokensForCeo / freeTokensForFunding).
 enum VoteType { Ceo, Funding }
 
 abstract contract __MinimalVotes {
+    using Checkpoints for Checkpoints.Trace208;
+
     mapping(address => address) internal __delegates;     // delegator => delegatee (0 => self)
-    mapping(address => uint256) internal __votingPower;   // current power per delegatee
+    mapping(address => Checkpoints.Trace208) internal __voteCheckpoints; // power history per delegatee
+    Checkpoints.Trace208 internal __totalSupplyCheckpoints;
 
     event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
     event DelegateVotesChanged(address indexed delegate, uint256 previousBalance, uint256 newBalance);
@@ -38,7 +49,31 @@ abstract contract __MinimalVotes {
     }
 
     function getVotes(address account) public view returns (uint256) {
-        return __votingPower[account];
+        return __voteCheckpoints[account].latest();
+    }
+
+    /// @notice Voting power of `account` at the end of `blockNumber` (must be a past block).
+    function getPastVotes(address account, uint256 blockNumber) public view returns (uint256) {
+        return __voteCheckpoints[account].upperLookupRecent(_pastBlock(blockNumber));
+    }
+
+    /// @notice Total token supply at the end of `blockNumber` (must be a past block).
+    function getPastTotalSupply(uint256 blockNumber) public view returns (uint256) {
+        return __totalSupplyCheckpoints.upperLookupRecent(_pastBlock(blockNumber));
+    }
+
+    function _pastBlock(uint256 blockNumber) private view returns (uint48) {
+        if (blockNumber >= block.number) revert Errors.FutureLookup();
+        return uint48(blockNumber);
+    }
+
+    function _writeVotes(address account, uint256 votes) private {
+        __voteCheckpoints[account].push(uint48(block.number), SafeCast.toUint208(votes));
+    }
+
+    /// @dev Call this after any mint or burn.
+    function _writeTotalSupply(uint256 supply) internal {
+        __totalSupplyCheckpoints.push(uint48(block.number), SafeCast.toUint208(supply));
     }
 
     function _delegate(address delegator, address to) internal {
@@ -50,13 +85,13 @@ abstract contract __MinimalVotes {
 
         uint256 bal = _balanceOfForVotes(delegator);
         if (fromDel != address(0)) {
-            uint256 prevFrom = __votingPower[fromDel];
-            __votingPower[fromDel] = prevFrom - bal;
+            uint256 prevFrom = getVotes(fromDel);
+            _writeVotes(fromDel, prevFrom - bal);
             emit DelegateVotesChanged(fromDel, prevFrom, prevFrom - bal);
         }
         if (toDel != address(0)) {
-            uint256 prevTo = __votingPower[toDel];
-            __votingPower[toDel] = prevTo + bal;
+            uint256 prevTo = getVotes(toDel);
+            _writeVotes(toDel, prevTo + bal);
             emit DelegateVotesChanged(toDel, prevTo, prevTo + bal);
         }
     }
@@ -73,11 +108,8 @@ abstract contract __MinimalVotes {
         if (newBal == oldBal) return;
         address del = __delegates[owner];
         if (del == address(0)) return;
-        if (newBal > oldBal) {
-            __votingPower[del] += newBal - oldBal;
-        } else {
-            __votingPower[del] -= oldBal - newBal;
-        }
+        uint256 prev = getVotes(del);
+        _writeVotes(del, newBal > oldBal ? prev + (newBal - oldBal) : prev - (oldBal - newBal));
     }
 }
 /**
@@ -91,6 +123,9 @@ abstract contract __MinimalVotes {
 contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
 
     // -------- Amount-aware helpers (same-type clamping) --------
+    // CEO and funding locks are accounted independently: the same balance can back
+    // one vote of each type, and transfers are blocked up to the larger of the two.
+
     /// @notice Tokens not locked for CEO voting, for this holder.
     function freeTokensForCeo(address user) public view returns (uint256) {
         uint256 bal = balanceOf(user);
@@ -101,8 +136,8 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
         return bal > req ? bal - req : 0;
     }
 
-    /// @notice Cross-type headroom: additional tokens that can still be locked now.
-    /// @dev Treats expired locks as zero for both types; prevents "free votes" when sum==balance.
+    /// @notice Tokens free of every active lock: the balance a transfer can move right now.
+    /// @dev Treats expired locks as zero; CEO and funding locks may cover the same tokens, so the larger one counts.
     function freeHeadroomTokens(address user) public view returns (uint256) {
         uint256 bal = balanceOf(user);
         uint256 ceoReq = (block.timestamp < tokenUnlockTimeForCeoVote[user])
@@ -111,9 +146,8 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
         uint256 fundReq = (block.timestamp < tokenUnlockTimeForFundingVote[user])
             ? lockedBalanceForFundingVote[user]
             : 0;
-        uint256 used = ceoReq + fundReq;
-        if (bal <= used) return 0;
-        return bal - used;
+        uint256 used = Math.max(ceoReq, fundReq);
+        return bal > used ? bal - used : 0;
     }
 
     /// @notice Tokens not locked for Funding voting, for this holder.
@@ -135,16 +169,16 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
     // --- External Contracts & Feeds ---
     address public treasuryOwner;
 
-    // --- Constants for Fees & Thresholds ---
-    uint256 public constant CEO_APPLICATION_FEE = 100 * 1e18; // $100
-    uint256 public constant ENDORSER_APPLICATION_FEE = 50 * 1e18; // $50
-    uint256 public constant FUNDING_REQUEST_FEE = 100 * 1e18; // $100
-    uint256 public constant CEO_REQUIRED_BALANCE_USD = 25000 * 1e18; // $25,000
-    uint256 public constant ENDORSER_REQUIRED_BALANCE_USD = 10000 * 1e18; // $10,000
-    uint256 public constant ENDORSER_VOTES_FOR_CEO_PASS = 3; // go back to 26 on mainnet
-    uint256 public constant ENDORSER_VOTES_FOR_FUNDING_PASS = 3; // go back to 26 on mainnet
-    uint256 public constant VOTING_PERIOD = 72 hours;
-    uint256 public constant TOKEN_LOCK_DURATION = 73 hours;
+    // --- Fees, Thresholds & Periods (from the deployment's governance profile) ---
+    uint256 public immutable CEO_APPLICATION_FEE; // USD, 18 decimals
+    uint256 public immutable ENDORSER_APPLICATION_FEE; // USD, 18 decimals
+    uint256 public immutable FUNDING_REQUEST_FEE; // USD, 18 decimals
+    uint256 public immutable CEO_REQUIRED_BALANCE_USD;
+    uint256 public immutable ENDORSER_REQUIRED_BALANCE_USD;
+    uint256 public immutable ENDORSER_VOTES_FOR_CEO_PASS;
+    uint256 public immutable ENDORSER_VOTES_FOR_FUNDING_PASS;
+    uint256 public immutable VOTING_PERIOD;
+    uint256 public immutable TOKEN_LOCK_DURATION;
     bytes32 public constant DELEGATE_VP_TYPEHASH =
         keccak256("DelegateVP(address delegatee,uint256 nonce,uint256 deadline)");
 
@@ -195,7 +229,7 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
     TokenHolderLib.State private _tokenHolderState;
 
     // --- Supply Tracking ---
-    // Running total of tokens locked by voting snapshots (sum of lockedBalanceRequirement for active locks)
+    // Running total of tokens locked by voting snapshots: per holder, the larger of the CEO and funding locks
     uint256 public totalLockedTokens;
 
     // --- Hooks required by ExchangeManager ---
@@ -233,6 +267,7 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
         uint256 userVotesAgainst;
         uint256 deadline;
         ProposalLib.ProposalStatus status;
+        uint256 snapshotBlock; // creation block; user votes are weighed at this block
     }
 
     // --- Events ---
@@ -248,11 +283,29 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
         address _treasuryOwner,
         address _invUsdToken,
         address _whitelistManager,
-        address _fundingManager
+        address _fundingManager,
+        GovernanceLib.Config memory _config
     )
         ERC20("INVTRON", "INV")
         EIP712("INVTRON", "1")
     {
+        GovernanceLib.validate(_config, MAX_ACTIVE_ENDORSERS);
+        IFundingManager fm = IFundingManager(_fundingManager);
+        if (
+            fm.VOTING_PERIOD() != _config.votingPeriod ||
+            fm.ENDORSER_VOTES_FOR_FUNDING_PASS() != _config.endorserVotesForFundingPass ||
+            fm.FUNDING_REQUEST_FEE() != _config.fundingRequestFee
+        ) revert Errors.GovernanceConfigMismatch();
+        VOTING_PERIOD = _config.votingPeriod;
+        TOKEN_LOCK_DURATION = _config.tokenLockDuration;
+        ENDORSER_VOTES_FOR_CEO_PASS = _config.endorserVotesForCeoPass;
+        ENDORSER_VOTES_FOR_FUNDING_PASS = _config.endorserVotesForFundingPass;
+        CEO_REQUIRED_BALANCE_USD = _config.ceoRequiredBalanceUsd;
+        ENDORSER_REQUIRED_BALANCE_USD = _config.endorserRequiredBalanceUsd;
+        CEO_APPLICATION_FEE = _config.ceoApplicationFee;
+        ENDORSER_APPLICATION_FEE = _config.endorserApplicationFee;
+        FUNDING_REQUEST_FEE = _config.fundingRequestFee;
+
         invUsdToken = InvUsdToken(_invUsdToken);
         whitelistManager = WhitelistManager(_whitelistManager);
         fundingManager = IFundingManager(_fundingManager);
@@ -286,6 +339,8 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
     function prepareFundingVote(address caller, address tokenHolder) external returns (address voter) {
 
         if (msg.sender != address(fundingManager)) revert Errors.OnlyFundingManager();
+        // Drop expired locks before castVote refreshes the unlock time, so they don't stack
+        _clearExpiredLocks(tokenHolder);
         (voter, ) = VotingLib.prepareDelegatedVote(
             votingDelegate,
             tokenUnlockTimeForFundingVote, // Use funding-specific unlock time
@@ -362,6 +417,7 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
         app.applicant = msg.sender;
         app.deadline = block.timestamp + VOTING_PERIOD;
         app.status = ProposalLib.ProposalStatus.Pending;
+        app.snapshotBlock = block.number;
         activeCeoApplication[msg.sender] = id;
         ceoStatus[msg.sender] = CeoStatus.Nominated;
         emit EventLib.CeoApplicationCreated(id, msg.sender);
@@ -558,7 +614,8 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
         CeoApplication storage app = ceoApplications[id];
         if (app.status != ProposalLib.ProposalStatus.Active) revert Errors.CeoProposalNotActive();
         if (block.timestamp >= app.deadline) revert Errors.CeoVotingEnded();
-        (address voter, uint256 powerRaw) = VotingLib.prepareDelegatedVote(
+        _clearExpiredLocks(tokenHolder);
+        (address voter, ) = VotingLib.prepareDelegatedVote(
             votingDelegate,
             tokenUnlockTimeForCeoVote, // Use CEO-specific unlock time
             recentVoteTimestamps,
@@ -567,8 +624,10 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
             msg.sender,
             tokenHolder
         );
-        // Clamp by cross-type headroom so each vote that counts must secure lock.
-        uint256 head = freeHeadroomTokens(voter);
+        // Weigh the vote at the application's creation block so tokens moved afterwards can't vote twice.
+        uint256 powerRaw = getPastVotes(voter, app.snapshotBlock);
+        // Clamp by CEO-lock headroom so each vote that counts must secure lock.
+        uint256 head = freeTokensForCeo(voter);
         uint256 power = powerRaw > head ? head : powerRaw;
         if (power == 0) {
             if (powerRaw > 0) revert Errors.TokensLocked();
@@ -588,79 +647,42 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
     }
 
     function _snapshotLock(address voter, uint256 amount, VoteType voteType) internal {
-        // If an old lock expired, drop it from the running total
-        uint256 prevReq;
-        uint256 unlockTime;
-
-        if (voteType == VoteType.Ceo) {
-            prevReq = lockedBalanceForCeoVote[voter];
-            unlockTime = tokenUnlockTimeForCeoVote[voter];
-        } else { // VoteType.Funding
-            prevReq = lockedBalanceForFundingVote[voter];
-            unlockTime = tokenUnlockTimeForFundingVote[voter];
-        }
-        if (prevReq != 0 && block.timestamp >= unlockTime) {
-            totalLockedTokens -= prevReq;
-            prevReq = 0;
-            if (voteType == VoteType.Ceo) {
-                lockedBalanceForCeoVote[voter] = 0;
-            } else {
-                lockedBalanceForFundingVote[voter] = 0;
-            }
-        }
-        // Also clear an expired OTHER-TYPE lock to avoid over-clamping this vote.
-        uint256 otherReq;
-        uint256 otherUnlock;
-        if (voteType == VoteType.Ceo) {
-            otherReq = lockedBalanceForFundingVote[voter];
-            otherUnlock = tokenUnlockTimeForFundingVote[voter];
-            if (otherReq != 0 && block.timestamp >= otherUnlock) {
-                totalLockedTokens -= otherReq;
-                lockedBalanceForFundingVote[voter] = 0;
-                otherReq = 0;
-            }
-        } else {
-            otherReq = lockedBalanceForCeoVote[voter];
-            otherUnlock = tokenUnlockTimeForCeoVote[voter];
-            if (otherReq != 0 && block.timestamp >= otherUnlock) {
-                totalLockedTokens -= otherReq;
-                lockedBalanceForCeoVote[voter] = 0;
-                otherReq = 0;
-            }
-        }
-        // Prevent cross-type over-lock: cap by remaining headroom across both types.
+        // Expired locks are dropped first so they never add up with the fresh one
+        _clearExpiredLocks(voter);
+        uint256 ceoReq = lockedBalanceForCeoVote[voter];
+        uint256 fundReq = lockedBalanceForFundingVote[voter];
+        // Only a lock of the same type competes for the balance.
+        uint256 prevReq = voteType == VoteType.Ceo ? ceoReq : fundReq;
         uint256 bal = balanceOf(voter);
-        uint256 used = prevReq + otherReq;
-        uint256 available = bal > used ? bal - used : 0;
+        uint256 available = bal > prevReq ? bal - prevReq : 0;
         if (amount > available) amount = available;
         // Prevent "free vote": if caller requested a positive lock but headroom is zero, revert.
         if (amount == 0) revert Errors.TokensLocked();
-        if (amount > 0) {
-            totalLockedTokens += amount;
-            if (voteType == VoteType.Ceo) {
-                lockedBalanceForCeoVote[voter] = prevReq + amount;
-            } else {
-                lockedBalanceForFundingVote[voter] = prevReq + amount;
-            }
-        }
+        if (voteType == VoteType.Ceo) ceoReq += amount;
+        else fundReq += amount;
+        _setLocks(voter, ceoReq, fundReq);
+    }
+
+    /// @dev Zero out `user`'s expired locks (per type) and keep the running total in sync.
+    function _clearExpiredLocks(address user) internal {
+        uint256 ceoReq = block.timestamp < tokenUnlockTimeForCeoVote[user] ? lockedBalanceForCeoVote[user] : 0;
+        uint256 fundReq = block.timestamp < tokenUnlockTimeForFundingVote[user] ? lockedBalanceForFundingVote[user] : 0;
+        _setLocks(user, ceoReq, fundReq);
+    }
+
+    /// @dev Store both locks; `totalLockedTokens` tracks max(ceo, funding) per holder.
+    function _setLocks(address user, uint256 ceoReq, uint256 fundReq) private {
+        uint256 prevCeo = lockedBalanceForCeoVote[user];
+        uint256 prevFund = lockedBalanceForFundingVote[user];
+        if (prevCeo == ceoReq && prevFund == fundReq) return;
+        totalLockedTokens = totalLockedTokens + Math.max(ceoReq, fundReq) - Math.max(prevCeo, prevFund);
+        lockedBalanceForCeoVote[user] = ceoReq;
+        lockedBalanceForFundingVote[user] = fundReq;
     }
 
     /// @notice Clear your expired voting lock to restore full transferability.
     function unlockYourTokens() external {
-        address sender = msg.sender;
-        // Check and clear expired CEO vote lock
-        uint256 ceoReq = lockedBalanceForCeoVote[sender];
-        if (ceoReq > 0 && block.timestamp >= tokenUnlockTimeForCeoVote[sender]) {
-            totalLockedTokens -= ceoReq;
-            lockedBalanceForCeoVote[sender] = 0;
-        }
-
-        // Check and clear expired Funding vote lock
-        uint256 fundingReq = lockedBalanceForFundingVote[sender];
-        if (fundingReq > 0 && block.timestamp >= tokenUnlockTimeForFundingVote[sender]) {
-            totalLockedTokens -= fundingReq;
-            lockedBalanceForFundingVote[sender] = 0;
-        }
+        _clearExpiredLocks(msg.sender);
     }
 
     // --- Finalization ---
@@ -735,38 +757,20 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
 
         if (from != address(0)) {
             oldFrom = balanceOf(from);
-            uint256 fromCeoReq = lockedBalanceForCeoVote[from];
-            uint256 fromFundingReq = lockedBalanceForFundingVote[from];
-            uint256 ceoUnlock = tokenUnlockTimeForCeoVote[from];
-            uint256 fundingUnlock = tokenUnlockTimeForFundingVote[from];
-
-            // Lazily clear expired locks from totals only; voting power stays decoupled.
-            // Clear per type individually (no maxUnlockTime gate) so metrics stay fresh.
-            if (fromCeoReq != 0 && block.timestamp >= ceoUnlock) {
-                totalLockedTokens -= fromCeoReq;
-                lockedBalanceForCeoVote[from] = 0;
-            }
-            if (fromFundingReq != 0 && block.timestamp >= fundingUnlock) {
-                totalLockedTokens -= fromFundingReq;
-                lockedBalanceForFundingVote[from] = 0;
-            }
+            // Lazily clear expired locks per type; voting power stays decoupled.
+            _clearExpiredLocks(from);
+            // During the lock window, allow spending only the excess over the larger lock:
+            // CEO and funding locks may cover the same tokens.
+            uint256 required = Math.max(lockedBalanceForCeoVote[from], lockedBalanceForFundingVote[from]);
+            uint256 allowed = oldFrom > required ? oldFrom - required : 0;
+            if (amount > allowed) revert Errors.TokensLocked();
         }
         if (to != address(0)) {
             oldTo = balanceOf(to);
         }
 
-        if (from != address(0)) {
-            // During the lock window, allow spending only the excess over the required minimum
-            uint256 totalRequired = lockedBalanceForCeoVote[from] + lockedBalanceForFundingVote[from];
-            uint256 latestUnlock = tokenUnlockTimeForCeoVote[from] > tokenUnlockTimeForFundingVote[from] ? tokenUnlockTimeForCeoVote[from] : tokenUnlockTimeForFundingVote[from];
-            if (block.timestamp < latestUnlock && totalRequired > 0) {
-                // Disallow spending from the locked (snapshot) portion
-                uint256 allowed = oldFrom > totalRequired ? oldFrom - totalRequired : 0;
-                if (amount > allowed) revert Errors.TokensLocked();
-            }
-        }
-
         super._update(from, to, amount);
+        if (from == address(0) || to == address(0)) _writeTotalSupply(totalSupply());
 
         // If a voter previously supported an endorser, reduce their recorded
         // support when their balance decreases due to a transfer/burn.
@@ -832,12 +836,6 @@ contract INVTRON_DAO is ERC20, EIP712, ExchangeManager, __MinimalVotes {
         }
     }
 
-    function getPastVotes(address account, uint256) public view returns (uint256) {
-        return getVotes(account);
-    }
-
-    // getPastTotalSupply removed to reduce code size
-
     // --- Compatibility Shims ---
 
     function CEO_ROLE() public pure returns (bytes32) {
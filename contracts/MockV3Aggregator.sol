@@ -4,6 +4,8 @@ pragma solidity ^0.8.20;
 
 contract MockV3Aggregator {
     uint8 public decimals;
+    string public constant description = "MOCK / USD";
+    uint256 public constant version = 4;
     int256 private _answer;
     uint256 private _timestamp;
 
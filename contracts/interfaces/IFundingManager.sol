@@ -11,5 +11,11 @@ interface IFundingManager {
     function fundingAmount(uint256 id) external view returns (uint256);
 
     function proposerOf(uint256 id) external view returns (address);
+
+    function VOTING_PERIOD() external view returns (uint256);
+
+    function ENDORSER_VOTES_FOR_FUNDING_PASS() external view returns (uint256);
+
+    function FUNDING_REQUEST_FEE() external view returns (uint256);
 }
 
@@ -37,6 +37,7 @@ interface IInvtronDao {
     // New helpers for amount-aware clamping by vote type
     function freeTokensForCeo(address user) external view returns (uint256);
     function freeTokensForFunding(address user) external view returns (uint256);
-    // Optional: expose raw getPastVotes shim if needed elsewhere
+    // Checkpointed voting power at a past block
     function getPastVotes(address account, uint256 blockNumber) external view returns (uint256);
+    function getPastTotalSupply(uint256 blockNumber) external view returns (uint256);
  }
\ No newline at end of file
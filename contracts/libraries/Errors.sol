@@ -78,6 +78,10 @@ library Errors {
     error InvalidLimitPercent();
     error InvalidFundingCaps();
     error InvalidValuation();
+    // Deployment configuration
+    error InvalidGovernanceConfig();
+    error GovernanceConfigMismatch();
+    error FutureLookup();
     // Delegation restrictions
     error CeoCannotDelegateToOthers();
     error EndorserCannotDelegateToOthers();
@@ -32,6 +32,7 @@ library FundingLib {
         uint256 userVotesFor;
         uint256 userVotesAgainst;
         bool ceoApproved;
+        uint256 snapshotBlock; // creation block; user votes are weighed at this block
     }
 
     struct State {
@@ -52,6 +53,7 @@ library FundingLib {
         req.amount = details.softCapAmount;
         req.deadline = block.timestamp + votingPeriod;
         req.status = ProposalLib.ProposalStatus.Pending;
+        req.snapshotBlock = block.number;
         emit EventLib.FundingRequestCreated(
             id,
             proposer,
@@ -0,0 +1,34 @@
+//libraries/GovernanceLib.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./Errors.sol";
+
+/// @title GovernanceLib
+/// @notice Governance parameters fixed at deployment. Deployments take them from
+///         a named network profile (scripts/lib/governance-profiles.js).
+library GovernanceLib {
+    struct Config {
+        uint256 votingPeriod; // seconds
+        uint256 tokenLockDuration; // seconds; must outlast the voting period
+        uint256 endorserVotesForCeoPass;
+        uint256 endorserVotesForFundingPass;
+        uint256 ceoRequiredBalanceUsd; // USD, 18 decimals
+        uint256 endorserRequiredBalanceUsd; // USD, 18 decimals
+        uint256 ceoApplicationFee; // USD, 18 decimals
+        uint256 endorserApplicationFee; // USD, 18 decimals
+        uint256 fundingRequestFee; // USD, 18 decimals
+    }
+
+    /// @dev Reverts unless a vote lock outlasts the vote and endorser quorums are reachable.
+    function validate(Config memory config, uint256 maxEndorsers) internal pure {
+        if (
+            config.votingPeriod == 0 ||
+            config.tokenLockDuration <= config.votingPeriod ||
+            config.endorserVotesForCeoPass == 0 ||
+            config.endorserVotesForCeoPass > maxEndorsers ||
+            config.endorserVotesForFundingPass == 0 ||
+            config.endorserVotesForFundingPass > maxEndorsers
+        ) revert Errors.InvalidGovernanceConfig();
+    }
+}
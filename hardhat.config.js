@@ -1,8 +1,11 @@
 require("@nomiclabs/hardhat-ethers");
-require("@nomiclabs/hardhat-etherscan");
+require("@nomicfoundation/hardhat-verify");
+require("@nomicfoundation/hardhat-ignition");
 require("solidity-coverage");
 require("hardhat-contract-sizer");
 require("dotenv").config();
+require("./tasks");
+const { hardhatNetworks, etherscanApiKey } = require("./scripts/lib/networks");
 
 module.exports = {
   solidity: {
@@ -49,18 +52,11 @@ module.exports = {
     hardhat: {
       allowUnlimitedContractSize: true,
     },
-    sepolia: {
-      url: `https://sepolia.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      httpHeaders: {
-        Authorization:
-          "Basic " +
-          Buffer.from(`${process.env.INFURA_PROJECT_ID}:${process.env.INFURA_PROJECT_SECRET}`).toString("base64")
-      }
-    }
+    // localhost, sepolia and mainnet; see scripts/lib/networks.js
+    ...hardhatNetworks(process.env),
   },
   etherscan: {
-    apiKey: process.env.Etherscan_API_Key,
+    apiKey: etherscanApiKey(process.env),
   },
   contractSizer: {
     runOnCompile: true,
@@ -0,0 +1,19 @@
+// Deploys the INVTRON stack against an existing Chainlink price feed.
+// Parameters replace constructor.env; `governance` defaults to the mainnet
+// profile (scripts/lib/governance-profiles.js), e.g.
+//   npx hardhat ignition deploy ignition/modules/InvtronDao.js \
+//     --network sepolia --parameters ignition/parameters/sepolia.json
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { buildInvtronStack } = require("./InvtronStack");
+const { PROFILES, governanceConfig } = require("../../scripts/lib/governance-profiles");
+
+module.exports = buildModule("InvtronDaoModule", (m) => {
+  return buildInvtronStack(m, {
+    priceFeed: m.getParameter("priceFeedAddress"),
+    initialCeo: m.getParameter("initialCeo"),
+    initialEndorsers: m.getParameter("initialEndorsers"),
+    treasuryOwner: m.getParameter("treasuryOwner"),
+    governance: m.getParameter("governance", governanceConfig(PROFILES.mainnet)),
+  });
+});
@@ -0,0 +1,26 @@
+// Local profile: brings up the whole INVTRON stack on the in-process Hardhat
+// network with a MockV3Aggregator price feed.
+//   npx hardhat ignition deploy ignition/modules/InvtronDaoLocal.js
+// Account 0 deploys and owns the treasury, account 1 is the initial CEO and
+// accounts 2-4 are the initial endorsers.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { buildInvtronStack } = require("./InvtronStack");
+const { PROFILES, governanceConfig } = require("../../scripts/lib/governance-profiles");
+
+module.exports = buildModule("InvtronDaoLocalModule", (m) => {
+  const priceFeed = m.contract("MockV3Aggregator", [
+    m.getParameter("feedDecimals", 8),
+    m.getParameter("initialPrice", 100_000_000), // $1.00 with 8 decimals
+  ]);
+
+  const stack = buildInvtronStack(m, {
+    priceFeed,
+    initialCeo: m.getAccount(1),
+    initialEndorsers: [m.getAccount(2), m.getAccount(3), m.getAccount(4)],
+    treasuryOwner: m.getAccount(0),
+    governance: m.getParameter("governance", governanceConfig(PROFILES.local)),
+  });
+
+  return { priceFeed, ...stack };
+});
@@ -0,0 +1,37 @@
+// Shared future graph for the INVTRON stack, used by InvtronDao.js (real
+// price feed) and InvtronDaoLocal.js (MockV3Aggregator price feed).
+// Learn more about Ignition modules at https://hardhat.org/ignition
+
+/**
+ * Add WhitelistManager, InvUsdToken, FundingManagerContract and INVTRON_DAO to
+ * module `m`, plus the `setDao` and `transferOwnership` wiring calls.
+ * @param {object} m Ignition module builder.
+ * @param {object} args DAO constructor inputs (addresses, parameters or futures);
+ *   `governance` is the GovernanceLib.Config shared by the DAO and FundingManagerContract.
+ */
+function buildInvtronStack(m, { priceFeed, initialCeo, initialEndorsers, treasuryOwner, governance }) {
+  const whitelistManager = m.contract("WhitelistManager");
+  const invUsdToken = m.contract("InvUsdToken");
+  const fundingManager = m.contract("FundingManagerContract", [governance]);
+
+  const dao = m.contract("INVTRON_DAO", [
+    priceFeed,
+    initialCeo,
+    initialEndorsers,
+    treasuryOwner,
+    invUsdToken,
+    whitelistManager,
+    fundingManager,
+    governance,
+  ]);
+
+  m.call(whitelistManager, "setDao", [dao], { id: "WhitelistManager_setDao" });
+  m.call(fundingManager, "setDao", [dao], { id: "FundingManagerContract_setDao" });
+  m.call(invUsdToken, "transferOwnership", [dao], {
+    id: "InvUsdToken_transferOwnership",
+  });
+
+  return { dao, whitelistManager, invUsdToken, fundingManager };
+}
+
+module.exports = { buildInvtronStack };
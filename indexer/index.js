@@ -0,0 +1,17 @@
+/* indexer/index.js — off-chain event indexer and query API for the INVTRON DAO */
+
+const { openStore, STORE_VERSION } = require("./store");
+const { createIndexer, IGNORED_EVENTS } = require("./indexer");
+const { buildViews, PROPOSAL_STATUS } = require("./views");
+const { createApiServer, ROUTES } = require("./server");
+
+module.exports = {
+  openStore,
+  createIndexer,
+  buildViews,
+  createApiServer,
+  STORE_VERSION,
+  IGNORED_EVENTS,
+  PROPOSAL_STATUS,
+  ROUTES,
+};
@@ -0,0 +1,194 @@
+/* indexer/indexer.js — follow INVTRON contract events into the store, surviving reorgs */
+
+const { ethers } = require("ethers");
+
+// Events with no indexing value for the UI
+const IGNORED_EVENTS = new Set(["Approval", "EIP712DomainChanged"]);
+
+// Events that carry no funding request id; it is recovered from the call that emitted them
+const CALL_CONTEXT = {
+  RewardClaimed: { contract: "fundingManager", method: "claimReward" },
+  Exchanged: { contract: "dao", method: "exchangeInvUsdForInv" },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Plain JSON form of decoded event args: BigNumbers become decimal strings. */
+function plainArgs(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    const v = args[i];
+    out[input.name || `arg${i}`] = ethers.BigNumber.isBigNumber(v) ? v.toString() : v;
+  });
+  return out;
+}
+
+/**
+ * Create an indexer for one deployment.
+ *
+ * @param {object} opts
+ * @param {ethers.providers.Provider} opts.provider
+ * @param {object} opts.addresses Keyed dao/fundingManager/whitelist/invUsd (see sdk.resolveAddresses).
+ * @param {object} opts.abis ABIs with the same keys (see sdk.loadAbis).
+ * @param {object} opts.store From `openStore`.
+ * @param {number} [opts.confirmations=0] Stay this many blocks behind the head.
+ * @param {number} [opts.batchSize=2000] Max blocks per eth_getLogs range.
+ * @param {number} [opts.reorgDepth=64] How far back block hashes are kept to find a common ancestor.
+ * @param {Console} [opts.log=console]
+ */
+function createIndexer({
+  provider,
+  addresses,
+  abis,
+  store,
+  confirmations = 0,
+  batchSize = 2000,
+  reorgDepth = 64,
+  log = console,
+}) {
+  const contracts = Object.entries(addresses).map(([name, address]) => ({
+    name,
+    address,
+    iface: new ethers.utils.Interface(abis[name]),
+  }));
+  const ifaceOf = Object.fromEntries(contracts.map((c) => [c.name, c.iface]));
+  let stopped = false;
+
+  /**
+   * Compare the cursor with the chain and roll the store back to the newest
+   * tracked block whose hash still matches. Without one, fall back to
+   * `reorgDepth` blocks below the cursor, which are assumed final.
+   * Returns the number of blocks dropped.
+   */
+  async function handleReorg() {
+    const cursor = store.cursor();
+    if (!cursor) return 0;
+    const onChain = await provider.getBlock(cursor.number);
+    if (onChain && onChain.hash === cursor.hash) return 0;
+
+    let ancestor = null;
+    for (const number of store.knownBlocks()) {
+      if (number >= cursor.number) continue;
+      const block = await provider.getBlock(number);
+      if (block && block.hash === store.blockHash(number)) {
+        ancestor = block;
+        break;
+      }
+    }
+    if (!ancestor) {
+      const floor = Math.max(cursor.number - reorgDepth, store.data.startBlock - 1);
+      ancestor = floor >= 0 ? await provider.getBlock(floor) : { number: -1, hash: null };
+    }
+    store.rollback(ancestor.number, ancestor.hash);
+    store.save();
+    log.warn(`⚠️  Reorg: rolled back ${cursor.number - ancestor.number} block(s) to #${ancestor.number}`);
+    return cursor.number - ancestor.number;
+  }
+
+  async function callContext(raw, name) {
+    const ctx = CALL_CONTEXT[name];
+    if (!ctx) return undefined;
+    const tx = await provider.getTransaction(raw.transactionHash);
+    try {
+      const call = ifaceOf[ctx.contract].parseTransaction({ data: tx.data, value: tx.value });
+      if (call.name === ctx.method) return call.args[0].toNumber();
+    } catch {
+      // called through another contract (e.g. a multisig); id stays unknown
+    }
+    return null;
+  }
+
+  async function decode(raw, contract) {
+    let parsed;
+    try {
+      parsed = contract.iface.parseLog(raw);
+    } catch {
+      return null; // event not in this ABI
+    }
+    if (IGNORED_EVENTS.has(parsed.name)) return null;
+    const event = {
+      blockNumber: raw.blockNumber,
+      blockHash: raw.blockHash,
+      transactionHash: raw.transactionHash,
+      logIndex: raw.logIndex,
+      contract: contract.name,
+      name: parsed.name,
+      args: plainArgs(parsed.eventFragment, parsed.args),
+    };
+    const requestId = await callContext(raw, parsed.name);
+    if (requestId !== undefined) event.fundingRequestId = requestId;
+    return event;
+  }
+
+  /**
+   * Index the next batch of blocks. Returns `{ from, to, events }`, or null when
+   * already at the (confirmed) head.
+   */
+  async function syncOnce() {
+    await handleReorg();
+    const head = (await provider.getBlockNumber()) - confirmations;
+    const from = store.nextBlock();
+    if (from > head) return null;
+    const to = Math.min(head, from + batchSize - 1);
+
+    // The range is consistent if its last block did not change while we read it
+    const before = await provider.getBlock(to);
+    const logs = [];
+    for (const c of contracts) {
+      const raw = await provider.getLogs({ address: c.address, fromBlock: from, toBlock: to });
+      for (const l of raw) logs.push({ raw: l, contract: c });
+    }
+    const after = await provider.getBlock(to);
+    if (!before || !after || before.hash !== after.hash) {
+      log.warn(`⚠️  Block #${to} changed while indexing; retrying`);
+      return syncOnce();
+    }
+
+    logs.sort((a, b) => a.raw.blockNumber - b.raw.blockNumber || a.raw.logIndex - b.raw.logIndex);
+    const events = [];
+    const blocks = { [to]: after.hash };
+    for (const { raw, contract } of logs) {
+      const event = await decode(raw, contract);
+      if (!event) continue;
+      events.push(event);
+      blocks[raw.blockNumber] = raw.blockHash;
+    }
+    store.append(events, blocks, { number: to, hash: after.hash });
+    store.pruneBlocks(to - reorgDepth);
+    store.save();
+    return { from, to, events: events.length };
+  }
+
+  /** Catch up to the head. Returns the number of events added. */
+  async function syncToHead() {
+    let added = 0;
+    for (let batch = await syncOnce(); batch; batch = await syncOnce()) added += batch.events;
+    return added;
+  }
+
+  /** Follow the chain until `stop()`, polling every `intervalMs`. */
+  async function run({ intervalMs = 2000 } = {}) {
+    stopped = false;
+    while (!stopped) {
+      try {
+        const added = await syncToHead();
+        if (added) log.log(`📥 Indexed ${added} event(s) up to #${store.cursor().number}`);
+      } catch (err) {
+        log.error("❌ Indexer error:", err.message);
+      }
+      if (!stopped) await sleep(intervalMs);
+    }
+  }
+
+  return {
+    store,
+    syncOnce,
+    syncToHead,
+    run,
+    stop: () => {
+      stopped = true;
+    },
+  };
+}
+
+module.exports = { createIndexer, IGNORED_EVENTS };
@@ -0,0 +1,102 @@
+/* indexer/server.js — read-only HTTP API over the indexed events */
+
+const http = require("http");
+const { buildViews } = require("./views");
+
+const notFound = (what) => ({ status: 404, body: { error: `${what} not found` } });
+
+/**
+ * Routes as `[pattern, handler(views, params, query, store)]`. Handlers return
+ * the JSON body, or `{ status, body }` for errors.
+ */
+const ROUTES = [
+  [
+    /^\/status$/,
+    (v, p, q, store) => ({
+      chainId: store.data.chainId,
+      addresses: store.data.addresses,
+      cursor: store.cursor(),
+      events: store.events().length,
+    }),
+  ],
+  [/^\/funding$/, (v) => v.fundingRequests()],
+  [
+    /^\/funding\/(\d+)$/,
+    (v, [id]) => {
+      const request = v.fundingRequest(id);
+      if (!request) return notFound(`Funding request ${id}`);
+      return { ...request, votes: v.votes({ kind: "funding", id }) };
+    },
+  ],
+  [/^\/funding\/(\d+)\/votes$/, (v, [id]) => v.votes({ kind: "funding", id })],
+  [/^\/ceo$/, (v) => v.ceoApplications()],
+  [
+    /^\/ceo\/(\d+)$/,
+    (v, [id]) => {
+      const app = v.ceoApplication(id);
+      return app ? { ...app, votes: v.votes({ kind: "ceo", id }) } : notFound(`CEO application ${id}`);
+    },
+  ],
+  [/^\/ceo\/(\d+)\/votes$/, (v, [id]) => v.votes({ kind: "ceo", id })],
+  [/^\/ceo-changes$/, (v) => v.ceoHistory()],
+  [/^\/votes$/, (v, p, q) => v.votes({ kind: q.kind, voter: q.voter })],
+  [/^\/accounts\/(0x[0-9a-fA-F]{40})\/votes$/, (v, [address]) => v.votes({ voter: address })],
+  [/^\/accounts\/(0x[0-9a-fA-F]{40})\/rewards$/, (v, [address]) => v.rewards(address)],
+  [/^\/holders$/, (v) => v.holders()],
+  [/^\/endorsers$/, (v) => ({ candidates: v.endorsers(), promotions: v.promotions() })],
+  [/^\/whitelist$/, (v) => v.whitelisted()],
+  [/^\/exchanges$/, (v) => v.exchanges()],
+  [
+    /^\/events$/,
+    (v, p, q, store) =>
+      store
+        .events()
+        .filter((e) => !q.name || e.name === q.name)
+        .filter((e) => !q.fromBlock || e.blockNumber >= Number(q.fromBlock)),
+  ],
+];
+
+/**
+ * HTTP server answering GET requests from `store`. Views are rebuilt only when
+ * the store has moved on since the previous request.
+ *
+ * @param {object} store From `openStore`, usually shared with a running indexer.
+ * @returns {http.Server} Not yet listening.
+ */
+function createApiServer(store) {
+  let cache = { key: null, views: null };
+  const viewsFor = () => {
+    const cursor = store.cursor();
+    const key = `${cursor ? cursor.hash : "-"}:${store.events().length}`;
+    if (cache.key !== key) cache = { key, views: buildViews(store.events()) };
+    return cache.views;
+  };
+
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+      });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method !== "GET") return send(405, { error: "Only GET is supported" });
+
+    const url = new URL(req.url, "http://localhost");
+    const query = Object.fromEntries(url.searchParams);
+    for (const [pattern, handler] of ROUTES) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+      try {
+        const result = handler(viewsFor(), match.slice(1), query, store);
+        if (result && result.status && result.body) return send(result.status, result.body);
+        return send(200, result);
+      } catch (err) {
+        return send(500, { error: err.message });
+      }
+    }
+    return send(404, { error: `No route for ${url.pathname}` });
+  });
+}
+
+module.exports = { createApiServer, ROUTES };
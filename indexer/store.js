@@ -0,0 +1,101 @@
+/* indexer/store.js — JSON event store with a resume cursor and reorg rollback */
+
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+const sameAddresses = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.entries(a).every(([k, v]) => b[k] && b[k].toLowerCase() === v.toLowerCase());
+
+/**
+ * Open (or start) the event store for one deployment. `file` may be null for
+ * an in-memory store. The file is rewritten atomically on every `save()`.
+ *
+ * Layout: `{ version, chainId, addresses, startBlock, cursor: {number, hash},
+ * blocks: {<number>: <hash>}, events: [...] }`. `blocks` keeps recent block
+ * hashes so a reorg can be rolled back to the last block still canonical.
+ *
+ * @param {string|null} file
+ * @param {object} opts
+ * @param {number} opts.chainId
+ * @param {object} opts.addresses Contract addresses keyed dao/fundingManager/whitelist/invUsd.
+ * @param {number} [opts.startBlock=0] First block to index for a new store.
+ */
+function openStore(file, { chainId, addresses, startBlock = 0 }) {
+  let data;
+  if (file && fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (data.version !== STORE_VERSION) {
+      throw new Error(`${file} has store version ${data.version}, expected ${STORE_VERSION}`);
+    }
+    if (data.chainId !== chainId || !sameAddresses(data.addresses, addresses)) {
+      throw new Error(
+        `${file} indexes chain ${data.chainId} / ${JSON.stringify(data.addresses)}; ` +
+          "use another store file for this deployment"
+      );
+    }
+  } else {
+    data = { version: STORE_VERSION, chainId, addresses, startBlock, cursor: null, blocks: {}, events: [] };
+  }
+
+  const store = {
+    file,
+    get data() {
+      return data;
+    },
+    /** Last fully indexed block `{ number, hash }`, or null before the first batch. */
+    cursor: () => data.cursor,
+    nextBlock: () => (data.cursor ? data.cursor.number + 1 : data.startBlock),
+    events: () => data.events,
+    blockHash: (number) => data.blocks[number] || null,
+    /** Known block numbers, newest first (for finding a common ancestor). */
+    knownBlocks: () =>
+      Object.keys(data.blocks)
+        .map(Number)
+        .sort((a, b) => b - a),
+
+    /** Append one batch of decoded events and move the cursor to `cursor`. */
+    append(events, blocks, cursor) {
+      data.events.push(...events);
+      Object.assign(data.blocks, blocks);
+      data.cursor = cursor;
+    },
+
+    /** Drop everything above block `number` (canonical, with `hash`). */
+    rollback(number, hash) {
+      data.events = data.events.filter((e) => e.blockNumber <= number);
+      for (const n of Object.keys(data.blocks)) {
+        if (Number(n) > number) delete data.blocks[n];
+      }
+      if (number < data.startBlock) {
+        data.cursor = null;
+      } else {
+        data.blocks[number] = hash;
+        data.cursor = { number, hash };
+      }
+    },
+
+    /** Forget block hashes older than `keepFrom`, except the cursor's. */
+    pruneBlocks(keepFrom) {
+      for (const n of Object.keys(data.blocks)) {
+        if (Number(n) < keepFrom && (!data.cursor || Number(n) !== data.cursor.number)) {
+          delete data.blocks[n];
+        }
+      }
+    },
+
+    save() {
+      if (!file) return;
+      data.updatedAt = new Date().toISOString();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    },
+  };
+  return store;
+}
+
+module.exports = { openStore, STORE_VERSION };
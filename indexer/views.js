@@ -0,0 +1,251 @@
+/* indexer/views.js — proposals, votes, holders and rewards folded from indexed events */
+
+const { ethers } = require("ethers");
+
+const { BigNumber } = ethers;
+
+// Mirrors ProposalLib.ProposalStatus
+const PROPOSAL_STATUS = ["Pending", "Active", "Succeeded", "Defeated", "Executed"];
+
+const lower = (a) => (a ? a.toLowerCase() : a);
+const add = (a, b) => BigNumber.from(a).add(b).toString();
+const sub = (a, b) => BigNumber.from(a).sub(b).toString();
+const byAmountDesc = (key) => (a, b) => {
+  const d = BigNumber.from(b[key]).sub(a[key]);
+  return d.isZero() ? 0 : d.isNegative() ? -1 : 1;
+};
+const at = (e) => ({ blockNumber: e.blockNumber, transactionHash: e.transactionHash });
+
+function proposal(id, fields, e) {
+  return {
+    id,
+    ...fields,
+    status: PROPOSAL_STATUS[0],
+    statusCode: 0,
+    votesFor: "0",
+    votesAgainst: "0",
+    voteCount: 0,
+    created: at(e),
+    statusHistory: [],
+  };
+}
+
+/**
+ * Fold the event list into query views. Amounts are decimal strings: USD(6)
+ * for funding votes, INV(18) for CEO votes, balances and rewards.
+ *
+ * Funding proposals and CEO applications share `Voted` and
+ * `ProposalStatusUpdated`; the emitting contract tells them apart.
+ *
+ * @param {object[]} events Store events in chain order.
+ */
+function buildViews(events) {
+  const funding = new Map();
+  const ceo = new Map();
+  const votes = [];
+  const balances = new Map();
+  const delegates = new Map();
+  const claims = [];
+  const exchanges = [];
+  const whitelisted = [];
+  const ceoHistory = [];
+  const candidates = new Map();
+  const endorserVotes = new Map(); // voter → { candidate, weight }
+  const promotions = [];
+
+  const balanceOf = (address) => (balances.get(lower(address)) || { balance: "0" }).balance;
+  const candidate = (address) => {
+    const key = lower(address);
+    if (!candidates.has(key)) candidates.set(key, { address, registered: null, active: false });
+    return candidates.get(key);
+  };
+
+  for (const e of events) {
+    const a = e.args;
+    const isFunding = e.contract === "fundingManager";
+    switch (e.name) {
+      case "FundingRequestCreated":
+        funding.set(
+          Number(a.id),
+          proposal(
+            Number(a.id),
+            {
+              proposer: a.proposer,
+              projectName: a.projectName,
+              softCapAmount: a.softCapAmount,
+              hardCapAmount: a.hardCapAmount,
+              ceoApproved: false,
+              dailyLimit: null,
+              exchangedInvUsd: "0",
+            },
+            e
+          )
+        );
+        break;
+      case "CeoApplicationCreated":
+        ceo.set(Number(a.id), proposal(Number(a.id), { applicant: a.applicant }, e));
+        break;
+      case "ProposalStatusUpdated": {
+        const p = (isFunding ? funding : ceo).get(Number(a.id));
+        if (!p) break;
+        p.statusCode = Number(a.status);
+        p.status = PROPOSAL_STATUS[p.statusCode] || String(a.status);
+        p.statusHistory.push({ status: p.status, ...at(e) });
+        break;
+      }
+      case "FundingRequestApproved": {
+        const p = funding.get(Number(a.id));
+        if (p) p.ceoApproved = true;
+        break;
+      }
+      case "Voted": {
+        const kind = isFunding ? "funding" : "ceo";
+        const p = (isFunding ? funding : ceo).get(Number(a.id));
+        votes.push({
+          kind,
+          id: Number(a.id),
+          voter: a.voter,
+          inFavor: a.inFavor,
+          votingPower: a.votingPower,
+          ...at(e),
+        });
+        if (!p) break;
+        if (a.inFavor) p.votesFor = add(p.votesFor, a.votingPower);
+        else p.votesAgainst = add(p.votesAgainst, a.votingPower);
+        p.voteCount += 1;
+        break;
+      }
+      case "DailyLimitSet": {
+        const p = funding.get(Number(a.requestId));
+        if (p) p.dailyLimit = a.newLimit;
+        break;
+      }
+      case "Exchanged": {
+        exchanges.push({
+          user: a.user,
+          fundingRequestId: e.fundingRequestId,
+          invUsdAmount: a.invUsdAmount,
+          invAmount: a.invAmount,
+          ...at(e),
+        });
+        const p = funding.get(e.fundingRequestId);
+        if (p) p.exchangedInvUsd = add(p.exchangedInvUsd, a.invUsdAmount);
+        break;
+      }
+      case "RewardClaimed":
+        claims.push({ voter: a.voter, fundingRequestId: e.fundingRequestId, amount: a.amount, ...at(e) });
+        break;
+      case "Transfer":
+        if (e.contract !== "dao") break;
+        if (a.from !== ethers.constants.AddressZero) {
+          balances.set(lower(a.from), { address: a.from, balance: sub(balanceOf(a.from), a.value) });
+        }
+        if (a.to !== ethers.constants.AddressZero) {
+          balances.set(lower(a.to), { address: a.to, balance: add(balanceOf(a.to), a.value) });
+        }
+        break;
+      case "DelegateChanged":
+        delegates.set(lower(a.delegator), a.toDelegate);
+        break;
+      case "Whitelisted":
+        whitelisted.push({ user: a.user, ...at(e) });
+        break;
+      case "CeoChanged":
+        ceoHistory.push({ previousCeo: a.previousCeo, newCeo: a.newCeo, ...at(e) });
+        break;
+      case "EndorserCandidateRegistered":
+        candidate(a.candidate).registered = at(e);
+        break;
+      case "EndorserVoteChanged":
+        endorserVotes.set(lower(a.voter), { candidate: lower(a.candidate), weight: a.weight });
+        break;
+      case "EndorserChallengeSuccess":
+        candidate(a.candidate).active = true;
+        if (a.replaced !== ethers.constants.AddressZero) candidate(a.replaced).active = false;
+        promotions.push({ candidate: a.candidate, replaced: a.replaced, ...at(e) });
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Balance changes move voting power without emitting DelegateVotesChanged, so
+  // power is rebuilt as the sum of the balances delegated to each account.
+  const holders = () => {
+    const power = new Map();
+    for (const [key, h] of balances) {
+      const del = lower(delegates.get(key));
+      if (!del || del === lower(ethers.constants.AddressZero)) continue;
+      power.set(del, add(power.get(del) || 0, h.balance));
+    }
+    return [...balances.entries()]
+      .filter(([, h]) => !BigNumber.from(h.balance).isZero())
+      .map(([key, h]) => ({
+        address: h.address,
+        balance: h.balance,
+        delegate: delegates.get(key) || null,
+        votes: power.get(key) || "0",
+      }))
+      .sort(byAmountDesc("balance"));
+  };
+
+  // `votedWeight` is the balance each supporter had when voting; on-chain
+  // `endorserSupport` also grows with tokens supporters receive later.
+  const endorsers = () => {
+    const support = new Map();
+    for (const { candidate: c, weight } of endorserVotes.values()) {
+      support.set(c, add(support.get(c) || 0, weight));
+    }
+    return [...candidates.entries()]
+      .map(([key, c]) => ({ ...c, votedWeight: support.get(key) || "0" }))
+      .sort(byAmountDesc("votedWeight"));
+  };
+
+  /** Reward status of every funding vote cast by `address`. */
+  const rewards = (address) => {
+    const who = lower(address);
+    return votes
+      .filter((v) => v.kind === "funding" && lower(v.voter) === who)
+      .map((v) => {
+        const p = funding.get(v.id);
+        const status = p ? p.status : null;
+        const finalized = status === "Executed" || status === "Defeated";
+        const claim = claims.find((c) => c.fundingRequestId === v.id && lower(c.voter) === who) || null;
+        return {
+          fundingRequestId: v.id,
+          inFavor: v.inFavor,
+          votingPower: v.votingPower,
+          status,
+          finalized,
+          eligible: finalized && v.inFavor === (status === "Executed"),
+          claimed: !!claim,
+          claim,
+        };
+      });
+  };
+
+  return {
+    fundingRequests: () => [...funding.values()],
+    fundingRequest: (id) => funding.get(Number(id)) || null,
+    ceoApplications: () => [...ceo.values()],
+    ceoApplication: (id) => ceo.get(Number(id)) || null,
+    /** Votes filtered by `kind` ("funding" | "ceo"), proposal `id` and/or `voter`. */
+    votes: ({ kind, id, voter } = {}) =>
+      votes.filter(
+        (v) =>
+          (kind === undefined || v.kind === kind) &&
+          (id === undefined || v.id === Number(id)) &&
+          (voter === undefined || lower(v.voter) === lower(voter))
+      ),
+    holders,
+    rewards,
+    claims: () => claims,
+    exchanges: () => exchanges,
+    whitelisted: () => whitelisted,
+    ceoHistory: () => ceoHistory,
+    endorsers,
+    promotions: () => promotions,
+  };
+}
+
+module.exports = { buildViews, PROPOSAL_STATUS };
@@ -0,0 +1,6 @@
+/* keeper/index.js — maintenance keeper for deadlines on INVTRON_DAO and FundingManagerContract */
+
+const { openSchedule, SCHEDULE_VERSION } = require("./schedule");
+const { createKeeper, FINAL_STATUSES } = require("./keeper");
+
+module.exports = { openSchedule, createKeeper, SCHEDULE_VERSION, FINAL_STATUSES };
@@ -0,0 +1,239 @@
+/* keeper/keeper.js — send time-based DAO maintenance calls once they become valid */
+
+const { ethers } = require("ethers");
+const { createSender } = require("../scripts/lib/tx-sender");
+const { replayRevertData } = require("../sdk/errors");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const when = (ts) => new Date(ts * 1000).toISOString();
+
+// Proposal states that no keeper call can change anymore
+const FINAL_STATUSES = new Set(["Succeeded", "Defeated", "Executed"]);
+
+const job = (key, contract, method, args, dueAt, from = null) => ({ key, contract, method, args, dueAt, from });
+
+/**
+ * Create a keeper for one deployment. Each `tick()` rescans the contracts,
+ * updates the schedule, and sends every job that is due:
+ *
+ * - `expireCeoApplication` / `expireFundingRequest` for Pending proposals past
+ *   their deadline;
+ * - `finalizeCeoVote` for Active CEO applications past their deadline, and
+ *   `finalizeFundingRequest` for Active funding requests that did not pass;
+ * - `activateElectedCeo` once `ELECTED_CEO_ACTIVATION_DELAY` has elapsed;
+ * - `unlockYourTokens` for `unlockSigners` whose vote locks have expired
+ *   (the call only clears the sender's own locks).
+ *
+ * Due means the latest block's timestamp has reached `dueAt`, so the keeper
+ * follows chain time (including `evm_increaseTime` on a Hardhat node). Each
+ * job is simulated first; one that would revert stays scheduled and is retried.
+ *
+ * @param {object} opts
+ * @param {object} opts.sdk From `createSdk`; its signer sends the proposal calls.
+ * @param {object} opts.schedule From `openSchedule`.
+ * @param {ethers.Signer[]} [opts.unlockSigners=[]] Accounts whose expired locks are released.
+ * @param {boolean} [opts.simulate=false] Only report what would be sent.
+ * @param {object} [opts.senderOptions] Tuning for `createSender` (waits, bumps).
+ * @param {Console} [opts.log=console]
+ */
+function createKeeper({ sdk, schedule, unlockSigners = [], simulate = false, senderOptions = {}, log = console }) {
+  const { dao, fundingManager } = sdk.contracts;
+  const contracts = { dao, fundingManager };
+  const provider = dao.provider;
+  const signers = new Map(); // address → signer
+  const senders = new Map(); // address → tx sender
+  let keeperAddress = null;
+  let stopped = false;
+
+  async function init() {
+    if (keeperAddress) return;
+    keeperAddress = await dao.signer.getAddress();
+    signers.set(keeperAddress, dao.signer);
+    for (const s of unlockSigners) signers.set(await s.getAddress(), s);
+  }
+
+  function senderFor(address) {
+    if (!senders.has(address)) {
+      const chainId = schedule.data.chainId;
+      senders.set(address, createSender({ signer: signers.get(address), chainId, log, ...senderOptions }));
+    }
+    return senders.get(address);
+  }
+
+  /** Jobs the current chain state calls for; advances the `settled` watermarks. */
+  async function wantedJobs() {
+    const jobs = [];
+    const { settled } = schedule.data;
+
+    let floor = settled.ceo;
+    for (let id = settled.ceo, count = await sdk.ceo.count(); id < count; id++) {
+      const app = await sdk.ceo.get(id);
+      if (FINAL_STATUSES.has(app.status)) {
+        if (floor === id) floor = id + 1;
+      } else if (app.status === "Pending") {
+        jobs.push(job(`ceo:${id}:expire`, "dao", "expireCeoApplication", [id], app.deadline));
+      } else if (app.status === "Active") {
+        jobs.push(job(`ceo:${id}:finalize`, "dao", "finalizeCeoVote", [id], app.deadline));
+      }
+    }
+    settled.ceo = floor;
+
+    floor = settled.funding;
+    for (let id = settled.funding, count = await sdk.funding.count(); id < count; id++) {
+      const request = await sdk.funding.get(id);
+      if (FINAL_STATUSES.has(request.status)) {
+        if (floor === id) floor = id + 1;
+      } else if (request.status === "Pending") {
+        jobs.push(job(`funding:${id}:expire`, "fundingManager", "expireFundingRequest", [id], request.deadline));
+      } else if (request.status === "Active" && request.userVotesFor.lte(request.userVotesAgainst)) {
+        // A passing request waits for the CEO's release instead; the job is retired if votes flip
+        jobs.push(job(`funding:${id}:finalize`, "fundingManager", "finalizeFundingRequest", [id], request.deadline));
+      }
+    }
+    settled.funding = floor;
+
+    const elected = await dao.electedCeo();
+    if (elected !== ethers.constants.AddressZero) {
+      const electedAt = (await dao.electedCeoTimestamp()).toNumber();
+      const dueAt = electedAt + (await dao.ELECTED_CEO_ACTIVATION_DELAY()).toNumber();
+      jobs.push(job(`ceo-activation:${elected}:${electedAt}`, "dao", "activateElectedCeo", [], dueAt));
+    }
+
+    for (const address of signers.keys()) {
+      if (address === keeperAddress && !unlockSigners.length) continue;
+      const locks = await sdk.token.locks(address);
+      const expiries = new Set(
+        Object.values(locks)
+          .filter((l) => !l.amount.isZero())
+          .map((l) => l.unlockTime)
+      );
+      for (const unlockTime of expiries) {
+        jobs.push(job(`unlock:${address}:${unlockTime}`, "dao", "unlockYourTokens", [], unlockTime, address));
+      }
+    }
+    return jobs;
+  }
+
+  /** Why a sent job reverted, decoded by replaying it. */
+  async function revertReason(err) {
+    const data = err.hash ? await replayRevertData(provider, err.hash).catch(() => null) : null;
+    const described = data ? await sdk.explain({ data }) : null;
+    return described ? described.explanation : err.message;
+  }
+
+  async function runJob(j, now) {
+    const from = j.from || keeperAddress;
+    const contract = contracts[j.contract].connect(signers.get(from));
+    const label = `${j.method}(${j.args.join(", ")})`;
+    const sender = senderFor(from);
+    let nonce;
+
+    if (j.status === "sending") {
+      // Resume a broadcast from an earlier run before sending anything new
+      const mined = await sender.waitForAny(j.txs.map((t) => t.hash));
+      if (mined) return finish(j, mined, label);
+      const last = j.txs[j.txs.length - 1];
+      if (last && (await provider.getTransactionCount(from, "latest")) <= last.nonce) nonce = last.nonce;
+      j.status = "scheduled";
+    }
+
+    try {
+      await contract.callStatic[j.method](...j.args);
+    } catch (err) {
+      const described = await sdk.explain(err, { account: from });
+      const reason = described ? described.explanation : err.message;
+      if (reason !== j.lastError) log.warn(`⏸️  ${label} not callable yet: ${reason}`);
+      j.lastError = reason;
+      return { key: j.key, status: "waiting", reason };
+    }
+    if (simulate) {
+      log.log(`🧪 Would send ${label} from ${from} (due ${when(j.dueAt)}, now ${when(now)})`);
+      return { key: j.key, status: "simulated" };
+    }
+
+    const txRequest = await contract.populateTransaction[j.method](...j.args);
+    j.status = "sending";
+    schedule.save();
+    try {
+      const receipt = await sender.sendAndWait(txRequest, label, {
+        nonce,
+        onBroadcast: (tx) => {
+          j.txs.push(tx);
+          schedule.save();
+        },
+      });
+      return finish(j, receipt, label);
+    } catch (err) {
+      if (err.code === "TIMEOUT") {
+        j.lastError = err.message;
+        return { key: j.key, status: "sending", reason: err.message };
+      }
+      j.status = err.code === "REVERTED" ? "failed" : j.txs.length ? "sending" : "scheduled";
+      j.lastError = err.code === "REVERTED" ? await revertReason(err) : err.message;
+      log.error(`❌ ${label}: ${j.lastError}`);
+      return { key: j.key, status: j.status, reason: j.lastError };
+    }
+  }
+
+  function finish(j, receipt, label) {
+    j.status = "done";
+    j.lastError = null;
+    j.receipt = {
+      hash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+    };
+    log.log(`✅ ${label} in block #${receipt.blockNumber}`);
+    return { key: j.key, status: "done", hash: receipt.transactionHash };
+  }
+
+  /**
+   * Rescan, persist the schedule, and run every due job.
+   * @returns {Promise<{now: number, results: object[], next: object|null}>}
+   *   `next` is the earliest job not yet due.
+   */
+  async function tick() {
+    await init();
+    const { timestamp: now } = await provider.getBlock("latest");
+    const wanted = await wantedJobs();
+    for (const j of wanted) schedule.upsert(j);
+    schedule.retire(new Set(wanted.map((j) => j.key)));
+    schedule.save();
+
+    const results = [];
+    for (const j of schedule.open()) {
+      if (j.status !== "sending" && j.dueAt > now) continue;
+      results.push(await runJob(j, now));
+      schedule.save();
+    }
+    const next = schedule.open().find((j) => j.status === "scheduled" && j.dueAt > now) || null;
+    return { now, results, next };
+  }
+
+  /** Tick every `intervalMs` until `stop()`. */
+  async function run({ intervalMs = 30000 } = {}) {
+    stopped = false;
+    while (!stopped) {
+      try {
+        const { results, next } = await tick();
+        const sent = results.filter((r) => r.status === "done").length;
+        if (sent) log.log(`🔧 ${sent} maintenance call(s) sent`);
+        if (next && results.length) log.log(`⏰ Next: ${next.method} due ${when(next.dueAt)}`);
+      } catch (err) {
+        log.error("❌ Keeper error:", err.message);
+      }
+      if (!stopped) await sleep(intervalMs);
+    }
+  }
+
+  return {
+    schedule,
+    tick,
+    run,
+    stop: () => {
+      stopped = true;
+    },
+  };
+}
+
+module.exports = { createKeeper, FINAL_STATUSES };
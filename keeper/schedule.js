@@ -0,0 +1,94 @@
+/* keeper/schedule.js — persisted job schedule for the maintenance keeper */
+
+const fs = require("fs");
+const path = require("path");
+
+const SCHEDULE_VERSION = 1;
+
+// Terminal job states; `sending` jobs are resumed from their recorded txs
+const FINISHED = new Set(["done", "failed", "obsolete"]);
+
+const sameAddresses = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.entries(a).every(([k, v]) => b[k] && b[k].toLowerCase() === v.toLowerCase());
+
+/**
+ * Open (or start) the keeper schedule for one deployment. `file` may be null
+ * for an in-memory schedule. The file is rewritten atomically on `save()`.
+ *
+ * Layout: `{ version, chainId, addresses, settled: {ceo, funding}, jobs }`.
+ * `settled` is the lowest CEO application / funding request id that may
+ * still need a call; everything below it is final. Each job is
+ * `{ key, contract, method, args, from, dueAt, status, txs: [{hash, nonce}],
+ * lastError, receipt }` with status scheduled, sending, done, failed or
+ * obsolete.
+ *
+ * @param {string|null} file
+ * @param {object} opts
+ * @param {number} opts.chainId
+ * @param {object} opts.addresses Keyed dao/fundingManager.
+ */
+function openSchedule(file, { chainId, addresses }) {
+  let data;
+  if (file && fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (data.version !== SCHEDULE_VERSION) {
+      throw new Error(`${file} has schedule version ${data.version}, expected ${SCHEDULE_VERSION}`);
+    }
+    if (data.chainId !== chainId || !sameAddresses(data.addresses, addresses)) {
+      throw new Error(
+        `${file} schedules chain ${data.chainId} / ${JSON.stringify(data.addresses)}; ` +
+          "use another schedule file for this deployment"
+      );
+    }
+  } else {
+    data = { version: SCHEDULE_VERSION, chainId, addresses, settled: { ceo: 0, funding: 0 }, jobs: {} };
+  }
+
+  const schedule = {
+    file,
+    get data() {
+      return data;
+    },
+    job: (key) => data.jobs[key] || null,
+    jobs: () => Object.values(data.jobs),
+    /** Jobs still to send or confirm, earliest first. */
+    open: () =>
+      Object.values(data.jobs)
+        .filter((j) => !FINISHED.has(j.status))
+        .sort((a, b) => a.dueAt - b.dueAt || a.key.localeCompare(b.key)),
+
+    /**
+     * Add a job, or update an unsent one (reviving it if it was retired).
+     * Sent and finished jobs are left alone so a call is never repeated.
+     */
+    upsert(job) {
+      const current = data.jobs[job.key];
+      if (!current) {
+        data.jobs[job.key] = { ...job, status: "scheduled", txs: [], lastError: null };
+      } else if (current.status === "scheduled" || current.status === "obsolete") {
+        Object.assign(current, job, { status: "scheduled" });
+      }
+      return data.jobs[job.key];
+    },
+
+    /** Mark unsent jobs whose key is not in `wanted` as no longer needed. */
+    retire(wanted) {
+      for (const job of Object.values(data.jobs)) {
+        if (job.status === "scheduled" && !wanted.has(job.key)) job.status = "obsolete";
+      }
+    },
+
+    save() {
+      if (!file) return;
+      data.updatedAt = new Date().toISOString();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, file);
+    },
+  };
+  return schedule;
+}
+
+module.exports = { openSchedule, SCHEDULE_VERSION };
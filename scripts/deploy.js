@@ -0,0 +1,126 @@
+/* deploy.js — network-agnostic, resumable deployment of the INVTRON stack */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadDeployConfig } = require("./lib/deploy-config");
+const {
+  runDeployment,
+  writeAddressInfo,
+  writeContractRef,
+  writeUiAbis,
+  verifyAll,
+  isLocalChain,
+} = require("./lib/deploy-engine");
+const { reportFailure } = require("./lib/error-report");
+const { runPreflight } = require("./lib/preflight");
+const { printChecks, failedChecks } = require("./lib/check-report");
+const {
+  parseDryRunArgs,
+  requireInProcessNetwork,
+  deployMockFeed,
+  withPlaceholders,
+  dryRunDeployment,
+  dryRunReport,
+} = require("./lib/dry-run");
+
+// Deployment script for INVTRON_DAO with INV-denominated voter rewards.
+// A read-only preflight (scripts/lib/preflight.js) runs before anything is sent.
+// Progress is recorded in deployments/chain-<chainId>.json; rerun the same
+// command after a crash or timeout to continue at the first unfinished step.
+// Set DEPLOY_FRESH=1 to discard the recorded progress and start over.
+// `node scripts/dv-main.js --dry-run` rehearses the run on the in-process
+// Hardhat network with a mock price feed and reports gas and cost instead.
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.only] Refuse to run on any other network name.
+ * @param {string} [opts.generator] Script name recorded in ContractRef.txt.
+ * @param {boolean} [opts.dryRun] Rehearse the `only` network's deployment in-process (see scripts/lib/dry-run.js).
+ * @param {string} [opts.price] Dry run: USD price of the mock feed.
+ * @param {string} [opts.gwei] Dry run: gas price to cost the transactions at.
+ * @param {string} [opts.report] Dry run: JSON report path; defaults to deployments/dry-run-<network>.json.
+ */
+async function deploy({ only, generator = "deploy.js", dryRun = false, price, gwei, report } = {}) {
+  const { network } = hre;
+  if (dryRun) return rehearse({ target: only || network.name, price, gwei, report });
+  if (only && network.name !== only) {
+    throw new Error(`${generator} deploys only to ${only}`);
+  }
+
+  const { constructorArgs, tuning, fresh, multisig } = loadDeployConfig({ network: network.name });
+  await preflight(constructorArgs, multisig);
+
+  const { manifest, addresses, deployer } = await runDeployment(hre, {
+    constructorArgs,
+    tuning,
+    fresh,
+  });
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (!isLocalChain(chainId)) {
+    writeAddressInfo(addresses);
+    writeContractRef(addresses, { generator, network: network.name, deployer });
+    writeUiAbis();
+    await verifyAll(hre, manifest, {
+      attempts: tuning.verifyAttempts,
+      initialWaitMs: tuning.verifyInitialWaitMs,
+    });
+  }
+
+  // ---------- Summary ----------
+  console.log("✅ INVTRON_DAO deployed at:", addresses.INVTRON_DAO);
+  console.log("✅ InvUsdToken at:", addresses.InvUsdToken);
+  console.log("✅ WhitelistManager at:", addresses.WhitelistManager);
+  console.log("✅ FundingManagerContract at:", addresses.FundingManagerContract);
+  console.log("ℹ️  Manifest:", manifest.file);
+  return addresses;
+}
+
+async function preflight(constructorArgs, multisig) {
+  console.log("🔎 Preflight (read-only)…");
+  const report = await runPreflight(hre, { constructorArgs, multisig });
+  printChecks(report.checks);
+  if (!report.ok) {
+    const problems = failedChecks(report.checks);
+    const err = new Error(
+      `Preflight failed (${problems.length} check(s)); nothing was sent:\n` + problems.map((p) => `  - ${p}`).join("\n")
+    );
+    err.problems = problems;
+    throw err;
+  }
+}
+
+/**
+ * Run `target`'s deployment, with its constructor file and governance
+ * profile, on the in-process Hardhat network; the price feed is replaced by a
+ * MockV3Aggregator answering `price`, and blank role addresses by placeholders.
+ */
+async function rehearse({ target, price, gwei, report }) {
+  requireInProcessNetwork(hre);
+  const config = loadDeployConfig({ network: target, deployer: false, dryRun: true });
+  const feed = await deployMockFeed(hre, { price });
+  console.log(`🧪 Dry run of the ${target} deployment; mock price feed at ${feed.address} answers $${price}`);
+  const { constructorArgs, placeholders } = withPlaceholders(config.constructorArgs, feed.address);
+  if (placeholders.length) {
+    console.warn(`⚠️  Placeholder addresses stand in for the blank ${placeholders.join(", ")}`);
+  }
+  await preflight(constructorArgs, config.multisig);
+
+  const result = await dryRunDeployment(hre, { constructorArgs, gwei, network: target });
+  console.log(dryRunReport(result));
+  const out = report || path.join("deployments", `dry-run-${target}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify({ createdAt: new Date().toISOString(), ...result }, null, 2));
+  console.log("📝 Dry-run report:", out);
+  return result.addresses;
+}
+
+if (require.main === module) {
+  deploy(parseDryRunArgs()).catch(async (err) => {
+    await reportFailure(err, hre);
+    process.exit(1);
+  });
+}
+
+module.exports = { deploy };
@@ -0,0 +1,205 @@
+/* abi-diff.js — classify differences between the published info/ ABIs and compiled artifacts */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { UI_ABIS, writeUiAbis } = require("./deploy-engine");
+
+const { FormatTypes } = ethers.utils;
+
+// Change kind for a fragment present on both sides but different
+const CHANGED = {
+  function: "signature-changed",
+  constructor: "signature-changed",
+  event: "event-changed",
+  error: "error-changed",
+};
+
+/**
+ * What a consumer depends on: selector or topic, return types, mutability and
+ * indexing. Parameter names are left out; renaming them breaks nothing.
+ */
+function shape(f) {
+  if (f.type === "function") {
+    return `${f.format()} returns (${f.outputs.map((o) => o.format()).join(",")}) ${f.stateMutability}`;
+  }
+  if (f.type === "event") return `${f.format()} ${f.inputs.map((i) => (i.indexed ? "i" : "-")).join("")}`;
+  if (f.type === "constructor") return `constructor(${f.inputs.map((i) => i.format()).join(",")})`;
+  return f.format();
+}
+
+const full = (f) => f.format(FormatTypes.full);
+const label = (f) => (f.type === "constructor" ? "constructor" : f.name);
+
+/**
+ * Whether a change breaks an ABI consumer such as the web UI: removed or
+ * changed functions and events do. Errors only affect revert decoding, and
+ * the constructor only affects deployment.
+ */
+function isBreaking(kind, type, sameShape) {
+  if (type === "error" || type === "constructor" || kind === "added") return false;
+  return kind === "removed" || !sameShape;
+}
+
+/**
+ * @typedef {object} AbiChange
+ * @property {string} kind added, removed, signature-changed, event-changed or error-changed.
+ * @property {string} type function, event, error or constructor.
+ * @property {string} name
+ * @property {string|null} before Human-readable fragment in the published ABI.
+ * @property {string|null} after Human-readable fragment in the compiled ABI.
+ * @property {boolean} breaking
+ * @property {string} [note]
+ */
+
+/**
+ * Differences from `published` to `compiled`. Fragments are matched by type
+ * and name; overloads with an exact counterpart are paired first, and a lone
+ * remaining overload on each side counts as changed.
+ * @returns {AbiChange[]}
+ */
+function diffAbi(published, compiled) {
+  const group = (abi) => {
+    const groups = new Map();
+    for (const f of new ethers.utils.Interface(abi).fragments) {
+      if (!CHANGED[f.type]) continue;
+      const key = `${f.type} ${label(f)}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(f);
+    }
+    return groups;
+  };
+  const before = group(published);
+  const after = group(compiled);
+  const changes = [];
+  const add = (kind, f, a, b) => {
+    const sameShape = !!a && !!b && shape(a) === shape(b);
+    const change = {
+      kind,
+      type: f.type,
+      name: label(f),
+      before: a ? full(a) : null,
+      after: b ? full(b) : null,
+      breaking: isBreaking(kind, f.type, sameShape),
+    };
+    if (sameShape) change.note = "parameter names only";
+    else if (f.type === "constructor") change.note = "affects deployment only";
+    changes.push(change);
+  };
+
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const olds = [...(before.get(key) || [])];
+    const news = [...(after.get(key) || [])];
+    // Identical fragments need no report
+    for (const f of [...olds]) {
+      const same = news.findIndex((g) => full(g) === full(f));
+      if (same >= 0) {
+        olds.splice(olds.indexOf(f), 1);
+        news.splice(same, 1);
+      }
+    }
+    if (olds.length === 1 && news.length === 1) {
+      add(CHANGED[olds[0].type], olds[0], olds[0], news[0]);
+      continue;
+    }
+    for (const f of olds) add("removed", f, f, null);
+    for (const f of news) add("added", f, null, f);
+  }
+  const order = { removed: 0, "signature-changed": 1, "event-changed": 2, "error-changed": 3, added: 4 };
+  const byKind = (a, b) => order[a.kind] - order[b.kind] || a.type.localeCompare(b.type);
+  return changes.sort((a, b) => byKind(a, b) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Diff every published UI ABI in `infoDir` against `compiled` (ABIs keyed by
+ * contract name). Removed functions and events that another contract gains
+ * with the same signature are noted as moved.
+ *
+ * @param {string} infoDir
+ * @param {Object<string, object[]>} compiled
+ * @returns {{files: {file: string, contract: string, missing: boolean, changes: AbiChange[]}[], breaking: number}}
+ */
+function diffUiAbis(infoDir, compiled) {
+  const files = UI_ABIS.map(({ file, contract }) => {
+    const where = path.join(infoDir, file);
+    if (!fs.existsSync(where)) return { file, contract, missing: true, changes: [] };
+    const json = JSON.parse(fs.readFileSync(where, "utf8"));
+    return { file, contract, missing: false, changes: diffAbi(json.abi || json, compiled[contract]) };
+  });
+
+  for (const from of files) {
+    for (const change of from.changes.filter((c) => c.kind === "removed" && c.type !== "error")) {
+      const to = files.find(
+        (other) => other !== from && other.changes.some((c) => c.kind === "added" && c.after === change.before)
+      );
+      if (to) change.note = `moved to ${to.contract} (${to.file})`;
+    }
+  }
+  const breaking = files.reduce((n, f) => n + f.changes.filter((c) => c.breaking).length, 0);
+  return { files, breaking };
+}
+
+/** What a UI has to do about `change`. */
+function migrationHint(change) {
+  if (change.note && change.note.startsWith("moved to")) {
+    return `Use \`${change.name}\` on ${change.note.slice("moved to ".length)}`;
+  }
+  if (change.kind === "added") return `New ${change.type}; nothing to migrate`;
+  if (change.kind === "removed") {
+    if (change.type === "event") return `Stop listening for \`${change.name}\``;
+    if (change.type === "error") return `Drop the message for \`${change.name}\``;
+    return `Remove calls to \`${change.name}\``;
+  }
+  if (!change.breaking) return change.note ? `No action (${change.note})` : "No action";
+  if (change.type === "event") return `Update decoding of \`${change.name}\` logs`;
+  return `Update calls to \`${change.name}\` for the new inputs, outputs or mutability`;
+}
+
+/** Markdown migration report for `diffUiAbis` output. */
+function migrationReport({ files, breaking }) {
+  const lines = ["# ABI migration report", ""];
+  const total = files.reduce((n, f) => n + f.changes.length, 0);
+  lines.push(
+    total === 0 && files.every((f) => !f.missing)
+      ? "The published ABIs match the compiled contracts."
+      : `${total} change(s), ${breaking} breaking.`
+  );
+  const cell = (s) => (s ? `\`${s.replace(/\|/g, "\\|")}\`` : "—");
+  for (const { file, contract, missing, changes } of files) {
+    lines.push("", `## ${file} (${contract})`, "");
+    if (missing) {
+      lines.push("Not published yet.");
+      continue;
+    }
+    if (!changes.length) {
+      lines.push("No changes.");
+      continue;
+    }
+    lines.push("| Change | Before | After | Breaking | Migration |", "| --- | --- | --- | --- | --- |");
+    for (const c of changes) {
+      const kind = c.breaking ? `**${c.kind}**` : c.kind;
+      const row = [kind, cell(c.before), cell(c.after), c.breaking ? "yes" : "no", migrationHint(c)];
+      lines.push(`| ${row.join(" | ")} |`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Rewrite the published ABIs that `diff` found missing or changed, from the
+ * compiled artifacts. Throws, writing nothing, when a change is breaking and
+ * `force` is not set.
+ * @returns {string[]} The files written.
+ */
+function updatePublishedAbis(diff, { infoDir, force = false, log = console }) {
+  if (diff.breaking && !force) {
+    throw new Error(
+      `${diff.breaking} breaking ABI change(s); ${infoDir} left unchanged. Rerun with --force to overwrite.`
+    );
+  }
+  const stale = diff.files.filter((f) => f.missing || f.changes.length).map((f) => f.file);
+  if (stale.length) writeUiAbis(log, { infoDir, files: stale });
+  return stale;
+}
+
+module.exports = { diffAbi, diffUiAbis, migrationHint, migrationReport, updatePublishedAbis, isBreaking };
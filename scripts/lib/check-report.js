@@ -0,0 +1,24 @@
+/* check-report.js — print grouped pass/fail checks for preflight and verification reports */
+
+/**
+ * Print `checks` ({group, name, ok, detail}) grouped under their group
+ * headings, one ✅/❌ line per check.
+ */
+function printChecks(checks, log = console) {
+  let group;
+  for (const c of checks) {
+    if (c.group !== group) {
+      group = c.group;
+      log.log(`\n${group}`);
+    }
+    log.log(`  ${c.ok ? "✅" : "❌"} ${c.name}${c.detail ? ` — ${c.detail}` : ""}`);
+  }
+  log.log("");
+}
+
+/** The failed checks of `checks` as `group: name — detail` lines. */
+function failedChecks(checks) {
+  return checks.filter((c) => !c.ok).map((c) => `${c.group}: ${c.name}${c.detail ? ` — ${c.detail}` : ""}`);
+}
+
+module.exports = { printChecks, failedChecks };
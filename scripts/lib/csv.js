@@ -0,0 +1,73 @@
+/* csv.js — minimal RFC 4180 CSV reading and writing for operator spreadsheets */
+
+const fs = require("fs");
+
+/** Split CSV text into rows of fields; handles quoted fields, "" escapes and CRLF. */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+/**
+ * Read a CSV file with a header row into objects keyed by the lower-cased,
+ * trimmed header names. Each record also carries its `row` number, counting
+ * the header as row 1 (non-enumerable, so it is not written back out).
+ */
+function readCsv(file) {
+  const [header, ...rows] = parseCsv(fs.readFileSync(file, "utf8").replace(/^\uFEFF/, ""));
+  if (!header) throw new Error(`${file} is empty`);
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return rows.map((fields, i) => {
+    const record = Object.fromEntries(keys.map((k, j) => [k, (fields[j] || "").trim()]));
+    Object.defineProperty(record, "row", { value: i + 2 });
+    return record;
+  });
+}
+
+const quote = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** CSV text for `records`, with `columns` as the header row. */
+function toCsv(columns, records) {
+  const lines = [columns.join(",")];
+  for (const r of records) lines.push(columns.map((c) => quote(r[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { parseCsv, readCsv, toCsv };
@@ -0,0 +1,191 @@
+/* dao-status.js — read-only governance snapshot behind `npx hardhat dao:status` */
+
+const { ethers } = require("ethers");
+const { describeError } = require("../../sdk/errors");
+const { CEO_STATUS } = require("../../sdk/account-status");
+const OPEN_STATUSES = ["Pending", "Active", "Succeeded"];
+
+const ZERO = ethers.constants.AddressZero;
+const inv = (v) => ethers.utils.formatEther(v);
+const usd = (v) => ethers.utils.formatUnits(v, 6);
+const when = (ts) => new Date(ts * 1000).toISOString();
+
+function duration(seconds) {
+  if (seconds <= 0) return "now";
+  const d = Math.floor(seconds / 86400);
+  const h = Math.floor((seconds % 86400) / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return [d && `${d}d`, h && `${h}h`, `${m}m`].filter(Boolean).join(" ");
+}
+
+/**
+ * Collect the dashboard data. Funding requests are listed while open (Pending,
+ * Active, Succeeded) and, once Executed, while INV-USD remains to exchange.
+ *
+ * @param {object} sdk From `createSdk` (a provider is enough).
+ */
+async function collectStatus(sdk) {
+  const { dao } = sdk.contracts;
+  const block = await dao.provider.getBlock("latest");
+  const now = block.timestamp;
+
+  const currentCeo = await dao.currentCeo();
+  const electedCeo = await dao.electedCeo();
+  let elected = null;
+  if (electedCeo !== ZERO) {
+    const electedAt = await dao.electedCeoTimestamp();
+    const activatesAt = electedAt.add(await dao.ELECTED_CEO_ACTIVATION_DELAY()).toNumber();
+    elected = { address: electedCeo, activatesAt, secondsLeft: Math.max(0, activatesAt - now) };
+  }
+
+  const ceoApplications = [];
+  for (let id = 0; id < (await sdk.ceo.count()); id++) {
+    const app = await sdk.ceo.get(id);
+    if (OPEN_STATUSES.includes(app.status)) ceoApplications.push(app);
+  }
+
+  const fundingRequests = [];
+  for (let id = 0; id < (await sdk.funding.count()); id++) {
+    const request = await sdk.funding.get(id);
+    const exchange = request.status === "Executed" ? await sdk.exchange.state(id) : null;
+    if (OPEN_STATUSES.includes(request.status) || (exchange && !exchange.remaining.isZero())) {
+      fundingRequests.push({ ...request, exchange });
+    }
+  }
+
+  const endorsers = [];
+  for (const address of await dao.activeEndorserList()) {
+    endorsers.push({ address, support: await dao.endorserSupport(address) });
+  }
+
+  // A stale feed makes the price read revert; keep the rest of the dashboard
+  let price = null;
+  let priceError = null;
+  try {
+    price = await dao.getLatestUsdPrice();
+  } catch (err) {
+    const described = await describeError(err);
+    priceError = described ? described.explanation : err.message;
+  }
+
+  return {
+    network: {
+      chainId: (await dao.provider.getNetwork()).chainId,
+      blockNumber: block.number,
+      timestamp: now,
+    },
+    addresses: sdk.addresses,
+    ceo: {
+      current: currentCeo === ZERO ? null : currentCeo,
+      status: currentCeo === ZERO ? null : CEO_STATUS[await dao.ceoStatus(currentCeo)],
+      elected,
+    },
+    ceoApplications,
+    fundingRequests,
+    endorsers,
+    supply: {
+      price,
+      priceError,
+      totalSupply: await dao.totalSupply(),
+      circulating: await dao.getCirculatingSupply(),
+      locked: await dao.getTotalTokensLocked(),
+    },
+  };
+}
+
+/** JSON-safe copy: BigNumbers become decimal strings. */
+function statusToJson(status) {
+  return JSON.parse(
+    JSON.stringify(status, (key, value) =>
+      value && value.type === "BigNumber" && value.hex ? ethers.BigNumber.from(value.hex).toString() : value
+    )
+  );
+}
+
+/** Print the snapshot as a terminal dashboard. */
+function renderStatus(s, log = console) {
+  const now = s.network.timestamp;
+  const deadline = (ts) => `${when(ts)} (${ts > now ? `${duration(ts - now)} left` : "passed"})`;
+
+  log.log(`🏛️  INVTRON DAO — chain ${s.network.chainId}, block #${s.network.blockNumber}, ${when(now)}`);
+  log.log(`   DAO ${s.addresses.dao} · FundingManager ${s.addresses.fundingManager}`);
+
+  log.log("\n👤 CEO");
+  log.log(`   current: ${s.ceo.current ? `${s.ceo.current} (${s.ceo.status})` : "none"}`);
+  if (s.ceo.elected) {
+    const e = s.ceo.elected;
+    const wait = e.secondsLeft ? `${duration(e.secondsLeft)} left` : "ready to activate";
+    log.log(`   elected: ${e.address}, activation ${when(e.activatesAt)} (${wait})`);
+  }
+
+  log.log(`\n🗳️  Open CEO applications (${s.ceoApplications.length})`);
+  for (const a of s.ceoApplications) {
+    log.log(
+      `   #${a.id} ${a.applicant} ${a.status} · endorsers ${a.endorserVotes} · ` +
+        `for ${inv(a.userVotesFor)} / against ${inv(a.userVotesAgainst)} INV · deadline ${deadline(a.deadline)}`
+    );
+  }
+
+  log.log(`\n💰 Funding requests (${s.fundingRequests.length})`);
+  for (const r of s.fundingRequests) {
+    log.log(
+      `   #${r.id} "${r.details.projectName}" by ${r.proposer} ${r.status}` +
+        `${r.ceoApproved ? " (CEO approved)" : ""} · endorsers ${r.endorserVotes} · ` +
+        `for $${usd(r.userVotesFor)} / against $${usd(r.userVotesAgainst)} · deadline ${deadline(r.deadline)}`
+    );
+    if (r.exchange) {
+      const x = r.exchange;
+      log.log(
+        `      exchange: daily limit ${inv(x.limit)}, exchanged today ${inv(x.exchanged)}, ` +
+          `remaining ${inv(x.remaining)} INV-USD`
+      );
+    }
+  }
+
+  log.log(`\n🛡️  Active endorsers (${s.endorsers.length})`);
+  for (const e of s.endorsers) log.log(`   ${e.address} · support ${inv(e.support)} INV`);
+
+  log.log("\n📊 Supply");
+  const price = s.supply.price
+    ? `$${ethers.utils.formatEther(s.supply.price)} per INV`
+    : `unavailable (${s.supply.priceError})`;
+  log.log(`   price:       ${price}`);
+  log.log(`   total:       ${inv(s.supply.totalSupply)} INV`);
+  log.log(`   circulating: ${inv(s.supply.circulating)} INV`);
+  log.log(`   locked:      ${inv(s.supply.locked)} INV`);
+}
+
+/** Print `sdk.token.accountStatus(who)` for a holder asking why a call is blocked. */
+function renderAccountStatus(a, log = console) {
+  const now = a.timestamp;
+  const until = (ts) => (ts === null ? "" : ` until ${when(ts)} (${duration(ts - now)})`);
+  const lock = (l) => {
+    if (l.amount.isZero()) return "none";
+    return `${inv(l.amount)} INV, ${l.active ? `unlocks ${when(l.unlockTime)}` : "expired"}`;
+  };
+
+  log.log(`👤 ${a.account} — block #${a.blockNumber}, ${when(now)}`);
+  log.log(`   balance:      ${inv(a.balance)} INV (transferable ${inv(a.free.transferable)})`);
+  log.log(`   free for CEO votes ${inv(a.free.ceo)} · for funding votes ${inv(a.free.funding)} INV`);
+  log.log(`   CEO lock:     ${lock(a.locks.ceo)}`);
+  log.log(`   funding lock: ${lock(a.locks.funding)}`);
+
+  const d = a.delegation;
+  log.log(`\n🗳️  Voting power ${inv(d.votes)} INV (${inv(d.delegatedIn)} delegated in)`);
+  log.log(`   votes delegated to: ${d.votesTo ? (d.votesTo === a.account ? "self" : d.votesTo) : "nobody (inactive)"}`);
+  log.log(`   may vote for you:   ${d.proxy || "nobody"}`);
+  const rate = (a.age.fundingRateBps / 100).toFixed(2);
+  const matures = a.age.maturesAt > now ? `, 0.50% from ${when(a.age.maturesAt)}` : "";
+  log.log(`   funding rate: ${rate}% after ${duration(a.age.holdingSeconds)} held${matures}`);
+  log.log(`   last vote: ${a.lastVoteAt ? when(a.lastVoteAt) : "never"} · CEO status ${a.roles.ceoStatus}`);
+  if (a.roles.endorser) log.log("   endorser");
+
+  if (!a.restrictions.length) {
+    log.log("\n✅ No restrictions apply");
+    return;
+  }
+  log.log(`\n⛔ Restrictions (${a.restrictions.length})`);
+  for (const r of a.restrictions) log.log(`   ${r.action}: ${r.reason} [${r.error}]${until(r.until)}`);
+}
+
+module.exports = { collectStatus, statusToJson, renderStatus, renderAccountStatus, CEO_STATUS };
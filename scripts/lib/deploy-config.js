@@ -0,0 +1,250 @@
+/* deploy-config.js — constructor arguments and tuning knobs for deployments */
+
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const { ethers } = require("ethers");
+const { PROFILES, PARAMETERS, MAINNET_CHAIN_IDS, defaultProfileName, resolveProfile, profileDifferences } =
+  require("./governance-profiles");
+const { NETWORKS, rpcUrlVar, constructorEnvFile } = require("./networks");
+
+function isAddr(v) {
+  try {
+    return !!v && ethers.utils.isAddress(v);
+  } catch {
+    return false;
+  }
+}
+
+function requireAddr(name, v) {
+  if (!isAddr(v)) throw new Error(`Invalid address for ${name}: ${v}`);
+}
+
+function int(env, name, fallback) {
+  return parseInt(env[name] || String(fallback), 10);
+}
+
+const splitList = (v) => (v ? v.split(/\s*,\s*/).filter(Boolean) : []);
+const isWhole = (v) => /^\d+$/.test(v);
+const isFlag = (v) => v === "true" || v === "false";
+const isPrivateKey = (v) => /^(0x)?[0-9a-fA-F]{64}$/.test(v);
+
+const TUNING = [
+  "DEPLOY_CONFIRMATIONS",
+  "DEPLOY_TX_TIMEOUT_MS",
+  "INITIAL_WAIT_MS",
+  "BUMP_INTERVAL_MS",
+  "MAX_BUMPS",
+  "VERIFY_ATTEMPTS",
+  "VERIFY_INITIAL_WAIT_MS",
+];
+
+/**
+ * Every variable a deployment reads. `source` is the file it belongs in,
+ * `live` entries are only needed on live networks (see networks.js),
+ * `optional` ones may be absent and `placeholder` ones may be left blank for a
+ * dry run, which stands in for them; present values must pass `check`.
+ */
+const ENV_SCHEMA = [
+  {
+    key: "INFURA_PROJECT_ID",
+    source: ".env",
+    live: true,
+    optional: (env, network) => !!env[rpcUrlVar(network)],
+    expected: "an Infura project id (or set <NETWORK>_RPC_URL)",
+  },
+  { key: "INFURA_PROJECT_SECRET", source: ".env", optional: true, expected: "an Infura project secret" },
+  { key: "PRIVATE_KEY", source: ".env", live: true, check: isPrivateKey, expected: "a 32-byte hex private key" },
+  {
+    key: "ETHERSCAN_API_KEY",
+    legacy: "Etherscan_API_Key",
+    source: ".env",
+    live: true,
+    expected: "an Etherscan API key for contract verification",
+  },
+  ...TUNING.map((key) => ({ key, source: ".env", optional: true, check: isWhole, expected: "a whole number" })),
+  {
+    key: "_priceFeedAddress",
+    source: "constructor",
+    placeholder: true,
+    check: isAddr,
+    expected: "the price feed address",
+  },
+  { key: "_initialCeo", source: "constructor", placeholder: true, check: isAddr, expected: "an address" },
+  {
+    key: "_initialEndorsers",
+    source: "constructor",
+    optional: true,
+    check: (v) => splitList(v).every(isAddr),
+    expected: "a comma-separated list of addresses",
+  },
+  { key: "_treasuryOwner", source: "constructor", placeholder: true, check: isAddr, expected: "an address" },
+  ...["_treasuryOwnerMultisig", "_initialCeoMultisig"].map((key) => ({
+    key,
+    source: "constructor",
+    optional: true,
+    check: isFlag,
+    expected: "true or false",
+  })),
+  {
+    key: "_governanceProfile",
+    source: "constructor",
+    optional: true,
+    check: (v) => !!PROFILES[v],
+    expected: `one of ${Object.keys(PROFILES).join(", ")}`,
+  },
+  ...PARAMETERS.map((p) => ({
+    key: `_${p}`,
+    source: "constructor",
+    optional: true,
+    check: isWhole,
+    expected: "a whole number",
+  })),
+];
+
+/**
+ * Check `env` against ENV_SCHEMA for `network`, collecting every problem
+ * instead of stopping at the first. On a mainnet chain the governance
+ * parameters must also equal the mainnet profile.
+ *
+ * @param {object} env Merged .env and constructor file values.
+ * @param {object} [opts]
+ * @param {string} [opts.network] Hardhat network name.
+ * @param {string} [opts.constructorFile="constructor.env"] Name used for constructor entries in messages.
+ * @param {boolean} [opts.deployer=true] Also check the deployer's .env entries (RPC, keys).
+ * @param {boolean} [opts.dryRun=false] Accept blank `placeholder` entries.
+ * @returns {{problems: string[], warnings: string[]}}
+ */
+function validateDeployEnv(
+  env,
+  { network, constructorFile = "constructor.env", deployer = true, dryRun = false } = {}
+) {
+  const live = !!(NETWORKS[network] && NETWORKS[network].live);
+  const problems = [];
+  const warnings = [];
+  for (const entry of ENV_SCHEMA) {
+    const file = entry.source === "constructor" ? constructorFile : entry.source;
+    if (entry.source === ".env" && !deployer) continue;
+    if (entry.live && !live) continue;
+    let value = env[entry.key];
+    if (entry.legacy && env[entry.legacy]) {
+      if (value && value !== env[entry.legacy]) {
+        problems.push(`${file}: ${entry.key} and ${entry.legacy} are both set and differ; remove ${entry.legacy}`);
+        continue;
+      }
+      if (!value) warnings.push(`${file}: ${entry.legacy} is deprecated; rename it to ${entry.key}`);
+      value = value || env[entry.legacy];
+    }
+    if (value === undefined || value === "") {
+      let optional = typeof entry.optional === "function" ? entry.optional(env, network) : entry.optional;
+      optional = optional || (dryRun && entry.placeholder);
+      if (!optional) problems.push(`${file}: ${entry.key} is missing (expected ${entry.expected})`);
+      continue;
+    }
+    if (entry.check && !entry.check(value)) {
+      const shown = entry.key === "PRIVATE_KEY" ? "<hidden>" : JSON.stringify(value);
+      problems.push(`${file}: ${entry.key} must be ${entry.expected}, got ${shown}`);
+    }
+  }
+
+  const net = NETWORKS[network];
+  const profile = env._governanceProfile || defaultProfileName(network);
+  if (net && MAINNET_CHAIN_IDS.includes(net.chainId) && PROFILES[profile]) {
+    const overrides = governanceOverrides(env);
+    if (Object.values(overrides).every(isWhole)) {
+      for (const d of profileDifferences(resolveProfile(profile, overrides), "mainnet")) {
+        problems.push(`${constructorFile}: governance ${d.parameter} is ${d.actual}; mainnet requires ${d.expected}`);
+      }
+    }
+  }
+  return { problems, warnings };
+}
+
+function governanceOverrides(env) {
+  const overrides = {};
+  for (const key of PARAMETERS) {
+    if (env[`_${key}`]) overrides[key] = env[`_${key}`];
+  }
+  return overrides;
+}
+
+/**
+ * Load .env first, then the constructor file of `network`
+ * (`constructor.<network>.env`, else `constructor.env`), validate everything
+ * against ENV_SCHEMA and return constructor arguments plus deployment tuning.
+ * Throws one error listing every problem (also on `err.problems`).
+ *
+ * Governance parameters come from the `_governanceProfile` profile (default:
+ * the one named after `network`, else local); `_<parameter>` entries such as
+ * `_votingPeriod` override single values.
+ *
+ * @param {object} [opts]
+ * @param {object} [opts.env=process.env] Values to use (.env is loaded into process.env); with
+ *   `load` the constructor file is merged over them.
+ * @param {boolean} [opts.load=true] Read .env and the constructor file.
+ * @param {string} [opts.network] Hardhat network name.
+ * @param {string} [opts.constructorFile] Constructor file to read instead of the network's.
+ * @param {boolean} [opts.deployer=true] Also require the deployer's .env entries on live networks.
+ * @param {boolean} [opts.dryRun=false] Leave blank role and feed addresses for a dry run to fill in
+ *   (see `withPlaceholders` in dry-run.js).
+ */
+function loadDeployConfig({
+  env = process.env,
+  load = true,
+  network,
+  constructorFile,
+  deployer = true,
+  dryRun = false,
+} = {}) {
+  let label = constructorFile ? path.basename(constructorFile) : "constructor.env";
+  if (load) {
+    dotenv.config({ path: ".env", quiet: true });
+    const file = constructorFile || constructorEnvFile(network);
+    label = path.basename(file);
+    if (!fs.existsSync(file)) {
+      const err = new Error(`Constructor file not found: ${file}`);
+      err.problems = [err.message];
+      throw err;
+    }
+    env = { ...env, ...dotenv.parse(fs.readFileSync(file)) };
+  }
+
+  const { problems, warnings } = validateDeployEnv(env, { network, constructorFile: label, deployer, dryRun });
+  for (const warning of warnings) console.warn(`⚠️  ${warning}`);
+  if (problems.length) {
+    const err = new Error(
+      `Invalid deployment configuration for ${network || "this network"} (${problems.length} problem(s)):\n` +
+        problems.map((p) => `  - ${p}`).join("\n")
+    );
+    err.problems = problems;
+    throw err;
+  }
+
+  const profile = env._governanceProfile || defaultProfileName(network);
+  return {
+    constructorArgs: {
+      priceFeedAddress: env._priceFeedAddress,
+      initialCeo: env._initialCeo,
+      initialEndorsers: splitList(env._initialEndorsers),
+      treasuryOwner: env._treasuryOwner,
+      governance: { profile, ...resolveProfile(profile, governanceOverrides(env)) },
+    },
+    tuning: {
+      confirmations: Math.max(1, int(env, "DEPLOY_CONFIRMATIONS", 1)),
+      timeoutMs: int(env, "DEPLOY_TX_TIMEOUT_MS", 600000),
+      initialWaitMs: int(env, "INITIAL_WAIT_MS", 20000),
+      bumpIntervalMs: int(env, "BUMP_INTERVAL_MS", 45000),
+      maxBumps: int(env, "MAX_BUMPS", 6),
+      verifyAttempts: int(env, "VERIFY_ATTEMPTS", 5),
+      verifyInitialWaitMs: int(env, "VERIFY_INITIAL_WAIT_MS", 20000),
+    },
+    fresh: env.DEPLOY_FRESH === "1",
+    // Roles the preflight allows to be contracts
+    multisig: {
+      treasuryOwner: env._treasuryOwnerMultisig === "true",
+      initialCeo: env._initialCeoMultisig === "true",
+    },
+  };
+}
+
+module.exports = { loadDeployConfig, validateDeployEnv, ENV_SCHEMA, isAddr, requireAddr };
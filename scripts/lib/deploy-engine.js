@@ -0,0 +1,404 @@
+/* deploy-engine.js — resumable INVTRON stack deployment shared by every network */
+
+const fs = require("fs");
+const path = require("path");
+const { createSender, explorerTxUrl } = require("./tx-sender");
+const { loadManifest } = require("./deploy-manifest");
+const { governanceConfig, assertProfileAllowed } = require("./governance-profiles");
+
+const ROOT = path.join(__dirname, "..", "..");
+const LOCAL_CHAIN_IDS = [31337, 1337];
+
+// Ordered deployment steps. Each run resumes at the first step not marked done.
+const STEPS = [
+  { id: "WhitelistManager", kind: "deploy", contract: "WhitelistManager" },
+  { id: "InvUsdToken", kind: "deploy", contract: "InvUsdToken" },
+  {
+    id: "FundingManagerContract",
+    kind: "deploy",
+    contract: "FundingManagerContract",
+    args: (m, c) => [governanceConfig(c.governance)],
+  },
+  {
+    id: "INVTRON_DAO",
+    kind: "deploy",
+    contract: "INVTRON_DAO",
+    args: (m, c) => daoConstructorArgs(m, c),
+  },
+  {
+    id: "WhitelistManager.setDao",
+    kind: "call",
+    target: "WhitelistManager",
+    method: "setDao",
+    args: (m) => [m.address("INVTRON_DAO")],
+    satisfied: async (wl, m) => sameAddr(await wl.dao(), m.address("INVTRON_DAO")),
+  },
+  {
+    id: "FundingManagerContract.setDao",
+    kind: "call",
+    target: "FundingManagerContract",
+    method: "setDao",
+    args: (m) => [m.address("INVTRON_DAO")],
+    satisfied: async (fm, m) => sameAddr(await fm.dao(), m.address("INVTRON_DAO")),
+  },
+  {
+    id: "InvUsdToken.transferOwnership",
+    kind: "call",
+    target: "InvUsdToken",
+    method: "transferOwnership",
+    args: (m) => [m.address("INVTRON_DAO")],
+    satisfied: async (t, m) => sameAddr(await t.owner(), m.address("INVTRON_DAO")),
+  },
+];
+
+function sameAddr(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+function daoConstructorArgs(manifest, c) {
+  return [
+    c.priceFeedAddress,
+    c.initialCeo,
+    c.initialEndorsers,
+    c.treasuryOwner,
+    manifest.address("InvUsdToken"),
+    manifest.address("WhitelistManager"),
+    manifest.address("FundingManagerContract"),
+    governanceConfig(c.governance),
+  ];
+}
+
+function isLocalChain(chainId) {
+  return LOCAL_CHAIN_IDS.includes(Number(chainId));
+}
+
+/**
+ * Compare the manifest against the chain and the requested constructor args.
+ * A manifest recorded with different args, or whose contracts have vanished
+ * (restarted local node), is reset on local chains and rejected elsewhere.
+ */
+async function reconcileManifest(manifest, { provider, constructorArgs, chainId, fresh, log }) {
+  const recorded = manifest.data.constructorArgs;
+  let reason;
+  if (fresh) {
+    reason = "DEPLOY_FRESH=1";
+  } else if (recorded && JSON.stringify(recorded) !== JSON.stringify(constructorArgs)) {
+    reason = "constructor arguments changed since the recorded run";
+  } else {
+    for (const step of STEPS) {
+      if (step.kind !== "deploy" || !manifest.isDone(step.id)) continue;
+      const code = await provider.getCode(manifest.address(step.id));
+      if (code === "0x") {
+        reason = `no code at recorded ${step.id} address ${manifest.address(step.id)}`;
+        break;
+      }
+    }
+  }
+  if (!reason) {
+    if (!recorded) manifest.data.constructorArgs = constructorArgs;
+    return;
+  }
+  if (!fresh && !isLocalChain(chainId)) {
+    throw new Error(
+      `Deployment manifest ${manifest.file} cannot be resumed: ${reason}. ` +
+        "Inspect it, then delete it or rerun with DEPLOY_FRESH=1."
+    );
+  }
+  log.warn(`⚠️  Starting a new deployment manifest (${reason})`);
+  manifest.reset({ constructorArgs });
+}
+
+/**
+ * Deploy (or finish deploying) WhitelistManager, InvUsdToken,
+ * FundingManagerContract and INVTRON_DAO, then wire `setDao` and hand
+ * InvUsdToken ownership to the DAO. On mainnet the governance parameters
+ * must equal the mainnet profile. Progress is written to
+ * `deployments/chain-<chainId>.json` after every broadcast so a crashed or
+ * timed-out run resumes at the first unfinished step.
+ *
+ * @param {object} hre Hardhat runtime environment.
+ * @param {object} opts
+ * @param {object} opts.constructorArgs From `loadDeployConfig()`.
+ * @param {object} [opts.tuning] Sender tuning from `loadDeployConfig()`.
+ * @param {boolean} [opts.fresh] Ignore an existing manifest.
+ * @param {string} [opts.manifestDir] Override the manifest directory.
+ * @returns {Promise<{manifest: object, contracts: object, addresses: object, deployer: string}>}
+ */
+async function runDeployment(hre, { constructorArgs, tuning = {}, fresh = false, manifestDir, log = console }) {
+  const { ethers, network } = hre;
+  const [deployer] = await ethers.getSigners();
+  const provider = deployer.provider;
+  const { chainId } = await provider.getNetwork();
+
+  assertProfileAllowed(chainId, constructorArgs.governance);
+  log.log("Network:", network.name, `(chainId ${chainId})`);
+  log.log("Deploying with address:", deployer.address);
+
+  const manifest = loadManifest(chainId, { dir: manifestDir, network: network.name });
+  await reconcileManifest(manifest, { provider, constructorArgs, chainId, fresh, log });
+  manifest.data.deployer = manifest.data.deployer || deployer.address;
+  manifest.save();
+
+  const sender = createSender({ signer: deployer, chainId, log, ...tuning });
+
+  log.log("Constructor Arguments:");
+  log.log(`  _priceFeedAddress: ${constructorArgs.priceFeedAddress}`);
+  log.log(`  _initialCeo: ${constructorArgs.initialCeo}`);
+  log.log(`  _initialEndorsers: [${constructorArgs.initialEndorsers.join(", ")}]`);
+  log.log(`  _treasuryOwner: ${constructorArgs.treasuryOwner}`);
+  const { profile, ...governance } = constructorArgs.governance;
+  log.log(`  governance (${profile}): ${Object.entries(governance).map(([k, v]) => `${k}=${v}`).join(", ")}`);
+
+  const factories = {};
+  async function factory(name) {
+    if (!factories[name]) factories[name] = await ethers.getContractFactory(name);
+    return factories[name];
+  }
+  async function attach(id) {
+    return (await factory(id)).attach(manifest.address(id)).connect(deployer);
+  }
+
+  for (const step of STEPS) {
+    if (manifest.isDone(step.id)) {
+      const where = manifest.address(step.id);
+      log.log(`ℹ️  ${step.id} already done${where ? ` at ${where}` : ""}`);
+      continue;
+    }
+    const entry = manifest.step(step.id);
+
+    let txRequest;
+    if (step.kind === "deploy") {
+      const args = step.args ? step.args(manifest, constructorArgs) : [];
+      entry.args = args;
+      const deployTx = (await factory(step.contract)).getDeployTransaction(...args);
+      const estimated = await provider.estimateGas({ ...deployTx, from: deployer.address });
+      txRequest = { ...deployTx, gasLimit: estimated.mul(120).div(100) }; // +20%
+    } else {
+      const target = await attach(step.target);
+      if (await step.satisfied(target, manifest)) {
+        entry.status = "done";
+        manifest.save();
+        log.log(`ℹ️  ${step.id} already applied on-chain`);
+        continue;
+      }
+      txRequest = await target.populateTransaction[step.method](...step.args(manifest));
+    }
+
+    const receipt = await sendStep(step, entry, txRequest);
+    entry.status = "done";
+    entry.txHash = receipt.transactionHash;
+    entry.blockNumber = receipt.blockNumber;
+    entry.gasUsed = receipt.gasUsed.toString();
+    if (step.kind === "deploy") {
+      if (!receipt.contractAddress) throw new Error(`No contractAddress in receipt for ${step.id}`);
+      entry.address = receipt.contractAddress;
+      log.log(`🏁 ${step.id} deployed at ${entry.address}`);
+    }
+    manifest.save();
+  }
+
+  // Resume an interrupted broadcast before sending anything new for this step.
+  async function sendStep(step, entry, txRequest) {
+    const label = step.kind === "deploy" ? `deploy ${step.id}` : step.id;
+    let nonce;
+    if (entry.txs.length > 0) {
+      const hashes = entry.txs.map((t) => t.hash);
+      log.log(`⏳ Resuming ${label}: checking ${hashes.length} recorded tx(s)…`);
+      const mined = await sender.waitForAny(hashes);
+      if (mined) {
+        if (mined.status === 0) {
+          const reverted = new Error(`${label} reverted: ${explorerTxUrl(chainId, mined.transactionHash)}`);
+          reverted.code = "REVERTED";
+          reverted.hash = mined.transactionHash;
+          throw reverted;
+        }
+        return mined;
+      }
+      nonce = entry.txs[entry.txs.length - 1].nonce;
+      const latest = await provider.getTransactionCount(deployer.address, "latest");
+      if (latest > nonce) {
+        throw new Error(
+          `${label}: nonce ${nonce} was consumed by a transaction not in ${manifest.file}. ` +
+            "Inspect the deployer account before resuming."
+        );
+      }
+      log.warn(`⚠️  ${label} was dropped; re-sending with nonce ${nonce}`);
+    }
+    return sender.sendAndWait(txRequest, label, {
+      nonce,
+      onBroadcast: (tx) => {
+        entry.txs.push(tx);
+        manifest.save();
+      },
+    });
+  }
+
+  const contracts = {};
+  for (const step of STEPS) {
+    if (step.kind === "deploy") contracts[step.id] = await attach(step.id);
+  }
+  const addresses = Object.fromEntries(
+    Object.entries(contracts).map(([k, c]) => [k, c.address])
+  );
+  return { manifest, contracts, addresses, deployer: deployer.address };
+}
+
+// ---------- Published artifacts ----------
+
+/** Map published in info/addressInfo.json for the UI. */
+function addressInfoFor(addresses) {
+  return {
+    INVTRON_DAO_CONTRACT: addresses.INVTRON_DAO,
+    InvUsdToken: addresses.InvUsdToken,
+    WhitelistManager: addresses.WhitelistManager,
+    FundingManager: addresses.FundingManagerContract,
+  };
+}
+
+function writeAddressInfo(addresses, log = console) {
+  const infoDir = path.join(ROOT, "info");
+  fs.mkdirSync(infoDir, { recursive: true });
+  const infoPath = path.join(infoDir, "addressInfo.json");
+  fs.writeFileSync(infoPath, JSON.stringify(addressInfoFor(addresses), null, 2));
+  log.log("ℹ️  Saved deployment info to", infoPath);
+}
+
+/** Write project-details/ContractRef.txt (full code for UI devs). */
+function writeContractRef(addresses, { generator, network, deployer }, log = console) {
+  try {
+    const contractsDir = path.join(ROOT, "contracts");
+    const libsDir = path.join(contractsDir, "libraries");
+    const items = [];
+    const collect = (dir, kind, sourceDir) =>
+      fs
+        .readdirSync(dir)
+        .filter((f) => f.endsWith(".sol"))
+        .sort()
+        .forEach((file) => {
+          const name = file.replace(/\.sol$/, "");
+          items.push({
+            kind,
+            name,
+            source: path.posix.join(...sourceDir, file),
+            address: (kind === "Contract" && addresses[name]) || "N/A",
+            code: fs.readFileSync(path.join(dir, file), "utf8"),
+          });
+        });
+
+    collect(contractsDir, "Contract", ["contracts"]);
+    if (fs.existsSync(libsDir)) collect(libsDir, "Library", ["contracts", "libraries"]);
+
+    const headerLines = [
+      "Generated Contract & Library Reference",
+      `Generated by ${generator} on ${new Date().toISOString()}`,
+      `Network: ${network}`,
+      `Deployer: ${deployer}`,
+    ];
+    const blocks = items
+      .map((it) =>
+        [
+          `${it.kind}: ${it.name}`,
+          `Source: ${it.source}`,
+          `Address: ${it.address}`,
+          `Code:`,
+          it.code.trimEnd(),
+        ].join("\n")
+      )
+      .join("\n\n");
+    const refPath = path.join(ROOT, "project-details", "ContractRef.txt");
+    fs.mkdirSync(path.dirname(refPath), { recursive: true });
+    fs.writeFileSync(refPath, headerLines.join("\n") + "\n\n" + blocks + "\n", "utf8");
+    log.log("✅ Wrote contract reference to:", refPath);
+  } catch (e) {
+    log.warn("⚠️  Could not write project-details/ContractRef.txt:", e.message || e);
+  }
+}
+
+// Published UI ABI files and the artifact each is exported from.
+const UI_ABIS = [
+  { file: "ABI.json", contract: "INVTRON_DAO" },
+  { file: "WL-ABI.json", contract: "WhitelistManager" },
+  { file: "FM-ABI.json", contract: "FundingManagerContract" },
+  { file: "INVUSD-ABI.json", contract: "InvUsdToken" },
+];
+
+/**
+ * Write minimal UI ABIs (ABI only, to keep the artifacts light). `files`
+ * limits the write to some of the UI_ABIS file names.
+ */
+function writeUiAbis(log = console, { infoDir = path.join(ROOT, "info"), files } = {}) {
+  for (const { file, contract } of UI_ABIS.filter((a) => !files || files.includes(a.file))) {
+    try {
+      const artifactPath = path.join(ROOT, "artifacts", "contracts", `${contract}.sol`, `${contract}.json`);
+      const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+      const outPath = path.join(infoDir, file);
+      fs.writeFileSync(outPath, JSON.stringify({ abi: artifact.abi }, null, 2));
+      log.log(`✅ Updated UI ${contract} ABI at:`, outPath);
+    } catch (e) {
+      log.warn(`⚠️  Could not write UI ABI ${file}:`, e.message || e);
+    }
+  }
+}
+
+// ---------- Etherscan verification ----------
+
+/**
+ * Verify every deployed contract, retrying on indexing lag. Verified steps
+ * are recorded in the manifest so a resumed run skips them.
+ */
+async function verifyAll(hre, manifest, { attempts = 5, initialWaitMs = 20000, log = console } = {}) {
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+  const pending = STEPS.filter((s) => s.kind === "deploy" && !manifest.step(s.id).verified);
+  if (pending.length === 0) return;
+
+  log.log("⏳ Waiting briefly for Etherscan indexing…");
+  await sleep(initialWaitMs); // short initial wait; backoff will handle the rest
+
+  for (const step of pending) {
+    const entry = manifest.step(step.id);
+    const contract = `contracts/${step.contract}.sol:${step.contract}`;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        log.log(`⏳ Verifying ${contract} (attempt ${attempt}/${attempts})…`);
+        await hre.run("verify:verify", {
+          address: entry.address,
+          constructorArguments: entry.args || [],
+          contract,
+        });
+        log.log("✅ Verified:", contract);
+        entry.verified = true;
+        break;
+      } catch (err) {
+        const msg = err && err.message ? err.message : String(err);
+        if (/already verified/i.test(msg)) {
+          log.log("✅ Already verified:", contract);
+          entry.verified = true;
+          break;
+        }
+        if (/does not have bytecode|Unable to locate ContractCode/i.test(msg)) {
+          const delay = Math.min(120000, 30000 * attempt);
+          log.warn(`⚠️  Indexing lag for ${entry.address}. Waiting ${Math.floor(delay / 1000)}s…`);
+          await sleep(delay);
+          continue;
+        }
+        log.error("❌ Verification error:", msg);
+        throw err;
+      }
+    }
+    if (!entry.verified) log.warn(`⚠️  Verification attempts exhausted for ${entry.address}`);
+    manifest.save();
+  }
+}
+
+module.exports = {
+  STEPS,
+  UI_ABIS,
+  runDeployment,
+  reconcileManifest,
+  addressInfoFor,
+  writeAddressInfo,
+  writeContractRef,
+  writeUiAbis,
+  verifyAll,
+  isLocalChain,
+};
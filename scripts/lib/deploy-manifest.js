@@ -0,0 +1,58 @@
+/* deploy-manifest.js — on-disk record of deployment steps, one file per chainId */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function manifestPath(chainId, dir = DEFAULT_DIR) {
+  return path.join(dir, `chain-${chainId}.json`);
+}
+
+/**
+ * Load the manifest for `chainId`, or start an empty one.
+ * Each step entry is `{ status: "pending" | "done", txs: [{hash, nonce}], ... }`.
+ */
+function loadManifest(chainId, { dir = DEFAULT_DIR, network } = {}) {
+  const file = manifestPath(chainId, dir);
+  let data;
+  if (fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } else {
+    data = { chainId, network, createdAt: new Date().toISOString(), steps: {} };
+  }
+
+  const manifest = {
+    file,
+    data,
+    step(id) {
+      if (!data.steps[id]) data.steps[id] = { status: "pending", txs: [] };
+      return data.steps[id];
+    },
+    isDone(id) {
+      return !!data.steps[id] && data.steps[id].status === "done";
+    },
+    address(id) {
+      const s = data.steps[id];
+      return s && s.address;
+    },
+    reset(fields = {}) {
+      data = {
+        chainId,
+        network,
+        createdAt: new Date().toISOString(),
+        ...fields,
+        steps: {},
+      };
+      manifest.data = data;
+    },
+    save() {
+      data.updatedAt = new Date().toISOString();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    },
+  };
+  return manifest;
+}
+
+module.exports = { loadManifest, manifestPath };
@@ -0,0 +1,164 @@
+/* dry-run.js — rehearse a deployment on the in-process Hardhat network and report its gas and cost */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { STEPS, runDeployment, addressInfoFor } = require("./deploy-engine");
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+/**
+ * Read dry-run options from command-line flags, falling back to the
+ * environment for `npx hardhat run`, which passes no script arguments:
+ * `--dry-run` (DEPLOY_DRY_RUN=1), `--price <usd>` (DRY_RUN_PRICE, default 1),
+ * `--gwei <n>` (DRY_RUN_GWEI, default 20) and `--report <file>` (DRY_RUN_REPORT).
+ */
+function parseDryRunArgs(argv = process.argv.slice(2), env = process.env) {
+  const value = (flag) => {
+    const i = argv.indexOf(flag);
+    return i >= 0 ? argv[i + 1] : undefined;
+  };
+  return {
+    dryRun: argv.includes("--dry-run") || env.DEPLOY_DRY_RUN === "1",
+    price: value("--price") || env.DRY_RUN_PRICE || "1",
+    gwei: value("--gwei") || env.DRY_RUN_GWEI || "20",
+    report: value("--report") || env.DRY_RUN_REPORT,
+  };
+}
+
+/** Throw unless `hre` is on the in-process Hardhat network, so a dry run can never broadcast. */
+function requireInProcessNetwork(hre) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Dry runs use the in-process Hardhat network, not ${hre.network.name}; drop --network`);
+  }
+}
+
+/** Deploy a MockV3Aggregator answering `price` USD with `decimals` decimals. */
+async function deployMockFeed(hre, { price = "1", decimals = 8 } = {}) {
+  const answer = ethers.utils.parseUnits(String(price), decimals);
+  if (answer.lte(0)) throw new Error(`The dry-run price must be positive, got ${price}`);
+  const Feed = await hre.ethers.getContractFactory("MockV3Aggregator");
+  const feed = await Feed.deploy(decimals, answer);
+  await feed.deployed();
+  return feed;
+}
+
+/** A fixed address with no code or key behind it, derived from `label`. */
+function placeholderAddress(label) {
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(ethers.utils.id(`dry-run ${label}`), 12));
+}
+
+/**
+ * Complete `constructorArgs` loaded with `dryRun` for a rehearsal: the price
+ * feed becomes `feedAddress`, and a blank CEO, treasury owner or endorser list
+ * becomes placeholder addresses, as many endorsers as the profile's larger
+ * quorum. A committed constructor file with its addresses still blank can be
+ * rehearsed this way.
+ *
+ * @returns {{constructorArgs: object, placeholders: string[]}} The completed
+ *   arguments and the constructor file keys that were stood in for.
+ */
+function withPlaceholders(constructorArgs, feedAddress) {
+  const args = { ...constructorArgs, priceFeedAddress: feedAddress };
+  const placeholders = [];
+  if (!args.initialCeo) {
+    args.initialCeo = placeholderAddress("CEO");
+    placeholders.push("_initialCeo");
+  }
+  if (!args.treasuryOwner) {
+    args.treasuryOwner = placeholderAddress("treasury owner");
+    placeholders.push("_treasuryOwner");
+  }
+  if (!args.initialEndorsers.length) {
+    const { endorserVotesForCeoPass, endorserVotesForFundingPass } = args.governance;
+    const count = Math.max(endorserVotesForCeoPass, endorserVotesForFundingPass);
+    args.initialEndorsers = Array.from({ length: count }, (_, i) => placeholderAddress(`endorser ${i + 1}`));
+    placeholders.push("_initialEndorsers");
+  }
+  return { constructorArgs: args, placeholders };
+}
+
+/**
+ * Run the deployment engine's full sequence on the in-process Hardhat
+ * network, with a throwaway manifest, and price every transaction it sent
+ * (deployments, `setDao` wiring and the InvUsdToken ownership transfer) at
+ * `gwei`.
+ *
+ * @param {object} hre Must be on the in-process `hardhat` network.
+ * @param {object} opts
+ * @param {object} opts.constructorArgs From `withPlaceholders()`, with the mock feed as price feed.
+ * @param {number|string} opts.gwei Gas price to cost the transactions at.
+ * @returns {Promise<object>} `{network, gwei, priceFeed, transactions, totalGas, totalCostWei, addresses, addressInfo}`
+ */
+async function dryRunDeployment(hre, { constructorArgs, gwei, network = "mainnet", log = quiet }) {
+  requireInProcessNetwork(hre);
+  const gasPrice = ethers.utils.parseUnits(String(gwei), "gwei");
+  const manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "dry-run-"));
+  try {
+    const { manifest, addresses } = await runDeployment(hre, {
+      constructorArgs,
+      tuning: { initialWaitMs: 1000, bumpIntervalMs: 1000 },
+      manifestDir,
+      log,
+    });
+    let totalGas = ethers.BigNumber.from(0);
+    const transactions = STEPS.map((step) => {
+      const entry = manifest.data.steps[step.id];
+      const gasUsed = ethers.BigNumber.from(entry.gasUsed);
+      totalGas = totalGas.add(gasUsed);
+      return {
+        step: step.id,
+        kind: step.kind,
+        txHash: entry.txHash,
+        gasUsed: gasUsed.toString(),
+        costWei: gasUsed.mul(gasPrice).toString(),
+        address: entry.address || null,
+      };
+    });
+    return {
+      network,
+      gwei: String(gwei),
+      priceFeed: constructorArgs.priceFeedAddress,
+      transactions,
+      totalGas: totalGas.toString(),
+      totalCostWei: totalGas.mul(gasPrice).toString(),
+      addresses,
+      addressInfo: addressInfoFor(addresses),
+    };
+  } finally {
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  }
+}
+
+/** Plain-text table of a `dryRunDeployment` result. */
+function dryRunReport(result) {
+  const eth = (wei) => ethers.utils.formatEther(wei);
+  const rows = result.transactions.map((t) => [t.step, t.gasUsed, eth(t.costWei)]);
+  rows.push(["Total", result.totalGas, eth(result.totalCostWei)]);
+  const header = ["Transaction", "Gas used", `ETH at ${result.gwei} gwei`];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells) => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  ");
+  const lines = [
+    `Dry run of the ${result.network} deployment (in-process Hardhat network, mock price feed ${result.priceFeed})`,
+    "",
+    line(header),
+    line(widths.map((w) => "-".repeat(w))),
+    ...rows.slice(0, -1).map(line),
+    line(widths.map((w) => "-".repeat(w))),
+    line(rows[rows.length - 1]),
+    "",
+    "Address map (as written to info/addressInfo.json):",
+    ...Object.entries(result.addressInfo).map(([k, v]) => `  ${k}: ${v}`),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  parseDryRunArgs,
+  requireInProcessNetwork,
+  deployMockFeed,
+  withPlaceholders,
+  dryRunDeployment,
+  dryRunReport,
+};
@@ -0,0 +1,71 @@
+/* error-report.js — decode INVTRON reverts against every compiled ABI for scripts and tasks */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  errorInterface,
+  extractRevertData,
+  describeError,
+  replayRevertData,
+} = require("../../sdk/errors");
+
+const INFO_DIR = path.join(__dirname, "..", "..", "info");
+
+/**
+ * Error interface covering all Hardhat artifacts plus the published ABIs in
+ * `info/` (or `opts.infoDir`), so reverts from already-deployed (older)
+ * contracts decode too.
+ */
+async function artifactErrorInterface(hre, { infoDir = INFO_DIR } = {}) {
+  const abis = [];
+  for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+    abis.push((await hre.artifacts.readArtifact(name)).abi);
+  }
+  for (const file of fs.existsSync(infoDir) ? fs.readdirSync(infoDir) : []) {
+    if (!file.endsWith("ABI.json")) continue;
+    try {
+      const abi = JSON.parse(fs.readFileSync(path.join(infoDir, file), "utf8"));
+      abis.push(abi.abi || abi);
+    } catch {
+      // unreadable ABI file; artifacts still cover the current sources
+    }
+  }
+  return errorInterface(abis);
+}
+
+/**
+ * Decode `err` (a thrown ethers/Hardhat error, or a REVERTED error carrying a
+ * tx `hash`). Returns the `describeError` result or null.
+ */
+async function decodeFailure(hre, err, opts = {}) {
+  let source = err;
+  if (!extractRevertData(err) && err && err.code === "REVERTED" && err.hash) {
+    const data = await replayRevertData(hre.ethers.provider, err.hash).catch(() => null);
+    if (data) source = { data };
+  }
+  const iface = opts.iface || (await artifactErrorInterface(hre));
+  return describeError(source, { ...opts, iface });
+}
+
+/** Short name of a failure: the decoded custom error, else the ethers reason or the first message line. */
+async function failureName(hre, err, opts = {}) {
+  const described = await decodeFailure(hre, err, opts).catch(() => null);
+  if (described && described.name) return described.name;
+  return err.reason || String(err.message).split("\n")[0];
+}
+
+/** Print a failed script run, followed by the decoded revert when there is one. */
+async function reportFailure(err, hre = require("hardhat"), title = "Deployment script failed") {
+  // Configuration reports are complete messages; a stack trace adds nothing
+  console.error(`❌ ${title}:`, err && err.problems ? err.message : err);
+  try {
+    const described = await decodeFailure(hre, err);
+    if (described && described.name) {
+      console.error(`   ↳ ${described.signature}: ${described.explanation}`);
+    }
+  } catch {
+    // decoding is best effort; the original error was already printed
+  }
+}
+
+module.exports = { artifactErrorInterface, decodeFailure, failureName, reportFailure };
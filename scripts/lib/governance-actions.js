@@ -0,0 +1,462 @@
+/* governance-actions.js — preflight checks and sending behind the dao:* action tasks */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const ZERO = ethers.constants.AddressZero;
+const inv = (v) => ethers.utils.formatEther(v);
+const usd18 = (v) => ethers.utils.formatEther(v);
+const usd6 = (v) => ethers.utils.formatUnits(v, 6);
+const when = (ts) => new Date(ts * 1000).toISOString();
+const allowanceText = (v) => (v.eq(ethers.constants.MaxUint256) ? "unlimited" : `${inv(v)} INV`);
+
+const check = (ok, label, detail = "") => ({ ok: Boolean(ok), label, detail });
+
+// Fields of FundingLib.FundingDetails; amounts are whole USD in the JSON file
+const DETAIL_STRINGS = [
+  "projectName",
+  "country",
+  "websiteUrl",
+  "ceoLinkedInUrl",
+  "shortDescription",
+  "companyRegistrationUrl",
+];
+const DETAIL_AMOUNTS = ["softCapAmount", "hardCapAmount", "valuation"];
+
+/**
+ * Read a funding request from JSON. Amounts are USD ("25000" or 25000.5) and
+ * converted to the contract's 6 decimals.
+ */
+function readFundingDetails(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const problems = [];
+  const details = {};
+  for (const key of DETAIL_STRINGS) {
+    if (typeof raw[key] !== "string") problems.push(`${key} must be a string`);
+    details[key] = raw[key];
+  }
+  for (const key of DETAIL_AMOUNTS) {
+    try {
+      details[key] = ethers.utils.parseUnits(String(raw[key]), 6);
+    } catch {
+      problems.push(`${key} must be a USD amount with at most 6 decimals`);
+    }
+  }
+  const unknown = Object.keys(raw).filter((k) => !DETAIL_STRINGS.includes(k) && !DETAIL_AMOUNTS.includes(k));
+  if (unknown.length) problems.push(`unknown field(s): ${unknown.join(", ")}`);
+  if (problems.length) throw new Error(`Invalid funding details in ${file}:\n  - ${problems.join("\n  - ")}`);
+  return details;
+}
+
+// ---------------------------------------------------------------------------
+// Shared checks. Each receives the action context and returns a check result;
+// `ctx` carries what later checks and the call need (price, proposal, ...).
+// ---------------------------------------------------------------------------
+
+async function priceCheck(ctx) {
+  try {
+    ctx.price = await ctx.dao.getLatestUsdPrice();
+    return check(true, "Oracle price", `$${usd18(ctx.price)} per INV`);
+  } catch (err) {
+    const described = await ctx.sdk.explain(err);
+    return check(false, "Oracle price", described ? described.explanation : err.message);
+  }
+}
+
+async function whitelistCheck(ctx) {
+  const ok = await ctx.whitelist.isWhitelisted(ctx.account);
+  return check(ok, "Whitelisted", ok ? "" : `${ctx.account} is not whitelisted in WhitelistManager`);
+}
+
+/** Holding worth at least `minUsd` (18 decimals) at the oracle price. */
+async function balanceCheck(ctx, minUsd) {
+  const balance = await ctx.dao.balanceOf(ctx.account);
+  const value = balance.mul(ctx.price).div(ethers.constants.WeiPerEther);
+  return check(
+    value.gte(minUsd),
+    `Balance worth $${usd18(minUsd)}`,
+    `${inv(balance)} INV ≈ $${usd18(value)}`
+  );
+}
+
+/** INV allowance to the DAO for a USD fee, as `feeUsd * 1e18 / price`. */
+async function feeAllowanceCheck(ctx, feeUsd) {
+  const fee = ethers.BigNumber.from(feeUsd).mul(ethers.constants.WeiPerEther).div(ctx.price);
+  const allowance = await ctx.dao.allowance(ctx.account, ctx.dao.address);
+  const label = `Fee allowance ($${usd18(feeUsd)} = ${inv(fee)} INV)`;
+  const current = `allowance ${allowanceText(allowance)}`;
+  if (allowance.gte(fee)) return check(true, label, current);
+  if (ctx.options.approve) {
+    ctx.approveFee = feeUsd;
+    return check(true, label, `${current}; will approve before sending`);
+  }
+  return check(false, label, `${current}; approve the DAO or pass --approve`);
+}
+
+/** The holder's `voteType` lock must have expired (castVote reverts otherwise). */
+async function lockCheck(ctx, holder, voteType) {
+  const unlock = (
+    voteType === "ceo"
+      ? await ctx.dao.tokenUnlockTimeForCeoVote(holder)
+      : await ctx.dao.tokenUnlockTimeForFundingVote(holder)
+  ).toNumber();
+  const locked = unlock > ctx.now;
+  return check(
+    !locked,
+    `No active ${voteType === "ceo" ? "CEO" : "funding"} vote lock`,
+    locked ? `${holder} is locked until ${when(unlock)}` : ""
+  );
+}
+
+/** `--token-holder`: the sender votes for itself or as the holder's voting delegate. */
+async function delegateCheck(ctx, holder) {
+  if (holder === ZERO) return check(false, "Token holder", "the zero address cannot vote");
+  if (holder.toLowerCase() === ctx.account.toLowerCase()) return check(true, "Token holder", "voting for yourself");
+  const delegate = await ctx.dao.votingDelegate(holder);
+  return check(
+    delegate.toLowerCase() === ctx.account.toLowerCase(),
+    "Authorized delegate",
+    `votingDelegate(${holder}) is ${delegate}`
+  );
+}
+
+/** Votes at the proposal's snapshot block; current votes while that block is still the head. */
+async function pastVotes(ctx, who, snapshotBlock) {
+  if (snapshotBlock === null || snapshotBlock >= ctx.blockNumber) return ctx.dao.getVotes(who);
+  return ctx.dao.getPastVotes(who, snapshotBlock);
+}
+
+function deadlineCheck(ctx, deadline, open) {
+  const passed = ctx.now >= deadline;
+  return open
+    ? check(!passed, "Voting open", `deadline ${when(deadline)}`)
+    : check(passed, "Voting ended", `deadline ${when(deadline)}`);
+}
+
+function statusCheck(label, status, expected) {
+  const ok = expected.includes(status);
+  return check(ok, label, ok ? status : `status is ${status}, needs ${expected.join(" or ")}`);
+}
+
+// ---------------------------------------------------------------------------
+// Actions: `checks(ctx, params)` returns the results; `call(ctx, params)` names
+// the contract call made by --dry-run and by the real send.
+// ---------------------------------------------------------------------------
+
+const ACTIONS = {
+  "apply-ceo": {
+    describe: "Apply for CEO",
+    async checks(ctx) {
+      const results = [await whitelistCheck(ctx)];
+      const elected = await ctx.dao.electedCeo();
+      results.push(check(elected === ZERO, "No elected CEO pending", elected === ZERO ? "" : `elected CEO ${elected}`));
+      const status = await ctx.dao.ceoStatus(ctx.account);
+      const hint = status === 0 ? "" : "you already applied or hold a CEO role";
+      results.push(check(status === 0, "No open CEO application", hint));
+      results.push(await priceCheck(ctx));
+      if (ctx.price) {
+        results.push(await balanceCheck(ctx, await ctx.dao.CEO_REQUIRED_BALANCE_USD()));
+        results.push(await feeAllowanceCheck(ctx, await ctx.dao.CEO_APPLICATION_FEE()));
+      }
+      return results;
+    },
+    call: (ctx) => [ctx.dao, "applyForCeo", []],
+  },
+
+  "register-endorser": {
+    describe: "Register as an endorser candidate",
+    async checks(ctx) {
+      const results = [await whitelistCheck(ctx)];
+      const candidate = await ctx.dao.endorserCandidates(ctx.account);
+      const hint = candidate.registered ? "already a candidate" : "";
+      results.push(check(!candidate.registered, "Not yet registered", hint));
+      results.push(await priceCheck(ctx));
+      if (ctx.price) {
+        results.push(await balanceCheck(ctx, await ctx.dao.ENDORSER_REQUIRED_BALANCE_USD()));
+        results.push(await feeAllowanceCheck(ctx, await ctx.dao.ENDORSER_APPLICATION_FEE()));
+      }
+      return results;
+    },
+    call: (ctx) => [ctx.dao, "registerEndorserCandidate", []],
+  },
+
+  "vote-endorser": {
+    describe: "Support an endorser candidate",
+    async checks(ctx, { candidate }) {
+      const self = candidate.toLowerCase() === ctx.account.toLowerCase();
+      const { registered } = await ctx.dao.endorserCandidates(candidate);
+      const balance = await ctx.dao.balanceOf(ctx.account);
+      return [
+        check(!self, "Not voting for yourself", self ? "candidates cannot support themselves" : ""),
+        check(registered, "Candidate registered", registered ? "" : `${candidate} is not a candidate`),
+        check(!balance.isZero(), "Voting weight", `${inv(balance)} INV`),
+      ];
+    },
+    call: (ctx, { candidate }) => [ctx.dao, "voteForEndorser", [candidate]],
+  },
+
+  challenge: {
+    describe: "Promote a candidate into the active endorser set",
+    async checks(ctx, { candidate }) {
+      const { registered, active } = await ctx.dao.endorserCandidates(candidate);
+      const results = [
+        check(registered, "Candidate registered", registered ? "" : `${candidate} is not a candidate`),
+        check(!active, "Candidate not yet active", active ? `${candidate} is already an endorser` : ""),
+      ];
+      const list = await ctx.dao.activeEndorserList();
+      const max = (await ctx.dao.MAX_ACTIVE_ENDORSERS()).toNumber();
+      if (list.length < max) {
+        results.push(check(true, "Free endorser seat", `${list.length}/${max} seats taken`));
+        return results;
+      }
+      // Full set: must beat the weakest endorser, first one wins ties (as EndorserLib)
+      let weakest = null;
+      for (const address of list) {
+        const support = await ctx.dao.endorserSupport(address);
+        if (!weakest || support.lt(weakest.support)) weakest = { address, support };
+      }
+      const support = await ctx.dao.endorserSupport(candidate);
+      results.push(
+        check(
+          support.gt(weakest.support),
+          "More support than the weakest endorser",
+          `${inv(support)} INV vs ${inv(weakest.support)} INV for ${weakest.address}`
+        )
+      );
+      return results;
+    },
+    call: (ctx, { candidate }) => [ctx.dao, "challengeEndorser", [candidate]],
+  },
+
+  "create-funding": {
+    describe: "Open a funding request",
+    async checks(ctx, { details }) {
+      const { softCapAmount: soft, hardCapAmount: hard, valuation } = details;
+      const capsOk = !soft.isZero() && !hard.isZero() && soft.lte(hard);
+      const results = [
+        await whitelistCheck(ctx),
+        check(capsOk, "Funding caps", `soft $${usd6(soft)}, hard $${usd6(hard)}; both positive with soft ≤ hard`),
+        check(!valuation.isZero(), "Valuation", `$${usd6(valuation)}`),
+        await priceCheck(ctx),
+      ];
+      if (ctx.price) results.push(await feeAllowanceCheck(ctx, await ctx.dao.FUNDING_REQUEST_FEE()));
+      return results;
+    },
+    call: (ctx, { details }) => [ctx.fm, "createFundingRequest", [details]],
+  },
+
+  "vote-funding": {
+    describe: "Vote on a funding request",
+    voteType: "funding",
+    async checks(ctx, { id, inFavor, tokenHolder }) {
+      const request = await ctx.sdk.funding.get(id);
+      const results = [
+        statusCheck("Request active", request.status, ["Active"]),
+        deadlineCheck(ctx, request.deadline, true),
+        await delegateCheck(ctx, tokenHolder),
+        await lockCheck(ctx, tokenHolder, "funding"),
+      ];
+      const self = tokenHolder.toLowerCase() === request.proposer.toLowerCase();
+      results.push(check(!self, "Not the proposer", self ? "proposers cannot vote on their own request" : ""));
+      const voted = await ctx.fm.fundingUsersVoted(id, tokenHolder);
+      results.push(check(!voted, "Not yet voted", voted ? `${tokenHolder} already voted on #${id}` : ""));
+
+      // The sender's snapshot power counts too when voting as a delegate
+      const current = await ctx.dao.getVotes(tokenHolder);
+      let past = ethers.constants.Zero;
+      for (const who of new Set([ctx.account, tokenHolder])) {
+        past = past.add(await pastVotes(ctx, who, request.snapshotBlock));
+      }
+      results.push(
+        check(
+          !current.isZero() && !past.isZero(),
+          "Voting power",
+          `${inv(current)} INV now, ${inv(past)} INV at snapshot block ${request.snapshotBlock}`
+        )
+      );
+      if (!inFavor) {
+        const raised = request.userVotesFor.gt(request.userVotesAgainst);
+        const hint = raised ? "" : "an against vote needs votes raised in favour first";
+        results.push(check(raised, "Votes to oppose", hint));
+      }
+      return results;
+    },
+    call: (ctx, { id, inFavor, tokenHolder }) => [ctx.fm, "voteOnFundingByUser", [id, inFavor, tokenHolder]],
+  },
+
+  "vote-ceo": {
+    describe: "Vote on a CEO application",
+    voteType: "ceo",
+    async checks(ctx, { id, tokenHolder }) {
+      const app = await ctx.sdk.ceo.get(id);
+      const results = [
+        statusCheck("Application active", app.status, ["Active"]),
+        deadlineCheck(ctx, app.deadline, true),
+        await delegateCheck(ctx, tokenHolder),
+        await lockCheck(ctx, tokenHolder, "ceo"),
+      ];
+      const self = tokenHolder.toLowerCase() === app.applicant.toLowerCase();
+      results.push(check(!self, "Not the applicant", self ? "applicants cannot vote for themselves" : ""));
+      const voted = await ctx.dao.ceoUsersVoted(id, tokenHolder);
+      results.push(check(!voted, "Not yet voted", voted ? `${tokenHolder} already voted on #${id}` : ""));
+
+      const current = await ctx.dao.getVotes(tokenHolder);
+      const past = await pastVotes(ctx, tokenHolder, app.snapshotBlock);
+      const free = await ctx.dao.freeTokensForCeo(tokenHolder);
+      results.push(
+        check(
+          !current.isZero() && !past.isZero() && !free.isZero(),
+          "Voting power",
+          `${inv(past)} INV at snapshot block ${app.snapshotBlock}, ${inv(free)} INV not locked for CEO votes`
+        )
+      );
+      return results;
+    },
+    call: (ctx, { id, inFavor, tokenHolder }) => [ctx.dao, "voteOnCeoByUser", [id, inFavor, tokenHolder]],
+  },
+
+  finalize: {
+    describe: "Close a vote whose deadline has passed",
+    async checks(ctx, { type, id }) {
+      if (type === "ceo") {
+        const app = await ctx.sdk.ceo.get(id);
+        ctx.method = "finalizeCeoVote";
+        return [statusCheck("Application active", app.status, ["Active"]), deadlineCheck(ctx, app.deadline, false)];
+      }
+      const request = await ctx.sdk.funding.get(id);
+      const results = [
+        statusCheck("Request active", request.status, ["Active"]),
+        deadlineCheck(ctx, request.deadline, false),
+      ];
+      // finalizeFundingRequest only defeats; a passed request is executed by minting after CEO release
+      const passed = request.userVotesFor.gt(request.userVotesAgainst);
+      if (!passed) {
+        ctx.method = "finalizeFundingRequest";
+        results.push(check(true, "Outcome", "defeated; the request will be closed"));
+      } else {
+        ctx.method = "mintTokensForFundingRequest";
+        const outcome = request.ceoApproved
+          ? "passed and released; INV-USD will be minted"
+          : "passed; waiting for the CEO to release it";
+        results.push(check(request.ceoApproved, "Outcome", outcome));
+      }
+      return results;
+    },
+    call: (ctx, { type, id }) => [type === "ceo" ? ctx.dao : ctx.fm, ctx.method, [id]],
+  },
+
+  claim: {
+    describe: "Claim the INV reward for a funding vote",
+    async checks(ctx, { id }) {
+      const request = await ctx.sdk.funding.get(id);
+      const results = [statusCheck("Request finalized", request.status, ["Executed", "Defeated"])];
+      const claimed = await ctx.fm.rewardClaimed(id, ctx.account);
+      results.push(check(!claimed, "Not yet claimed", claimed ? `reward for #${id} already claimed` : ""));
+      const voted = await ctx.fm.fundingUsersVoted(id, ctx.account);
+      results.push(check(voted, "Voted on the request", voted ? "" : `${ctx.account} did not vote on #${id}`));
+      if (voted && ["Executed", "Defeated"].includes(request.status)) {
+        const inFavor = await ctx.fm.fundingUserVoteChoice(id, ctx.account);
+        const won = inFavor === (request.status === "Executed");
+        const detail = `voted ${inFavor ? "for" : "against"}, request ${request.status}`;
+        results.push(check(won, "Voted with the outcome", detail));
+      }
+      results.push(await priceCheck(ctx));
+      if (ctx.price) {
+        const reward = await ctx.fm.getVotingReward(id, ctx.account);
+        results.push(check(!reward.isZero(), "Reward", `${inv(reward)} INV`));
+      }
+      return results;
+    },
+    call: (ctx, { id }) => [ctx.fm, "claimReward", [id]],
+  },
+
+  unlock: {
+    describe: "Release expired vote locks",
+    async checks(ctx) {
+      const locks = await ctx.sdk.token.locks(ctx.account);
+      const expired = [];
+      const results = [];
+      for (const [type, lock] of Object.entries(locks)) {
+        if (lock.amount.isZero()) continue;
+        if (lock.unlockTime <= ctx.now) expired.push(type);
+        else {
+          const detail = `${inv(lock.amount)} INV stays locked until ${when(lock.unlockTime)}`;
+          results.push(check(true, `${type} lock`, detail));
+        }
+      }
+      results.unshift(
+        check(expired.length > 0, "Expired locks to release", expired.length ? expired.join(", ") : "nothing to unlock")
+      );
+      return results;
+    },
+    call: (ctx) => [ctx.dao, "unlockYourTokens", []],
+  },
+};
+
+/**
+ * Run `name`'s preflight checks, then either simulate it (`dryRun`) or send it.
+ * Throws when a check or the simulation fails; nothing is sent in that case.
+ *
+ * @param {object} sdk From `createSdk`, with a signer.
+ * @param {string} name Key of `ACTIONS`.
+ * @param {object} params Action parameters (id, candidate, details, ...).
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] Only check and simulate.
+ * @param {boolean} [opts.approve] Approve a missing fee allowance before sending.
+ * @param {object} [opts.log=console]
+ * @returns {Promise<{checks, simulated, receipt}>}
+ */
+async function runAction(sdk, name, params = {}, { dryRun = false, approve = false, log = console } = {}) {
+  const action = ACTIONS[name];
+  if (!action) throw new Error(`Unknown action ${name}`);
+  const { dao, fundingManager, whitelist } = sdk.contracts;
+  const account = await dao.signer.getAddress();
+  const block = await dao.provider.getBlock("latest");
+  const ctx = {
+    sdk,
+    dao,
+    fm: fundingManager,
+    whitelist,
+    account,
+    now: block.timestamp,
+    blockNumber: block.number,
+    options: { approve },
+  };
+  if (action.voteType && !params.tokenHolder) params = { ...params, tokenHolder: account };
+
+  log.log(`🔎 ${action.describe} as ${account}`);
+  const checks = await action.checks(ctx, params);
+  for (const c of checks) log.log(`   ${c.ok ? "✅" : "❌"} ${c.label}${c.detail ? ` — ${c.detail}` : ""}`);
+  const failed = checks.filter((c) => !c.ok);
+  if (failed.length) {
+    throw new Error(`Preflight failed: ${failed.map((c) => c.label + (c.detail ? ` (${c.detail})` : "")).join("; ")}`);
+  }
+
+  const [contract, method, args] = action.call(ctx, params);
+  const errorCtx = { account: params.tokenHolder || account, voteType: action.voteType };
+  if (!dryRun && ctx.approveFee) await sdk.ensureFeeAllowance(ctx.approveFee);
+
+  let simulated = false;
+  if (dryRun && ctx.approveFee) {
+    log.log(`   ⏭️  Simulation skipped: ${method} needs the fee approval first`);
+  } else {
+    try {
+      await contract.callStatic[method](...args);
+      simulated = true;
+      log.log(`   ✅ Simulated ${method}`);
+    } catch (err) {
+      const described = await sdk.explain(err, errorCtx);
+      throw new Error(`Simulation of ${method} failed: ${described ? described.explanation : err.message}`);
+    }
+  }
+  if (dryRun) {
+    log.log("🧪 Dry run: nothing sent");
+    return { checks, simulated, receipt: null };
+  }
+
+  const receipt = await sdk.send(contract[method](...args), errorCtx);
+  log.log(`📤 ${method} mined in block #${receipt.blockNumber} (${receipt.transactionHash})`);
+  return { checks, simulated, receipt };
+}
+
+module.exports = { ACTIONS, runAction, readFundingDetails };
@@ -0,0 +1,109 @@
+/* governance-profiles.js — per-network governance parameters, fixed in the contracts at deployment */
+
+const { ethers } = require("ethers");
+
+const HOUR = 3600;
+
+/**
+ * Governance profiles. Periods are in seconds and USD amounts in whole
+ * dollars; `governanceConfig` turns a profile into the GovernanceLib.Config
+ * constructor argument of INVTRON_DAO and FundingManagerContract.
+ */
+const MAINNET = Object.freeze({
+  votingPeriod: 72 * HOUR,
+  tokenLockDuration: 73 * HOUR,
+  endorserVotesForCeoPass: 26,
+  endorserVotesForFundingPass: 26,
+  ceoRequiredBalanceUsd: 25000,
+  endorserRequiredBalanceUsd: 10000,
+  ceoApplicationFee: 100,
+  endorserApplicationFee: 50,
+  fundingRequestFee: 100,
+});
+
+const PROFILES = Object.freeze({
+  mainnet: MAINNET,
+  // Testnets run with few endorsers, so three endorser votes open a vote
+  sepolia: Object.freeze({ ...MAINNET, endorserVotesForCeoPass: 3, endorserVotesForFundingPass: 3 }),
+  local: Object.freeze({ ...MAINNET, endorserVotesForCeoPass: 3, endorserVotesForFundingPass: 3 }),
+});
+
+const PARAMETERS = Object.keys(MAINNET);
+const USD_PARAMETERS = [
+  "ceoRequiredBalanceUsd",
+  "endorserRequiredBalanceUsd",
+  "ceoApplicationFee",
+  "endorserApplicationFee",
+  "fundingRequestFee",
+];
+
+// Chain ids whose deployments must use the mainnet profile unchanged
+const MAINNET_CHAIN_IDS = [1];
+
+/** Default profile for a Hardhat network name. */
+function defaultProfileName(networkName) {
+  return PROFILES[networkName] ? networkName : "local";
+}
+
+/**
+ * Effective parameters: profile `name` with `overrides` (same keys, numbers
+ * or numeric strings) applied.
+ */
+function resolveProfile(name, overrides = {}) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown governance profile "${name}"; expected one of ${Object.keys(PROFILES).join(", ")}`);
+  }
+  const params = { ...profile };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!PARAMETERS.includes(key)) throw new Error(`Unknown governance parameter "${key}"`);
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error(`Governance parameter ${key} must be a whole number, got ${value}`);
+    }
+    params[key] = n;
+  }
+  return params;
+}
+
+/** GovernanceLib.Config for `params`, with USD amounts scaled to 18 decimals (decimal strings). */
+function governanceConfig(params) {
+  const value = (key) =>
+    USD_PARAMETERS.includes(key) ? ethers.utils.parseUnits(String(params[key]), 18).toString() : String(params[key]);
+  return Object.fromEntries(PARAMETERS.map((key) => [key, value(key)]));
+}
+
+/** `{parameter, expected, actual}` for each parameter of `params` that differs from profile `name`. */
+function profileDifferences(params, name) {
+  return PARAMETERS.filter((key) => Number(params[key]) !== PROFILES[name][key]).map((key) => ({
+    parameter: key,
+    expected: PROFILES[name][key],
+    actual: params[key],
+  }));
+}
+
+/**
+ * Throw unless `params` equal the mainnet profile when `chainId` is mainnet,
+ * so testnet quorums and periods cannot be deployed there.
+ */
+function assertProfileAllowed(chainId, params) {
+  if (!MAINNET_CHAIN_IDS.includes(Number(chainId))) return;
+  const diff = profileDifferences(params, "mainnet");
+  if (diff.length) {
+    const list = diff.map((d) => `${d.parameter} ${d.actual} (mainnet: ${d.expected})`).join(", ");
+    throw new Error(
+      `Refusing to deploy to chainId ${chainId}: governance parameters differ from the mainnet profile: ${list}`
+    );
+  }
+}
+
+module.exports = {
+  PROFILES,
+  PARAMETERS,
+  MAINNET_CHAIN_IDS,
+  defaultProfileName,
+  resolveProfile,
+  governanceConfig,
+  profileDifferences,
+  assertProfileAllowed,
+};
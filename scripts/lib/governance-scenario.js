@@ -0,0 +1,424 @@
+/* governance-scenario.js — declarative governance scenarios (YAML/JSON) run against a fresh local stack */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { deployLocalStack, increaseTime, refreshFeed, requireLocalChain } = require("./local-stack");
+const { PROFILES } = require("./governance-profiles");
+const { PROPOSAL_STATUS, ACCOUNTS, personalInfo } = require("./sandbox");
+const { artifactErrorInterface, failureName } = require("./error-report");
+
+// Signers #0-#4 deploy and govern the stack, as in the sandbox; declared actors take #5 onwards
+const BUILT_IN_ACTORS = ACCOUNTS.slice(0, 5).map((a) => a.name);
+
+// Contract names usable in `call` and `read`, and their key in the local stack
+const CONTRACTS = {
+  INVTRON_DAO: "dao",
+  FundingManagerContract: "fundingManager",
+  WhitelistManager: "whitelist",
+  InvUsdToken: "invUsd",
+};
+
+const UNITS = { INV: 18, "INV-USD": 18, USD: 6 };
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const ACTOR_KEYS = ["inv", "whitelisted", "approve", "delegate"];
+const STEP_KINDS = ["wait", "price", "call", "expect"];
+const CHECK_KINDS = ["fundingStatus", "ceoStatus", "balance", "invUsdBalance", "reward", "read"];
+const COMPARISONS = { equals: "equal to", atLeast: "at least", atMost: "at most" };
+const TOP_LEVEL_KEYS = ["name", "description", "governance", "price", "actors", "timeline", "expect", "file"];
+
+const SCENARIO_EXTENSIONS = [".yaml", ".yml", ".json"];
+
+/** Seconds in `value`: a number, or units such as "73h", "3d 1h" or "90s". */
+function parseDuration(value) {
+  if (typeof value === "number" && Number.isInteger(value) && value >= 0) return value;
+  const text = String(value).trim();
+  if (!/^(\d+\s*[smhd]\s*)+$/.test(text)) return null;
+  let seconds = 0;
+  for (const [, n, unit] of text.matchAll(/(\d+)\s*([smhd])/g)) seconds += Number(n) * DURATION_UNITS[unit];
+  return seconds;
+}
+
+const actorName = (v) => String(v).replace(/^@/, "");
+
+/** Read a scenario from a `.yaml`/`.yml` or `.json` file; `file` is kept for reports. */
+function loadScenario(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const spec = path.extname(file).toLowerCase() === ".json" ? JSON.parse(text) : yaml.safeLoad(text);
+  return { ...spec, file };
+}
+
+/** Scenario files in `dir`, sorted by name. */
+function scenarioFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => SCENARIO_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+function validateCheck(entry, where, known, problems) {
+  if (!entry || typeof entry !== "object") {
+    problems.push(`${where}: expected an object`);
+    return;
+  }
+  const kinds = CHECK_KINDS.filter((k) => entry[k] !== undefined);
+  if (kinds.length !== 1) problems.push(`${where}: needs exactly one of ${CHECK_KINDS.join(", ")}`);
+  if (!Object.keys(COMPARISONS).some((c) => entry[c] !== undefined)) {
+    problems.push(`${where}: needs equals, atLeast or atMost`);
+  }
+  if (entry.read !== undefined) validateTarget(entry.read, where, problems);
+  for (const k of ["balance", "invUsdBalance"]) {
+    if (entry[k] !== undefined && !known.has(actorName(entry[k]))) {
+      problems.push(`${where}: unknown actor ${entry[k]}`);
+    }
+  }
+}
+
+function validateTarget(target, where, problems) {
+  const [contract, method] = String(target).split(".");
+  if (!CONTRACTS[contract] || !method) {
+    problems.push(`${where}: ${target} must be <Contract>.<method> on ${Object.keys(CONTRACTS).join(", ")}`);
+  }
+}
+
+/**
+ * Every problem in `spec` that can be found before running it: unknown keys,
+ * actors and contracts, malformed durations, prices and expectations.
+ * @returns {string[]}
+ */
+function validateScenario(spec) {
+  const problems = [];
+  if (!spec || typeof spec !== "object") return ["the scenario must be a YAML or JSON object"];
+  for (const key of Object.keys(spec)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) problems.push(`unknown key ${key}`);
+  }
+  if (!spec.name || typeof spec.name !== "string") problems.push("name is missing");
+  if (spec.governance !== undefined && !PROFILES[spec.governance]) {
+    problems.push(`governance must be one of ${Object.keys(PROFILES).join(", ")}, got ${spec.governance}`);
+  }
+  if (spec.price !== undefined && !(Number(spec.price) > 0)) problems.push(`price must be positive, got ${spec.price}`);
+
+  const actors = spec.actors || {};
+  const known = new Set([...BUILT_IN_ACTORS, ...Object.keys(actors)]);
+  for (const [name, actor] of Object.entries(actors)) {
+    for (const key of Object.keys(actor || {})) {
+      if (!ACTOR_KEYS.includes(key)) problems.push(`actors.${name}: unknown key ${key}`);
+    }
+    if (actor && actor.delegate !== undefined && !known.has(actorName(actor.delegate))) {
+      problems.push(`actors.${name}: delegate ${actor.delegate} is not an actor`);
+    }
+  }
+
+  if (!Array.isArray(spec.timeline)) problems.push("timeline must be a list of steps");
+  for (const [i, step] of (Array.isArray(spec.timeline) ? spec.timeline : []).entries()) {
+    const where = `timeline #${i + 1}`;
+    const kinds = STEP_KINDS.filter((k) => step && step[k] !== undefined);
+    if (kinds.length !== 1) {
+      problems.push(`${where}: needs exactly one of ${STEP_KINDS.join(", ")}`);
+      continue;
+    }
+    if (kinds[0] === "wait" && parseDuration(step.wait) === null) {
+      problems.push(`${where}: wait must be seconds or a duration such as 73h, got ${step.wait}`);
+    }
+    if (kinds[0] === "price" && !(Number(step.price) > 0)) {
+      problems.push(`${where}: price must be positive, got ${step.price}`);
+    }
+    if (kinds[0] === "call") {
+      validateTarget(step.call, where, problems);
+      if (!known.has(actorName(step.as))) problems.push(`${where}: unknown actor ${step.as}`);
+      for (const ref of Object.values(step.save || {})) {
+        if (!/^\w+\.\w+$/.test(ref)) problems.push(`${where}: save ${ref} must be <Event>.<argument>`);
+      }
+    }
+    if (kinds[0] === "expect") {
+      for (const [j, entry] of [].concat(step.expect).entries()) {
+        validateCheck(entry, `${where} expect #${j + 1}`, known, problems);
+      }
+    }
+  }
+  for (const [j, entry] of (spec.expect || []).entries()) validateCheck(entry, `expect #${j + 1}`, known, problems);
+  return problems;
+}
+
+/**
+ * Resolve scenario values: `@name` is an actor's address, `$name` a value
+ * saved from an event, `<n> INV`, `<n> INV-USD` and `<n> USD` are token
+ * amounts; lists and objects are resolved element by element.
+ */
+function resolveValue(value, ctx) {
+  if (ethers.BigNumber.isBigNumber(value)) return value;
+  if (Array.isArray(value)) return value.map((v) => resolveValue(v, ctx));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveValue(v, ctx)]));
+  }
+  if (typeof value !== "string") return value;
+  if (value.startsWith("@")) return ctx.address(value.slice(1));
+  if (value.startsWith("$")) return ctx.saved(value.slice(1));
+  const amount = value.match(/^(-?[\d.]+)\s*(INV-USD|INV|USD)$/);
+  if (amount) return ethers.utils.parseUnits(amount[1], UNITS[amount[2]]);
+  return value;
+}
+
+/** `value` for reports, in the unit of `like` ("100 INV") when it has one. */
+function formatValue(value, like) {
+  if (!ethers.BigNumber.isBigNumber(value)) return String(value);
+  const unit = typeof like === "string" && like.match(/\s*(INV-USD|INV|USD)$/);
+  return unit ? `${ethers.utils.formatUnits(value, UNITS[unit[1]])} ${unit[1]}` : value.toString();
+}
+
+function compare(actual, entry, ctx) {
+  const failed = [];
+  for (const [op, words] of Object.entries(COMPARISONS)) {
+    if (entry[op] === undefined) continue;
+    const expected = resolveValue(entry[op], ctx);
+    let ok;
+    if (ethers.BigNumber.isBigNumber(actual) || typeof actual === "number") {
+      const a = ethers.BigNumber.from(actual);
+      let e;
+      try {
+        e = ethers.BigNumber.from(expected);
+      } catch {
+        failed.push(`${words} ${entry[op]} (not a number)`);
+        continue;
+      }
+      ok = op === "equals" ? a.eq(e) : op === "atLeast" ? a.gte(e) : a.lte(e);
+    } else if (op === "equals") {
+      ok = String(actual).toLowerCase() === String(expected).toLowerCase();
+    } else {
+      ok = false;
+    }
+    if (!ok) failed.push(`${words} ${formatValue(expected, entry[op])}`);
+  }
+  const like = entry.equals ?? entry.atLeast ?? entry.atMost;
+  const shown = formatValue(actual, like);
+  return { ok: !failed.length, detail: failed.length ? `expected ${failed.join(" and ")}, got ${shown}` : shown };
+}
+
+async function readCheck(entry, ctx) {
+  const { dao, fundingManager, invUsd } = ctx.stack;
+  const arg = (v) => resolveValue(v, ctx);
+  if (entry.fundingStatus !== undefined) {
+    const status = await fundingManager.fundingStatus(arg(entry.fundingStatus));
+    return { label: `fundingStatus ${entry.fundingStatus}`, actual: PROPOSAL_STATUS[status] };
+  }
+  if (entry.ceoStatus !== undefined) {
+    const { status } = await dao.ceoApplications(arg(entry.ceoStatus));
+    return { label: `ceoStatus ${entry.ceoStatus}`, actual: PROPOSAL_STATUS[status] };
+  }
+  if (entry.balance !== undefined) {
+    return { label: `INV balance of ${entry.balance}`, actual: await dao.balanceOf(ctx.address(entry.balance)) };
+  }
+  if (entry.invUsdBalance !== undefined) {
+    const actual = await invUsd.balanceOf(ctx.address(entry.invUsdBalance));
+    return { label: `INV-USD balance of ${entry.invUsdBalance}`, actual };
+  }
+  if (entry.reward !== undefined) {
+    const [id, voter] = entry.reward;
+    return { label: `reward of ${voter} on ${id}`, actual: await fundingManager.getVotingReward(arg(id), arg(voter)) };
+  }
+  const [contract, method] = entry.read.split(".");
+  const args = entry.args || [];
+  let actual = await ctx.stack[CONTRACTS[contract]][method](...arg(args));
+  if (entry.field !== undefined) actual = actual[entry.field];
+  const label = `${entry.read}(${args.map(String).join(", ")})${entry.field !== undefined ? `.${entry.field}` : ""}`;
+  return { label, actual };
+}
+
+function scenarioError(spec, problems) {
+  const where = spec && spec.file ? path.basename(spec.file) : (spec && spec.name) || "scenario";
+  const err = new Error(
+    `Invalid scenario ${where} (${problems.length} problem(s)):\n` + problems.map((p) => `  - ${p}`).join("\n")
+  );
+  err.problems = problems;
+  return err;
+}
+
+/**
+ * Run one scenario on a fresh local stack and compare it with its declared
+ * outcomes. The chain is reverted afterwards, so scenarios never see each
+ * other's state.
+ *
+ * Built-in actors are `deployer` (treasury, holds the INV supply), `ceo` and
+ * `endorser1`-`endorser3`; declared actors get the next signers and are set up
+ * in order: INV transfers from the deployer, DAO fee approvals, whitelisting
+ * through the CEO, then delegation. `wait` steps keep the mock feed fresh.
+ *
+ * Calls that revert, or succeed where `revert` expected an error, are
+ * failures but do not stop the run.
+ *
+ * @param {object} hre Hardhat runtime environment (local chain only).
+ * @param {object} spec From `loadScenario()`.
+ * @returns {Promise<{name: string, file?: string, ok: boolean, checks: object[]}>} `checks` in the
+ *   check-report format, grouped into Setup, Timeline and Expectations.
+ */
+async function runScenario(hre, spec, { iface } = {}) {
+  const problems = validateScenario(spec);
+  if (problems.length) throw scenarioError(spec, problems);
+  const provider = hre.ethers.provider;
+  await requireLocalChain(provider, "Governance scenarios");
+  iface = iface || (await artifactErrorInterface(hre));
+
+  const actors = spec.actors || {};
+  const signers = await hre.ethers.getSigners();
+  const names = [...BUILT_IN_ACTORS, ...Object.keys(actors).filter((n) => !BUILT_IN_ACTORS.includes(n))];
+  if (names.length > signers.length) {
+    throw scenarioError(spec, [`${names.length} actors, but the network has ${signers.length} accounts`]);
+  }
+  const accounts = Object.fromEntries(names.map((n, i) => [n, signers[i]]));
+  const saved = {};
+  const ctx = {
+    address(name) {
+      const account = accounts[actorName(name)];
+      if (!account) throw new Error(`Unknown actor ${name}`);
+      return account.address;
+    },
+    saved(name) {
+      if (!(name in saved)) throw new Error(`$${name} was not saved by an earlier step`);
+      return saved[name];
+    },
+  };
+  const checks = [];
+  const check = (group, name, ok, detail = "") => checks.push({ group, name, ok: Boolean(ok), detail });
+
+  const snapshot = await provider.send("evm_snapshot", []);
+  try {
+    const stack = await deployLocalStack(hre, {
+      initialCeo: accounts.ceo.address,
+      initialEndorsers: [accounts.endorser1.address, accounts.endorser2.address, accounts.endorser3.address],
+      treasuryOwner: accounts.deployer.address,
+      governance: PROFILES[spec.governance || "local"],
+      initialPrice: ethers.utils.parseUnits(String(spec.price ?? 1), 8),
+    });
+    ctx.stack = stack;
+    const { dao, whitelist } = stack;
+    const send = async (p) => (await p).wait();
+
+    // ---------- Setup ----------
+    const entries = Object.entries(actors).map(([name, a]) => [name, a || {}]);
+    for (const [name, a] of entries) {
+      if (a.inv === undefined) continue;
+      const amount = typeof a.inv === "number" ? ethers.utils.parseEther(String(a.inv)) : resolveValue(a.inv, ctx);
+      await send(dao.connect(accounts.deployer).transfer(accounts[name].address, amount));
+      check("Setup", `${name} holds ${formatValue(amount, "INV")}`, true);
+    }
+    for (const [name] of entries.filter(([, a]) => a.approve)) {
+      await send(dao.connect(accounts[name]).approve(dao.address, ethers.constants.MaxUint256));
+    }
+    const whitelisted = entries.filter(([, a]) => a.whitelisted).map(([name]) => name);
+    for (const name of whitelisted) {
+      await send(whitelist.connect(accounts[name]).requestWhitelisting(personalInfo(name)));
+    }
+    if (whitelisted.length) {
+      const addresses = whitelisted.map((n) => accounts[n].address);
+      await send(whitelist.connect(accounts.ceo).ceoApproveWhitelisting(addresses, [], true));
+      check("Setup", `whitelisted ${whitelisted.join(", ")}`, true);
+    }
+    for (const [name, a] of entries.filter(([, e]) => e.delegate !== undefined)) {
+      await send(dao.connect(accounts[name]).delegate(ctx.address(a.delegate)));
+      check("Setup", `${name} delegates to ${actorName(a.delegate)}`, true);
+    }
+
+    // ---------- Timeline ----------
+    const runChecks = async (group, list, prefix = "") => {
+      for (const entry of list) {
+        try {
+          const { label, actual } = await readCheck(entry, ctx);
+          const { ok, detail } = compare(actual, entry, ctx);
+          check(group, `${prefix}${label}`, ok, detail);
+        } catch (err) {
+          check(group, `${prefix}${JSON.stringify(entry)}`, false, err.message.split("\n")[0]);
+        }
+      }
+    };
+
+    for (const [i, step] of spec.timeline.entries()) {
+      const n = `#${i + 1}`;
+      if (step.wait !== undefined) {
+        await increaseTime(provider, parseDuration(step.wait));
+        await refreshFeed(stack.priceFeed);
+        check("Timeline", `${n} ${step.label || `wait ${step.wait}`}`, true);
+      } else if (step.price !== undefined) {
+        await refreshFeed(stack.priceFeed, ethers.utils.parseUnits(String(step.price), 8));
+        check("Timeline", `${n} ${step.label || `price $${step.price}`}`, true);
+      } else if (step.expect !== undefined) {
+        await runChecks("Timeline", [].concat(step.expect), `${n} ${step.label ? `${step.label}: ` : ""}`);
+      } else {
+        const name = `${n} ${step.label || `${actorName(step.as)} → ${step.call}`}`;
+        const [contract, method] = step.call.split(".");
+        const target = stack[CONTRACTS[contract]].connect(accounts[actorName(step.as)]);
+        if (typeof target[method] !== "function") {
+          check("Timeline", name, false, `${contract} has no function ${method}`);
+          continue;
+        }
+        let receipt;
+        let error;
+        try {
+          receipt = await (await target[method](...resolveValue(step.args || [], ctx))).wait();
+        } catch (err) {
+          error = await failureName(hre, err, { iface });
+        }
+        if (step.revert) {
+          let detail = `reverted with ${error}`;
+          if (receipt) detail = `expected revert ${step.revert}, but the call succeeded`;
+          else if (error !== step.revert) detail = `expected revert ${step.revert}, got ${error}`;
+          check("Timeline", name, error === step.revert, detail);
+        } else {
+          check("Timeline", name, !!receipt, receipt ? "" : `reverted with ${error}`);
+        }
+        for (const [key, ref] of Object.entries(receipt ? step.save || {} : {})) {
+          const [event, field] = ref.split(".");
+          const value = eventValue(stack, receipt, event, field);
+          if (value === undefined) {
+            check("Timeline", `${n} save $${key}`, false, `no ${event} event with a ${field} argument`);
+          } else {
+            saved[key] = value;
+          }
+        }
+      }
+    }
+
+    // ---------- Expectations ----------
+    await runChecks("Expectations", spec.expect || []);
+  } finally {
+    await provider.send("evm_revert", [snapshot]);
+  }
+  return { name: spec.name, file: spec.file, ok: checks.every((c) => c.ok), checks };
+}
+
+/** `field` of the first `event` emitted by any stack contract in `receipt`. */
+function eventValue(stack, receipt, event, field) {
+  for (const key of Object.values(CONTRACTS)) {
+    const contract = stack[key];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contract.address.toLowerCase()) continue;
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed.name === event && parsed.args[field] !== undefined) return parsed.args[field];
+      } catch {
+        // log from another ABI
+      }
+    }
+  }
+  return undefined;
+}
+
+/** Load and run every file in `files`, in order. */
+async function runScenarioFiles(hre, files) {
+  const iface = await artifactErrorInterface(hre);
+  const results = [];
+  for (const file of files) results.push(await runScenario(hre, loadScenario(file), { iface }));
+  return results;
+}
+
+module.exports = {
+  BUILT_IN_ACTORS,
+  loadScenario,
+  scenarioFiles,
+  validateScenario,
+  runScenario,
+  runScenarioFiles,
+  parseDuration,
+};
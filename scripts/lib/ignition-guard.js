@@ -0,0 +1,73 @@
+/* ignition-guard.js — the deployment engine's mainnet-profile check, applied to `ignition deploy` */
+
+const fs = require("fs");
+const path = require("path");
+const { isModuleParameterRuntimeValue } = require("@nomicfoundation/ignition-core");
+const { PROFILES, PARAMETERS, MAINNET_CHAIN_IDS, governanceConfig } = require("./governance-profiles");
+
+/**
+ * Deployment parameters the way `ignition deploy` resolves them: `input` is a
+ * `.json` file or an inline JSON object; without it, `<ignition>/<moduleId>.config.json`
+ * when that exists. JSON5 is not accepted here, so mainnet parameters stay plain JSON.
+ * @returns {object} `{}` when there are none.
+ */
+function readIgnitionParameters(ignitionDir, moduleId, input) {
+  let file = input;
+  if (input === undefined) {
+    file = path.join(ignitionDir, `${moduleId}.config.json`);
+    if (!fs.existsSync(file)) return {};
+  }
+  const inline = !file.endsWith(".json") && !file.endsWith(".json5");
+  try {
+    return JSON.parse(inline ? file : fs.readFileSync(path.resolve(file), "utf8"));
+  } catch (err) {
+    const source = inline ? "--parameters" : file;
+    throw new Error(`Could not read Ignition parameters from ${source} as JSON: ${err.message}`);
+  }
+}
+
+/**
+ * The GovernanceLib.Config INVTRON_DAO of `ignitionModule` (or a submodule)
+ * would be deployed with: a literal, or a module parameter resolved from
+ * `parameters` (module, then `$global`, then its default). Null when the
+ * module deploys no INVTRON_DAO.
+ */
+function ignitionGovernance(ignitionModule, parameters = {}) {
+  const modules = [ignitionModule];
+  for (const m of modules) {
+    for (const future of m.futures) {
+      if (future.contractName !== "INVTRON_DAO") continue;
+      const config = future.constructorArgs[future.constructorArgs.length - 1];
+      if (!isModuleParameterRuntimeValue(config)) return config;
+      const own = (parameters[config.moduleId] || {})[config.name];
+      const global = (parameters.$global || {})[config.name];
+      return own ?? global ?? config.defaultValue;
+    }
+    modules.push(...m.submodules);
+  }
+  return null;
+}
+
+/**
+ * Throw when `ignitionModule` would deploy INVTRON_DAO to a mainnet chain
+ * with a governance config other than the mainnet profile, the check
+ * `assertProfileAllowed` makes for the deployment engine.
+ */
+function assertIgnitionGovernance(chainId, ignitionModule, parameters) {
+  if (!MAINNET_CHAIN_IDS.includes(Number(chainId))) return;
+  const config = ignitionGovernance(ignitionModule, parameters);
+  if (config === null) return;
+  const expected = governanceConfig(PROFILES.mainnet);
+  // Ignition reads "123n" as a bigint; plain numbers and decimal strings are compared as written
+  const asString = (v) => (v === undefined || v === null ? "missing" : String(v).replace(/n$/, ""));
+  const diff = PARAMETERS.filter((key) => asString(config[key]) !== expected[key]);
+  if (diff.length) {
+    const list = diff.map((key) => `${key} ${asString(config[key])} (mainnet: ${expected[key]})`).join(", ");
+    throw new Error(
+      `Refusing to deploy ${ignitionModule.id} to chainId ${chainId}: ` +
+        `the governance parameter differs from the mainnet profile: ${list}`
+    );
+  }
+}
+
+module.exports = { readIgnitionParameters, ignitionGovernance, assertIgnitionGovernance };
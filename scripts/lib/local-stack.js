@@ -0,0 +1,108 @@
+/* local-stack.js — fresh INVTRON stack on a local Hardhat chain with a mock price feed */
+
+const { isLocalChain } = require("./deploy-engine");
+const { PROFILES, governanceConfig } = require("./governance-profiles");
+
+/**
+ * Deploy MockV3Aggregator, WhitelistManager, InvUsdToken,
+ * FundingManagerContract and INVTRON_DAO, then wire `setDao` and
+ * `transferOwnership` exactly like the deployment engine does.
+ *
+ * @param {object} hre Hardhat runtime environment.
+ * @param {object} [opts]
+ * @param {string} [opts.initialCeo] Defaults to signer #1.
+ * @param {string[]} [opts.initialEndorsers] Defaults to signers #2-#4.
+ * @param {string} [opts.treasuryOwner] Defaults to the deployer (signer #0).
+ * @param {object} [opts.governance] Governance parameters; defaults to the local profile.
+ * @param {number} [opts.feedDecimals=8]
+ * @param {ethers.BigNumberish} [opts.initialPrice] Feed answer; defaults to $1.00.
+ */
+async function deployLocalStack(hre, opts = {}) {
+  const { ethers } = hre;
+  const signers = await ethers.getSigners();
+  const [deployer] = signers;
+  const feedDecimals = opts.feedDecimals ?? 8;
+  const initialPrice = opts.initialPrice ?? ethers.BigNumber.from(10).pow(feedDecimals);
+  const initialCeo = opts.initialCeo || signers[1].address;
+  const initialEndorsers =
+    opts.initialEndorsers || [signers[2].address, signers[3].address, signers[4].address];
+  const treasuryOwner = opts.treasuryOwner || deployer.address;
+  const config = governanceConfig(opts.governance || PROFILES.local);
+
+  const deploy = async (name, args = []) => {
+    const factory = await ethers.getContractFactory(name, deployer);
+    const c = await factory.deploy(...args);
+    await c.deployed();
+    return c;
+  };
+
+  const priceFeed = await deploy("MockV3Aggregator", [feedDecimals, initialPrice]);
+  const whitelist = await deploy("WhitelistManager");
+  const invUsd = await deploy("InvUsdToken");
+  const fundingManager = await deploy("FundingManagerContract", [config]);
+  const dao = await deploy("INVTRON_DAO", [
+    priceFeed.address,
+    initialCeo,
+    initialEndorsers,
+    treasuryOwner,
+    invUsd.address,
+    whitelist.address,
+    fundingManager.address,
+    config,
+  ]);
+
+  await (await whitelist.setDao(dao.address)).wait();
+  await (await fundingManager.setDao(dao.address)).wait();
+  await (await invUsd.transferOwnership(dao.address)).wait();
+
+  return {
+    priceFeed,
+    whitelist,
+    invUsd,
+    fundingManager,
+    dao,
+    deployer,
+    signers,
+    config: { initialCeo, initialEndorsers, treasuryOwner, feedDecimals, initialPrice },
+  };
+}
+
+/** Advance chain time by `seconds` and mine a block. */
+async function increaseTime(provider, seconds) {
+  await provider.send("evm_increaseTime", [Number(seconds)]);
+  await provider.send("evm_mine", []);
+}
+
+/** Timestamp of the latest block. */
+async function latestTimestamp(provider) {
+  return (await provider.getBlock("latest")).timestamp;
+}
+
+/**
+ * Re-publish the mock feed's current answer at the latest block time so it
+ * does not trip `PriceLib.MAX_PRICE_AGE` after a time jump.
+ */
+async function refreshFeed(priceFeed, answer) {
+  const provider = priceFeed.provider;
+  let value = answer;
+  if (value === undefined) {
+    [, value] = await priceFeed.latestRoundData();
+  }
+  await (await priceFeed.setLatestData(value, await latestTimestamp(provider))).wait();
+}
+
+async function requireLocalChain(provider, what) {
+  const { chainId } = await provider.getNetwork();
+  if (!isLocalChain(chainId)) {
+    throw new Error(`${what} only runs on a local Hardhat chain (got chainId ${chainId})`);
+  }
+  return chainId;
+}
+
+module.exports = {
+  deployLocalStack,
+  increaseTime,
+  latestTimestamp,
+  refreshFeed,
+  requireLocalChain,
+};
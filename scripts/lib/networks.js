@@ -0,0 +1,60 @@
+/* networks.js — registry of the networks the deployment scripts target */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deployment networks. `infura` is the Infura subdomain used unless
+ * `<NAME>_RPC_URL` is set; `live` networks need a deployer key and an
+ * Etherscan key, and their deployments are published to info/.
+ */
+const NETWORKS = Object.freeze({
+  localhost: Object.freeze({ chainId: 31337, live: false, url: "http://127.0.0.1:8545" }),
+  sepolia: Object.freeze({ chainId: 11155111, live: true, infura: "sepolia" }),
+  mainnet: Object.freeze({ chainId: 1, live: true, infura: "mainnet" }),
+});
+
+/** Env var that overrides the RPC endpoint of network `name`, e.g. SEPOLIA_RPC_URL. */
+function rpcUrlVar(name) {
+  return `${name.toUpperCase()}_RPC_URL`;
+}
+
+function rpcUrl(name, env = process.env) {
+  const net = NETWORKS[name];
+  if (env[rpcUrlVar(name)]) return env[rpcUrlVar(name)];
+  if (net.infura) return `https://${net.infura}.infura.io/v3/${env.INFURA_PROJECT_ID}`;
+  return net.url;
+}
+
+/** The `networks` entries of hardhat.config.js for every registered network. */
+function hardhatNetworks(env = process.env) {
+  const networks = {};
+  for (const [name, net] of Object.entries(NETWORKS)) {
+    const config = { url: rpcUrl(name, env), chainId: net.chainId };
+    if (net.live) {
+      config.accounts = env.PRIVATE_KEY ? [env.PRIVATE_KEY] : [];
+      if (!env[rpcUrlVar(name)] && env.INFURA_PROJECT_SECRET) {
+        const credentials = Buffer.from(`${env.INFURA_PROJECT_ID}:${env.INFURA_PROJECT_SECRET}`).toString("base64");
+        config.httpHeaders = { Authorization: `Basic ${credentials}` };
+      }
+    }
+    networks[name] = config;
+  }
+  return networks;
+}
+
+/** Etherscan API key; `Etherscan_API_Key` is the name older .env files used. */
+function etherscanApiKey(env = process.env) {
+  return env.ETHERSCAN_API_KEY || env.Etherscan_API_Key;
+}
+
+/**
+ * Constructor file for `network`: `constructor.<network>.env` when it exists,
+ * else the shared `constructor.env`.
+ */
+function constructorEnvFile(network, root = process.cwd()) {
+  const specific = path.join(root, `constructor.${network}.env`);
+  return fs.existsSync(specific) ? specific : path.join(root, "constructor.env");
+}
+
+module.exports = { NETWORKS, rpcUrlVar, rpcUrl, hardhatNetworks, etherscanApiKey, constructorEnvFile };
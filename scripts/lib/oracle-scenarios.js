@@ -0,0 +1,250 @@
+/* oracle-scenarios.js — scripted price paths on the mock feed, recording which price-reading calls revert */
+
+const { deployLocalStack, increaseTime, latestTimestamp, refreshFeed, requireLocalChain } = require("./local-stack");
+const { personalInfo, fundingDetails } = require("./sandbox");
+const { artifactErrorInterface, failureName } = require("./error-report");
+const { currentPriceFeed, MAX_PRICE_AGE } = require("./preflight");
+
+/**
+ * Scripted price paths. Each step changes the oracle in one of three ways:
+ * - `price` (USD) publishes a new answer on the DAO's current feed, `age`
+ *   seconds before the latest block, or at `updatedAt` when given;
+ * - `swap` deploys a new MockV3Aggregator (`decimals`, `price`, `age`) and
+ *   has the CEO point the DAO at it with `setPriceFeed`;
+ * - `wait` advances time without touching the feed.
+ */
+const SCENARIOS = {
+  "gradual-drift": {
+    description: "Moves under 10% per step; the deviation guard follows lastPrice and never trips",
+    steps: [
+      { label: "start", price: "1.00" },
+      { label: "-5%", price: "0.95" },
+      { label: "-5%", price: "0.9025" },
+      { label: "-5%", price: "0.857375" },
+      { label: "-5%, CEO stake under $25k", price: "0.81450625" },
+      { label: "+9% back", price: "0.89" },
+    ],
+  },
+  spike: {
+    description: "Single-step moves around MAX_PRICE_DEVIATION_BPS, measured from the last exchange",
+    steps: [
+      { label: "+11% spike", price: "1.11" },
+      { label: "back to lastPrice", price: "1.00" },
+      { label: "+10% exactly", price: "1.10" },
+      { label: "-10.9% from $1.10", price: "0.98" },
+      { label: "-50% crash", price: "0.55" },
+    ],
+  },
+  "stale-round": {
+    description: "Rounds older than PriceLib.MAX_PRICE_AGE, a zero timestamp and a feed left unrefreshed",
+    steps: [
+      { label: "one minute inside MAX_PRICE_AGE", price: "1.00", age: MAX_PRICE_AGE - 60 },
+      { label: "one second past MAX_PRICE_AGE", price: "1.00", age: MAX_PRICE_AGE + 1 },
+      { label: "updatedAt is zero", price: "1.00", updatedAt: 0 },
+      { label: "fresh round", price: "1.00" },
+      { label: "no update for a day", wait: MAX_PRICE_AGE + 1 },
+      { label: "fresh round after the wait", price: "1.00" },
+    ],
+  },
+  "invalid-answer": {
+    description: "Non-positive answers fail every price read",
+    steps: [
+      { label: "zero", price: "0" },
+      { label: "negative", price: "-1" },
+      { label: "recovers", price: "1.00" },
+    ],
+  },
+  "feed-swap": {
+    description: "setPriceFeed validates the new feed and reseeds lastPrice, bypassing the deviation guard",
+    steps: [
+      { label: "18-decimal feed at $1.05", swap: { decimals: 18, price: "1.05" } },
+      { label: "19-decimal feed", swap: { decimals: 19, price: "1.05" } },
+      { label: "stale feed", swap: { decimals: 8, price: "1.05", age: MAX_PRICE_AGE + 1 } },
+      { label: "feed at $2.00", swap: { decimals: 8, price: "2.00" } },
+      { label: "-50% on the new feed", price: "1.00" },
+    ],
+  },
+};
+
+/**
+ * Deploy a local stack with a proposer holding exchangeable INV-USD from an
+ * executed funding request (daily limit 100%), a delegated voter and an
+ * Active funding request to vote on, and a whitelisted CEO candidate holding
+ * 30,000 INV (the $25,000 stake at $0.8334 and above).
+ */
+async function prepareOracleStage(hre) {
+  const { ethers } = hre;
+  await requireLocalChain(ethers.provider, "Oracle scenarios");
+  const signers = await ethers.getSigners();
+  const [deployer, ceo, ...rest] = signers;
+  const endorsers = rest.slice(0, 3);
+  const [proposer, applicant, voter] = rest.slice(3);
+  const stack = await deployLocalStack(hre, {
+    initialCeo: ceo.address,
+    initialEndorsers: endorsers.map((e) => e.address),
+    treasuryOwner: deployer.address,
+  });
+  const { dao, whitelist, fundingManager, priceFeed } = stack;
+  const send = async (p) => (await p).wait();
+  const inv = (v) => ethers.utils.parseEther(String(v));
+
+  for (const [account, amount] of [
+    [proposer, 5_000],
+    [applicant, 30_000],
+    [voter, 1_000_000],
+  ]) {
+    await send(dao.transfer(account.address, inv(amount)));
+  }
+  for (const account of [proposer, applicant]) {
+    await send(dao.connect(account).approve(dao.address, ethers.constants.MaxUint256));
+  }
+  const names = ["proposer", "applicant", "voter"];
+  for (const [i, account] of [proposer, applicant, voter].entries()) {
+    await send(whitelist.connect(account).requestWhitelisting(personalInfo(names[i])));
+  }
+  await send(
+    whitelist.connect(ceo).ceoApproveWhitelisting([proposer.address, applicant.address, voter.address], [], true)
+  );
+  await send(dao.connect(voter).delegate(voter.address));
+
+  const openRequest = async (label) => {
+    const id = (await fundingManager.nextFundingRequestId()).toNumber();
+    await send(fundingManager.connect(proposer).createFundingRequest(fundingDetails(ethers, label, 10_000, 20_000)));
+    for (const e of endorsers) await send(fundingManager.connect(e).voteOnFundingByEndorser(id));
+    return id;
+  };
+
+  const executedId = await openRequest("Exchange Source");
+  await send(fundingManager.connect(voter).voteOnFundingByUser(executedId, true, voter.address));
+  await increaseTime(ethers.provider, (await dao.TOKEN_LOCK_DURATION()).toNumber() + 60);
+  await refreshFeed(priceFeed);
+  await send(fundingManager.connect(ceo).releaseFundingRequest(executedId));
+  await send(fundingManager.connect(proposer).mintTokensForFundingRequest(executedId));
+  await send(dao.connect(ceo).setDailyExchangeLimit(executedId, 100));
+
+  const activeId = await openRequest("Vote Target");
+  return { stack, ceo, proposer, applicant, voter, executedId, activeId };
+}
+
+async function outcome(hre, iface, attempt) {
+  try {
+    await attempt();
+    return "ok";
+  } catch (err) {
+    return failureName(hre, err, { iface });
+  }
+}
+
+/**
+ * Run `scenario` (a SCENARIOS entry) against a stage from
+ * `prepareOracleStage`. After each step the proposer exchanges
+ * `exchangeAmount` INV-USD for real, since a successful exchange moves
+ * `lastPrice`; the funding vote and CEO application are attempted with
+ * `callStatic` so each step's outcome depends on the oracle alone.
+ *
+ * Outcomes are "ok" or the decoded custom error name.
+ *
+ * @returns {Promise<object[]>} One `{label, price, outcomes, lastPrice}` per step; `outcomes`
+ *   holds `exchange`, `fundingVote`, `ceoApplication` and, for swaps, `setPriceFeed`.
+ */
+async function runOracleScenario(hre, stage, scenario, { exchangeAmount = "100", iface } = {}) {
+  const { ethers } = hre;
+  const { dao, fundingManager } = stage.stack;
+  const provider = ethers.provider;
+  iface = iface || (await artifactErrorInterface(hre));
+  const Feed = await ethers.getContractFactory("MockV3Aggregator");
+  const attempt = (fn) => outcome(hre, iface, fn);
+  const amount = ethers.utils.parseEther(String(exchangeAmount));
+
+  const results = [];
+  for (const step of scenario.steps) {
+    const outcomes = {};
+    if (step.wait) await increaseTime(provider, step.wait);
+    if (step.price !== undefined && !step.swap) {
+      const feed = Feed.attach(await currentPriceFeed(dao, stage.stack.priceFeed.address));
+      const answer = ethers.utils.parseUnits(step.price, await feed.decimals());
+      const now = await latestTimestamp(provider);
+      await (await feed.setLatestData(answer, step.updatedAt ?? now - (step.age || 0))).wait();
+    }
+    if (step.swap) {
+      const { decimals, price, age = 0 } = step.swap;
+      const answer = ethers.utils.parseUnits(price, decimals);
+      const feed = await Feed.deploy(decimals, answer);
+      await feed.deployed();
+      if (age) await (await feed.setLatestData(answer, (await latestTimestamp(provider)) - age)).wait();
+      outcomes.setPriceFeed = await attempt(async () =>
+        (await dao.connect(stage.ceo).setPriceFeed(feed.address)).wait()
+      );
+    }
+
+    outcomes.exchange = await attempt(async () =>
+      (await dao.connect(stage.proposer).exchangeInvUsdForInv(stage.executedId, amount)).wait()
+    );
+    outcomes.fundingVote = await attempt(() =>
+      fundingManager.connect(stage.voter).callStatic.voteOnFundingByUser(stage.activeId, true, stage.voter.address)
+    );
+    outcomes.ceoApplication = await attempt(() => dao.connect(stage.applicant).callStatic.applyForCeo());
+
+    results.push({
+      label: step.label,
+      price: step.swap ? step.swap.price : step.price ?? null,
+      outcomes,
+      lastPrice: ethers.utils.formatEther(await dao.lastPrice()),
+    });
+  }
+  return results;
+}
+
+/**
+ * Prepare one stage and run every scenario in `names` from a snapshot of it,
+ * so scenarios never see each other's prices or exchanges.
+ * @returns {Promise<{name: string, description: string, steps: object[]}[]>}
+ */
+async function runOracleScenarios(hre, { names = Object.keys(SCENARIOS), exchangeAmount } = {}) {
+  const unknown = names.filter((n) => !SCENARIOS[n]);
+  if (unknown.length) {
+    const known = Object.keys(SCENARIOS).join(", ");
+    throw new Error(`Unknown oracle scenario(s): ${unknown.join(", ")}; pick from ${known}`);
+  }
+  const provider = hre.ethers.provider;
+  const stage = await prepareOracleStage(hre);
+  const iface = await artifactErrorInterface(hre);
+  const results = [];
+  for (const name of names) {
+    const snapshot = await provider.send("evm_snapshot", []);
+    const steps = await runOracleScenario(hre, stage, SCENARIOS[name], { exchangeAmount, iface });
+    await provider.send("evm_revert", [snapshot]);
+    results.push({ name, description: SCENARIOS[name].description, steps });
+  }
+  return results;
+}
+
+/** Plain-text tables of `runOracleScenarios` results, one per scenario. */
+function oracleScenarioReport(results) {
+  const lines = [];
+  const header = ["Step", "Price", "setPriceFeed", "exchange", "fundingVote", "ceoApplication", "lastPrice"];
+  for (const { name, description, steps } of results) {
+    const rows = steps.map((s) => [
+      s.label,
+      s.price ?? "-",
+      s.outcomes.setPriceFeed || "-",
+      s.outcomes.exchange,
+      s.outcomes.fundingVote,
+      s.outcomes.ceoApplication,
+      s.lastPrice,
+    ]);
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+    const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+    lines.push(`${name}: ${description}`, "", line(header), line(widths.map((w) => "-".repeat(w))));
+    lines.push(...rows.map(line), "");
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  SCENARIOS,
+  prepareOracleStage,
+  runOracleScenario,
+  runOracleScenarios,
+  oracleScenarioReport,
+};
@@ -0,0 +1,228 @@
+/* preflight.js — read-only checks of a deployment's inputs against the target chain */
+
+const { ethers } = require("ethers");
+const { STEPS } = require("./deploy-engine");
+
+// Mirrors PriceLib.MAX_PRICE_AGE
+const MAX_PRICE_AGE = 86400;
+// Mirrors INVTRON_DAO.MAX_ACTIVE_ENDORSERS
+const MAX_ACTIVE_ENDORSERS = 50;
+// EIP-170 runtime code and EIP-3860 init code limits, in bytes
+const MAX_CODE_SIZE = 24576;
+const MAX_INITCODE_SIZE = 2 * MAX_CODE_SIZE;
+// The engine sends deployments with a gas limit 20% above the estimate
+const GAS_LIMIT_MARGIN = 120;
+
+const FEED_ABI = [
+  "function decimals() view returns (uint8)",
+  "function description() view returns (string)",
+  "function version() view returns (uint256)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, " +
+    "uint256 updatedAt, uint80 answeredInRound)",
+];
+
+const byteLength = (hex) => (hex.length - 2) / 2;
+
+/**
+ * The feed `dao` reads. `priceFeed` has no getter, so this is the feed of the
+ * last `PriceFeedUpdated` the DAO emitted since `fromBlock`, else `initialFeed`,
+ * the one it was deployed with.
+ * @returns {Promise<string>}
+ */
+async function currentPriceFeed(dao, initialFeed, fromBlock = 0) {
+  const updates = await dao.queryFilter(dao.filters.PriceFeedUpdated(), fromBlock);
+  return updates.length ? updates[updates.length - 1].args.newFeed : initialFeed;
+}
+
+/**
+ * Price feed checks shared with dao:verify-deployment: the feed has code,
+ * answers the AggregatorV3Interface views, has at most 18 decimals and a
+ * positive answer no older than PriceLib.MAX_PRICE_AGE.
+ * @returns {Promise<{decimals: number, round: object}|null>} null when the feed cannot be read.
+ */
+async function checkPriceFeed(provider, feedAddress, check) {
+  if ((await provider.getCode(feedAddress)) === "0x") {
+    check("Price feed", "feed has code", false, feedAddress);
+    return null;
+  }
+  const feed = new ethers.Contract(feedAddress, FEED_ABI, provider);
+  let decimals;
+  let round;
+  let description;
+  try {
+    [decimals, description, , round] = await Promise.all([
+      feed.decimals(),
+      feed.description(),
+      feed.version(),
+      feed.latestRoundData(),
+    ]);
+  } catch (err) {
+    check("Price feed", "AggregatorV3Interface", false, `${feedAddress} does not answer: ${err.reason || err.message}`);
+    return null;
+  }
+  check("Price feed", "AggregatorV3Interface", true, `${description} at ${feedAddress}`);
+  const block = await provider.getBlock("latest");
+  const age = block.timestamp - round.updatedAt.toNumber();
+  check("Price feed", "decimals", decimals <= 18, `${decimals} (at most 18)`);
+  check("Price feed", "answer", round.answer.gt(0), `${round.answer}`);
+  check(
+    "Price feed",
+    "freshness",
+    round.updatedAt.gt(0) && age >= 0 && age <= MAX_PRICE_AGE,
+    `updated ${age}s ago (at most ${MAX_PRICE_AGE}s)`
+  );
+  return { decimals, round };
+}
+
+/**
+ * Gas used by each deployment step, measured by running the whole sequence on
+ * a throwaway in-process Hardhat network. A MockV3Aggregator with the real
+ * feed's decimals and answer stands in for the price feed.
+ * @returns {Promise<{id: string, gasUsed: ethers.BigNumber}[]>}
+ */
+async function measureDeploymentGas(hre, constructorArgs, { feedDecimals = 8, feedAnswer = 100_000_000 } = {}) {
+  // Hardhat has no public API for a second in-process network next to the selected one
+  const { createProvider } = require("hardhat/internal/core/providers/construction");
+  const provider = new ethers.providers.Web3Provider(await createProvider(hre.config, "hardhat", hre.artifacts));
+  const signer = provider.getSigner(0);
+  const deploy = async (name, args) => {
+    const { abi, bytecode } = await hre.artifacts.readArtifact(name);
+    const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+    return { contract, receipt: await contract.deployTransaction.wait() };
+  };
+
+  const { contract: feed } = await deploy("MockV3Aggregator", [feedDecimals, feedAnswer]);
+  const args = { ...constructorArgs, priceFeedAddress: feed.address };
+  const contracts = {};
+  const manifest = { address: (id) => contracts[id].address };
+  const steps = [];
+  for (const step of STEPS) {
+    let receipt;
+    if (step.kind === "deploy") {
+      const deployed = await deploy(step.contract, step.args ? step.args(manifest, args) : []);
+      contracts[step.id] = deployed.contract;
+      receipt = deployed.receipt;
+    } else {
+      const tx = await contracts[step.target][step.method](...step.args(manifest));
+      receipt = await tx.wait();
+    }
+    steps.push({ id: step.id, gasUsed: receipt.gasUsed });
+  }
+  return steps;
+}
+
+/**
+ * Read-only checks before a deployment broadcasts anything:
+ * - the price feed implements AggregatorV3Interface with at most 18 decimals
+ *   and a fresh, positive answer;
+ * - the initial endorsers reach both endorser quorums of the governance
+ *   profile, fit MAX_ACTIVE_ENDORSERS, have no duplicates and exclude the CEO;
+ * - the treasury owner and CEO have no code unless marked multisig;
+ * - every contract fits the EIP-170 and EIP-3860 size limits;
+ * - the deployer can pay for the whole sequence, measured in-process and
+ *   priced at the target chain's current fees plus the engine's 20% margin.
+ *
+ * @param {object} hre
+ * @param {object} opts
+ * @param {object} opts.constructorArgs From `loadDeployConfig()`.
+ * @param {{treasuryOwner?: boolean, initialCeo?: boolean}} [opts.multisig] Roles allowed to be contracts.
+ * @param {string} [opts.deployer] Defaults to the first configured signer.
+ * @returns {Promise<{ok: boolean, checks: object[], gas: object}>} `gas` holds the measured
+ *   `steps`, their `total`, the fee `price` used and the `cost` in wei (decimal strings).
+ */
+async function runPreflight(hre, { constructorArgs, multisig = {}, deployer }) {
+  const provider = hre.ethers.provider;
+  const checks = [];
+  const check = (group, name, ok, detail = "") => checks.push({ group, name, ok: Boolean(ok), detail });
+  const { formatEther, formatUnits } = ethers.utils;
+
+  // ---------- Price feed ----------
+  const feed = await checkPriceFeed(provider, constructorArgs.priceFeedAddress, check);
+
+  // ---------- Roles ----------
+  const { initialCeo, initialEndorsers, treasuryOwner, governance } = constructorArgs;
+  const quorum = Math.max(governance.endorserVotesForCeoPass, governance.endorserVotesForFundingPass);
+  check(
+    "Roles",
+    "endorser quorum",
+    initialEndorsers.length >= quorum,
+    `${initialEndorsers.length} initial endorser(s); the ${governance.profile} profile needs ` +
+      `${governance.endorserVotesForCeoPass} for CEO and ${governance.endorserVotesForFundingPass} for funding votes`
+  );
+  check(
+    "Roles",
+    "endorser limit",
+    initialEndorsers.length <= MAX_ACTIVE_ENDORSERS,
+    `${initialEndorsers.length} (at most ${MAX_ACTIVE_ENDORSERS})`
+  );
+  const lower = initialEndorsers.map((a) => a.toLowerCase());
+  const duplicates = [...new Set(initialEndorsers.filter((a, i) => lower.indexOf(a.toLowerCase()) !== i))];
+  check("Roles", "unique endorsers", !duplicates.length, duplicates.length ? `repeated: ${duplicates.join(", ")}` : "");
+  const ceoIsEndorser = lower.includes(initialCeo.toLowerCase());
+  const overlap = ceoIsEndorser ? `${initialCeo} is in _initialEndorsers` : "";
+  check("Roles", "CEO is not an endorser", !ceoIsEndorser, overlap);
+  for (const [role, address, key] of [
+    ["treasury owner", treasuryOwner, "treasuryOwner"],
+    ["CEO", initialCeo, "initialCeo"],
+  ]) {
+    const isContract = (await provider.getCode(address)) !== "0x";
+    let detail = `${address} is an externally owned account`;
+    if (isContract) {
+      detail = multisig[key]
+        ? `${address} is a contract, marked multisig`
+        : `${address} is a contract; set _${key}Multisig=true if it is a multisig`;
+    }
+    check("Roles", `${role} account`, !isContract || multisig[key], detail);
+  }
+
+  // ---------- Contract sizes ----------
+  for (const step of STEPS.filter((s) => s.kind === "deploy")) {
+    const { bytecode, deployedBytecode } = await hre.artifacts.readArtifact(step.contract);
+    const runtime = byteLength(deployedBytecode);
+    const init = byteLength(bytecode);
+    const kib = (n) => (n / 1024).toFixed(3);
+    check(
+      "Contract sizes",
+      step.contract,
+      runtime <= MAX_CODE_SIZE && init <= MAX_INITCODE_SIZE,
+      `${kib(runtime)} KiB runtime (limit 24 KiB), ${kib(init)} KiB init code (limit 48 KiB)`
+    );
+  }
+
+  // ---------- Deployer ----------
+  const steps = await measureDeploymentGas(hre, constructorArgs, {
+    feedDecimals: feed && feed.decimals <= 18 ? feed.decimals : undefined,
+    feedAnswer: feed && feed.round.answer.gt(0) ? feed.round.answer : undefined,
+  });
+  const total = steps.reduce((sum, s) => sum.add(s.gasUsed), ethers.BigNumber.from(0));
+  const fees = await provider.getFeeData();
+  const price = fees.maxFeePerGas || fees.gasPrice;
+  const cost = total.mul(price);
+  const needed = cost.mul(GAS_LIMIT_MARGIN).div(100);
+  const from = deployer || ((await hre.ethers.getSigners())[0] || {}).address;
+  if (!from) {
+    check("Deployer", "account", false, "no deployer account is configured (PRIVATE_KEY)");
+  } else {
+    const balance = await provider.getBalance(from);
+    check(
+      "Deployer",
+      "balance",
+      balance.gte(needed),
+      `${formatEther(balance)} ETH at ${from}; about ${formatEther(needed)} ETH needed for ${total} gas ` +
+        `at ${formatUnits(price, "gwei")} gwei, incl. the 20% gas limit margin`
+    );
+  }
+
+  return {
+    ok: checks.every((c) => c.ok),
+    checks,
+    gas: {
+      steps: steps.map((s) => ({ id: s.id, gasUsed: s.gasUsed.toString() })),
+      total: total.toString(),
+      price: price.toString(),
+      cost: cost.toString(),
+    },
+  };
+}
+
+module.exports = { runPreflight, checkPriceFeed, currentPriceFeed, measureDeploymentGas, MAX_PRICE_AGE, FEED_ABI };
@@ -0,0 +1,143 @@
+/* relayer.js — submit signed delegation payloads behind `dao:relay-delegations` */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { verifyDelegation, payloadDeadline, delegationCall } = require("../../sdk/signatures");
+
+const when = (ts) => new Date(ts * 1000).toISOString();
+
+/** Payloads from JSON files holding one payload or an array, tagged with their origin. */
+function readPayloads(files) {
+  const payloads = [];
+  for (const file of files) {
+    const content = JSON.parse(fs.readFileSync(file, "utf8"));
+    const list = Array.isArray(content) ? content : [content];
+    list.forEach((payload, i) => payloads.push({ source: list.length > 1 ? `${file}#${i}` : file, payload }));
+  }
+  return payloads;
+}
+
+/**
+ * Relay delegation payloads from `sdk`'s signer. Payloads are checked first
+ * and skipped when they cannot succeed:
+ *
+ * - `invalid`: bad shape or signature, or signed for another DAO or chain;
+ * - `expired`: the deadline has passed;
+ * - `locked`: the signer has an active CEO or funding vote lock;
+ * - `conflict`: the nonce was used already, is taken by another payload in the
+ *   batch, or leaves a gap after the signer's next nonce.
+ *
+ * Each signer's payloads are submitted in nonce order, so a batch may carry
+ * consecutive delegations from one account.
+ *
+ * @param {object} sdk From `createSdk`, with the relayer as signer.
+ * @param {Array<{source, payload}>} entries From `readPayloads`.
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] Check and simulate only.
+ * @returns {Promise<Array<{source, signer, kind, nonce, status, reason, hash}>>}
+ *   `status` is relayed, simulated, skipped (with `reason`: expired, locked) or
+ *   rejected (invalid, conflict, or a reverted simulation).
+ */
+async function relayDelegations(sdk, entries, { dryRun = false, log = console } = {}) {
+  const { dao } = sdk.contracts;
+  const { chainId } = await dao.provider.getNetwork();
+  const now = (await dao.provider.getBlock("latest")).timestamp;
+  const results = [];
+  const record = (entry, status, reason = "", extra = {}) => {
+    const { payload } = entry;
+    const result = {
+      source: entry.source,
+      signer: payload && payload.signer,
+      kind: payload && payload.kind,
+      nonce: payload && payload.message ? String(payload.message.nonce) : null,
+      status,
+      reason,
+      ...extra,
+    };
+    results.push(result);
+    const icon = { relayed: "📤", simulated: "🧪", skipped: "⏭️ ", rejected: "❌" }[status];
+    const line = `${icon} ${entry.source} ${result.kind} by ${result.signer} nonce ${result.nonce}: ${status}`;
+    log.log(reason ? `${line} — ${reason}` : line);
+  };
+
+  // Offline checks, then group what is left by signer
+  const bySigner = new Map();
+  for (const entry of entries) {
+    const problems = verifyDelegation(entry.payload);
+    const { domain } = entry.payload || {};
+    if (!problems.length && Number(domain.chainId) !== chainId) problems.push(`signed for chain ${domain.chainId}`);
+    if (!problems.length && domain.verifyingContract.toLowerCase() !== dao.address.toLowerCase()) {
+      problems.push(`signed for DAO ${domain.verifyingContract}`);
+    }
+    if (problems.length) {
+      record(entry, "rejected", `invalid: ${problems.join("; ")}`);
+      continue;
+    }
+    const signer = ethers.utils.getAddress(entry.payload.signer);
+    if (!bySigner.has(signer)) bySigner.set(signer, []);
+    bySigner.get(signer).push(entry);
+  }
+
+  for (const [signer, list] of bySigner) {
+    const nonceOf = (entry) => BigInt(entry.payload.message.nonce);
+    list.sort((a, b) => (nonceOf(a) < nonceOf(b) ? -1 : nonceOf(a) > nonceOf(b) ? 1 : 0));
+    const onChain = await dao.nonces(signer);
+    let next = onChain;
+    const [ceoUnlock, fundingUnlock] = (
+      await Promise.all([dao.tokenUnlockTimeForCeoVote(signer), dao.tokenUnlockTimeForFundingVote(signer)])
+    ).map((t) => t.toNumber());
+    const lockedUntil = Math.max(ceoUnlock, fundingUnlock);
+    const seen = new Set();
+
+    for (const entry of list) {
+      const nonce = ethers.BigNumber.from(entry.payload.message.nonce);
+      if (seen.has(nonce.toString())) {
+        record(entry, "rejected", `conflict: another payload in this batch uses nonce ${nonce}`);
+        continue;
+      }
+      seen.add(nonce.toString());
+      if (nonce.lt(next)) {
+        record(entry, "rejected", `conflict: nonce ${nonce} already used (next is ${next})`);
+        continue;
+      }
+      const deadline = payloadDeadline(entry.payload);
+      if (now > deadline) {
+        record(entry, "skipped", `expired at ${when(deadline)}`);
+        continue;
+      }
+      if (lockedUntil > now) {
+        record(entry, "skipped", `locked: signer has vote locks until ${when(lockedUntil)}`);
+        continue;
+      }
+      if (nonce.gt(next)) {
+        record(entry, "rejected", `conflict: nonce ${nonce} leaves a gap (next is ${next})`);
+        continue;
+      }
+
+      const [method, args] = delegationCall(entry.payload);
+      if (dryRun && !nonce.eq(onChain)) {
+        // Needs this signer's earlier payloads to land first, which a dry run doesn't do
+        record(entry, "simulated", `not simulated: follows nonce ${nonce.sub(1)} from this batch`);
+        next = next.add(1);
+        continue;
+      }
+      try {
+        await dao.callStatic[method](...args);
+      } catch (err) {
+        const described = await sdk.explain(err, { account: signer });
+        record(entry, "rejected", described ? described.explanation : err.message);
+        continue;
+      }
+      if (dryRun) {
+        record(entry, "simulated");
+      } else {
+        const receipt = await sdk.send(dao[method](...args), { account: signer });
+        record(entry, "relayed", "", { hash: receipt.transactionHash });
+      }
+      next = next.add(1);
+    }
+  }
+  return results;
+}
+
+module.exports = { readPayloads, relayDelegations };
@@ -0,0 +1,296 @@
+/* safe-batch.js — Safe Transaction Builder batches for CEO-only calls behind `dao:safe-batch` */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { readCsv } = require("./csv");
+const { partitionPending } = require("./whitelist-review");
+
+// Transaction Builder release whose batch format this writes
+const TX_BUILDER_VERSION = "1.16.5";
+
+const call = (contract, method, args, note) => ({ contract, method, args, note });
+
+function requireAddress(params, key) {
+  if (!ethers.utils.isAddress(params[key] || "")) throw new Error(`${key}= must be an address, got ${params[key]}`);
+  return ethers.utils.getAddress(params[key]);
+}
+
+function requireInt(params, key, min = 0, max = Number.MAX_SAFE_INTEGER) {
+  const value = Number(params[key]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${key}= must be an integer from ${min} to ${max}, got ${params[key]}`);
+  }
+  return value;
+}
+
+function requireBool(params, key, fallback) {
+  if (params[key] === undefined) return fallback;
+  if (params[key] === "true" || params[key] === true) return true;
+  if (params[key] === "false" || params[key] === false) return false;
+  throw new Error(`${key}= must be true or false, got ${params[key]}`);
+}
+
+/** Wallets from a CSV with a `wallet` or `address` column. */
+function csvWallets(file) {
+  const wallets = [];
+  for (const record of readCsv(file)) {
+    const value = record.wallet || record.address;
+    if (!ethers.utils.isAddress(value || "")) throw new Error(`${file} row ${record.row}: not an address: ${value}`);
+    wallets.push(ethers.utils.getAddress(value));
+  }
+  return wallets;
+}
+
+/**
+ * High-level CEO intents. `plan(ctx, params)` validates the parameters and
+ * returns `{ calls, skipped }`; each call is `{ contract, method, args, note }`
+ * with `contract` one of the SDK contracts. Chain-state checks are left to the
+ * simulation, except where an intent deliberately skips items.
+ */
+const INTENTS = {
+  "approve-whitelist": {
+    describe: "Approve pending whitelist requests (reject=true rejects them)",
+    usage: "csv=<file with a wallet or address column> | all=true [reject=true]",
+    async plan(ctx, p) {
+      const approve = !requireBool(p, "reject", false);
+      let wallets;
+      if (p.csv) {
+        wallets = csvWallets(path.resolve(ctx.baseDir, p.csv));
+      } else if (requireBool(p, "all", false)) {
+        wallets = (await ctx.whitelist.getWwhitelistReqList()).map((r) => r.applicant);
+      } else {
+        throw new Error("approve-whitelist needs csv=<file> or all=true");
+      }
+      const { pending, skipped } = await partitionPending(ctx.sdk, wallets);
+      const verb = approve ? "approve" : "reject";
+      const calls = pending.length
+        ? [call("whitelist", "ceoApproveWhitelisting", [pending, [], approve], `${verb} ${pending.length} request(s)`)]
+        : [];
+      return { calls, skipped };
+    },
+  },
+  whitelist: {
+    describe: "Set an address's whitelist flag directly",
+    usage: "address=0x... [value=false]",
+    async plan(ctx, p) {
+      const address = requireAddress(p, "address");
+      const value = requireBool(p, "value", true);
+      const note = `${value ? "whitelist" : "de-list"} ${address}`;
+      return { calls: [call("whitelist", "makeWhitelisted", [address, value], note)], skipped: [] };
+    },
+  },
+  "daily-limit": {
+    describe: "Limit daily INV-USD exchange for an executed funding request",
+    usage: "id=<request id> percent=<1-100>",
+    async plan(ctx, p) {
+      const id = requireInt(p, "id");
+      const percent = requireInt(p, "percent", 1, 100);
+      const note = `${percent}% daily exchange limit on request #${id}`;
+      return { calls: [call("dao", "setDailyExchangeLimit", [id, percent], note)], skipped: [] };
+    },
+  },
+  "price-feed": {
+    describe: "Point the DAO at another Chainlink INV/USD feed",
+    usage: "feed=0x...",
+    async plan(ctx, p) {
+      const feed = requireAddress(p, "feed");
+      if ((await ctx.provider.getCode(feed)) === "0x") throw new Error(`feed= ${feed} has no contract code`);
+      return { calls: [call("dao", "setPriceFeed", [feed], `price feed → ${feed}`)], skipped: [] };
+    },
+  },
+  "treasury-owner": {
+    describe: "Change the treasury owner that receives application fees",
+    usage: "address=0x...",
+    async plan(ctx, p) {
+      const owner = requireAddress(p, "address");
+      return { calls: [call("dao", "setTreasuryOwner", [owner], `treasury owner → ${owner}`)], skipped: [] };
+    },
+  },
+  "release-funding": {
+    describe: "Approve a passed funding request for minting",
+    usage: "id=<request id>",
+    async plan(ctx, p) {
+      const id = requireInt(p, "id");
+      return { calls: [call("fundingManager", "releaseFundingRequest", [id], `release request #${id}`)], skipped: [] };
+    },
+  },
+};
+
+/**
+ * Parse intents from the command line. Each entry is either an inline intent
+ * (`"daily-limit id=4 percent=10"`) or a JSON file holding one intent object or
+ * an array of them (`{ "intent": "daily-limit", "id": 4, "percent": 10 }`).
+ * @returns {{intent: string, params: object, source: string}[]}
+ */
+function parseIntents(entries, baseDir = process.cwd()) {
+  const out = [];
+  for (const entry of entries) {
+    if (/\.json$/i.test(entry.trim())) {
+      const file = path.resolve(baseDir, entry.trim());
+      const json = JSON.parse(fs.readFileSync(file, "utf8"));
+      (Array.isArray(json) ? json : [json]).forEach(({ intent, ...params }, i) => {
+        // Relative CSV paths in a file are relative to that file
+        if (params.csv) params.csv = path.resolve(path.dirname(file), params.csv);
+        out.push({ intent, params, source: `${entry}#${i}` });
+      });
+      continue;
+    }
+    const [intent, ...pairs] = entry.trim().split(/\s+/);
+    const params = {};
+    for (const pair of pairs) {
+      const eq = pair.indexOf("=");
+      if (eq <= 0) throw new Error(`"${entry}": expected key=value, got ${pair}`);
+      params[pair.slice(0, eq)] = pair.slice(eq + 1);
+    }
+    out.push({ intent, params, source: entry });
+  }
+  for (const { intent, source } of out) {
+    if (!INTENTS[intent]) {
+      throw new Error(`${source}: unknown intent "${intent}"; expected one of ${Object.keys(INTENTS).join(", ")}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Turn intents into calls. Invalid parameters throw, naming the intent.
+ * @returns {Promise<{calls: object[], skipped: {source: string, item: string, reason: string}[]}>}
+ */
+async function planIntents(sdk, intents, { baseDir = process.cwd() } = {}) {
+  const { dao, whitelist } = sdk.contracts;
+  const ctx = { sdk, dao, whitelist, provider: dao.provider, baseDir };
+  const calls = [];
+  const skipped = [];
+  for (const { intent, params, source } of intents) {
+    let planned;
+    try {
+      planned = await INTENTS[intent].plan(ctx, params);
+    } catch (err) {
+      throw new Error(`${source}: ${err.message} (usage: ${intent} ${INTENTS[intent].usage})`);
+    }
+    calls.push(...planned.calls.map((c) => ({ ...c, source })));
+    skipped.push(...planned.skipped.map((s) => ({ ...s, source })));
+  }
+  return { calls, skipped };
+}
+
+// Transaction Builder input value: arrays as JSON, everything else as a string
+const inputValue = (v) => (Array.isArray(v) ? JSON.stringify(v.map(String)) : String(v));
+
+/**
+ * The Transaction Builder's checksum: keccak256 of the batch serialized with
+ * sorted keys, with `meta.name` nulled so renaming keeps it valid.
+ */
+function batchChecksum(batch) {
+  const serialize = (json) => {
+    if (Array.isArray(json)) return `[${json.map(serialize).join(",")}]`;
+    if (json !== null && typeof json === "object") {
+      const keys = Object.keys(json).sort();
+      return `{${JSON.stringify(keys)}${keys.map((k) => `${serialize(json[k])},`).join("")}}`;
+    }
+    return JSON.stringify(json === undefined ? null : json);
+  };
+  const { checksum, ...meta } = batch.meta;
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(serialize({ ...batch, meta: { ...meta, name: null } })));
+}
+
+/**
+ * Safe Transaction Builder JSON for `calls`. Each transaction carries the
+ * encoded `data` and the decoded method and inputs for review in the UI.
+ *
+ * @param {object} sdk Supplies the contracts the calls name.
+ * @param {object[]} calls From `planIntents`.
+ * @param {object} opts
+ * @param {number} opts.chainId
+ * @param {string} opts.safe The CEO Safe the batch is created for.
+ * @param {string} [opts.name]
+ * @param {string} [opts.description]
+ */
+function toSafeBatch(sdk, calls, { chainId, safe, name = "INVTRON CEO batch", description, createdAt = Date.now() }) {
+  const transactions = calls.map(({ contract, method, args }) => {
+    const target = sdk.contracts[contract];
+    const fragment = target.interface.getFunction(method);
+    return {
+      to: target.address,
+      value: "0",
+      data: target.interface.encodeFunctionData(fragment, args),
+      contractMethod: {
+        inputs: fragment.inputs.map((i) => ({ internalType: i.type, name: i.name, type: i.type })),
+        name: fragment.name,
+        payable: false,
+      },
+      contractInputsValues: Object.fromEntries(fragment.inputs.map((input, i) => [input.name, inputValue(args[i])])),
+    };
+  });
+  const batch = {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt,
+    meta: {
+      name,
+      description: description || calls.map((c) => c.note).join("; "),
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safe,
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+  batch.meta.checksum = batchChecksum(batch);
+  return batch;
+}
+
+/**
+ * Execute the batch in order from `from` (the CEO) on a Hardhat network, then
+ * revert to the prior state. Stops at the first failing transaction, since the
+ * Safe runs a batch atomically.
+ *
+ * @param {ethers.providers.JsonRpcProvider} provider Hardhat in-process network or node (a fork works).
+ * @param {object} batch From `toSafeBatch`.
+ * @param {object} opts
+ * @param {string} opts.from Address to impersonate.
+ * @param {(err: Error) => Promise<object|null>} [opts.explain] e.g. `sdk.explain`.
+ * @returns {Promise<{ok: boolean, results: {index: number, ok: boolean, gasUsed?: string, error?: string}[]}>}
+ */
+async function simulateBatch(provider, batch, { from, explain = async () => null }) {
+  let snapshot;
+  try {
+    snapshot = await provider.send("evm_snapshot", []);
+    await provider.send("hardhat_impersonateAccount", [from]);
+  } catch (err) {
+    throw new Error(
+      `Simulation needs a Hardhat network that can impersonate accounts (${err.message}); ` +
+        "run `npx hardhat node --fork <rpc url>` and use --network localhost"
+    );
+  }
+  const results = [];
+  try {
+    await provider.send("hardhat_setBalance", [from, "0x56BC75E2D63100000"]); // gas money, reverted below
+    const signer = provider.getSigner(from);
+    for (const [index, tx] of batch.transactions.entries()) {
+      try {
+        const sent = await signer.sendTransaction({ to: tx.to, data: tx.data, value: tx.value });
+        const receipt = await sent.wait();
+        results.push({ index, ok: true, gasUsed: receipt.gasUsed.toString() });
+      } catch (err) {
+        const described = await explain(err);
+        results.push({ index, ok: false, error: described ? described.explanation : err.message });
+        break;
+      }
+    }
+  } finally {
+    await provider.send("hardhat_stopImpersonatingAccount", [from]);
+    await provider.send("evm_revert", [snapshot]);
+  }
+  return { ok: results.length === batch.transactions.length && results.every((r) => r.ok), results };
+}
+
+module.exports = {
+  INTENTS,
+  TX_BUILDER_VERSION,
+  parseIntents,
+  planIntents,
+  toSafeBatch,
+  batchChecksum,
+  simulateBatch,
+};
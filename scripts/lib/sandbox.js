@@ -0,0 +1,263 @@
+/* sandbox.js — seed a local governance sandbox with every proposal state populated */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  deployLocalStack,
+  increaseTime,
+  refreshFeed,
+  requireLocalChain,
+} = require("./local-stack");
+
+// Mirrors ProposalLib.ProposalStatus
+const PROPOSAL_STATUS = ["Pending", "Active", "Succeeded", "Defeated", "Executed"];
+
+// Signer index → name and sandbox role. #0-#4 match the local Ignition profile.
+const ACCOUNTS = [
+  { name: "deployer", roles: ["deployer", "treasury"] },
+  { name: "ceo", roles: ["ceo"] },
+  { name: "endorser1", roles: ["endorser"] },
+  { name: "endorser2", roles: ["endorser"] },
+  { name: "endorser3", roles: ["endorser"] },
+  { name: "alice", roles: ["ceoCandidate", "electedCeo"] },
+  { name: "bob", roles: ["ceoCandidate"] },
+  { name: "carol", roles: ["proposer"] },
+  { name: "dan", roles: ["proposer"] },
+  { name: "erin", roles: ["endorserCandidate", "endorser"] },
+  { name: "frank", roles: ["endorserCandidate"] },
+  { name: "grace", roles: ["voter"] },
+  { name: "heidi", roles: ["voter", "delegatee"] },
+  { name: "ivan", roles: ["voter"] },
+  { name: "judy", roles: ["voter", "delegator"] },
+  { name: "mallory", roles: ["voter"] },
+  { name: "oscar", roles: ["whitelistPending"] },
+  { name: "peggy", roles: ["whitelistRejected"] },
+];
+
+function personalInfo(name) {
+  const cap = name[0].toUpperCase() + name.slice(1);
+  return {
+    firstName: cap,
+    lastName: "Sandbox",
+    mobile: "+10000000000",
+    zipCode: "10001",
+    city: "New York",
+    state: "NY",
+    country: "US",
+    bio: `${cap} is a sandbox account.`,
+  };
+}
+
+function fundingDetails(ethers, projectName, softCapUsd, hardCapUsd) {
+  const usd = (v) => ethers.utils.parseUnits(String(v), 6);
+  return {
+    projectName,
+    softCapAmount: usd(softCapUsd),
+    hardCapAmount: usd(hardCapUsd),
+    valuation: usd(hardCapUsd * 10),
+    country: "US",
+    websiteUrl: `https://example.com/${projectName.toLowerCase().replace(/\s+/g, "-")}`,
+    ceoLinkedInUrl: "https://linkedin.com/in/sandbox",
+    shortDescription: `${projectName} (sandbox)`,
+    companyRegistrationUrl: "https://example.com/registry",
+  };
+}
+
+/**
+ * Deploy a fresh stack on a local chain and drive it through whitelisting,
+ * endorser elections, CEO applications and funding requests so that every
+ * `ProposalLib.ProposalStatus` has at least one item.
+ *
+ * @param {object} hre Hardhat runtime environment.
+ * @param {object} [opts]
+ * @param {string} [opts.out] JSON file receiving the account/role map and addresses.
+ * @returns {Promise<object>} The written sandbox description.
+ */
+async function seedSandbox(hre, { out, log = console } = {}) {
+  const { ethers } = hre;
+  const provider = ethers.provider;
+  const chainId = await requireLocalChain(provider, "The governance sandbox");
+
+  const signers = await ethers.getSigners();
+  if (signers.length < ACCOUNTS.length) {
+    throw new Error(`The sandbox needs ${ACCOUNTS.length} accounts, network has ${signers.length}`);
+  }
+  const acct = Object.fromEntries(ACCOUNTS.map((a, i) => [a.name, signers[i]]));
+
+  log.log("⏳ Deploying sandbox stack…");
+  const stack = await deployLocalStack(hre, {
+    initialCeo: acct.ceo.address,
+    initialEndorsers: [acct.endorser1.address, acct.endorser2.address, acct.endorser3.address],
+    treasuryOwner: acct.deployer.address,
+  });
+  const { dao, whitelist, fundingManager, priceFeed } = stack;
+  const send = async (p) => (await p).wait();
+  const inv = (v) => ethers.utils.parseEther(String(v));
+  const endorsers = [acct.endorser1, acct.endorser2, acct.endorser3];
+
+  // ---------- Balances ----------
+  const grants = {
+    ceo: 100_000,
+    endorser1: 50_000,
+    endorser2: 50_000,
+    endorser3: 50_000,
+    alice: 60_000,
+    bob: 40_000,
+    carol: 5_000,
+    dan: 5_000,
+    erin: 30_000,
+    frank: 20_000,
+    grace: 2_000_000,
+    heidi: 1_500_000,
+    ivan: 1_000_000,
+    judy: 500_000,
+    mallory: 800_000,
+    oscar: 1_000,
+    peggy: 1_000,
+  };
+  log.log("⏳ Funding sandbox accounts with INV…");
+  for (const [name, amount] of Object.entries(grants)) {
+    await send(dao.connect(acct.deployer).transfer(acct[name].address, inv(amount)));
+  }
+  // Fees are pulled by the DAO itself (CEO/endorser applications and funding requests)
+  for (const name of ["alice", "bob", "carol", "dan", "erin", "frank"]) {
+    await send(dao.connect(acct[name]).approve(dao.address, ethers.constants.MaxUint256));
+  }
+
+  // ---------- Whitelisting ----------
+  log.log("⏳ Whitelisting through requestWhitelisting/ceoApproveWhitelisting…");
+  const applicants = ACCOUNTS.slice(5).map((a) => a.name);
+  for (const name of applicants) {
+    await send(whitelist.connect(acct[name]).requestWhitelisting(personalInfo(name)));
+  }
+  const approved = applicants.filter((n) => n !== "oscar" && n !== "peggy");
+  await send(
+    whitelist.connect(acct.ceo).ceoApproveWhitelisting(
+      approved.map((n) => acct[n].address),
+      [],
+      true
+    )
+  );
+  await send(whitelist.connect(acct.ceo).ceoApproveWhitelisting([acct.peggy.address], [], false));
+
+  // ---------- Voting power ----------
+  // No default self-delegation: holders must delegate to gain voting power.
+  for (const name of ["grace", "heidi", "ivan", "mallory"]) {
+    await send(dao.connect(acct[name]).delegate(acct[name].address));
+  }
+  await send(dao.connect(acct.judy).delegate(acct.heidi.address));
+
+  // ---------- Endorser candidates ----------
+  log.log("⏳ Registering and challenging in endorser candidates…");
+  await send(dao.connect(acct.erin).registerEndorserCandidate());
+  await send(dao.connect(acct.frank).registerEndorserCandidate());
+  await send(dao.connect(acct.grace).voteForEndorser(acct.erin.address));
+  await send(dao.connect(acct.ivan).voteForEndorser(acct.frank.address));
+  await send(dao.connect(acct.grace).challengeEndorser(acct.erin.address));
+
+  // ---------- Round 1: proposals that will be settled ----------
+  log.log("⏳ Round 1: CEO applications and funding requests…");
+  const items = { ceoApplications: {}, fundingRequests: {} };
+
+  const createFunding = async (proposer, label, soft, hard) => {
+    const id = (await fundingManager.nextFundingRequestId()).toNumber();
+    await send(
+      fundingManager.connect(acct[proposer]).createFundingRequest(
+        fundingDetails(ethers, label, soft, hard)
+      )
+    );
+    items.fundingRequests[id] = { label, proposer };
+    return id;
+  };
+  const endorseFunding = async (id) => {
+    for (const e of endorsers) await send(fundingManager.connect(e).voteOnFundingByEndorser(id));
+  };
+  const applyCeo = async (name) => {
+    const id = (await dao.nextCeoApplicationId()).toNumber();
+    await send(dao.connect(acct[name]).applyForCeo());
+    items.ceoApplications[id] = { applicant: name };
+    return id;
+  };
+
+  const executedId = await createFunding("carol", "Solar Farm", 50_000, 100_000);
+  await endorseFunding(executedId);
+  await send(fundingManager.connect(acct.grace).voteOnFundingByUser(executedId, true, acct.grace.address));
+  await send(fundingManager.connect(acct.heidi).voteOnFundingByUser(executedId, true, acct.heidi.address));
+
+  const rejectedId = await createFunding("dan", "Crypto Casino", 40_000, 80_000);
+  await endorseFunding(rejectedId);
+  // "Against" votes only cancel support already raised, so someone votes for first
+  await send(fundingManager.connect(acct.mallory).voteOnFundingByUser(rejectedId, true, acct.mallory.address));
+  await send(fundingManager.connect(acct.ivan).voteOnFundingByUser(rejectedId, false, acct.ivan.address));
+
+  const expiredFundingId = await createFunding("dan", "Moon Base", 1_000_000, 2_000_000);
+
+  const electedId = await applyCeo("alice");
+  for (const e of endorsers) await send(dao.connect(e).voteOnCeoByEndorser(electedId));
+  await send(dao.connect(acct.ivan).voteOnCeoByUser(electedId, true, acct.ivan.address));
+
+  const expiredCeoId = await applyCeo("bob");
+
+  // ---------- Settle round 1 ----------
+  log.log("⏳ Advancing time past the voting period and token locks…");
+  const lockDuration = await dao.TOKEN_LOCK_DURATION(); // outlasts VOTING_PERIOD by construction
+  await increaseTime(provider, lockDuration.toNumber() + 60);
+  await refreshFeed(priceFeed);
+
+  await send(fundingManager.connect(acct.ceo).releaseFundingRequest(executedId));
+  await send(fundingManager.connect(acct.carol).mintTokensForFundingRequest(executedId));
+  await send(dao.connect(acct.ceo).setDailyExchangeLimit(executedId, 10));
+  await send(fundingManager.connect(acct.grace).claimReward(executedId)); // heidi's stays claimable
+  await send(fundingManager.finalizeFundingRequest(rejectedId));
+  await send(fundingManager.expireFundingRequest(expiredFundingId));
+  await send(dao.expireCeoApplication(expiredCeoId));
+  await send(dao.finalizeCeoVote(electedId));
+
+  // ---------- Round 2: proposals left open ----------
+  log.log("⏳ Round 2: open funding requests…");
+  const activeId = await createFunding("carol", "Wind Park", 30_000, 60_000);
+  await endorseFunding(activeId);
+  await send(fundingManager.connect(acct.ivan).voteOnFundingByUser(activeId, true, acct.ivan.address));
+  await createFunding("dan", "Vertical Garden", 20_000, 40_000);
+
+  // ---------- Snapshot ----------
+  for (const [id, item] of Object.entries(items.fundingRequests)) {
+    item.status = PROPOSAL_STATUS[await fundingManager.fundingStatus(id)];
+  }
+  for (const [id, item] of Object.entries(items.ceoApplications)) {
+    item.status = PROPOSAL_STATUS[(await dao.ceoApplications(id)).status];
+  }
+  const seen = new Set(
+    [...Object.values(items.fundingRequests), ...Object.values(items.ceoApplications)].map((i) => i.status)
+  );
+  const missing = PROPOSAL_STATUS.filter((s) => !seen.has(s));
+  if (missing.length > 0) throw new Error(`Sandbox is missing proposal states: ${missing.join(", ")}`);
+
+  const result = {
+    chainId,
+    network: hre.network.name,
+    generatedAt: new Date().toISOString(),
+    contracts: {
+      INVTRON_DAO_CONTRACT: dao.address,
+      InvUsdToken: stack.invUsd.address,
+      WhitelistManager: whitelist.address,
+      FundingManager: fundingManager.address,
+      MockV3Aggregator: priceFeed.address,
+    },
+    accounts: ACCOUNTS.map((a, i) => ({
+      name: a.name,
+      address: signers[i].address,
+      roles: a.roles,
+    })),
+    ...items,
+  };
+
+  if (out) {
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(result, null, 2));
+    log.log("✅ Wrote sandbox map to:", out);
+  }
+  return result;
+}
+
+module.exports = { seedSandbox, personalInfo, fundingDetails, PROPOSAL_STATUS, ACCOUNTS };
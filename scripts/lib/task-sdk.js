@@ -0,0 +1,69 @@
+/* task-sdk.js — build SDK clients inside Hardhat tasks from compiled artifacts */
+
+const fs = require("fs");
+const path = require("path");
+const { createSdk, resolveAddresses } = require("../../sdk");
+
+// SDK contract name → artifact (fresh ABIs; info/ may lag the sources)
+const ARTIFACT_NAMES = {
+  dao: "INVTRON_DAO",
+  fundingManager: "FundingManagerContract",
+  whitelist: "WhitelistManager",
+  invUsd: "InvUsdToken",
+};
+
+const DEFAULT_ADDRESSES = path.join("info", "addressInfo.json");
+
+/** ABIs keyed like `sdk.loadAbis`, read from the Hardhat artifacts. */
+async function artifactAbis(hre) {
+  const abis = {};
+  for (const [name, artifact] of Object.entries(ARTIFACT_NAMES)) {
+    abis[name] = (await hre.artifacts.readArtifact(artifact)).abi;
+  }
+  return abis;
+}
+
+/**
+ * Read an `addressInfo.json` or a `dao:sandbox` map (addresses under
+ * `contracts`), relative to the project root.
+ */
+function readAddressInfo(hre, file = DEFAULT_ADDRESSES) {
+  const full = path.resolve(hre.config.paths.root, file);
+  if (!fs.existsSync(full)) throw new Error(`Address file not found: ${full}`);
+  const map = JSON.parse(fs.readFileSync(full, "utf8"));
+  return map.contracts || map;
+}
+
+/**
+ * SDK for a task. Uses `signer`, else the `--from` address among the
+ * configured accounts, else the first account; read-only when none exist.
+ *
+ * @param {object} hre
+ * @param {object} [opts]
+ * @param {string} [opts.addresses] Address file (see `readAddressInfo`).
+ * @param {string} [opts.from] Account to send from.
+ * @param {ethers.Signer} [opts.signer]
+ */
+async function sdkForTask(hre, { addresses = DEFAULT_ADDRESSES, from, signer } = {}) {
+  const addressInfo = readAddressInfo(hre, addresses);
+  let signerOrProvider = signer;
+  if (!signerOrProvider) {
+    const signers = await hre.ethers.getSigners();
+    if (from) {
+      signerOrProvider = signers.find((s) => s.address.toLowerCase() === from.toLowerCase());
+      if (!signerOrProvider) throw new Error(`--from ${from} is not one of the configured accounts`);
+    } else {
+      signerOrProvider = signers[0] || hre.ethers.provider;
+    }
+  }
+  return createSdk({ signerOrProvider, addressInfo, abis: await artifactAbis(hre) });
+}
+
+module.exports = {
+  ARTIFACT_NAMES,
+  DEFAULT_ADDRESSES,
+  artifactAbis,
+  readAddressInfo,
+  sdkForTask,
+  resolveAddresses,
+};
@@ -0,0 +1,182 @@
+/* tx-sender.js — fee-bumping transaction sender with pending nonce safety */
+
+const { ethers } = require("ethers");
+
+// Multiplier as (x100 integer) to avoid float math
+function mulBN(bn, times100) {
+  return bn.mul(ethers.BigNumber.from(times100)).div(100);
+}
+
+const EXPLORERS = {
+  1: "https://etherscan.io",
+  11155111: "https://sepolia.etherscan.io",
+};
+
+function explorerTxUrl(chainId, hash) {
+  const base = EXPLORERS[chainId];
+  return base ? `${base}/tx/${hash}` : hash;
+}
+
+/**
+ * Build a sender bound to one signer.
+ *
+ * `sendAndWait` submits a type-2 transaction and, if it lingers, replaces it
+ * with a higher-fee transaction using the SAME nonce. Every broadcast hash is
+ * reported through `onBroadcast` so callers can persist it and later resume
+ * with `waitForAny` instead of sending a duplicate.
+ *
+ * @param {object} opts
+ * @param {ethers.Signer} opts.signer Signer that pays for the transactions.
+ * @param {number} [opts.chainId] Used only to build explorer links.
+ * @param {number} [opts.confirmations=1]
+ * @param {number} [opts.initialWaitMs=20000] First explicit wait window.
+ * @param {number} [opts.bumpIntervalMs=45000] Extra wait added per bump.
+ * @param {number} [opts.maxBumps=6] Replacement attempts before giving up.
+ * @param {number} [opts.timeoutMs=600000] Overall budget per transaction.
+ * @param {object} [opts.log=console]
+ */
+function createSender({
+  signer,
+  chainId,
+  confirmations = 1,
+  initialWaitMs = 20000,
+  bumpIntervalMs = 45000,
+  maxBumps = 6,
+  timeoutMs = 600000,
+  log = console,
+}) {
+  const provider = signer.provider;
+
+  async function suggestFees(times100 = 200 /* default 2.00x */) {
+    const fd = await provider.getFeeData();
+    const base = fd.maxFeePerGas || ethers.utils.parseUnits("30", "gwei");
+    const tip = fd.maxPriorityFeePerGas || ethers.utils.parseUnits("2", "gwei");
+    // Be generous: miners often ignore tiny tips
+    const maxPriorityFeePerGas = mulBN(tip, Math.max(200, times100)); // ≥2x tip
+    // Ensure maxFee >> base to withstand spikes
+    const maxFeePerGas = mulBN(base, Math.max(200, times100)).add(
+      maxPriorityFeePerGas
+    );
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Wait until one of `hashes` is mined. Returns the receipt, or null when
+   * none of them is known to the node anymore (dropped or replaced).
+   */
+  async function waitForAny(hashes, waitMs = initialWaitMs) {
+    for (const hash of hashes) {
+      const rec = await provider.getTransactionReceipt(hash);
+      if (rec && rec.blockNumber) {
+        return provider.waitForTransaction(hash, confirmations, waitMs);
+      }
+    }
+    for (const hash of hashes) {
+      const tx = await provider.getTransaction(hash);
+      if (!tx) continue;
+      try {
+        const rec = await provider.waitForTransaction(
+          hash,
+          confirmations,
+          waitMs
+        );
+        if (rec && rec.blockNumber) return rec;
+      } catch {
+        // timed out; still pending
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Send `txRequest` and wait for it, bumping fees while it stays pending.
+   * @param {object} txRequest Populated transaction (to/data/value/gasLimit).
+   * @param {string} [label]
+   * @param {object} [hooks]
+   * @param {number} [hooks.nonce] Reuse a nonce (resume of a dropped tx).
+   * @param {(info: {hash: string, nonce: number}) => void} [hooks.onBroadcast]
+   */
+  async function sendAndWait(txRequest, label = "tx", hooks = {}) {
+    const from = await signer.getAddress();
+    const nonce =
+      hooks.nonce !== undefined
+        ? hooks.nonce
+        : await provider.getTransactionCount(from, "pending");
+    const startedAt = Date.now();
+
+    let attempt = 0;
+    let lastHash;
+    let times100 = 200; // start at 2.00x suggested baseline
+
+    // Ensure EIP-1559 type:2 and attach fees if absent
+    let fees = await suggestFees(times100);
+    txRequest = {
+      type: 2,
+      ...txRequest,
+      nonce,
+      maxFeePerGas: txRequest.maxFeePerGas || fees.maxFeePerGas,
+      maxPriorityFeePerGas:
+        txRequest.maxPriorityFeePerGas || fees.maxPriorityFeePerGas,
+    };
+    delete txRequest.gasPrice;
+
+    while (attempt <= maxBumps) {
+      attempt++;
+      const txResp = await signer.sendTransaction(txRequest);
+      lastHash = txResp.hash;
+      if (hooks.onBroadcast) await hooks.onBroadcast({ hash: lastHash, nonce });
+      log.log(
+        `📤 Sent ${label} (attempt ${attempt}/${maxBumps + 1}) nonce=${nonce} hash=${lastHash}`
+      );
+
+      // Explicit wait with a growing window (covers replacement/edge cases)
+      const windowMs = initialWaitMs + (attempt - 1) * bumpIntervalMs;
+      try {
+        const mined = await provider.waitForTransaction(
+          lastHash,
+          confirmations,
+          windowMs
+        );
+        if (mined && mined.blockNumber) {
+          if (mined.status === 0) {
+            const reverted = new Error(
+              `${label} reverted in block ${mined.blockNumber}: ${explorerTxUrl(chainId, lastHash)}`
+            );
+            reverted.code = "REVERTED";
+            reverted.hash = lastHash;
+            throw reverted;
+          }
+          log.log(`✅ Mined ${label} at block ${mined.blockNumber} (nonce=${nonce})`);
+          return mined;
+        }
+      } catch (err) {
+        if (!err || err.code !== "TIMEOUT") throw err;
+      }
+
+      if (attempt > maxBumps || Date.now() - startedAt > timeoutMs) break;
+
+      // Bump ~25% each round
+      times100 = Math.floor(times100 * 1.25);
+      fees = await suggestFees(times100);
+      txRequest.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+      txRequest.maxFeePerGas = fees.maxFeePerGas;
+      log.warn(
+        `⚠️  ${label} still pending. Replacing with higher fees: tip=${ethers.utils.formatUnits(
+          fees.maxPriorityFeePerGas,
+          "gwei"
+        )} gwei, maxFee=${ethers.utils.formatUnits(fees.maxFeePerGas, "gwei")} gwei`
+      );
+    }
+
+    const err = new Error(
+      `Gave up on ${label} after ${attempt} attempts. Check ${explorerTxUrl(chainId, lastHash)}`
+    );
+    err.code = "TIMEOUT";
+    err.hash = lastHash;
+    throw err;
+  }
+
+  return { sendAndWait, waitForAny, suggestFees };
+}
+
+module.exports = { createSender, explorerTxUrl };
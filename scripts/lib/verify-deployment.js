@@ -0,0 +1,206 @@
+/* verify-deployment.js — post-deployment checks of wiring, roles, bytecode and published artifacts */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { resolveAddresses } = require("../../sdk");
+const { scalePrice } = require("../../sdk/voting-model");
+const { STEPS, UI_ABIS } = require("./deploy-engine");
+const { loadManifest, manifestPath } = require("./deploy-manifest");
+const { diffUiAbis } = require("./abi-diff");
+const { checkPriceFeed, currentPriceFeed, MAX_PRICE_AGE } = require("./preflight");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// Deployment step / artifact name → SDK contract name
+const SDK_NAMES = {
+  INVTRON_DAO: "dao",
+  FundingManagerContract: "fundingManager",
+  WhitelistManager: "whitelist",
+  InvUsdToken: "invUsd",
+};
+
+// Key the engine (and dv-test.js before it) writes for the DAO, and the one the pre-engine dv-main.js wrote
+const DAO_KEY = "INVTRON_DAO_CONTRACT";
+const LEGACY_DAO_KEY = "INVTRON_DAO";
+
+const sameAddr = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * `0x`-less bytecode with the immutable ranges zeroed; those are filled in at
+ * deploy time and differ per deployment (EIP712's cached domain, for one).
+ */
+function maskImmutables(code, immutableReferences = {}) {
+  let hex = code.replace(/^0x/, "").toLowerCase();
+  for (const ranges of Object.values(immutableReferences)) {
+    for (const { start, length } of ranges) {
+      hex = hex.slice(0, start * 2) + "0".repeat(length * 2) + hex.slice((start + length) * 2);
+    }
+  }
+  return hex;
+}
+
+/**
+ * The DAO's creation transaction from the deployment manifest, decoded, when
+ * the manifest lists one for `dao` whose data is the compiled INVTRON_DAO.
+ * @returns {Promise<{txHash: string, blockNumber: number, args: ethers.utils.Result}|null>}
+ */
+async function creationTx(hre, provider, dao, manifestDir) {
+  const { chainId } = await provider.getNetwork();
+  if (!fs.existsSync(manifestPath(chainId, manifestDir))) return null;
+  const entry = loadManifest(chainId, { dir: manifestDir }).data.steps.INVTRON_DAO;
+  if (!entry || !entry.txHash || !sameAddr(entry.address, dao.address)) return null;
+  const tx = await provider.getTransaction(entry.txHash);
+  const { bytecode, abi } = await hre.artifacts.readArtifact("INVTRON_DAO");
+  if (!tx || !tx.data.toLowerCase().startsWith(bytecode.toLowerCase())) return null;
+  const ctor = new ethers.utils.Interface(abi).deploy;
+  const args = ethers.utils.defaultAbiCoder.decode(ctor.inputs, "0x" + tx.data.slice(bytecode.length));
+  return { txHash: entry.txHash, blockNumber: tx.blockNumber, args };
+}
+
+/**
+ * Check a deployment against the facts it must satisfy:
+ * - the address file uses the engine's DAO key (`INVTRON_DAO_CONTRACT`) and
+ *   not the `INVTRON_DAO` key of the pre-engine dv-main.js, or both agree;
+ * - every contract has code, `dao()` of WhitelistManager and FundingManager
+ *   and InvUsdToken's `owner()` are the DAO, and the DAO points back at them;
+ * - the DAO's price feed (see `currentPriceFeed`) passes the preflight feed
+ *   checks and the DAO reads its answer;
+ * - the initial CEO and endorsers are those of constructor.env, taken from the
+ *   DAO's creation transaction in the deployment manifest, else the live state;
+ * - on-chain bytecode matches the compiled artifacts (immutables masked);
+ * - `info/*-ABI.json` match the compiled ABIs.
+ *
+ * @param {object} hre
+ * @param {object} opts
+ * @param {object} opts.addressInfo Parsed address file.
+ * @param {{priceFeedAddress: string, initialCeo: string, initialEndorsers: string[]}} opts.constructorArgs
+ *   From `loadDeployConfig()`.
+ * @param {string} [opts.infoDir] Directory with the published ABIs; defaults to `info/`.
+ * @param {string} [opts.manifestDir] Deployment manifest directory.
+ * @returns {Promise<{ok: boolean, checks: {group: string, name: string, ok: boolean, detail: string}[]}>}
+ */
+async function verifyDeployment(hre, { addressInfo, constructorArgs, infoDir = path.join(ROOT, "info"), manifestDir }) {
+  const provider = hre.ethers.provider;
+  const checks = [];
+  const check = (group, name, ok, detail = "") => checks.push({ group, name, ok: Boolean(ok), detail });
+  const result = () => ({ ok: checks.every((c) => c.ok), checks });
+
+  // ---------- Address file ----------
+  const engineKey = addressInfo[DAO_KEY];
+  const legacyKey = addressInfo[LEGACY_DAO_KEY];
+  if (legacyKey && !engineKey) {
+    check(
+      "Address file",
+      "DAO key",
+      false,
+      `only ${LEGACY_DAO_KEY} is set, the key dv-main.js wrote before the deployment engine; ` +
+        `dv-test.js, the engine and the UI use ${DAO_KEY}`
+    );
+  } else if (legacyKey && !sameAddr(legacyKey, engineKey)) {
+    check("Address file", "DAO key", false, `${DAO_KEY} is ${engineKey} but ${LEGACY_DAO_KEY} is ${legacyKey}`);
+  } else {
+    check("Address file", "DAO key", engineKey, engineKey ? DAO_KEY : `${DAO_KEY} is missing`);
+  }
+  let addresses;
+  try {
+    addresses = resolveAddresses(addressInfo);
+    check("Address file", "addresses", true, "all four contracts listed");
+  } catch (err) {
+    check("Address file", "addresses", false, err.message);
+    return result();
+  }
+
+  // ---------- Code and wiring ----------
+  const codes = {};
+  for (const [artifact, name] of Object.entries(SDK_NAMES)) {
+    codes[artifact] = await provider.getCode(addresses[name]);
+    check("Wiring", `${artifact} has code`, codes[artifact] !== "0x", addresses[name]);
+  }
+  if (Object.values(codes).includes("0x")) return result();
+
+  const at = async (artifact) =>
+    new ethers.Contract(addresses[SDK_NAMES[artifact]], (await hre.artifacts.readArtifact(artifact)).abi, provider);
+  const dao = await at("INVTRON_DAO");
+  const points = async (name, actual, expected) => {
+    const ok = sameAddr(actual, expected);
+    check("Wiring", name, ok, ok ? expected : `${actual} ≠ ${expected}`);
+  };
+  await points("WhitelistManager.dao", await (await at("WhitelistManager")).dao(), dao.address);
+  await points("FundingManagerContract.dao", await (await at("FundingManagerContract")).dao(), dao.address);
+  await points("InvUsdToken.owner", await (await at("InvUsdToken")).owner(), dao.address);
+  await points("INVTRON_DAO.whitelistManager", await dao.whitelistManager(), addresses.whitelist);
+  await points("INVTRON_DAO.fundingManager", await dao.fundingManager(), addresses.fundingManager);
+  await points("INVTRON_DAO.invUsdToken", await dao.invUsdToken(), addresses.invUsd);
+
+  // ---------- Price feed ----------
+  const creation = await creationTx(hre, provider, dao, manifestDir);
+  const feedAddress = creation
+    ? await currentPriceFeed(dao, creation.args._priceFeedAddress, creation.blockNumber)
+    : await currentPriceFeed(dao, constructorArgs.priceFeedAddress);
+  const feed = await checkPriceFeed(provider, feedAddress, check);
+  if (feed) {
+    const { decimals, round } = feed;
+    check("Price feed", "round", round.answeredInRound.gte(round.roundId), `round ${round.roundId}`);
+    try {
+      const price = await dao.getLatestUsdPrice();
+      const expected = decimals <= 18 && round.answer.gt(0) ? scalePrice(round.answer, decimals) : null;
+      const agrees = expected && price.eq(expected);
+      check("Price feed", "DAO price", agrees, `$${ethers.utils.formatUnits(price, 18)} per INV`);
+    } catch (err) {
+      check("Price feed", "DAO price", false, `getLatestUsdPrice reverts: ${err.errorName || err.message}`);
+    }
+  }
+
+  // ---------- Initial roles ----------
+  let initial;
+  let source;
+  if (creation) {
+    initial = { ceo: creation.args._initialCeo, endorsers: creation.args._initialEndorsers };
+    source = `creation tx ${creation.txHash}`;
+  } else {
+    initial = { ceo: await dao.currentCeo(), endorsers: await dao.activeEndorserList() };
+    source = "live state; no matching creation tx in the deployment manifest";
+  }
+  const ceoOk = sameAddr(initial.ceo, constructorArgs.initialCeo);
+  const ceoDetail = ceoOk ? initial.ceo : `${initial.ceo} ≠ ${constructorArgs.initialCeo}`;
+  check("Initial roles", "CEO", ceoOk, `${ceoDetail} (${source})`);
+  const norm = (list) => list.map((a) => a.toLowerCase()).sort();
+  const endorsersOk =
+    JSON.stringify(norm(initial.endorsers)) === JSON.stringify(norm(constructorArgs.initialEndorsers));
+  check(
+    "Initial roles",
+    "endorsers",
+    endorsersOk,
+    endorsersOk
+      ? `${initial.endorsers.length} match constructor.env (${source})`
+      : `[${initial.endorsers.join(", ")}] ≠ [${constructorArgs.initialEndorsers.join(", ")}] (${source})`
+  );
+
+  // ---------- Bytecode ----------
+  for (const { contract } of STEPS.filter((s) => s.kind === "deploy")) {
+    const fqn = `contracts/${contract}.sol:${contract}`;
+    const buildInfo = await hre.artifacts.getBuildInfo(fqn);
+    const compiled = buildInfo.output.contracts[`contracts/${contract}.sol`][contract].evm.deployedBytecode;
+    const refs = compiled.immutableReferences;
+    const ok = maskImmutables(codes[contract], refs) === maskImmutables(compiled.object, refs);
+    const size = (codes[contract].length - 2) / 2;
+    check("Bytecode", contract, ok, ok ? `${size} bytes match the artifact` : "differs from the compiled artifact");
+  }
+
+  // ---------- Published ABIs ----------
+  const compiled = {};
+  for (const { contract } of UI_ABIS) compiled[contract] = (await hre.artifacts.readArtifact(contract)).abi;
+  for (const { file, contract, missing, changes } of diffUiAbis(infoDir, compiled).files) {
+    const detail = missing
+      ? `${path.join(infoDir, file)} is missing`
+      : changes.length
+        ? changes.map((c) => `${c.kind} ${c.before || c.after}`).join("; ")
+        : `matches ${contract}`;
+    check("ABIs", file, !missing && !changes.length, detail);
+  }
+
+  return result();
+}
+
+module.exports = { verifyDeployment, maskImmutables, MAX_PRICE_AGE };
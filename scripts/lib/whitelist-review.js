@@ -0,0 +1,189 @@
+/* whitelist-review.js — page, filter and export pending whitelist requests and apply a CEO decisions CSV */
+
+const { ethers } = require("ethers");
+const { readCsv, toCsv } = require("./csv");
+
+// EndorserLib.PersonalInfo fields, in struct order
+const INFO_FIELDS = ["firstName", "lastName", "mobile", "zipCode", "city", "state", "country", "bio"];
+// Export columns; `decision` is left empty for the reviewer to fill in
+const REVIEW_COLUMNS = ["id", "wallet", ...INFO_FIELDS, "decision"];
+const DECISIONS = { approve: true, reject: false };
+// Wallets per ceoApproveWhitelisting call; each one rescans the pending list on chain
+const DEFAULT_BATCH_SIZE = 50;
+
+/**
+ * Pending whitelist requests sorted by request id, optionally only those
+ * whose country and state match (case-insensitive).
+ * @returns {Promise<object[]>} `{id, wallet, firstName, …, bio}` records.
+ */
+async function pendingRequests(sdk, { country, state } = {}) {
+  const { whitelist } = sdk.contracts;
+  const same = (a, b) => !b || a.trim().toLowerCase() === b.trim().toLowerCase();
+  const records = [];
+  for (const request of await sdk.whitelist.requests()) {
+    const info = Object.fromEntries(INFO_FIELDS.map((f) => [f, request.info[f]]));
+    if (!same(info.country, country) || !same(info.state, state)) continue;
+    const id = (await whitelist.lastWhitelistRequest(request.applicant)).toNumber();
+    records.push({ id, wallet: request.applicant, ...info });
+  }
+  return records.sort((a, b) => a.id - b.id);
+}
+
+/** Page `page` (from 1) of `records`, with the page count and total. */
+function pageOf(records, page = 1, pageSize = 20) {
+  const pages = Math.max(1, Math.ceil(records.length / pageSize));
+  if (!Number.isInteger(page) || page < 1 || page > pages) {
+    throw new Error(`Page ${page} does not exist; there ${pages === 1 ? "is 1 page" : `are ${pages} pages`}`);
+  }
+  return { page, pages, total: records.length, records: records.slice((page - 1) * pageSize, page * pageSize) };
+}
+
+/** CSV of `records` with an empty `decision` column to fill with approve or reject. */
+function reviewCsv(records) {
+  return toCsv(REVIEW_COLUMNS, records.map((r) => ({ ...r, decision: "" })));
+}
+
+/**
+ * Read a decisions CSV: a `wallet` (or `address`) column and a `decision`
+ * column holding approve or reject. Rows without a decision are left for a
+ * later review. Throws one error listing every bad row (also on `err.problems`).
+ * @returns {{wallet: string, approve: boolean, row: number}[]}
+ */
+function readDecisions(file) {
+  const decisions = [];
+  const problems = [];
+  const seen = new Map();
+  for (const record of readCsv(file)) {
+    const value = record.wallet || record.address;
+    const decision = (record.decision || "").toLowerCase();
+    if (!ethers.utils.isAddress(value || "")) {
+      problems.push(`row ${record.row}: not an address: ${value}`);
+      continue;
+    }
+    if (!decision) continue;
+    if (!(decision in DECISIONS)) {
+      problems.push(`row ${record.row}: decision must be approve or reject, got ${record.decision}`);
+      continue;
+    }
+    const wallet = ethers.utils.getAddress(value);
+    const earlier = seen.get(wallet);
+    if (earlier) {
+      if (earlier.approve !== DECISIONS[decision]) {
+        problems.push(`row ${record.row}: ${wallet} was already decided differently in row ${earlier.row}`);
+      }
+      continue;
+    }
+    const entry = { wallet, approve: DECISIONS[decision], row: record.row };
+    seen.set(wallet, entry);
+    decisions.push(entry);
+  }
+  if (problems.length) {
+    const err = new Error(
+      `Invalid decisions in ${file} (${problems.length} problem(s)):\n` + problems.map((p) => `  - ${p}`).join("\n")
+    );
+    err.problems = problems;
+    throw err;
+  }
+  return decisions;
+}
+
+/**
+ * Split `wallets` into those with a pending request and the rest, which
+ * `ceoApproveWhitelisting` would reject with WhitelistRequestNotPending or
+ * NoWhitelistRequest.
+ * @returns {Promise<{pending: string[], skipped: {item: string, reason: string}[]}>}
+ */
+async function partitionPending(sdk, wallets) {
+  const pending = [];
+  const skipped = [];
+  for (const wallet of [...new Set(wallets)]) {
+    const status = await sdk.whitelist.status(wallet);
+    if (status === "Pending") pending.push(wallet);
+    else skipped.push({ item: wallet, reason: status ? `request is ${status}` : "no whitelist request" });
+  }
+  return { pending, skipped };
+}
+
+const chunk = (list, size) =>
+  Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+/**
+ * Turn decisions into approve and reject batches of at most `batchSize`
+ * wallets, skipping wallets whose request is no longer pending.
+ * @returns {Promise<{batches: {approve: boolean, wallets: string[]}[], skipped: object[]}>}
+ */
+async function planReview(sdk, decisions, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  if (!Number.isInteger(batchSize) || batchSize < 1) throw new Error(`Batch size must be at least 1, got ${batchSize}`);
+  const { pending, skipped } = await partitionPending(sdk, decisions.map((d) => d.wallet));
+  const batches = [];
+  for (const approve of [true, false]) {
+    const wallets = decisions.filter((d) => d.approve === approve && pending.includes(d.wallet)).map((d) => d.wallet);
+    for (const part of chunk(wallets, batchSize)) batches.push({ approve, wallets: part });
+  }
+  return { batches, skipped };
+}
+
+/**
+ * Send the planned batches from the SDK's signer (the CEO). A batch that hits
+ * WhitelistRequestNotPending, because a request was reviewed meanwhile, is
+ * re-checked and resent without the processed wallets. With `dryRun` each
+ * batch is only simulated.
+ *
+ * @returns {Promise<{whitelisted: string[], rejected: string[], skipped: object[], transactions: object[]}>}
+ */
+async function applyReview(sdk, { batches, skipped = [] }, { dryRun = false } = {}) {
+  const { whitelist } = sdk.contracts;
+  const result = { whitelisted: [], rejected: [], skipped: [...skipped], transactions: [] };
+  for (const batch of batches) {
+    let wallets = batch.wallets;
+    for (let attempt = 0; wallets.length; attempt++) {
+      try {
+        if (dryRun) {
+          await whitelist.callStatic.ceoApproveWhitelisting(wallets, [], batch.approve);
+        } else {
+          const receipt = await sdk.whitelist.review(wallets, batch.approve);
+          result.transactions.push({ approve: batch.approve, wallets, txHash: receipt.transactionHash });
+        }
+        result[batch.approve ? "whitelisted" : "rejected"].push(...wallets);
+        break;
+      } catch (err) {
+        // Sent reviews fail with the SDK's DaoError; simulations with the raw revert
+        const described = err.errorName ? { name: err.errorName } : await sdk.explain(err).catch(() => null);
+        if (!described || described.name !== "WhitelistRequestNotPending" || attempt > 0) throw err;
+        const recheck = await partitionPending(sdk, wallets);
+        result.skipped.push(...recheck.skipped);
+        wallets = recheck.pending;
+      }
+    }
+  }
+  return result;
+}
+
+/** Printable summary of an `applyReview` result, naming each wallet from `requests`. */
+function reviewSummary(result, requests = [], { dryRun = false } = {}) {
+  const byWallet = new Map(requests.map((r) => [r.wallet.toLowerCase(), r]));
+  const describe = (wallet) => {
+    const r = byWallet.get(wallet.toLowerCase());
+    if (!r) return wallet;
+    return `${wallet} ${r.firstName} ${r.lastName} (${[r.city, r.state, r.country].filter(Boolean).join(", ")})`;
+  };
+  const verb = dryRun ? "Would whitelist" : "Whitelisted";
+  const lines = [`${verb} ${result.whitelisted.length}:`, ...result.whitelisted.map((w) => `  ✅ ${describe(w)}`)];
+  lines.push(`${dryRun ? "Would reject" : "Rejected"} ${result.rejected.length}:`);
+  lines.push(...result.rejected.map((w) => `  ❌ ${describe(w)}`));
+  lines.push(`Skipped ${result.skipped.length}:`, ...result.skipped.map((s) => `  ⏭️  ${s.item}: ${s.reason}`));
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  REVIEW_COLUMNS,
+  DEFAULT_BATCH_SIZE,
+  pendingRequests,
+  pageOf,
+  reviewCsv,
+  readDecisions,
+  partitionPending,
+  planReview,
+  applyReview,
+  reviewSummary,
+};
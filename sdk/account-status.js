@@ -0,0 +1,159 @@
+/* sdk/account-status.js — why an account can or cannot vote, delegate or transfer right now */
+
+const { ethers } = require("ethers");
+const { holdingSeconds, rateBps, MATURATION_PERIOD } = require("./voting-model");
+
+// Mirrors CeoManager.CeoStatus
+const CEO_STATUS = ["None", "Nominated", "Elected", "Active"];
+
+const ZERO = ethers.constants.AddressZero;
+const inv = (v) => ethers.utils.formatEther(v);
+
+/**
+ * @typedef {object} Restriction
+ * @property {string} action transfer, delegate, delegateToOthers, ceoVote or fundingVote.
+ * @property {string} error Custom error the call reverts with.
+ * @property {string} reason
+ * @property {number|null} until Unix time the restriction lifts by itself; null if it does not.
+ */
+
+/**
+ * @typedef {object} AccountStatus
+ * @property {string} account
+ * @property {number} blockNumber
+ * @property {number} timestamp
+ * @property {ethers.BigNumber} balance
+ * @property {{ceo: object, funding: object}} locks `{amount, unlockTime, active}` per vote type;
+ *   an expired lock is still stored until the account transfers, votes or calls `unlockYourTokens`.
+ * @property {object} free `ceo` / `funding` (`freeTokensForCeo` / `freeTokensForFunding`) and
+ *   `headroom` (`freeHeadroomTokens`: the balance above the larger active lock), also
+ *   reported as `transferable`.
+ * @property {object} delegation `votesTo` (`delegates`), `proxy` (`votingDelegate`, who may vote
+ *   with this account's tokens), `votes` (`getVotes`) and `delegatedIn` (votes from others).
+ * @property {object} age `balanceAge`, `holdingSeconds`, `fundingRateBps` and `maturesAt`
+ *   (when the rate reaches 0.5%).
+ * @property {number} lastVoteAt `recentVoteTimestamps`, 0 if never.
+ * @property {{ceoStatus: string, endorser: boolean}} roles
+ * @property {Restriction[]} restrictions Empty when nothing currently applies.
+ * @property {number|null} nextChange Earliest `until` among the restrictions.
+ */
+
+/**
+ * Gather everything that decides whether `who` can vote, delegate or transfer.
+ * @param {ethers.Contract} dao INVTRON_DAO
+ * @param {string} who
+ * @returns {Promise<AccountStatus>}
+ */
+async function accountStatus(dao, who) {
+  const account = ethers.utils.getAddress(who);
+  const block = await dao.provider.getBlock("latest");
+  const now = block.timestamp;
+
+  const [balance, votes, votesTo, proxy, lastVote, ceoStatus, endorser, balanceAge] = await Promise.all([
+    dao.balanceOf(account),
+    dao.getVotes(account),
+    dao.delegates(account),
+    dao.votingDelegate(account),
+    dao.recentVoteTimestamps(account),
+    dao.ceoStatus(account),
+    dao.ENDORSER_ROLE().then((role) => dao.hasRole(role, account)),
+    dao.balanceAge(account),
+  ]);
+  const lock = async (amountOf, unlockOf) => {
+    const [amount, unlockTime] = await Promise.all([amountOf(account), unlockOf(account)]);
+    return { amount, unlockTime: unlockTime.toNumber(), active: now < unlockTime.toNumber() };
+  };
+  const locks = {
+    ceo: await lock(dao.lockedBalanceForCeoVote, dao.tokenUnlockTimeForCeoVote),
+    funding: await lock(dao.lockedBalanceForFundingVote, dao.tokenUnlockTimeForFundingVote),
+  };
+
+  // Same rule as INVTRON_DAO._update after it clears expired locks
+  const headroom = await dao.freeHeadroomTokens(account);
+  const free = {
+    ceo: await dao.freeTokensForCeo(account),
+    funding: await dao.freeTokensForFunding(account),
+    transferable: headroom,
+    headroom,
+  };
+
+  const held = balance.isZero() ? 0 : holdingSeconds(balanceAge, now);
+  const age = {
+    balanceAge: balanceAge.toNumber(),
+    holdingSeconds: held,
+    fundingRateBps: rateBps(held),
+    maturesAt: balance.isZero() ? null : balanceAge.toNumber() + MATURATION_PERIOD,
+  };
+
+  const ownVotes = votesTo === account ? balance : ethers.constants.Zero;
+  const delegation = {
+    votesTo: votesTo === ZERO ? null : votesTo,
+    proxy: proxy === ZERO ? null : proxy,
+    votes,
+    delegatedIn: votes.gt(ownVotes) ? votes.sub(ownVotes) : ethers.constants.Zero,
+  };
+
+  const report = {
+    account,
+    blockNumber: block.number,
+    timestamp: now,
+    balance,
+    locks,
+    free,
+    delegation,
+    age,
+    lastVoteAt: lastVote.toNumber(),
+    roles: { ceoStatus: CEO_STATUS[ceoStatus], endorser },
+  };
+  report.restrictions = restrictionsFor(report);
+  const untils = report.restrictions.map((r) => r.until).filter((t) => t !== null);
+  report.nextChange = untils.length ? Math.min(...untils) : null;
+  return report;
+}
+
+/** The restrictions `report` implies, in the order a holder usually asks about them. */
+function restrictionsFor({ balance, locks, free, delegation, roles }) {
+  const out = [];
+  const add = (action, error, reason, until = null) => out.push({ action, error, reason, until });
+  const activeLocks = ["ceo", "funding"].filter((type) => locks[type].active);
+  const lockNames = activeLocks.map((type) => (type === "ceo" ? "CEO vote" : "funding vote")).join(" and ");
+  const lastUnlock = activeLocks.length ? Math.max(...activeLocks.map((type) => locks[type].unlockTime)) : null;
+
+  if (!balance.isZero() && free.transferable.lt(balance)) {
+    add(
+      "transfer",
+      "TokensLocked",
+      `only ${inv(free.transferable)} of ${inv(balance)} INV can be transferred; the rest backs your ${lockNames}`,
+      lastUnlock
+    );
+  }
+  if (activeLocks.length) {
+    const reason = `delegation changes are blocked while your ${lockNames} lock is active`;
+    add("delegate", "TokensLocked", reason, lastUnlock);
+  }
+  if (["Nominated", "Elected", "Active"].includes(roles.ceoStatus)) {
+    add("delegateToOthers", "CeoCannotDelegateToOthers", `a ${roles.ceoStatus} CEO can only delegate to themselves`);
+  } else if (roles.endorser) {
+    add("delegateToOthers", "EndorserCannotDelegateToOthers", "endorsers can only delegate to themselves");
+  }
+
+  for (const [type, action, name] of [
+    ["ceo", "ceoVote", "CEO"],
+    ["funding", "fundingVote", "funding"],
+  ]) {
+    if (locks[type].active) {
+      const reason = `you already cast a ${name} vote; the next one is possible when its lock ends`;
+      add(action, "TokensAlreadyLocked", reason, locks[type].unlockTime);
+    } else if (delegation.votes.isZero()) {
+      const why = balance.isZero()
+        ? "you hold no INV"
+        : delegation.votesTo
+          ? `your voting power is delegated to ${delegation.votesTo}; delegate to yourself to vote`
+          : "your voting power is not activated; delegate to yourself to vote";
+      add(action, "NoVotingPower", why);
+    }
+  }
+  return out;
+}
+
+module.exports = { accountStatus, restrictionsFor, CEO_STATUS };
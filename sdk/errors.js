@@ -0,0 +1,360 @@
+/* sdk/errors.js — decode INVTRON revert data into Errors.* names and readable explanations */
+
+const { ethers } = require("ethers");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+const PANIC_CODES = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "corrupt storage byte array",
+  0x31: "pop on an empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to an uninitialised function pointer",
+};
+
+const when = (ts) => (ts ? new Date(Number(ts) * 1000).toISOString() : null);
+const lockedUntil = (ts) => (ts ? `until ${when(ts)}` : "until the vote lock expires");
+
+/**
+ * User-facing explanation for every custom error the stack can revert with.
+ * Functions receive the decoded args and the optional context passed to
+ * `explainError` ({ account, voteType, unlockTimes: { ceo, funding } }).
+ * Every name here also decodes when it is missing from the supplied ABIs,
+ * since unused Errors.* declarations are not emitted by the compiler.
+ */
+const ERROR_MESSAGES = {
+  // Roles and wiring
+  OnlyDao: "Only the DAO contract can call this function.",
+  OnlyCeo: "Only the current CEO can do this.",
+  OnlyEndorser: "Only an active endorser can do this.",
+  OnlyFundingManager: "Only the FundingManagerContract can call this DAO hook.",
+  OnlyProposer: "Only the proposer of this funding request can exchange its INV-USD.",
+  DaoAlreadySet: "The DAO address is already set on this contract.",
+  DaoAddressZero: "The DAO address must not be the zero address.",
+  NewOwnerZero: "The new owner must not be the zero address.",
+  TreasuryOwnerZero: "The treasury owner must not be the zero address.",
+  InvalidFeedAddress: "The price feed address is invalid.",
+  TooManyInitialEndorsers: "Too many initial endorsers: the DAO allows at most 50 active endorsers.",
+  InvalidGovernanceConfig:
+    "The governance configuration is invalid: the voting period must be positive and shorter than the token lock, " +
+    "and both endorser quorums must be between 1 and 50.",
+  GovernanceConfigMismatch:
+    "The FundingManagerContract was deployed with a different governance configuration than the DAO.",
+  InvalidExchangeRecipient: "INV-USD can only be transferred back to the DAO.",
+
+  // Whitelisting
+  NotWhitelisted: "Your address is not whitelisted. Request whitelisting and wait for CEO approval.",
+  ApplicantNotWhitelisted: "Only whitelisted addresses can apply for CEO.",
+  AlreadyWhitelisted: "This address is already whitelisted.",
+  WhitelistRequestExists: "You already have a pending or approved whitelisting request.",
+  NoWhitelistRequest: "There is no whitelisting request for this address.",
+  WhitelistRequestNotPending: "This whitelisting request was already reviewed.",
+
+  // CEO lifecycle
+  ElectedCeoPending: "An elected CEO is waiting for activation; new applications open after that.",
+  CeoApplicationExists: "You already have an active CEO application or role.",
+  InsufficientInvBalance: "Your INV balance is below the USD value required for this application.",
+  CeoProposalNotPending: "This CEO application is no longer pending endorser votes.",
+  CeoProposalNotActive: "This CEO application is not open for user votes.",
+  CeoProposalNotActiveFinalization: "Only an active CEO application can be finalized.",
+  CeoVotingEnded: "The voting period for this CEO application has ended.",
+  CeoVotingActive: "The voting period for this CEO application is still running.",
+  CeoUserAlreadyVoted: "You already voted on this CEO application.",
+  NoElectedCeo: "There is no elected CEO to activate.",
+  ActivationNotReached: "The elected CEO cannot be activated before the activation delay has passed.",
+  CeoSuccessorNotReady: "The CEO successor is not ready to take over.",
+  CeoSelfRevokeDenied: "The CEO cannot revoke their own role.",
+  CeoCannotDelegateToOthers: "A CEO candidate or CEO can only delegate to themselves.",
+
+  // Endorsers
+  AlreadyRegistered: "You are already registered as an endorser candidate.",
+  CandidateNotRegistered: "This address is not a registered endorser candidate.",
+  CandidateAlreadyActive: "This candidate is already an active endorser.",
+  NotEnoughVotes: "The candidate does not have more support than the lowest active endorser.",
+  EndorserAlreadyVoted: "This endorser already voted on the CEO application.",
+  EndorserCannotDelegateToOthers: "An endorser can only delegate to themselves.",
+
+  // Voting and locks
+  NoVotingPower:
+    "You have no voting power for this proposal. Delegate to yourself before a proposal is created; " +
+    "power is read at its creation block.",
+  SelfVoting: "You cannot vote on your own proposal or for yourself.",
+  InvalidTokenHolder: "The token holder address must not be zero.",
+  NotAuthorizedDelegate: "You are not the voting delegate of this token holder.",
+  TokensLocked: (args, ctx) => {
+    const t = ctx.unlockTimes || {};
+    const ts = Math.max(Number(t.ceo || 0), Number(t.funding || 0));
+    return `Your tokens are locked by an earlier vote ${lockedUntil(ts)}. Only the unlocked excess can be moved or used.`;
+  },
+  TokensAlreadyLocked: (args, ctx) => {
+    const t = ctx.unlockTimes || {};
+    if (ctx.voteType === "ceo") {
+      return `You already cast a CEO vote; your tokens are locked until ${when(t.ceo) || "tokenUnlockTimeForCeoVote"}.`;
+    }
+    if (ctx.voteType === "funding") {
+      return `You already cast a funding vote; your tokens are locked until ${when(t.funding) || "tokenUnlockTimeForFundingVote"}.`;
+    }
+    return "You already voted with these tokens and their lock has not expired yet.";
+  },
+  FutureLookup: "Historical voting power can only be read for past blocks.",
+  SignatureExpired: "The signature has expired.",
+  InvalidNonce: "The signature nonce does not match the signer's current nonce.",
+
+  // Funding requests
+  InvalidFundingCaps: "Funding caps are invalid: both must be positive and the soft cap cannot exceed the hard cap.",
+  InvalidValuation: "The company valuation must be greater than zero.",
+  FundingProposalNotPending: "This funding request is no longer pending endorser votes.",
+  FundingEndorserAlreadyVoted: "You already endorsed this funding request.",
+  FundingProposalNotActiveUser: "This funding request is not open for user votes.",
+  FundingVotingEnded: "The voting period for this funding request has ended.",
+  FundingUserAlreadyVoted: "You already voted on this funding request.",
+  FundingProposalNotActive: "This funding request is not active.",
+  FundingVotingActive: "The voting period for this funding request is still running.",
+  FundingProposalFailed: "This funding request did not get more votes for than against.",
+  FundingProposalPassed: "This funding request passed; it cannot be finalized as defeated.",
+  FundingRequestAlreadyApproved: "The CEO already approved this funding request.",
+  FundingProposalNotActiveExecution: "This funding request cannot be executed: it is not active (already executed?).",
+  FundingVotingActiveExecution: "This funding request cannot be executed while its vote is still running.",
+  FundingRequestNotApproved: "The CEO has not approved this funding request yet.",
+  ProposalNotFinalized: "Rewards can be claimed only after the funding request is executed or defeated.",
+  AddressDidNotVote: "You did not vote on this funding request.",
+  RewardAlreadyClaimed: "You already claimed the reward for this funding request.",
+  VoteMismatch: "Your vote was on the losing side, so there is no reward to claim.",
+
+  // Exchange
+  FundingRequestNotExecuted: "INV-USD can be exchanged only for executed funding requests.",
+  ExchangeDisabled: "Exchange is disabled for this request until the CEO sets a daily limit.",
+  AmountExceedsRemaining: "The amount exceeds the INV-USD still exchangeable for this request.",
+  ExceedsDailyLimit: "The amount exceeds today's exchange limit for this request.",
+  InvalidLimitPercent: "The daily exchange limit must be between 1 and 100 percent.",
+  PriceOutOfBounds: "The INV price moved more than 10% since the last exchange; try again later.",
+  UnswappedAmountExceedsTotal: "The unswapped amount exceeds the total.",
+  SupplyExceedsTotal: "The supply exceeds the total.",
+
+  // Oracle
+  OracleStale: "The INV/USD price feed is stale (older than one day).",
+  OraclePriceInvalid: "The INV/USD price feed returned a non-positive price.",
+  OracleDecimalsTooLarge: "The price feed uses more than 18 decimals.",
+
+  // OpenZeppelin
+  ERC20InsufficientBalance: (a) =>
+    `Insufficient INV balance: you have ${ethers.utils.formatEther(a.balance)}, need ${ethers.utils.formatEther(a.needed)}.`,
+  ERC20InsufficientAllowance: (a) =>
+    `Insufficient allowance for ${a.spender}: approved ${ethers.utils.formatEther(a.allowance)}, ` +
+    `need ${ethers.utils.formatEther(a.needed)}. Fees are pulled by the DAO, so approve the DAO address.`,
+  ERC20InvalidSender: (a) => `Invalid token sender ${a.sender}.`,
+  ERC20InvalidReceiver: (a) => `Invalid token receiver ${a.receiver}.`,
+  ERC20InvalidApprover: (a) => `Invalid approver ${a.approver}.`,
+  ERC20InvalidSpender: (a) => `Invalid spender ${a.spender}.`,
+  ECDSAInvalidSignature: "The signature is invalid.",
+  ECDSAInvalidSignatureLength: "The signature has an invalid length.",
+  ECDSAInvalidSignatureS: "The signature has an invalid s value.",
+  ReentrancyGuardReentrantCall: "Reentrant call rejected.",
+  CheckpointUnorderedInsertion: "Vote checkpoints were written out of order.",
+  SafeCastOverflowedUintDowncast: "A value is too large to store.",
+};
+
+// OpenZeppelin errors with arguments, so they decode even without an artifact ABI
+const OZ_ERROR_FRAGMENTS = [
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InvalidSender(address sender)",
+  "error ERC20InvalidReceiver(address receiver)",
+  "error ERC20InvalidApprover(address approver)",
+  "error ERC20InvalidSpender(address spender)",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)",
+];
+
+/**
+ * Build one ethers Interface holding the error fragments of every ABI given,
+ * plus the OpenZeppelin errors above and the no-argument Errors.* names from
+ * ERROR_MESSAGES.
+ * @param {Array<object[]|{abi: object[]}>} abis
+ */
+function errorInterface(abis = []) {
+  const seen = new Map();
+  for (const entry of [...abis, OZ_ERROR_FRAGMENTS]) {
+    const abi = Array.isArray(entry) ? entry : entry.abi || [];
+    for (const item of abi) {
+      const frag = typeof item === "string" ? ethers.utils.Fragment.from(item) : null;
+      if (!frag && item.type !== "error") continue;
+      const fragment = frag || ethers.utils.ErrorFragment.from(item);
+      seen.set(fragment.format(), fragment);
+    }
+  }
+  const names = new Set([...seen.values()].map((f) => f.name));
+  for (const name of Object.keys(ERROR_MESSAGES)) {
+    if (!names.has(name)) seen.set(`${name}()`, ethers.utils.Fragment.from(`error ${name}()`));
+  }
+  return new ethers.utils.Interface([...seen.values()]);
+}
+
+const isHexData = (v) => typeof v === "string" && /^0x([0-9a-fA-F]{2})*$/.test(v);
+
+/**
+ * Dig revert data out of an ethers / Hardhat / JSON-RPC error. Returns a hex
+ * string (possibly "0x" for a bare revert) or null when none is found.
+ */
+function extractRevertData(err, depth = 0) {
+  if (!err || depth > 6) return null;
+  if (typeof err === "string") return isHexData(err) && err.length >= 10 ? err : null;
+  if (isHexData(err.data) && err.data.length >= 10) return err.data;
+  if (err.data && typeof err.data === "object") {
+    const nested = extractRevertData(err.data, depth + 1);
+    if (nested) return nested;
+  }
+  for (const key of ["error", "cause", "originalError"]) {
+    const nested = extractRevertData(err[key], depth + 1);
+    if (nested) return nested;
+  }
+  if (typeof err.body === "string") {
+    try {
+      const nested = extractRevertData(JSON.parse(err.body).error, depth + 1);
+      if (nested) return nested;
+    } catch {
+      // not JSON
+    }
+  }
+  return isHexData(err.data) ? err.data : null;
+}
+
+const namedArgs = (fragment, values) =>
+  Object.fromEntries(fragment.inputs.map((input, i) => [input.name || `arg${i}`, values[i]]));
+
+/**
+ * Decode revert `data` against `iface`.
+ * @returns {{name: string, signature: string, selector: string, args: object}|null}
+ */
+function decodeRevertData(data, iface = errorInterface()) {
+  if (!isHexData(data) || data.length < 10) return null;
+  const selector = data.slice(0, 10).toLowerCase();
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], "0x" + data.slice(10));
+    return { name: "Error", signature: "Error(string)", selector, args: { reason } };
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], "0x" + data.slice(10));
+    return { name: "Panic", signature: "Panic(uint256)", selector, args: { code: code.toNumber() } };
+  }
+  try {
+    const fragment = iface.getError(selector);
+    const values = iface.decodeErrorResult(fragment, data);
+    return { name: fragment.name, signature: fragment.format(), selector, args: namedArgs(fragment, values) };
+  } catch {
+    return null;
+  }
+}
+
+/** Human-readable explanation for a decoded error. */
+function explainError(decoded, ctx = {}) {
+  if (!decoded) return "The transaction reverted without a recognised error.";
+  if (decoded.name === "Error") return `Reverted: ${decoded.args.reason}`;
+  if (decoded.name === "Panic") {
+    const code = decoded.args.code;
+    return `Panic 0x${code.toString(16)}: ${PANIC_CODES[code] || "unknown panic code"}.`;
+  }
+  const message = ERROR_MESSAGES[decoded.name];
+  if (typeof message === "function") return message(decoded.args, ctx);
+  return message || `Reverted with ${decoded.signature}.`;
+}
+
+const LOCK_ERRORS = new Set(["TokensLocked", "TokensAlreadyLocked"]);
+
+/**
+ * Decode `err` and build an explanation. When `dao` and `ctx.account` are
+ * given, lock errors are enriched with the account's unlock times.
+ *
+ * @param {Error} err
+ * @param {object} [opts]
+ * @param {ethers.utils.Interface} [opts.iface]
+ * @param {ethers.Contract} [opts.dao] INVTRON_DAO, used for lock lookups.
+ * @param {object} [opts.ctx] { account, voteType: "ceo" | "funding" }
+ * @returns {Promise<{name, signature, args, data, explanation}|null>} null when no revert data is found.
+ */
+async function describeError(err, { iface = errorInterface(), dao, ctx = {} } = {}) {
+  const data = extractRevertData(err);
+  if (!data) return null;
+  const decoded = decodeRevertData(data, iface);
+  const context = { ...ctx };
+  if (decoded && LOCK_ERRORS.has(decoded.name) && dao && ctx.account && !ctx.unlockTimes) {
+    try {
+      const [ceo, funding] = await Promise.all([
+        dao.tokenUnlockTimeForCeoVote(ctx.account),
+        dao.tokenUnlockTimeForFundingVote(ctx.account),
+      ]);
+      context.unlockTimes = { ceo: ceo.toNumber(), funding: funding.toNumber() };
+    } catch {
+      // explanation falls back to the generic wording
+    }
+  }
+  return {
+    name: decoded ? decoded.name : null,
+    signature: decoded ? decoded.signature : null,
+    args: decoded ? decoded.args : {},
+    data,
+    explanation: explainError(decoded, context),
+  };
+}
+
+/** Error thrown by the SDK for decoded contract reverts; the original is kept as `cause`. */
+class DaoError extends Error {
+  constructor(described, cause) {
+    super(described.explanation);
+    this.name = "DaoError";
+    this.code = "DAO_REVERT";
+    this.errorName = described.name;
+    this.errorSignature = described.signature;
+    this.errorArgs = described.args;
+    this.data = described.data;
+    this.cause = cause;
+  }
+}
+
+/** Re-throwable version of `err`: a DaoError when revert data decodes, else `err` itself. */
+async function toDaoError(err, opts) {
+  if (err instanceof DaoError) return err;
+  const described = await describeError(err, opts);
+  return described && described.name ? new DaoError(described, err) : err;
+}
+
+/**
+ * Re-run a mined transaction as an `eth_call` at its parent block to recover
+ * revert data (receipts carry none). Raw JSON-RPC is used because ethers'
+ * `provider.call` can return revert data as if it were a result. State from
+ * earlier transactions in the same block is not replayed, so this is best effort.
+ * @param {ethers.providers.JsonRpcProvider} provider
+ */
+async function replayRevertData(provider, txOrHash) {
+  const tx = typeof txOrHash === "string" ? await provider.getTransaction(txOrHash) : txOrHash;
+  if (!tx) throw new Error(`Transaction ${txOrHash} not found`);
+  const { hexValue } = ethers.utils;
+  const call = { from: tx.from, to: tx.to, data: tx.data, value: hexValue(tx.value || 0) };
+  if (tx.gasLimit) call.gas = hexValue(tx.gasLimit);
+  const blockTag = tx.blockNumber ? hexValue(tx.blockNumber - 1) : "latest";
+  try {
+    await provider.send("eth_call", [call, blockTag]);
+    return null;
+  } catch (err) {
+    return extractRevertData(err);
+  }
+}
+
+module.exports = {
+  ERROR_MESSAGES,
+  PANIC_CODES,
+  DaoError,
+  errorInterface,
+  extractRevertData,
+  decodeRevertData,
+  explainError,
+  describeError,
+  toDaoError,
+  replayRevertData,
+};
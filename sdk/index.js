@@ -0,0 +1,426 @@
+/* sdk/index.js — high-level JavaScript client for the INVTRON DAO contracts */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  DaoError,
+  decodeRevertData,
+  describeError,
+  errorInterface,
+  replayRevertData,
+  toDaoError,
+} = require("./errors");
+
+const { signDelegation, verifyDelegation, delegationCall } = require("./signatures");
+const votingModel = require("./voting-model");
+const { accountStatus, CEO_STATUS } = require("./account-status");
+
+const INFO_DIR = path.join(__dirname, "..", "info");
+
+// Mirrors ProposalLib.ProposalStatus and WhitelistLib.RequestStatus
+const PROPOSAL_STATUS = ["Pending", "Active", "Succeeded", "Defeated", "Executed"];
+const WHITELIST_STATUS = ["Pending", "Approved", "Rejected"];
+
+// SDK contract name → UI ABI file written by the deployment engine
+const ABI_FILES = {
+  dao: "ABI.json",
+  fundingManager: "FM-ABI.json",
+  whitelist: "WL-ABI.json",
+  invUsd: "INVUSD-ABI.json",
+};
+
+// SDK contract name → accepted addressInfo.json keys (first match wins)
+const ADDRESS_KEYS = {
+  dao: ["INVTRON_DAO_CONTRACT", "INVTRON_DAO"],
+  fundingManager: ["FundingManager", "FundingManagerContract"],
+  whitelist: ["WhitelistManager"],
+  invUsd: ["InvUsdToken"],
+};
+
+// Fees are quoted in USD and pulled in INV at the oracle price; approve a little
+// more so a small price move between approve and use does not revert.
+const FEE_ALLOWANCE_SLACK_BPS = 100; // 1%
+
+/** Read the four UI ABIs from `dir` (defaults to `info/`). */
+function loadAbis(dir = INFO_DIR) {
+  const abis = {};
+  for (const [name, file] of Object.entries(ABI_FILES)) {
+    const json = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    abis[name] = json.abi || json;
+  }
+  return abis;
+}
+
+/** Resolve SDK contract addresses from an `addressInfo.json` map. */
+function resolveAddresses(addressInfo) {
+  const out = {};
+  for (const [name, keys] of Object.entries(ADDRESS_KEYS)) {
+    const key = keys.find((k) => addressInfo[k]);
+    if (!key) throw new Error(`addressInfo is missing ${keys.join(" / ")}`);
+    if (!ethers.utils.isAddress(addressInfo[key])) {
+      throw new Error(`addressInfo.${key} is not an address: ${addressInfo[key]}`);
+    }
+    out[name] = ethers.utils.getAddress(addressInfo[key]);
+  }
+  return out;
+}
+
+/**
+ * @typedef {object} FundingDetails
+ * @property {string} projectName
+ * @property {ethers.BigNumber} softCapAmount USD(6)
+ * @property {ethers.BigNumber} hardCapAmount USD(6)
+ * @property {ethers.BigNumber} valuation USD(6)
+ * @property {string} country
+ * @property {string} websiteUrl
+ * @property {string} ceoLinkedInUrl
+ * @property {string} shortDescription
+ * @property {string} companyRegistrationUrl
+ */
+
+/**
+ * @typedef {object} FundingRequest
+ * @property {number} id
+ * @property {string} proposer
+ * @property {FundingDetails} details
+ * @property {ethers.BigNumber} amount Soft cap used for vote caps, USD(6).
+ * @property {number} deadline Unix seconds.
+ * @property {string} status One of PROPOSAL_STATUS.
+ * @property {number} statusCode
+ * @property {number} endorserVotes
+ * @property {ethers.BigNumber} userVotesFor USD(6)
+ * @property {ethers.BigNumber} userVotesAgainst USD(6)
+ * @property {boolean} ceoApproved
+ * @property {number|null} snapshotBlock Null when the ABI predates vote checkpoints.
+ */
+
+/**
+ * @typedef {object} CeoApplication
+ * @property {number} id
+ * @property {string} applicant
+ * @property {number} endorserVotes
+ * @property {ethers.BigNumber} userVotesFor INV(18)
+ * @property {ethers.BigNumber} userVotesAgainst INV(18)
+ * @property {number} deadline Unix seconds.
+ * @property {string} status One of PROPOSAL_STATUS.
+ * @property {number} statusCode
+ * @property {number|null} snapshotBlock Null when the ABI predates vote checkpoints.
+ */
+
+/**
+ * @typedef {object} ExchangeState
+ * @property {number} requestId
+ * @property {ethers.BigNumber} limit Daily INV-USD exchange cap.
+ * @property {ethers.BigNumber} exchanged INV-USD exchanged on `lastDay`.
+ * @property {number} lastDay Day index (unix seconds / 86400) of the last exchange.
+ * @property {ethers.BigNumber} remaining INV-USD still exchangeable.
+ */
+
+const optionalNumber = (v) => (v === undefined ? null : ethers.BigNumber.from(v).toNumber());
+
+function toFundingRequest(id, raw) {
+  const d = raw.details;
+  return {
+    id: Number(id),
+    proposer: raw.proposer,
+    details: {
+      projectName: d.projectName,
+      softCapAmount: d.softCapAmount,
+      hardCapAmount: d.hardCapAmount,
+      valuation: d.valuation,
+      country: d.country,
+      websiteUrl: d.websiteUrl,
+      ceoLinkedInUrl: d.ceoLinkedInUrl,
+      shortDescription: d.shortDescription,
+      companyRegistrationUrl: d.companyRegistrationUrl,
+    },
+    amount: raw.amount,
+    deadline: raw.deadline.toNumber(),
+    status: PROPOSAL_STATUS[raw.status],
+    statusCode: raw.status,
+    endorserVotes: raw.endorserVotes.toNumber(),
+    userVotesFor: raw.userVotesFor,
+    userVotesAgainst: raw.userVotesAgainst,
+    ceoApproved: raw.ceoApproved,
+    snapshotBlock: optionalNumber(raw.snapshotBlock),
+  };
+}
+
+function toCeoApplication(id, raw) {
+  return {
+    id: Number(id),
+    applicant: raw.applicant,
+    endorserVotes: raw.endorserVotes.toNumber(),
+    userVotesFor: raw.userVotesFor,
+    userVotesAgainst: raw.userVotesAgainst,
+    deadline: raw.deadline.toNumber(),
+    status: PROPOSAL_STATUS[raw.status],
+    statusCode: raw.status,
+    snapshotBlock: optionalNumber(raw.snapshotBlock),
+  };
+}
+
+function toExchangeState(requestId, raw) {
+  return {
+    requestId: Number(requestId),
+    limit: raw.limit,
+    exchanged: raw.exchanged,
+    lastDay: raw.lastDay.toNumber(),
+    remaining: raw.remaining,
+  };
+}
+
+/** Decoded args of the first `name` event emitted by `contract` in `receipt`. */
+function findEvent(receipt, contract, name) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contract.address.toLowerCase()) continue;
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed.name === name) return parsed.args;
+    } catch {
+      // log from an event outside this ABI
+    }
+  }
+  return null;
+}
+
+/**
+ * Create an SDK bound to a deployed INVTRON stack.
+ *
+ * Write methods wait for the transaction to be mined and return its receipt
+ * (methods that create a proposal return `{ id, receipt }`). Pass ethers
+ * overrides as the last argument where shown. Reverts that decode against the
+ * contract ABIs are rethrown as `DaoError` (see `sdk/errors.js`).
+ *
+ * @param {object} opts
+ * @param {ethers.Signer|ethers.providers.Provider} opts.signerOrProvider A signer is required for writes.
+ * @param {object} opts.addressInfo Parsed `addressInfo.json`.
+ * @param {object} [opts.abis] ABIs keyed dao/fundingManager/whitelist/invUsd; defaults to `info/`.
+ * @param {number} [opts.confirmations=1] Confirmations awaited per transaction.
+ */
+function createSdk({ signerOrProvider, addressInfo, abis = loadAbis(), confirmations = 1 }) {
+  if (!signerOrProvider) throw new Error("createSdk needs a signer or provider");
+  const addresses = resolveAddresses(addressInfo);
+  const contracts = Object.fromEntries(
+    Object.entries(addresses).map(([name, address]) => [
+      name,
+      new ethers.Contract(address, abis[name], signerOrProvider),
+    ])
+  );
+  const { dao, fundingManager, whitelist, invUsd } = contracts;
+  const isSigner = ethers.Signer.isSigner(signerOrProvider);
+
+  const requireSigner = () => {
+    if (!isSigner) throw new Error("This SDK method sends a transaction and needs a signer");
+    return signerOrProvider;
+  };
+  const account = async (who) => who || (await requireSigner().getAddress());
+  const errorIface = errorInterface(Object.values(abis));
+
+  /**
+   * Send and wait; `ctx` ({ account, voteType }) lets lock errors name the
+   * right unlock time.
+   */
+  const send = async (txPromise, ctx = {}) => {
+    try {
+      return await (await txPromise).wait(confirmations);
+    } catch (err) {
+      if (!err.data && err.receipt && err.transactionHash) {
+        err.data = await replayRevertData(dao.provider, err.transactionHash).catch(() => null);
+      }
+      const who = ctx.account || (isSigner ? await signerOrProvider.getAddress() : undefined);
+      throw await toDaoError(err, { iface: errorIface, dao, ctx: { ...ctx, account: who } });
+    }
+  };
+
+  /**
+   * Approve the DAO to pull a USD-denominated fee in INV, unless the current
+   * allowance already covers it. Returns the approve receipt or null.
+   */
+  async function ensureFeeAllowance(feeUsd) {
+    const owner = await account();
+    const price = await dao.getLatestUsdPrice();
+    const needed = ethers.BigNumber.from(feeUsd)
+      .mul(ethers.constants.WeiPerEther)
+      .div(price)
+      .mul(10_000 + FEE_ALLOWANCE_SLACK_BPS)
+      .div(10_000);
+    const current = await dao.allowance(owner, dao.address);
+    if (current.gte(needed)) return null;
+    return send(dao.approve(dao.address, needed));
+  }
+
+  const whitelistApi = {
+    /** Submit a whitelisting request with the caller's EndorserLib.PersonalInfo. */
+    request: (info, overrides = {}) => send(whitelist.requestWhitelisting(info, overrides)),
+    isWhitelisted: async (who) => whitelist.isWhitelisted(await account(who)),
+    /** Status of the latest request ("Pending" | "Approved" | "Rejected"), or null if none. */
+    status: async (who) => {
+      try {
+        return WHITELIST_STATUS[await whitelist.getWhitelistingReqStatus(await account(who))];
+      } catch (err) {
+        if (String(err.errorName || err.message).includes("NoWhitelistRequest")) return null;
+        throw err;
+      }
+    },
+    info: async (who) => whitelist.getWhitelistInfo(await account(who)),
+    requests: () => whitelist.getWwhitelistReqList(),
+    /** CEO only: approve (or reject with `approve=false`) the latest request of each wallet. */
+    review: (wallets, approve = true, overrides = {}) =>
+      send(whitelist.ceoApproveWhitelisting(wallets, [], approve, overrides)),
+  };
+
+  const fundingApi = {
+    /** @returns {Promise<FundingRequest>} */
+    get: async (id) => toFundingRequest(id, await fundingManager.fundingRequests(id)),
+    count: async () => (await fundingManager.nextFundingRequestId()).toNumber(),
+    /** Pay the $100 INV fee (approving it when needed) and open a request. */
+    create: async (details, overrides = {}) => {
+      await ensureFeeAllowance(await dao.FUNDING_REQUEST_FEE());
+      const receipt = await send(fundingManager.createFundingRequest(details, overrides));
+      const ev = findEvent(receipt, fundingManager, "FundingRequestCreated");
+      return { id: ev ? ev.id.toNumber() : null, receipt };
+    },
+    endorse: (id, overrides = {}) => send(fundingManager.voteOnFundingByEndorser(id, overrides)),
+    /** Vote with your own power, or as delegate of `tokenHolder`. */
+    vote: async (id, inFavor, { tokenHolder, overrides = {} } = {}) => {
+      const holder = await account(tokenHolder);
+      return send(fundingManager.voteOnFundingByUser(id, inFavor, holder, overrides), {
+        account: holder,
+        voteType: "funding",
+      });
+    },
+    finalize: (id, overrides = {}) => send(fundingManager.finalizeFundingRequest(id, overrides)),
+    expire: (id, overrides = {}) => send(fundingManager.expireFundingRequest(id, overrides)),
+    /** CEO only: approve a passed request for minting. */
+    release: (id, overrides = {}) => send(fundingManager.releaseFundingRequest(id, overrides)),
+    mint: (id, overrides = {}) => send(fundingManager.mintTokensForFundingRequest(id, overrides)),
+    hasVoted: async (id, who) => fundingManager.fundingUsersVoted(id, await account(who)),
+  };
+
+  const ceoApi = {
+    /** @returns {Promise<CeoApplication>} */
+    get: async (id) => toCeoApplication(id, await dao.ceoApplications(id)),
+    count: async () => (await dao.nextCeoApplicationId()).toNumber(),
+    current: () => dao.currentCeo(),
+    /** Pay the $100 INV fee (approving it when needed) and apply for CEO. */
+    apply: async (overrides = {}) => {
+      await ensureFeeAllowance(await dao.CEO_APPLICATION_FEE());
+      const receipt = await send(dao.applyForCeo(overrides));
+      const ev = findEvent(receipt, dao, "CeoApplicationCreated");
+      return { id: ev ? ev.id.toNumber() : null, receipt };
+    },
+    endorse: (id, overrides = {}) => send(dao.voteOnCeoByEndorser(id, overrides)),
+    vote: async (id, inFavor, { tokenHolder, overrides = {} } = {}) => {
+      const holder = await account(tokenHolder);
+      return send(dao.voteOnCeoByUser(id, inFavor, holder, overrides), { account: holder, voteType: "ceo" });
+    },
+    finalize: (id, overrides = {}) => send(dao.finalizeCeoVote(id, overrides)),
+    expire: (id, overrides = {}) => send(dao.expireCeoApplication(id, overrides)),
+    activate: (overrides = {}) => send(dao.activateElectedCeo(overrides)),
+  };
+
+  const endorsersApi = {
+    active: () => dao.activeEndorserList(),
+    /** Pay the $50 INV fee (approving it when needed) and register as a candidate. */
+    register: async (overrides = {}) => {
+      await ensureFeeAllowance(await dao.ENDORSER_APPLICATION_FEE());
+      return send(dao.registerEndorserCandidate(overrides));
+    },
+    vote: (candidate, overrides = {}) => send(dao.voteForEndorser(candidate, overrides)),
+    challenge: (candidate, overrides = {}) => send(dao.challengeEndorser(candidate, overrides)),
+    renounce: (overrides = {}) => send(dao.renounceEndorserShip(overrides)),
+  };
+
+  const rewardsApi = {
+    /** Claimable INV for `who` on a finalized request (0 before finalization). */
+    pending: async (id, who) => fundingManager.getVotingReward(id, await account(who)),
+    claim: (id, overrides = {}) => send(fundingManager.claimReward(id, overrides)),
+  };
+
+  const exchangeApi = {
+    /** @returns {Promise<ExchangeState>} */
+    state: async (requestId) => toExchangeState(requestId, await dao.getExchangeState(requestId)),
+    /** Proposer only: burn INV-USD from an executed request and receive INV. */
+    exchange: (requestId, invUsdAmount, overrides = {}) =>
+      send(dao.exchangeInvUsdForInv(requestId, invUsdAmount, overrides)),
+    /** CEO only. */
+    setDailyLimit: (requestId, limitPercent, overrides = {}) =>
+      send(dao.setDailyExchangeLimit(requestId, limitPercent, overrides)),
+    invUsdBalance: async (who) => invUsd.balanceOf(await account(who)),
+  };
+
+  const tokenApi = {
+    balance: async (who) => dao.balanceOf(await account(who)),
+    votes: async (who) => dao.getVotes(await account(who)),
+    delegates: async (who) => dao.delegates(await account(who)),
+    delegate: (to, overrides = {}) => send(dao.delegate(to, overrides)),
+    /**
+     * Sign a gasless delegation (`kind` "delegation" or "delegateVP") as the
+     * connected signer; returns the JSON payload from `sdk/signatures`.
+     */
+    signDelegation: (kind, delegatee, { deadline, nonce } = {}) =>
+      signDelegation(dao, requireSigner(), { kind, delegatee, deadline, nonce }),
+    /** Submit someone's signed delegation payload, paying the gas. */
+    submitDelegation: (payload, overrides = {}) => {
+      const [method, args] = delegationCall(payload);
+      return send(dao[method](...args, overrides), { account: payload.signer });
+    },
+    /** Current lock amounts and unlock times for both vote types. */
+    locks: async (who) => {
+      const user = await account(who);
+      const [ceo, ceoUnlock, funding, fundingUnlock] = await Promise.all([
+        dao.lockedBalanceForCeoVote(user),
+        dao.tokenUnlockTimeForCeoVote(user),
+        dao.lockedBalanceForFundingVote(user),
+        dao.tokenUnlockTimeForFundingVote(user),
+      ]);
+      return {
+        ceo: { amount: ceo, unlockTime: ceoUnlock.toNumber() },
+        funding: { amount: funding, unlockTime: fundingUnlock.toNumber() },
+      };
+    },
+    /** Balance, locks, free tokens, delegation and age of `who`, with the restrictions that apply now. */
+    accountStatus: async (who) => accountStatus(dao, await account(who)),
+    unlock: (overrides = {}) => send(dao.unlockYourTokens(overrides)),
+    price: () => dao.getLatestUsdPrice(),
+  };
+
+  return {
+    addresses,
+    contracts,
+    send,
+    /** Decode a failed call or transaction from these contracts; see `describeError`. */
+    explain: (err, ctx = {}) => describeError(err, { iface: errorIface, dao, ctx }),
+    ensureFeeAllowance,
+    whitelist: whitelistApi,
+    funding: fundingApi,
+    ceo: ceoApi,
+    endorsers: endorsersApi,
+    rewards: rewardsApi,
+    exchange: exchangeApi,
+    token: tokenApi,
+    /** Same SDK with a different signer (e.g. another account on the same stack). */
+    connect: (other) => createSdk({ signerOrProvider: other, addressInfo, abis, confirmations }),
+  };
+}
+
+module.exports = {
+  createSdk,
+  loadAbis,
+  resolveAddresses,
+  findEvent,
+  PROPOSAL_STATUS,
+  WHITELIST_STATUS,
+  CEO_STATUS,
+  ABI_FILES,
+  ADDRESS_KEYS,
+  DaoError,
+  decodeRevertData,
+  describeError,
+  errorInterface,
+  signDelegation,
+  verifyDelegation,
+  votingModel,
+};
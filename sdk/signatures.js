@@ -0,0 +1,152 @@
+/* sdk/signatures.js — EIP-712 delegation payloads for delegateBySig and delegateVPbySig */
+
+const { ethers } = require("ethers");
+
+const PAYLOAD_VERSION = 1;
+
+// EIP712("INVTRON", "1") in the INVTRON_DAO constructor; used when signing offline
+const DOMAIN_NAME = "INVTRON";
+const DOMAIN_VERSION = "1";
+
+/**
+ * The two signed delegations. Both share the DAO's single `nonces(owner)`
+ * counter, so one account's payloads must be relayed in nonce order.
+ *
+ * - `delegation`: ERC20Votes voting power (`delegateBySig`, field `expiry`).
+ * - `delegateVP`: vote-by-proxy rights (`delegateVPbySig`, field `deadline`).
+ */
+const DELEGATION_KINDS = {
+  delegation: {
+    primaryType: "Delegation",
+    method: "delegateBySig",
+    deadlineField: "expiry",
+    types: {
+      Delegation: [
+        { name: "delegatee", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+      ],
+    },
+  },
+  delegateVP: {
+    primaryType: "DelegateVP",
+    method: "delegateVPbySig",
+    deadlineField: "deadline",
+    types: {
+      DelegateVP: [
+        { name: "delegatee", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    },
+  },
+};
+
+function kindOf(kind) {
+  const spec = DELEGATION_KINDS[kind];
+  if (!spec) throw new Error(`Unknown delegation kind "${kind}" (use ${Object.keys(DELEGATION_KINDS).join(" or ")})`);
+  return spec;
+}
+
+/** EIP-712 domain as served by the DAO's `eip712Domain()` (ERC-5267). */
+async function readDomain(dao) {
+  const { name, version, chainId, verifyingContract } = await dao.eip712Domain();
+  return { name, version, chainId: chainId.toNumber(), verifyingContract };
+}
+
+/** The DAO's domain without a node, for offline signing. */
+function offlineDomain(chainId, verifyingContract) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: Number(chainId),
+    verifyingContract: ethers.utils.getAddress(verifyingContract),
+  };
+}
+
+/**
+ * Sign a delegation and return the portable JSON payload. `domain` and `nonce`
+ * are read from `dao` unless given, so a fully specified call works offline.
+ *
+ * @param {ethers.Contract|null} dao INVTRON_DAO; may be null when domain and nonce are given.
+ * @param {ethers.Signer} signer Token holder signing the delegation.
+ * @param {object} opts
+ * @param {"delegation"|"delegateVP"} opts.kind
+ * @param {string} opts.delegatee
+ * @param {number} opts.deadline Unix time after which the signature is rejected.
+ * @param {number|string} [opts.nonce] Defaults to `dao.nonces(signer)`.
+ * @param {object} [opts.domain] Defaults to `readDomain(dao)`.
+ * @returns {Promise<object>} JSON-safe payload (numbers as decimal strings).
+ */
+async function signDelegation(dao, signer, { kind, delegatee, deadline, nonce, domain }) {
+  const spec = kindOf(kind);
+  const owner = await signer.getAddress();
+  if (!dao && (!domain || nonce === undefined)) throw new Error("Signing offline needs both the domain and the nonce");
+  const resolvedDomain = domain || (await readDomain(dao));
+  const resolvedNonce = nonce === undefined ? await dao.nonces(owner) : nonce;
+  const message = {
+    delegatee: ethers.utils.getAddress(delegatee),
+    nonce: ethers.BigNumber.from(resolvedNonce).toString(),
+    [spec.deadlineField]: ethers.BigNumber.from(deadline).toString(),
+  };
+  const signature = await signer._signTypedData(resolvedDomain, spec.types, message);
+  return {
+    version: PAYLOAD_VERSION,
+    kind,
+    signer: owner,
+    domain: resolvedDomain,
+    primaryType: spec.primaryType,
+    types: spec.types,
+    message,
+    signature,
+  };
+}
+
+/**
+ * Check a payload's shape and signature offline. Returns the problems found;
+ * an empty list means the signature recovers to `payload.signer`.
+ */
+function verifyDelegation(payload) {
+  const problems = [];
+  if (!payload || payload.version !== PAYLOAD_VERSION) {
+    return [`unsupported payload version ${payload && payload.version}`];
+  }
+  const spec = DELEGATION_KINDS[payload.kind];
+  if (!spec) return [`unknown kind ${payload.kind}`];
+  const { message = {} } = payload;
+  for (const field of ["delegatee", "nonce", spec.deadlineField]) {
+    if (message[field] === undefined) problems.push(`message.${field} is missing`);
+  }
+  if (problems.length) return problems;
+  try {
+    const recovered = ethers.utils.verifyTypedData(payload.domain, spec.types, message, payload.signature);
+    if (recovered.toLowerCase() !== String(payload.signer).toLowerCase()) {
+      problems.push(`signature recovers to ${recovered}, not ${payload.signer}`);
+    }
+  } catch (err) {
+    problems.push(`invalid signature: ${err.reason || err.message}`);
+  }
+  return problems;
+}
+
+/** Deadline (expiry for `delegation`) of a payload, as a number. */
+const payloadDeadline = (payload) => Number(payload.message[kindOf(payload.kind).deadlineField]);
+
+/** `[method, args]` submitting `payload` to the DAO. */
+function delegationCall(payload) {
+  const spec = kindOf(payload.kind);
+  const { v, r, s } = ethers.utils.splitSignature(payload.signature);
+  const { delegatee, nonce } = payload.message;
+  return [spec.method, [delegatee, nonce, payload.message[spec.deadlineField], v, r, s]];
+}
+
+module.exports = {
+  DELEGATION_KINDS,
+  PAYLOAD_VERSION,
+  readDomain,
+  offlineDomain,
+  signDelegation,
+  verifyDelegation,
+  payloadDeadline,
+  delegationCall,
+};
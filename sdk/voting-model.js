@@ -0,0 +1,207 @@
+/* sdk/voting-model.js — exact off-chain model of FundingManagerContract voting power and rewards */
+
+const { ethers } = require("ethers");
+
+const { BigNumber } = ethers;
+
+// Constants of FundingManagerContract._getVotingValueByVotes
+const BASE_RATE_BPS = 5; // 0.05%
+const MAX_RATE_BPS = 50; // 0.5%
+const MATURATION_PERIOD = 12 * 30 * 86400; // 12 months of 30 days
+const REQUEST_CAP_DIVISOR = 10; // a vote counts at most 10% of the request amount
+
+// Rewards and locks in voteOnFundingByUser / claimReward
+const REWARD_PERCENT = 22;
+const DELEGATOR_SHARE_PERCENT = 90;
+const LOCK_FACTOR = 200; // $1 of voting value locks $200 worth of INV
+
+const E28 = BigNumber.from(10).pow(28);
+const E30 = BigNumber.from(10).pow(30);
+
+const big = (v) => BigNumber.from(v);
+const min = (a, b) => (a.gt(b) ? b : a);
+
+/**
+ * Oracle answer scaled to 18 decimals, as `INVTRON_DAO.getLatestUsdPrice`
+ * (PriceLib.getLatestPrice) returns it.
+ * @param {ethers.BigNumberish} answer Raw `latestRoundData` answer.
+ * @param {number} feedDecimals
+ */
+function scalePrice(answer, feedDecimals) {
+  if (feedDecimals > 18) throw new Error(`Feed decimals ${feedDecimals} exceed 18 (OracleDecimalsTooLarge)`);
+  if (big(answer).lte(0)) throw new Error(`Oracle answer ${answer} is not positive (OraclePriceInvalid)`);
+  return big(answer).mul(big(10).pow(18 - feedDecimals));
+}
+
+/** Seconds `balanceAge` lies in the past; zero when it is not before `now`. */
+function holdingSeconds(balanceAge, now) {
+  return big(now).gt(balanceAge) ? big(now).sub(balanceAge).toNumber() : 0;
+}
+
+/** Funding vote rate in basis points after holding for `seconds`. */
+function rateBps(seconds) {
+  if (seconds >= MATURATION_PERIOD) return MAX_RATE_BPS;
+  const bonus = big(MAX_RATE_BPS - BASE_RATE_BPS).mul(seconds).div(MATURATION_PERIOD);
+  return BASE_RATE_BPS + bonus.toNumber();
+}
+
+/**
+ * `_getVotingValueByVotes`: time-weighted funding voting value in USD(6).
+ *
+ * @param {object} p
+ * @param {ethers.BigNumberish} p.votes `getPastVotes(who, snapshotBlock)`, INV(18).
+ * @param {ethers.BigNumberish} p.price `getLatestUsdPrice()`, 18 decimals.
+ * @param {ethers.BigNumberish} p.balanceAge `balanceAge(who)`.
+ * @param {number} p.now Timestamp of the block the vote is mined in.
+ * @param {ethers.BigNumberish} p.requestAmount Request `amount` (the soft cap), USD(6).
+ * @returns {{usdValue, holdingSeconds: number, rateBps: number, uncapped, cap, value, capped: boolean}}
+ *   Amounts are BigNumbers in USD(6); `value` is what the contract uses.
+ */
+function votingValue({ votes, price, balanceAge, now, requestAmount }) {
+  const usdValue = big(votes).mul(price).div(E30);
+  const held = holdingSeconds(balanceAge, now);
+  const rate = rateBps(held);
+  const uncapped = usdValue.mul(rate).div(10000);
+  const cap = big(requestAmount).div(REQUEST_CAP_DIVISOR);
+  return {
+    usdValue,
+    holdingSeconds: held,
+    rateBps: rate,
+    uncapped,
+    cap,
+    value: min(uncapped, cap),
+    capped: uncapped.gt(cap),
+  };
+}
+
+/** Largest USD(6) value `freeTokens` can back, given the 200× funding lock. */
+function lockCapacity(freeTokens, price) {
+  return big(freeTokens).mul(price).div(E30.mul(LOCK_FACTOR));
+}
+
+/** INV(18) locked for `usd6` of applied voting value. */
+function lockTokens(usd6, price) {
+  return big(usd6).mul(LOCK_FACTOR).mul(E30).div(price);
+}
+
+/**
+ * The vote `voteOnFundingByUser` registers: each leg is clamped by the value
+ * its free (unlocked) tokens can back, the total by the room left under the
+ * hard cap ("for") or by the amount raised so far ("against"), and the legs
+ * are scaled down proportionally to what was applied.
+ *
+ * The sender leg is the caller's own value. When voting for a token holder
+ * (`delegated`), the holder's value is the delegated leg; the contract stores
+ * it as `votingPowerAtVote` and the caller's leg as `delegateePowerAtVote`.
+ *
+ * @param {object} p
+ * @param {ethers.BigNumberish} p.senderValue `votingValue(...).value` of the caller.
+ * @param {ethers.BigNumberish} [p.delegatedValue=0] Same for the token holder.
+ * @param {boolean} [p.delegated=false] Caller votes for another token holder.
+ * @param {ethers.BigNumberish} p.senderFree `freeTokensForFunding(caller)`.
+ * @param {ethers.BigNumberish} [p.voterFree=0] `freeTokensForFunding(tokenHolder)`.
+ * @param {ethers.BigNumberish} p.price 18 decimals.
+ * @param {boolean} p.inFavor
+ * @param {object} p.request `hardCapAmount` (from details), `userVotesFor`, `userVotesAgainst`.
+ * @returns {{error: string|null, power, applied, appliedSender, appliedDelegated,
+ *   senderLock, delegatedLock, votingPower, delegateePower}}
+ *   `error` names the custom error the vote would revert with. The locks are
+ *   the INV(18) added to each account's funding lock.
+ */
+function registeredVote({
+  senderValue,
+  delegatedValue = 0,
+  delegated = false,
+  senderFree,
+  voterFree = 0,
+  price,
+  inFavor,
+  request,
+}) {
+  const zero = big(0);
+  const rawPower = big(senderValue).add(delegated ? delegatedValue : 0);
+  const sender = min(big(senderValue), lockCapacity(senderFree, price));
+  const other = delegated ? min(big(delegatedValue), lockCapacity(voterFree, price)) : zero;
+  const power = sender.add(other);
+  const result = (error, applied = zero, appliedSender = zero, appliedDelegated = zero) => ({
+    error,
+    power,
+    applied,
+    appliedSender,
+    appliedDelegated,
+    senderLock: appliedSender.gt(0) ? lockTokens(appliedSender, price) : zero,
+    delegatedLock: delegated && appliedDelegated.gt(0) ? lockTokens(appliedDelegated, price) : zero,
+    votingPower: delegated ? appliedDelegated : appliedSender,
+    delegateePower: delegated ? appliedSender : zero,
+  });
+  if (power.isZero()) return result(rawPower.gt(0) ? "TokensLocked" : "NoVotingPower");
+
+  const forVotes = big(request.userVotesFor);
+  const againstVotes = big(request.userVotesAgainst);
+  const hardCap = big(request.hardCapAmount);
+  const raised = min(forVotes.gt(againstVotes) ? forVotes.sub(againstVotes) : zero, hardCap);
+  const room = inFavor ? (hardCap.gt(raised) ? hardCap.sub(raised) : zero) : raised;
+  const applied = min(power, room);
+  if (applied.isZero()) return result("NoVotingPower");
+
+  let appliedSender = sender;
+  let appliedDelegated = other;
+  if (applied.lt(power)) {
+    appliedSender = sender.mul(applied).div(power);
+    appliedDelegated = applied.sub(appliedSender);
+  }
+  return result(null, applied, appliedSender, appliedDelegated);
+}
+
+/** `_toInv`: INV(18) reward for `usd6` of registered vote, 22% at `price` (18 decimals). */
+function toInv(usd6, price) {
+  return big(usd6).mul(REWARD_PERCENT).mul(E28).div(price);
+}
+
+/**
+ * `_payoutParts` for one voter.
+ * @param {object} p
+ * @param {boolean} p.correct The vote matched the outcome (for and Executed, or against and Defeated).
+ * @param {string} p.delegatee `delegateAtVote`, or the zero address.
+ * @param {ethers.BigNumberish} p.votingPower `votingPowerAtVote`, USD(6).
+ * @param {ethers.BigNumberish} p.delegateePower `delegateePowerAtVote`, USD(6).
+ * @param {ethers.BigNumberish} p.price Price when the reward is read or claimed.
+ */
+function payoutParts({ correct, delegatee, votingPower, delegateePower, price }) {
+  if (!correct) return { delegatee: ethers.constants.AddressZero, baseInv: big(0), delegateInv: big(0) };
+  return { delegatee, baseInv: toInv(votingPower, price), delegateInv: toInv(delegateePower, price) };
+}
+
+/**
+ * Reward split of `claimReward`. With a delegate the voter keeps 90% of their
+ * own part and the delegate receives the rest of both parts; `voter` is what
+ * `getVotingReward` reports.
+ * @param {{delegatee: string, baseInv, delegateInv}} parts From `payoutParts`.
+ * @returns {{voter, delegatee, total}} INV(18) BigNumbers.
+ */
+function rewardSplit({ delegatee, baseInv, delegateInv }) {
+  const total = big(baseInv).add(delegateInv);
+  if (delegatee === ethers.constants.AddressZero) return { voter: total, delegatee: big(0), total };
+  const voter = big(baseInv).mul(DELEGATOR_SHARE_PERCENT).div(100);
+  return { voter, delegatee: total.sub(voter), total };
+}
+
+module.exports = {
+  BASE_RATE_BPS,
+  MAX_RATE_BPS,
+  MATURATION_PERIOD,
+  REQUEST_CAP_DIVISOR,
+  REWARD_PERCENT,
+  DELEGATOR_SHARE_PERCENT,
+  LOCK_FACTOR,
+  scalePrice,
+  holdingSeconds,
+  rateBps,
+  votingValue,
+  lockCapacity,
+  lockTokens,
+  registeredVote,
+  toInv,
+  payoutParts,
+  rewardSplit,
+};
@@ -0,0 +1,47 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+task("dao:abi-diff", "Diff the published info/ ABIs against the compiled contracts and report UI migrations")
+  .addOptionalParam("infoDir", "Directory with the published ABIs", "info")
+  .addOptionalParam("report", "Also write the Markdown migration report to this file")
+  .addFlag("json", "Print the changes as JSON instead of the report")
+  .addFlag("write", "Update the published ABIs that changed; refused on breaking changes")
+  .addFlag("force", "With --write, update the published ABIs even on breaking changes")
+  .setAction(async (args, hre) => {
+    const { diffUiAbis, migrationReport, updatePublishedAbis } = require("../scripts/lib/abi-diff");
+    const { UI_ABIS } = require("../scripts/lib/deploy-engine");
+    const root = hre.config.paths.root;
+    const infoDir = path.resolve(root, args.infoDir);
+
+    await hre.run("compile", { quiet: true });
+    const compiled = {};
+    for (const { contract } of UI_ABIS) compiled[contract] = (await hre.artifacts.readArtifact(contract)).abi;
+    let diff;
+    try {
+      diff = diffUiAbis(infoDir, compiled);
+    } catch (err) {
+      throw new HardhatPluginError("dao", `Could not read the published ABIs: ${err.message}`, err);
+    }
+
+    const report = migrationReport(diff);
+    console.log(args.json ? JSON.stringify(diff, null, 2) : report);
+    if (args.report) {
+      const out = path.resolve(root, args.report);
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, report);
+      console.log(`📝 Migration report written to ${out}`);
+    }
+
+    if (args.write) {
+      let written;
+      try {
+        written = updatePublishedAbis(diff, { infoDir, force: args.force });
+      } catch (err) {
+        throw new HardhatPluginError("dao", err.message, err);
+      }
+      if (!written.length) console.log("✅ Published ABIs are up to date");
+    }
+    return diff;
+  });
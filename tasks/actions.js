@@ -0,0 +1,81 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+/**
+ * Declare a governance action task. Every action shares --addresses, --from and
+ * --dry-run; `params(args, hre)` maps the task arguments onto `runAction` params.
+ */
+function actionTask(name, description, { fee = false, params = () => ({}) } = {}) {
+  const t = task(`dao:${name}`, description)
+    .addOptionalParam(
+      "addresses",
+      "addressInfo.json or a dao:sandbox map with the contract addresses",
+      path.join("info", "addressInfo.json")
+    )
+    .addOptionalParam("from", "Configured account to send from (defaults to the first)")
+    .addFlag("dryRun", "Only run the checks and simulate the call; nothing is sent");
+  if (fee) t.addFlag("approve", "Approve the INV fee for the DAO when the allowance is short");
+  t.setAction(async (args, hre) => {
+    const { sdkForTask } = require("../scripts/lib/task-sdk");
+    const { runAction } = require("../scripts/lib/governance-actions");
+    const sdk = await sdkForTask(hre, { addresses: args.addresses, from: args.from });
+    try {
+      return await runAction(sdk, name, await params(args, hre), {
+        dryRun: args.dryRun,
+        approve: Boolean(args.approve),
+      });
+    } catch (err) {
+      // Failed checks and decoded reverts are expected outcomes: report them without a stack trace
+      throw new HardhatPluginError("dao", err.message, err);
+    }
+  });
+  return t;
+}
+
+actionTask("apply-ceo", "Apply for CEO (whitelisted holders worth the CEO balance minimum)", { fee: true });
+
+actionTask("register-endorser", "Register the sender as an endorser candidate", { fee: true });
+
+actionTask("vote-endorser", "Support an endorser candidate with the sender's balance", {
+  params: ({ candidate }) => ({ candidate }),
+}).addParam("candidate", "Candidate address");
+
+actionTask("challenge", "Promote a candidate into the active endorser set", {
+  params: ({ candidate }) => ({ candidate }),
+}).addParam("candidate", "Candidate address");
+
+actionTask("create-funding", "Open a funding request described by a JSON file", {
+  fee: true,
+  params: ({ file }, hre) => {
+    const { readFundingDetails } = require("../scripts/lib/governance-actions");
+    return { details: readFundingDetails(path.resolve(hre.config.paths.root, file)) };
+  },
+}).addParam("file", "JSON with the FundingDetails fields; amounts in USD");
+
+for (const [name, description] of [
+  ["vote-funding", "Vote on an active funding request"],
+  ["vote-ceo", "Vote on an active CEO application"],
+]) {
+  actionTask(name, description, {
+    params: ({ id, against, tokenHolder }) => ({ id, inFavor: !against, tokenHolder }),
+  })
+    .addParam("id", "Proposal id", undefined, types.int)
+    .addFlag("against", "Vote against (default is in favour)")
+    .addOptionalParam("tokenHolder", "Vote as voting delegate of this holder");
+}
+
+actionTask("finalize", "Close a vote after its deadline (mints passed, released funding requests)", {
+  params: ({ type, id }) => {
+    if (!["ceo", "funding"].includes(type)) throw new Error(`--type must be ceo or funding, got ${type}`);
+    return { type, id };
+  },
+})
+  .addParam("type", "ceo or funding")
+  .addParam("id", "Proposal id", undefined, types.int);
+
+actionTask("claim", "Claim the INV reward for a vote on a finalized funding request", {
+  params: ({ id }) => ({ id }),
+}).addParam("id", "Funding request id", undefined, types.int);
+
+actionTask("unlock", "Release the sender's expired vote locks");
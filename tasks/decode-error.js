@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+// Vote entry points whose TokensAlreadyLocked refers to a specific lock
+const VOTE_TYPES = {
+  voteOnCeoByUser: "ceo",
+  voteOnFundingByUser: "funding",
+};
+
+/** Recover account and vote type from the calldata of a failed vote. */
+async function voteContext(hre, tx) {
+  for (const name of ["INVTRON_DAO", "FundingManagerContract"]) {
+    const { abi } = await hre.artifacts.readArtifact(name);
+    try {
+      const parsed = new hre.ethers.utils.Interface(abi).parseTransaction({ data: tx.data });
+      const voteType = VOTE_TYPES[parsed.name];
+      if (voteType) return { voteType, account: parsed.args.tokenHolder };
+    } catch {
+      // not this contract's function
+    }
+  }
+  return {};
+}
+
+function defaultDaoAddress(root) {
+  const file = path.join(root, "info", "addressInfo.json");
+  if (!fs.existsSync(file)) return null;
+  try {
+    const { resolveAddresses } = require("../sdk");
+    return resolveAddresses(JSON.parse(fs.readFileSync(file, "utf8"))).dao;
+  } catch {
+    return null;
+  }
+}
+
+task("dao:decode-error", "Decode revert data or a failed transaction into an Errors.* name and explanation")
+  .addPositionalParam("input", "Revert data (0x…) or the hash of a reverted transaction")
+  .addOptionalParam("dao", "INVTRON_DAO address used to look up unlock times (defaults to info/addressInfo.json)")
+  .addOptionalParam("account", "Account whose locks explain TokensLocked / TokensAlreadyLocked")
+  .addOptionalParam("voteType", "ceo or funding, for TokensAlreadyLocked", undefined, types.string)
+  .setAction(async ({ input, dao, account, voteType }, hre) => {
+    const { artifactErrorInterface } = require("../scripts/lib/error-report");
+    const { decodeRevertData, describeError, replayRevertData } = require("../sdk/errors");
+    const { ethers } = hre;
+
+    const iface = await artifactErrorInterface(hre);
+    const ctx = { account, voteType };
+    let data = input;
+
+    if (/^0x[0-9a-fA-F]{64}$/.test(input)) {
+      const tx = await ethers.provider.getTransaction(input);
+      if (tx) {
+        const receipt = await ethers.provider.getTransactionReceipt(input);
+        if (receipt && receipt.status === 1) {
+          console.log(`✅ ${input} succeeded in block ${receipt.blockNumber}; nothing to decode.`);
+          return null;
+        }
+        data = await replayRevertData(ethers.provider, tx);
+        if (!data) {
+          console.log("⚠️  Replaying the transaction did not revert; the failure depended on same-block state.");
+          return null;
+        }
+        const inferred = await voteContext(hre, tx);
+        ctx.voteType = ctx.voteType || inferred.voteType;
+        ctx.account = ctx.account || inferred.account || tx.from;
+        console.log(`ℹ️  Revert data from ${input}: ${data}`);
+      }
+      // Not a known transaction: fall through and try it as revert data
+    }
+
+    if (!ethers.utils.isHexString(data)) throw new Error(`Not hex revert data or a tx hash: ${input}`);
+    if (!decodeRevertData(data, iface)) {
+      console.log(`❓ Unknown selector ${data.slice(0, 10)}; it matches no compiled or published ABI.`);
+      return null;
+    }
+
+    const daoAddress = dao || defaultDaoAddress(hre.config.paths.root);
+    let daoContract;
+    if (daoAddress && ctx.account) {
+      const { abi } = await hre.artifacts.readArtifact("INVTRON_DAO");
+      daoContract = new ethers.Contract(daoAddress, abi, ethers.provider);
+    }
+    const described = await describeError({ data }, { iface, dao: daoContract, ctx });
+    console.log(`🔎 ${described.signature}`);
+    for (const [key, value] of Object.entries(described.args)) console.log(`   ${key}: ${value}`);
+    console.log(`💬 ${described.explanation}`);
+    return described;
+  });
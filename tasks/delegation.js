@@ -0,0 +1,104 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+/** Signer for `dao:sign-delegation`: env private key, keystore, or a configured account. */
+async function delegationSigner(hre, { keyEnv, keystore, passwordEnv, from }) {
+  const { ethers } = hre;
+  if (keyEnv) {
+    const key = process.env[keyEnv];
+    if (!key) throw new HardhatPluginError("dao", `Environment variable ${keyEnv} is not set`);
+    return new ethers.Wallet(key);
+  }
+  if (keystore) {
+    const password = process.env[passwordEnv];
+    if (password === undefined) throw new HardhatPluginError("dao", `Environment variable ${passwordEnv} is not set`);
+    const json = fs.readFileSync(path.resolve(hre.config.paths.root, keystore), "utf8");
+    return ethers.Wallet.fromEncryptedJson(json, password);
+  }
+  const signers = await ethers.getSigners();
+  const signer = from ? signers.find((s) => s.address.toLowerCase() === from.toLowerCase()) : signers[0];
+  if (!signer) throw new HardhatPluginError("dao", `--from ${from} is not one of the configured accounts`);
+  return signer;
+}
+
+task("dao:sign-delegation", "Sign an EIP-712 delegation for delegateBySig or delegateVPbySig")
+  .addParam("delegatee", "Address receiving the delegation")
+  .addOptionalParam("kind", "delegateVP (vote-by-proxy rights) or delegation (voting power)", "delegateVP")
+  .addOptionalParam("deadline", "Unix time the signature expires", undefined, types.int)
+  .addOptionalParam("expiresIn", "Seconds until the signature expires, if no --deadline", 86400, types.int)
+  .addOptionalParam("nonce", "Signer nonce; read from nonces(owner) when omitted")
+  .addOptionalParam("chainId", "Chain id; with --nonce, signs without contacting a node", undefined, types.int)
+  .addOptionalParam("keyEnv", "Environment variable holding the signer's private key")
+  .addOptionalParam("keystore", "Encrypted JSON keystore of the signer")
+  .addOptionalParam("passwordEnv", "Environment variable holding the keystore password", "KEYSTORE_PASSWORD")
+  .addOptionalParam("from", "Configured account to sign with, if no key or keystore")
+  .addOptionalParam(
+    "addresses",
+    "addressInfo.json or a dao:sandbox map with the contract addresses",
+    path.join("info", "addressInfo.json")
+  )
+  .addOptionalParam("out", "Write the payload to this file instead of printing it")
+  .setAction(async (args, hre) => {
+    const { readAddressInfo, sdkForTask, resolveAddresses } = require("../scripts/lib/task-sdk");
+    const { signDelegation, offlineDomain, DELEGATION_KINDS } = require("../sdk/signatures");
+    if (!DELEGATION_KINDS[args.kind]) {
+      throw new HardhatPluginError("dao", `--kind must be ${Object.keys(DELEGATION_KINDS).join(" or ")}`);
+    }
+    const signer = await delegationSigner(hre, args);
+    const offline = args.nonce !== undefined && args.chainId !== undefined;
+
+    let dao = null;
+    let domain;
+    let now = Math.floor(Date.now() / 1000);
+    if (offline) {
+      domain = offlineDomain(args.chainId, resolveAddresses(readAddressInfo(hre, args.addresses)).dao);
+    } else {
+      dao = (await sdkForTask(hre, { addresses: args.addresses, signer: hre.ethers.provider })).contracts.dao;
+      now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    }
+    const deadline = args.deadline !== undefined ? args.deadline : now + args.expiresIn;
+    const payload = await signDelegation(dao, signer, {
+      kind: args.kind,
+      delegatee: args.delegatee,
+      deadline,
+      nonce: args.nonce,
+      domain,
+    });
+
+    const json = JSON.stringify(payload, null, 2);
+    if (args.out) {
+      fs.writeFileSync(path.resolve(hre.config.paths.root, args.out), json + "\n");
+      console.log(`✍️  ${args.kind} ${payload.signer} → ${payload.message.delegatee} written to ${args.out}`);
+    } else {
+      console.log(json);
+    }
+    return payload;
+  });
+
+task("dao:relay-delegations", "Submit signed delegation payloads from a relayer account")
+  .addVariadicPositionalParam("payloads", "JSON files holding one payload or an array of payloads")
+  .addOptionalParam(
+    "addresses",
+    "addressInfo.json or a dao:sandbox map with the contract addresses",
+    path.join("info", "addressInfo.json")
+  )
+  .addOptionalParam("from", "Configured relayer account (defaults to the first)")
+  .addFlag("dryRun", "Check and simulate the payloads without sending")
+  .setAction(async ({ payloads, addresses, from, dryRun }, hre) => {
+    const { sdkForTask } = require("../scripts/lib/task-sdk");
+    const { readPayloads, relayDelegations } = require("../scripts/lib/relayer");
+    const files = payloads.map((file) => path.resolve(hre.config.paths.root, file));
+    const sdk = await sdkForTask(hre, { addresses, from });
+    const results = await relayDelegations(sdk, readPayloads(files), { dryRun });
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+    console.log(
+      `\n${count(dryRun ? "simulated" : "relayed")} ${dryRun ? "simulated" : "relayed"}, ` +
+        `${count("skipped")} skipped, ${count("rejected")} rejected`
+    );
+    // Skipped payloads may succeed later; conflicts and reverts need a new signature
+    if (count("rejected")) throw new HardhatPluginError("dao", `${count("rejected")} payload(s) rejected`);
+    return results;
+  });
@@ -0,0 +1,22 @@
+const path = require("path");
+const { scope } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+// `ignition deploy` skips the deployment engine, so it gets the engine's mainnet-profile check here
+scope("ignition")
+  .task("deploy")
+  .setAction(async (args, hre, runSuper) => {
+    const { readIgnitionParameters, assertIgnitionGovernance } = require("../scripts/lib/ignition-guard");
+    const { MAINNET_CHAIN_IDS } = require("../scripts/lib/governance-profiles");
+    const chainId = Number(await hre.network.provider.request({ method: "eth_chainId" }));
+    if (MAINNET_CHAIN_IDS.includes(chainId)) {
+      try {
+        const ignitionModule = require(path.resolve(args.modulePath));
+        const parameters = readIgnitionParameters(hre.config.paths.ignition, ignitionModule.id, args.parameters);
+        assertIgnitionGovernance(chainId, ignitionModule, parameters);
+      } catch (err) {
+        throw new HardhatPluginError("dao", err.message, err);
+      }
+    }
+    return runSuper(args);
+  });
@@ -0,0 +1,16 @@
+// Hardhat tasks for operating the INVTRON DAO. Loaded from hardhat.config.js.
+require("./sandbox");
+require("./decode-error");
+require("./indexer");
+require("./status");
+require("./actions");
+require("./delegation");
+require("./keeper");
+require("./safe");
+require("./preflight");
+require("./verify");
+require("./abi");
+require("./ignition");
+require("./oracle");
+require("./scenario");
+require("./whitelist");
@@ -0,0 +1,48 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+task("dao:index", "Index DAO events into a local store and serve them over HTTP")
+  .addOptionalParam(
+    "addresses",
+    "addressInfo.json or a dao:sandbox map with the contract addresses",
+    path.join("info", "addressInfo.json")
+  )
+  .addOptionalParam("store", "Store file (defaults to indexer/data/chain-<chainId>.json)")
+  .addOptionalParam("fromBlock", "First block to index for a new store", 0, types.int)
+  .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+  .addOptionalParam("port", "HTTP port for the query API", 8787, types.int)
+  .addOptionalParam("interval", "Polling interval in ms", 2000, types.int)
+  .addFlag("once", "Catch up to the head and exit without serving")
+  .setAction(async (args, hre) => {
+    const { openStore, createIndexer, createApiServer } = require("../indexer");
+    const { artifactAbis, readAddressInfo, resolveAddresses } = require("../scripts/lib/task-sdk");
+    const root = hre.config.paths.root;
+
+    const addresses = resolveAddresses(readAddressInfo(hre, args.addresses));
+    const abis = await artifactAbis(hre);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const file = path.resolve(root, args.store || path.join("indexer", "data", `chain-${chainId}.json`));
+    const store = openStore(file, { chainId, addresses, startBlock: args.fromBlock });
+    const indexer = createIndexer({
+      provider: hre.ethers.provider,
+      addresses,
+      abis,
+      store,
+      confirmations: args.confirmations,
+    });
+
+    const added = await indexer.syncToHead();
+    const at = store.cursor() ? `#${store.cursor().number}` : "(nothing to index yet)";
+    console.log(`📥 ${added} new event(s); ${store.events().length} in ${file} up to ${at}`);
+    if (args.once) return store;
+
+    const server = createApiServer(store);
+    await new Promise((resolve) => server.listen(args.port, resolve));
+    console.log(`🌐 Query API on http://localhost:${args.port} (Ctrl+C to stop)`);
+    process.once("SIGINT", () => {
+      indexer.stop();
+      server.close();
+    });
+    await indexer.run({ intervalMs: args.interval });
+    return store;
+  });
@@ -0,0 +1,64 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+task("dao:keeper", "Send expiry, finalization, CEO activation and unlock calls as their deadlines pass")
+  .addOptionalParam(
+    "addresses",
+    "addressInfo.json or a dao:sandbox map with the contract addresses",
+    path.join("info", "addressInfo.json")
+  )
+  .addOptionalParam("schedule", "Schedule file (defaults to keeper/data/chain-<chainId>.json)")
+  .addOptionalParam("from", "Configured account that sends the calls (defaults to the first)")
+  .addOptionalParam(
+    "unlockAccounts",
+    "Comma-separated configured accounts whose expired vote locks are released (defaults to --from)"
+  )
+  .addOptionalParam("interval", "Polling interval in ms", 30000, types.int)
+  .addFlag("once", "Run one pass and exit")
+  .addFlag("simulate", "Simulate due calls and report them without sending")
+  .setAction(async (args, hre) => {
+    const { openSchedule, createKeeper } = require("../keeper");
+    const { sdkForTask } = require("../scripts/lib/task-sdk");
+    let keeper;
+    try {
+      const sdk = await sdkForTask(hre, { addresses: args.addresses, from: args.from });
+      const keeperAccount = sdk.contracts.dao.signer;
+      const signers = await hre.ethers.getSigners();
+      const unlockSigners = args.unlockAccounts
+        ? args.unlockAccounts.split(",").map((address) => {
+            const signer = signers.find((s) => s.address.toLowerCase() === address.trim().toLowerCase());
+            if (!signer) throw new Error(`--unlock-accounts ${address} is not one of the configured accounts`);
+            return signer;
+          })
+        : [keeperAccount];
+
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const root = hre.config.paths.root;
+      const file = path.resolve(root, args.schedule || path.join("keeper", "data", `chain-${chainId}.json`));
+      const schedule = openSchedule(file, { chainId, addresses: sdk.addresses });
+      keeper = createKeeper({ sdk, schedule, unlockSigners, simulate: args.simulate });
+    } catch (err) {
+      throw new HardhatPluginError("dao", err.message, err);
+    }
+
+    const mode = args.simulate ? " (simulating)" : "";
+    if (args.once) {
+      const { results, next } = await keeper.tick();
+      const count = (status) => results.filter((r) => r.status === status).length;
+      console.log(
+        `🔧 ${count("done")} sent, ${count("simulated")} simulated, ${count("waiting")} waiting, ` +
+          `${count("failed")} failed${mode}`
+      );
+      if (next) {
+        const due = new Date(next.dueAt * 1000).toISOString();
+        console.log(`⏰ Next: ${next.method}(${next.args.join(", ")}) due ${due}`);
+      }
+      return results;
+    }
+
+    console.log(`🔧 Keeper running${mode}; schedule in ${keeper.schedule.file} (Ctrl+C to stop)`);
+    process.once("SIGINT", () => keeper.stop());
+    await keeper.run({ intervalMs: args.interval });
+    return keeper.schedule;
+  });
@@ -0,0 +1,18 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+task("dao:oracle-scenarios", "Drive the mock price feed through scripted paths and report which calls revert")
+  .addOptionalParam("scenario", "Comma-separated scenario names (default: all)")
+  .addFlag("json", "Print the results as JSON")
+  .setAction(async (args, hre) => {
+    const { SCENARIOS, runOracleScenarios, oracleScenarioReport } = require("../scripts/lib/oracle-scenarios");
+    const names = args.scenario ? args.scenario.split(/\s*,\s*/).filter(Boolean) : Object.keys(SCENARIOS);
+    let results;
+    try {
+      results = await runOracleScenarios(hre, { names });
+    } catch (err) {
+      throw new HardhatPluginError("dao", err.message, err);
+    }
+    console.log(args.json ? JSON.stringify(results, null, 2) : oracleScenarioReport(results));
+    return results;
+  });
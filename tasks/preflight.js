@@ -0,0 +1,39 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+task("dao:preflight", "Read-only checks of the deployment inputs against the target chain; fails on any problem")
+  .addOptionalParam(
+    "constructorEnv",
+    "Constructor file to check (default: constructor.<network>.env, else constructor.env)"
+  )
+  .addOptionalParam("deployer", "Deployer address for the balance check (default: the configured signer)")
+  .addFlag("json", "Print the checks and gas measurement as JSON")
+  .setAction(async (args, hre) => {
+    const { loadDeployConfig } = require("../scripts/lib/deploy-config");
+    const { runPreflight } = require("../scripts/lib/preflight");
+    const { printChecks } = require("../scripts/lib/check-report");
+    let report;
+    try {
+      const { constructorArgs, multisig } = loadDeployConfig({
+        network: hre.network.name,
+        constructorFile: args.constructorEnv && path.resolve(hre.config.paths.root, args.constructorEnv),
+        deployer: false,
+      });
+      report = await runPreflight(hre, { constructorArgs, multisig, deployer: args.deployer });
+    } catch (err) {
+      throw new HardhatPluginError("dao", err.message, err);
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printChecks(report.checks);
+      for (const step of report.gas.steps) console.log(`  ${step.id}: ${step.gasUsed} gas`);
+      console.log(`  total: ${report.gas.total} gas\n`);
+    }
+    const failed = report.checks.filter((c) => !c.ok).length;
+    if (failed) throw new HardhatPluginError("dao", `${failed} of ${report.checks.length} preflight checks failed`);
+    console.log(`✅ All ${report.checks.length} preflight checks passed`);
+    return report;
+  });
@@ -0,0 +1,53 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+task("dao:safe-batch", "Export CEO calls as a Safe Transaction Builder batch, simulated as the CEO first")
+  .addVariadicPositionalParam(
+    "intents",
+    'Intents such as "daily-limit id=4 percent=10" or "approve-whitelist csv=wallets.csv", or JSON files of them'
+  )
+  .addOptionalParam(
+    "addresses",
+    "addressInfo.json or a dao:sandbox map with the contract addresses",
+    path.join("info", "addressInfo.json")
+  )
+  .addOptionalParam("safe", "Safe holding the CEO seat (defaults to currentCeo)")
+  .addOptionalParam("out", "Batch file to write", "safe-batch.json")
+  .addOptionalParam("name", "Batch name shown in the Transaction Builder")
+  .addOptionalParam("chainId", "Chain id written to the batch (e.g. the forked chain's)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { sdkForTask } = require("../scripts/lib/task-sdk");
+    const { parseIntents, planIntents, toSafeBatch, simulateBatch } = require("../scripts/lib/safe-batch");
+    const root = hre.config.paths.root;
+    try {
+      const sdk = await sdkForTask(hre, { addresses: args.addresses, signer: hre.ethers.provider });
+      const safe = args.safe || (await sdk.contracts.dao.currentCeo());
+      if (!hre.ethers.utils.isAddress(safe) || safe === hre.ethers.constants.AddressZero) {
+        throw new Error("No CEO is active; pass --safe");
+      }
+
+      const { calls, skipped } = await planIntents(sdk, parseIntents(args.intents, root), { baseDir: root });
+      for (const s of skipped) console.log(`⏭️  ${s.item}: ${s.reason} (${s.source})`);
+      if (!calls.length) throw new Error("Nothing to export: the intents produced no calls");
+
+      const chainId = args.chainId || (await hre.ethers.provider.getNetwork()).chainId;
+      const batch = toSafeBatch(sdk, calls, { chainId, safe, name: args.name });
+      const { ok, results } = await simulateBatch(hre.ethers.provider, batch, { from: safe, explain: sdk.explain });
+      calls.forEach((c, i) => {
+        const r = results[i];
+        const outcome = !r ? "not reached" : r.ok ? `ok, gas ${r.gasUsed}` : `❌ ${r.error}`;
+        console.log(`  ${i + 1}. ${c.contract}.${c.method}: ${c.note} — ${outcome}`);
+      });
+      if (!ok) throw new Error("Simulation failed; no batch written");
+
+      const out = path.resolve(root, args.out);
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, JSON.stringify(batch, null, 2) + "\n");
+      console.log(`✅ ${calls.length} call(s) for Safe ${safe} written to ${out}`);
+      return batch;
+    } catch (err) {
+      throw new HardhatPluginError("dao", err.message, err);
+    }
+  });
@@ -0,0 +1,24 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+
+task("dao:sandbox", "Deploy a fresh local stack and seed it with every proposal state")
+  .addOptionalParam(
+    "out",
+    "JSON file receiving the account/role map and contract addresses",
+    path.join("info", "sandbox.json")
+  )
+  .setAction(async ({ out }, hre) => {
+    const { seedSandbox } = require("../scripts/lib/sandbox");
+    if (hre.network.name === "hardhat") {
+      console.warn(
+        "⚠️  The in-process Hardhat network is discarded when this task exits. " +
+          "Start `npx hardhat node` and rerun with `--network localhost` to keep the sandbox."
+      );
+    }
+    const result = await seedSandbox(hre, { out: path.resolve(hre.config.paths.root, out) });
+    for (const a of result.accounts) {
+      console.log(`  ${a.name.padEnd(10)} ${a.address}  ${a.roles.join(", ")}`);
+    }
+    console.log("Funding requests:", result.fundingRequests);
+    console.log("CEO applications:", result.ceoApplications);
+  });
@@ -0,0 +1,42 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+task("dao:scenario", "Run declarative governance scenarios (YAML/JSON) on a fresh local stack and report differences")
+  .addOptionalVariadicPositionalParam("files", "Scenario files (default: every .yaml, .yml and .json in scenarios/)")
+  .addFlag("json", "Print the results as JSON")
+  .setAction(async (args, hre) => {
+    const { scenarioFiles, runScenarioFiles } = require("../scripts/lib/governance-scenario");
+    const { printChecks, failedChecks } = require("../scripts/lib/check-report");
+    const root = hre.config.paths.root;
+    const files = args.files
+      ? args.files.map((f) => path.resolve(root, f))
+      : scenarioFiles(path.join(root, "scenarios"));
+    if (!files.length) throw new HardhatPluginError("dao", "No scenario files given or found in scenarios/");
+
+    let results;
+    try {
+      results = await runScenarioFiles(hre, files);
+    } catch (err) {
+      throw new HardhatPluginError("dao", err.message, err);
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      for (const r of results) {
+        console.log(`\n${r.ok ? "✅" : "❌"} ${r.name} (${path.relative(root, r.file)})`);
+        printChecks(r.checks);
+      }
+    }
+    const failed = results.filter((r) => !r.ok);
+    if (failed.length) {
+      const diffs = failed.flatMap((r) => failedChecks(r.checks).map((line) => `  - ${r.name}: ${line}`));
+      throw new HardhatPluginError(
+        "dao",
+        `${failed.length} of ${results.length} scenario(s) differ from their expectations:\n${diffs.join("\n")}`
+      );
+    }
+    console.log(`✅ All ${results.length} scenario(s) matched their expectations`);
+    return results;
+  });
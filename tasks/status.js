@@ -0,0 +1,43 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+task("dao:status", "Print the current governance state (CEO, open proposals, endorsers, supply)")
+  .addOptionalParam(
+    "addresses",
+    "addressInfo.json or a dao:sandbox map with the contract addresses",
+    path.join("info", "addressInfo.json")
+  )
+  .addFlag("json", "Print machine-readable JSON instead of the dashboard")
+  .setAction(async ({ addresses, json }, hre) => {
+    const { sdkForTask } = require("../scripts/lib/task-sdk");
+    const { collectStatus, statusToJson, renderStatus } = require("../scripts/lib/dao-status");
+    const sdk = await sdkForTask(hre, { addresses, signer: hre.ethers.provider });
+    const status = await collectStatus(sdk);
+    if (json) console.log(JSON.stringify(statusToJson(status), null, 2));
+    else renderStatus(status);
+    return status;
+  });
+
+task("dao:account", "Explain what one account can vote, delegate and transfer right now, and when that changes")
+  .addOptionalPositionalParam("account", "Address to report on (defaults to the first configured account)")
+  .addOptionalParam(
+    "addresses",
+    "addressInfo.json or a dao:sandbox map with the contract addresses",
+    path.join("info", "addressInfo.json")
+  )
+  .addFlag("json", "Print machine-readable JSON instead of the report")
+  .setAction(async ({ account, addresses, json }, hre) => {
+    const { sdkForTask } = require("../scripts/lib/task-sdk");
+    const { statusToJson, renderAccountStatus } = require("../scripts/lib/dao-status");
+    const [first] = await hre.ethers.getSigners();
+    const who = account || (first && first.address);
+    if (!who || !hre.ethers.utils.isAddress(who)) {
+      throw new HardhatPluginError("dao", `Not an address: ${who}`);
+    }
+    const sdk = await sdkForTask(hre, { addresses, signer: hre.ethers.provider });
+    const report = await sdk.token.accountStatus(who);
+    if (json) console.log(JSON.stringify(statusToJson(report), null, 2));
+    else renderAccountStatus(report);
+    return report;
+  });
@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+task("dao:verify-deployment", "Check a deployment's wiring, roles, bytecode and published ABIs; fails on any mismatch")
+  .addOptionalParam(
+    "addresses",
+    "addressInfo.json or a dao:sandbox map with the contract addresses",
+    path.join("info", "addressInfo.json")
+  )
+  .addOptionalParam(
+    "constructorEnv",
+    "Constructor arguments the deployment used (default: constructor.<network>.env, else constructor.env)"
+  )
+  .addOptionalParam("manifests", "Deployment manifest directory (defaults to deployments/)")
+  .addFlag("json", "Print the checks as JSON")
+  .setAction(async (args, hre) => {
+    const dotenv = require("dotenv");
+    const { readAddressInfo } = require("../scripts/lib/task-sdk");
+    const { loadDeployConfig } = require("../scripts/lib/deploy-config");
+    const { constructorEnvFile } = require("../scripts/lib/networks");
+    const { verifyDeployment } = require("../scripts/lib/verify-deployment");
+    const { printChecks } = require("../scripts/lib/check-report");
+    const root = hre.config.paths.root;
+    let report;
+    try {
+      const envFile = args.constructorEnv
+        ? path.resolve(root, args.constructorEnv)
+        : constructorEnvFile(hre.network.name, root);
+      if (!fs.existsSync(envFile)) throw new Error(`Constructor env file not found: ${envFile}`);
+      const { constructorArgs } = loadDeployConfig({
+        env: dotenv.parse(fs.readFileSync(envFile)),
+        load: false,
+        network: hre.network.name,
+        constructorFile: envFile,
+        deployer: false,
+      });
+      report = await verifyDeployment(hre, {
+        addressInfo: readAddressInfo(hre, args.addresses),
+        constructorArgs,
+        manifestDir: args.manifests && path.resolve(root, args.manifests),
+      });
+    } catch (err) {
+      throw new HardhatPluginError("dao", err.message, err);
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printChecks(report.checks);
+    }
+    const failed = report.checks.filter((c) => !c.ok).length;
+    if (failed) throw new HardhatPluginError("dao", `${failed} of ${report.checks.length} deployment checks failed`);
+    console.log(`✅ All ${report.checks.length} deployment checks passed`);
+    return report;
+  });
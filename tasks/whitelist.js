@@ -0,0 +1,86 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const addressesParam = (t) =>
+  t.addOptionalParam(
+    "addresses",
+    "addressInfo.json or a dao:sandbox map with the contract addresses",
+    path.join("info", "addressInfo.json")
+  );
+
+addressesParam(
+  task("dao:whitelist-pending", "Page through pending whitelist requests, filter them and export them as CSV")
+)
+  .addOptionalParam("country", "Only requests from this country (case-insensitive)")
+  .addOptionalParam("state", "Only requests from this state (case-insensitive)")
+  .addOptionalParam("page", "Page to show", 1, types.int)
+  .addOptionalParam("pageSize", "Requests per page", 20, types.int)
+  .addOptionalParam("out", "Write every matching request to this CSV, with an empty decision column to fill in")
+  .addFlag("json", "Print the page as JSON")
+  .setAction(async (args, hre) => {
+    const { sdkForTask } = require("../scripts/lib/task-sdk");
+    const { pendingRequests, pageOf, reviewCsv } = require("../scripts/lib/whitelist-review");
+    try {
+      const sdk = await sdkForTask(hre, { addresses: args.addresses, signer: hre.ethers.provider });
+      const requests = await pendingRequests(sdk, { country: args.country, state: args.state });
+      if (args.out) {
+        const out = path.resolve(hre.config.paths.root, args.out);
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.writeFileSync(out, reviewCsv(requests));
+        console.log(`✅ Wrote ${requests.length} pending request(s) to ${out}`);
+      }
+      const view = pageOf(requests, args.page, args.pageSize);
+      if (args.json) {
+        console.log(JSON.stringify(view, null, 2));
+        return view;
+      }
+      const filter = [args.country, args.state].filter(Boolean).join("/");
+      const scope = filter ? ` in ${filter}` : "";
+      console.log(`Page ${view.page} of ${view.pages}: ${view.total} pending request(s)${scope}`);
+      for (const r of view.records) {
+        const where = [r.city, r.state, r.country].filter(Boolean).join(", ");
+        const name = `${r.firstName} ${r.lastName}`;
+        console.log(`  #${String(r.id).padEnd(5)} ${r.wallet}  ${name} — ${where} — ${r.mobile}`);
+      }
+      return view;
+    } catch (err) {
+      throw new HardhatPluginError("dao", err.message, err);
+    }
+  });
+
+addressesParam(
+  task("dao:whitelist-review", "Apply a decisions CSV as batched ceoApproveWhitelisting calls from the CEO")
+)
+  .addPositionalParam("decisions", "CSV with a wallet (or address) column and a decision column: approve or reject")
+  .addOptionalParam("from", "CEO account to send from (defaults to the first)")
+  .addOptionalParam("batchSize", "Wallets per transaction (default 50)", undefined, types.int)
+  .addFlag("dryRun", "Simulate the batches; nothing is sent")
+  .setAction(async (args, hre) => {
+    const { sdkForTask } = require("../scripts/lib/task-sdk");
+    const review = require("../scripts/lib/whitelist-review");
+    try {
+      const sdk = await sdkForTask(hre, { addresses: args.addresses, from: args.from });
+      const { dao, whitelist } = sdk.contracts;
+      const sender = await whitelist.signer.getAddress();
+      if (sender.toLowerCase() !== (await dao.currentCeo()).toLowerCase()) {
+        throw new Error(`${sender} is not the current CEO; pass --from with the CEO account`);
+      }
+
+      const decisions = review.readDecisions(path.resolve(hre.config.paths.root, args.decisions));
+      const requests = await review.pendingRequests(sdk);
+      const plan = await review.planReview(sdk, decisions, { batchSize: args.batchSize });
+      plan.batches.forEach((b, i) => {
+        console.log(`  ${i + 1}. ${b.approve ? "approve" : "reject"} ${b.wallets.length} request(s)`);
+      });
+      const result = await review.applyReview(sdk, plan, { dryRun: args.dryRun });
+      for (const t of result.transactions) {
+        console.log(`  ${t.approve ? "approved" : "rejected"} ${t.wallets.length} in ${t.txHash}`);
+      }
+      console.log(review.reviewSummary(result, requests, { dryRun: args.dryRun }));
+      return result;
+    } catch (err) {
+      throw new HardhatPluginError("dao", err.message, err);
+    }
+  });
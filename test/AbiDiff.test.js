@@ -0,0 +1,103 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hre, expect } = require("./helpers");
+const { UI_ABIS } = require("../scripts/lib/deploy-engine");
+const { diffAbi, diffUiAbis, migrationReport, updatePublishedAbis } = require("../scripts/lib/abi-diff");
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+describe("ABI compatibility diff", function () {
+  it("classifies added, removed and changed functions, events and errors", function () {
+    const published = [
+      "function vote(uint256 id, bool support)",
+      "function lockedOf(address who) view returns (uint256)",
+      "function price() view returns (int256)",
+      "function legacy() view returns (uint256)",
+      "event Voted(address indexed voter, uint256 id)",
+      "event Gone(uint256 id)",
+      "error Locked(uint256 until)",
+      "constructor(address feed)",
+    ];
+    const compiled = [
+      "function vote(uint256 id, bool support, address holder)",
+      "function lockedOf(address account) view returns (uint256)",
+      "function price() view returns (int256, uint256)",
+      "function fresh() view returns (bool)",
+      "event Voted(address indexed voter, uint256 indexed id)",
+      "error Locked(uint256 until, uint256 amount)",
+      "error Fresh()",
+      "constructor(address feed, address ceo)",
+    ];
+    const changes = diffAbi(published, compiled).map((c) => [c.kind, c.type, c.name, c.breaking]);
+    expect(changes).to.deep.equal([
+      ["removed", "event", "Gone", true],
+      ["removed", "function", "legacy", true],
+      ["signature-changed", "constructor", "constructor", false],
+      ["signature-changed", "function", "lockedOf", false],
+      ["signature-changed", "function", "price", true],
+      ["signature-changed", "function", "vote", true],
+      ["event-changed", "event", "Voted", true],
+      ["error-changed", "error", "Locked", false],
+      ["added", "error", "Fresh", false],
+      ["added", "function", "fresh", false],
+    ]);
+    expect(diffAbi(published, published)).to.deep.equal([]);
+    const renamed = diffAbi(published, compiled).find((c) => c.name === "lockedOf");
+    expect(renamed.note).to.equal("parameter names only");
+  });
+
+  describe("published files", function () {
+    let dir;
+    let compiled;
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "abi-diff-"));
+      compiled = {};
+      for (const { file, contract } of UI_ABIS) {
+        compiled[contract] = (await hre.artifacts.readArtifact(contract)).abi;
+        fs.writeFileSync(path.join(dir, file), JSON.stringify({ abi: compiled[contract] }, null, 2));
+      }
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("notes functions that moved between contracts and reports the migration", function () {
+      const moved = compiled.INVTRON_DAO.find((f) => f.name === "getLatestUsdPrice");
+      const published = path.join(dir, "WL-ABI.json");
+      fs.writeFileSync(published, JSON.stringify({ abi: [...compiled.WhitelistManager, moved] }));
+      const withoutMoved = { ...compiled, INVTRON_DAO: compiled.INVTRON_DAO.filter((f) => f !== moved) };
+      fs.writeFileSync(path.join(dir, "ABI.json"), JSON.stringify({ abi: withoutMoved.INVTRON_DAO }));
+
+      const diff = diffUiAbis(dir, compiled);
+      expect(diff.breaking).to.equal(1);
+      const [removed] = diff.files.find((f) => f.file === "WL-ABI.json").changes;
+      expect(removed).to.include({
+        kind: "removed",
+        name: "getLatestUsdPrice",
+        note: "moved to INVTRON_DAO (ABI.json)",
+      });
+      const report = migrationReport(diff);
+      expect(report).to.include("2 change(s), 1 breaking.");
+      expect(report).to.include("Use `getLatestUsdPrice` on INVTRON_DAO (ABI.json)");
+      expect(report).to.include("## INVUSD-ABI.json (InvUsdToken)\n\nNo changes.");
+    });
+
+    it("refuses to overwrite published ABIs on breaking changes unless forced", function () {
+      const daoFile = path.join(dir, "ABI.json");
+      const stale = [...compiled.INVTRON_DAO, "function lockedBalanceRequirement(address user) view returns (uint256)"];
+      const { Interface, FormatTypes } = require("ethers").utils;
+      const staleJson = JSON.parse(new Interface(stale).format(FormatTypes.json));
+      fs.writeFileSync(daoFile, JSON.stringify({ abi: staleJson }));
+      fs.rmSync(path.join(dir, "INVUSD-ABI.json"));
+
+      const diff = diffUiAbis(dir, compiled);
+      expect(diff.files.find((f) => f.file === "INVUSD-ABI.json").missing).to.equal(true);
+      expect(() => updatePublishedAbis(diff, { infoDir: dir, log: quiet })).to.throw(/1 breaking ABI change/);
+      expect(fs.existsSync(path.join(dir, "INVUSD-ABI.json"))).to.equal(false);
+      expect(fs.readFileSync(daoFile, "utf8")).to.include("lockedBalanceRequirement");
+
+      const written = updatePublishedAbis(diff, { infoDir: dir, force: true, log: quiet });
+      expect(written).to.deep.equal(["ABI.json", "INVUSD-ABI.json"]);
+      expect(diffUiAbis(dir, compiled).files.every((f) => !f.missing && f.changes.length === 0)).to.equal(true);
+    });
+  });
+});
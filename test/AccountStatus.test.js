@@ -0,0 +1,125 @@
+const {
+  ethers,
+  expect,
+  DAY,
+  TOKEN_LOCK_DURATION,
+  inv,
+  loadFixture,
+  fundingDetails,
+  signDelegateVP,
+  advance,
+  fundedStack,
+  sdkFor,
+  latestTimestamp,
+} = require("./helpers");
+const { renderAccountStatus } = require("../scripts/lib/dao-status");
+
+describe("Account voting status", function () {
+  async function deployFixture() {
+    const [, , e1, e2, e3, proposer, candidate, voter, backer, proxy, idle] = await ethers.getSigners();
+    const stack = await fundedStack({
+      balances: [
+        [proposer, 10_000],
+        [candidate, 30_000],
+        [voter, 1_000_000],
+        [backer, 50_000],
+        [idle, 5_000],
+      ],
+      whitelisted: [proposer, candidate],
+      selfDelegated: [voter],
+    });
+    await stack.dao.connect(backer).delegate(voter.address);
+    const sdk = await sdkFor(stack);
+    return {
+      ...stack,
+      fm: stack.fundingManager,
+      endorsers: [e1, e2, e3],
+      proposer,
+      candidate,
+      voter,
+      backer,
+      proxy,
+      idle,
+      sdk,
+    };
+  }
+
+  const byAction = (report) => Object.fromEntries(report.restrictions.map((r) => [r.action, r]));
+
+  it("explains vote locks and delegation, and clears them when the locks end", async function () {
+    const f = await loadFixture(deployFixture);
+    const deadline = (await latestTimestamp(ethers.provider)) + DAY;
+    const sig = await signDelegateVP(f.dao, f.voter, f.proxy.address, deadline);
+    await f.dao.delegateVPbySig(sig.delegatee, sig.nonce, sig.deadline, sig.v, sig.r, sig.s);
+
+    const ceoId = await f.dao.nextCeoApplicationId();
+    await f.dao.connect(f.candidate).applyForCeo();
+    for (const e of f.endorsers) await f.dao.connect(e).voteOnCeoByEndorser(ceoId);
+    await f.dao.connect(f.voter).voteOnCeoByUser(ceoId, true, f.voter.address);
+    await advance(f, DAY);
+    const fundingId = await f.fm.nextFundingRequestId();
+    await f.fm.connect(f.proposer).createFundingRequest(fundingDetails());
+    for (const e of f.endorsers) await f.fm.connect(e).voteOnFundingByEndorser(fundingId);
+    await f.fm.connect(f.voter).voteOnFundingByUser(fundingId, true, f.voter.address);
+
+    const report = await f.sdk.token.accountStatus(f.voter.address);
+    const { ceo, funding } = report.locks;
+    const ceoUnlock = (await f.dao.tokenUnlockTimeForCeoVote(f.voter.address)).toNumber();
+    expect(ceo).to.include({ active: true, unlockTime: ceoUnlock });
+    expect(ceo.amount).to.equal(inv(1_000_000));
+    expect(funding.active).to.equal(true);
+    expect(funding.unlockTime).to.be.greaterThan(ceo.unlockTime);
+    expect(report.free.ceo).to.equal(0);
+    expect(report.free.transferable).to.equal(0);
+    expect(report.free.headroom).to.equal(0);
+    expect(report.delegation).to.deep.include({ votesTo: f.voter.address, proxy: f.proxy.address });
+    expect(report.delegation.delegatedIn).to.equal(inv(50_000));
+    expect(report.lastVoteAt).to.equal(await latestTimestamp(ethers.provider));
+
+    const r = byAction(report);
+    expect(r.transfer).to.include({ error: "TokensLocked", until: funding.unlockTime });
+    expect(r.transfer.reason).to.equal(
+      "only 0.0 of 1000000.0 INV can be transferred; the rest backs your CEO vote and funding vote"
+    );
+    expect(r.delegate).to.include({ error: "TokensLocked", until: funding.unlockTime });
+    expect(r.ceoVote).to.include({ error: "TokensAlreadyLocked", until: ceo.unlockTime });
+    expect(r.fundingVote).to.include({ error: "TokensAlreadyLocked", until: funding.unlockTime });
+    expect(report.nextChange).to.equal(ceo.unlockTime);
+
+    const lines = [];
+    renderAccountStatus(report, { log: (line) => lines.push(line) });
+    expect(lines.join("\n")).to.include("⛔ Restrictions (4)");
+
+    // After the CEO lock only the funding lock restricts the account; then nothing does
+    await advance(f, TOKEN_LOCK_DURATION - DAY);
+    const partly = byAction(await f.sdk.token.accountStatus(f.voter.address));
+    expect(Object.keys(partly)).to.have.members(["transfer", "delegate", "fundingVote"]);
+    expect(partly.transfer.reason).to.include("backs your funding vote");
+    await advance(f, DAY);
+    const later = await f.sdk.token.accountStatus(f.voter.address);
+    expect(later.restrictions).to.deep.equal([]);
+    expect(later.locks.ceo).to.include({ active: false });
+    expect(later.free.transferable).to.equal(inv(1_000_000));
+  });
+
+  it("reports inactive voting power, empty accounts and role limits", async function () {
+    const f = await loadFixture(deployFixture);
+    const idle = byAction(await f.sdk.token.accountStatus(f.idle.address));
+    expect(idle.ceoVote).to.include({ error: "NoVotingPower", until: null });
+    expect(idle.fundingVote.reason).to.match(/not activated; delegate to yourself/);
+
+    const backer = await f.sdk.token.accountStatus(f.backer.address);
+    expect(byAction(backer).ceoVote.reason).to.include(`delegated to ${f.voter.address}`);
+    expect(backer.delegation.delegatedIn).to.equal(0);
+
+    const empty = await f.sdk.token.accountStatus(f.proxy.address);
+    expect(byAction(empty).ceoVote.reason).to.equal("you hold no INV");
+    expect(empty.age.maturesAt).to.equal(null);
+    expect(byAction(empty).transfer).to.equal(undefined);
+
+    const endorser = byAction(await f.sdk.token.accountStatus(f.endorsers[0].address));
+    expect(endorser.delegateToOthers).to.include({ error: "EndorserCannotDelegateToOthers", until: null });
+    const ceo = byAction(await f.sdk.token.accountStatus(f.ceo.address));
+    expect(ceo.delegateToOthers.error).to.equal("CeoCannotDelegateToOthers");
+  });
+});
@@ -0,0 +1,171 @@
+const {
+  ethers,
+  expect,
+  inv,
+  usd,
+  loadFixture,
+  expectRevert,
+  eventArgs,
+  fundingDetails,
+  fundedStack,
+} = require("./helpers");
+
+describe("INVTRON_DAO checkpoints", function () {
+  async function deployFixture() {
+    const [, , e1, e2, e3, proposer, candidate, attacker, accomplice, honest] = await ethers.getSigners();
+    const stack = await fundedStack({
+      balances: [
+        [proposer, 10_000],
+        [candidate, 30_000],
+        [attacker, 1_000_000],
+        [honest, 1_000_000],
+      ],
+      whitelisted: [proposer, candidate],
+      selfDelegated: [attacker, accomplice, honest],
+    });
+
+    return {
+      ...stack,
+      endorsers: [e1, e2, e3],
+      proposer,
+      candidate,
+      attacker,
+      accomplice,
+      honest,
+      fm: stack.fundingManager,
+    };
+  }
+
+  async function activeFundingRequest(f) {
+    const id = await f.fm.nextFundingRequestId();
+    await f.fm.connect(f.proposer).createFundingRequest(fundingDetails());
+    for (const e of f.endorsers) await f.fm.connect(e).voteOnFundingByEndorser(id);
+    return id;
+  }
+
+  async function activeCeoApplication(f) {
+    const id = await f.dao.nextCeoApplicationId();
+    await f.dao.connect(f.candidate).applyForCeo();
+    for (const e of f.endorsers) await f.dao.connect(e).voteOnCeoByEndorser(id);
+    return id;
+  }
+
+  const blockOf = async (tx) => (await (await tx).wait()).blockNumber;
+
+  describe("getPastVotes", function () {
+    it("resolves power at past blocks across delegation and transfers", async function () {
+      const f = await loadFixture(deployFixture);
+      const [, , , , , , , , , , newcomer] = await ethers.getSigners();
+      await f.dao.connect(f.deployer).transfer(newcomer.address, inv(300));
+
+      const delegated = await blockOf(f.dao.connect(newcomer).delegate(newcomer.address));
+      const received = await blockOf(f.dao.connect(f.deployer).transfer(newcomer.address, inv(200)));
+      const sent = await blockOf(f.dao.connect(newcomer).transfer(f.honest.address, inv(400)));
+      await ethers.provider.send("evm_mine", []);
+
+      expect(await f.dao.getPastVotes(newcomer.address, delegated - 1)).to.equal(0);
+      expect(await f.dao.getPastVotes(newcomer.address, delegated)).to.equal(inv(300));
+      expect(await f.dao.getPastVotes(newcomer.address, received)).to.equal(inv(500));
+      expect(await f.dao.getPastVotes(newcomer.address, sent)).to.equal(inv(100));
+      expect(await f.dao.getPastVotes(f.honest.address, sent - 1)).to.equal(inv(1_000_000));
+      expect(await f.dao.getPastVotes(f.honest.address, sent)).to.equal(inv(1_000_400));
+      expect(await f.dao.getVotes(newcomer.address)).to.equal(inv(100));
+    });
+
+    it("rejects lookups of the current or a future block", async function () {
+      const f = await loadFixture(deployFixture);
+      await ethers.provider.send("evm_mine", []);
+      const latest = await ethers.provider.getBlockNumber();
+      expect(await f.dao.getPastVotes(f.honest.address, latest - 1)).to.equal(inv(1_000_000));
+      await expectRevert(f.dao.getPastVotes(f.honest.address, latest), "FutureLookup");
+      await expectRevert(f.dao.getPastTotalSupply(latest + 100), "FutureLookup");
+    });
+  });
+
+  describe("getPastTotalSupply", function () {
+    it("tracks supply from the initial mint", async function () {
+      const f = await loadFixture(deployFixture);
+      const deployedAt = (await f.dao.deployTransaction.wait()).blockNumber;
+      expect(await f.dao.getPastTotalSupply(deployedAt - 1)).to.equal(0);
+      expect(await f.dao.getPastTotalSupply(deployedAt)).to.equal(inv(1_000_000_000));
+    });
+  });
+
+  describe("funding votes", function () {
+    it("records the creation block as the snapshot", async function () {
+      const f = await loadFixture(deployFixture);
+      const created = await blockOf(f.fm.connect(f.proposer).createFundingRequest(fundingDetails()));
+      expect((await f.fm.fundingRequests(0)).snapshotBlock).to.equal(created);
+    });
+
+    it("ignores tokens moved to another account after the request was created", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeFundingRequest(f);
+
+      // Attacker shifts the whole balance to a fresh, already-delegated account
+      await f.dao.connect(f.attacker).transfer(f.accomplice.address, inv(1_000_000));
+      expect(await f.dao.getVotes(f.accomplice.address)).to.equal(inv(1_000_000));
+
+      await expectRevert(
+        f.fm.connect(f.accomplice).voteOnFundingByUser(id, true, f.accomplice.address),
+        "NoVotingPower"
+      );
+      await expectRevert(
+        f.fm.connect(f.attacker).voteOnFundingByUser(id, true, f.attacker.address),
+        "NoVotingPower"
+      );
+      expect((await f.fm.fundingRequests(id)).userVotesFor).to.equal(0);
+    });
+
+    it("does not count tokens received after the request was created", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeFundingRequest(f);
+      await f.dao.connect(f.attacker).transfer(f.honest.address, inv(1_000_000));
+
+      const args = await eventArgs(
+        f.fm.connect(f.honest).voteOnFundingByUser(id, true, f.honest.address),
+        f.fm,
+        "Voted"
+      );
+      // 0.05% of the 1,000,000 INV held at creation, not of the 2,000,000 held now
+      expect(args.votingPower).to.equal(usd(500));
+    });
+  });
+
+  describe("CEO votes", function () {
+    it("records the creation block as the snapshot", async function () {
+      const f = await loadFixture(deployFixture);
+      const created = await blockOf(f.dao.connect(f.candidate).applyForCeo());
+      expect((await f.dao.ceoApplications(0)).snapshotBlock).to.equal(created);
+    });
+
+    it("ignores tokens moved to another account after the application was created", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeCeoApplication(f);
+      await f.dao.connect(f.attacker).transfer(f.accomplice.address, inv(1_000_000));
+
+      await expectRevert(
+        f.dao.connect(f.accomplice).voteOnCeoByUser(id, true, f.accomplice.address),
+        "NoVotingPower"
+      );
+      await expectRevert(
+        f.dao.connect(f.attacker).voteOnCeoByUser(id, true, f.attacker.address),
+        "NoVotingPower"
+      );
+      expect((await f.dao.ceoApplications(id)).userVotesFor).to.equal(0);
+    });
+
+    it("weighs past power, clamped by the tokens still held", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeCeoApplication(f);
+      await f.dao.connect(f.attacker).transfer(f.accomplice.address, inv(600_000));
+      await f.dao.connect(f.deployer).transfer(f.honest.address, inv(500_000));
+
+      await f.dao.connect(f.attacker).voteOnCeoByUser(id, true, f.attacker.address);
+      await f.dao.connect(f.honest).voteOnCeoByUser(id, false, f.honest.address);
+      const app = await f.dao.ceoApplications(id);
+      expect(app.userVotesFor).to.equal(inv(400_000));
+      expect(app.userVotesAgainst).to.equal(inv(1_000_000));
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hre, ethers, expect, DAY, loadFixture } = require("./helpers");
+const { seedSandbox } = require("../scripts/lib/sandbox");
+const { sdkForTask } = require("../scripts/lib/task-sdk");
+const { collectStatus, statusToJson, renderStatus } = require("../scripts/lib/dao-status");
+const { increaseTime } = require("../scripts/lib/local-stack");
+const { ERROR_MESSAGES } = require("../sdk/errors");
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+describe("Governance status dashboard", function () {
+  let dir;
+  after(() => dir && fs.rmSync(dir, { recursive: true, force: true }));
+
+  // The sandbox leaves requests in every state, an elected CEO and an open exchange
+  async function sandboxFixture() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "dao-status-"));
+    const out = path.join(dir, "sandbox.json");
+    const sandbox = await seedSandbox(hre, { out, log: quiet });
+    const sdk = await sdkForTask(hre, { addresses: out, signer: ethers.provider });
+    const byName = Object.fromEntries(sandbox.accounts.map((a) => [a.name, a.address]));
+    const idsWith = (status) =>
+      Object.entries(sandbox.fundingRequests)
+        .filter(([, r]) => r.status === status)
+        .map(([id]) => Number(id));
+    return { sandbox, out, sdk, byName, idsWith };
+  }
+
+  function captured() {
+    const lines = [];
+    return { lines, log: (...parts) => lines.push(parts.join(" ")) };
+  }
+
+  it("collects the CEO, open requests, endorsers and supply", async function () {
+    const { sdk, byName, idsWith } = await loadFixture(sandboxFixture);
+    const { dao } = sdk.contracts;
+    const status = await collectStatus(sdk);
+    const block = await ethers.provider.getBlock("latest");
+
+    expect(status.network).to.deep.equal({ chainId: 31337, blockNumber: block.number, timestamp: block.timestamp });
+    expect(status.addresses.dao).to.equal(dao.address);
+    expect(status.ceo).to.deep.include({ current: byName.ceo, status: "Active" });
+    expect(status.ceo.elected.address).to.equal(byName.alice);
+    expect(status.ceo.elected.secondsLeft).to.equal(status.ceo.elected.activatesAt - block.timestamp);
+    expect(status.ceo.elected.secondsLeft).to.be.above(0);
+    // The elected CEO's application stays Succeeded until activation
+    expect(status.ceoApplications.map((a) => [a.applicant, a.status])).to.deep.equal([[byName.alice, "Succeeded"]]);
+
+    // Defeated requests are left out; the executed one still has INV-USD to exchange
+    const expected = [...idsWith("Executed"), ...idsWith("Active"), ...idsWith("Pending")].sort((a, b) => a - b);
+    expect(status.fundingRequests.map((r) => r.id)).to.deep.equal(expected);
+    for (const r of status.fundingRequests) {
+      expect(r.status).to.be.oneOf(["Pending", "Active", "Succeeded", "Executed"]);
+      expect(r.exchange === null).to.equal(r.status !== "Executed");
+    }
+    const executed = status.fundingRequests.find((r) => r.status === "Executed");
+    expect(executed.exchange.remaining.gt(0)).to.equal(true);
+    expect(executed.exchange.limit).to.equal(executed.exchange.remaining.mul(10).div(100));
+
+    expect(status.endorsers.map((e) => e.address)).to.deep.equal(await dao.activeEndorserList());
+    for (const e of status.endorsers) expect(e.support).to.equal(await dao.endorserSupport(e.address));
+    expect(status.supply).to.deep.include({ priceError: null });
+    expect(status.supply.price).to.equal(ethers.utils.parseEther("1"));
+    expect(status.supply.locked).to.equal(await dao.getTotalTokensLocked());
+    expect(status.supply.circulating).to.equal(await dao.getCirculatingSupply());
+  });
+
+  it("renders the dashboard, including requests, exchange state and deadlines", async function () {
+    const { sdk, byName } = await loadFixture(sandboxFixture);
+    const status = await collectStatus(sdk);
+    const { lines, log } = captured();
+    renderStatus(status, { log });
+    const text = lines.join("\n");
+
+    expect(lines[0]).to.equal(
+      `🏛️  INVTRON DAO — chain 31337, block #${status.network.blockNumber}, ` +
+        new Date(status.network.timestamp * 1000).toISOString()
+    );
+    expect(text).to.include(`   current: ${byName.ceo} (Active)`);
+    expect(text).to.match(new RegExp(`   elected: ${byName.alice}, activation \\S+ \\(\\d+d \\d+h \\d+m left\\)`));
+    expect(text).to.include("🗳️  Open CEO applications (1)");
+    const application = `   #0 ${byName.alice} Succeeded · endorsers 3 · for [\\d.]+ / against 0\\.0 INV`;
+    expect(text).to.match(new RegExp(application));
+    expect(text).to.include(`💰 Funding requests (${status.fundingRequests.length})`);
+    expect(text).to.include('"Wind Park"');
+    expect(text).to.match(/exchange: daily limit [\d.]+, exchanged today 0\.0, remaining [\d.]+ INV-USD/);
+    expect(text).to.include(`🛡️  Active endorsers (${status.endorsers.length})`);
+    expect(text).to.include("   price:       $1.0 per INV");
+  });
+
+  it("keeps the dashboard when the price feed is stale", async function () {
+    const { sdk } = await loadFixture(sandboxFixture);
+    await increaseTime(ethers.provider, 2 * DAY);
+    const status = await collectStatus(sdk);
+    expect(status.supply).to.deep.include({ price: null, priceError: ERROR_MESSAGES.OracleStale });
+
+    const { lines, log } = captured();
+    renderStatus(status, { log });
+    expect(lines).to.include(`   price:       unavailable (${ERROR_MESSAGES.OracleStale})`);
+  });
+
+  it("prints JSON with decimal strings for amounts from dao:status --json", async function () {
+    const { out, sdk } = await loadFixture(sandboxFixture);
+    const { lines, log } = captured();
+    const original = console.log;
+    console.log = log;
+    let returned;
+    try {
+      returned = await hre.run("dao:status", { addresses: out, json: true });
+    } finally {
+      console.log = original;
+    }
+
+    const printed = JSON.parse(lines.join("\n"));
+    expect(printed).to.deep.equal(statusToJson(returned));
+    expect(Object.keys(printed)).to.deep.equal([
+      "network",
+      "addresses",
+      "ceo",
+      "ceoApplications",
+      "fundingRequests",
+      "endorsers",
+      "supply",
+    ]);
+    expect(Object.keys(printed.supply)).to.deep.equal(["price", "priceError", "totalSupply", "circulating", "locked"]);
+    expect(printed.supply.price).to.equal(ethers.utils.parseEther("1").toString());
+    expect(printed.supply.totalSupply).to.equal((await sdk.contracts.dao.totalSupply()).toString());
+    const executed = printed.fundingRequests.find((r) => r.status === "Executed");
+    expect(executed.exchange.remaining).to.match(/^[1-9]\d*$/);
+    for (const r of printed.fundingRequests) expect(r.userVotesFor).to.match(/^\d+$/);
+    for (const e of printed.endorsers) expect(e.support).to.match(/^\d+$/);
+  });
+});
@@ -0,0 +1,126 @@
+const {
+  ethers,
+  expect,
+  DAY,
+  loadFixture,
+  fundingDetails,
+  fundedStack,
+  sdkFor,
+  latestTimestamp,
+} = require("./helpers");
+const { signDelegation, verifyDelegation, offlineDomain } = require("../sdk/signatures");
+const { relayDelegations } = require("../scripts/lib/relayer");
+
+const quiet = { log() {} };
+
+describe("Delegation signatures and relay", function () {
+  async function deployFixture() {
+    const [, , e1, e2, e3, proposer, holder, delegatee, relayer, other] = await ethers.getSigners();
+    const stack = await fundedStack({
+      balances: [
+        [holder, 100_000],
+        [other, 100_000],
+        [proposer, 10_000],
+      ],
+      whitelisted: [proposer],
+    });
+    const sdk = await sdkFor(stack);
+    return {
+      ...stack,
+      fm: stack.fundingManager,
+      endorsers: [e1, e2, e3],
+      proposer,
+      holder,
+      delegatee,
+      relayer,
+      other,
+      sdk,
+    };
+  }
+
+  // JSON round trip, as when payloads travel through files
+  const portable = (payload, source = "payload.json") => ({ source, payload: JSON.parse(JSON.stringify(payload)) });
+
+  it("signs both typehashes into portable payloads the relayer submits in nonce order", async function () {
+    const f = await loadFixture(deployFixture);
+    const deadline = (await latestTimestamp(ethers.provider)) + DAY;
+    const holderSdk = f.sdk.connect(f.holder);
+    const vp = await holderSdk.token.signDelegation("delegateVP", f.delegatee.address, { deadline });
+    const votes = await holderSdk.token.signDelegation("delegation", f.delegatee.address, { deadline, nonce: 1 });
+    expect(vp.message).to.deep.equal({ delegatee: f.delegatee.address, nonce: "0", deadline: String(deadline) });
+    expect(votes.message.expiry).to.equal(String(deadline));
+    expect(verifyDelegation(vp)).to.deep.equal([]);
+
+    // The same signature without a node
+    const { chainId } = await ethers.provider.getNetwork();
+    const offline = await signDelegation(null, f.holder, {
+      kind: "delegateVP",
+      delegatee: f.delegatee.address,
+      deadline,
+      nonce: 0,
+      domain: offlineDomain(chainId, f.dao.address),
+    });
+    expect(offline.signature).to.equal(vp.signature);
+
+    const tampered = { ...vp, message: { ...vp.message, delegatee: f.other.address } };
+    expect(verifyDelegation(tampered)[0]).to.match(/signature recovers to/);
+
+    // Listed out of order: the relayer sorts each signer's payloads by nonce
+    const results = await relayDelegations(f.sdk.connect(f.relayer), [portable(votes), portable(vp)], { log: quiet });
+    expect(results.map((r) => [r.nonce, r.status])).to.deep.equal([
+      ["0", "relayed"],
+      ["1", "relayed"],
+    ]);
+    expect(await f.dao.votingDelegate(f.holder.address)).to.equal(f.delegatee.address);
+    expect(await f.dao.delegates(f.holder.address)).to.equal(f.delegatee.address);
+    expect(await f.dao.nonces(f.holder.address)).to.equal(2);
+  });
+
+  it("skips expired and locked signers and reports nonce conflicts", async function () {
+    const f = await loadFixture(deployFixture);
+    const now = await latestTimestamp(ethers.provider);
+    const sign = (signer, nonce, deadline = now + DAY) =>
+      f.sdk.connect(signer).token.signDelegation("delegateVP", f.delegatee.address, { deadline, nonce });
+
+    // `other` votes on a funding request and is locked for the vote period
+    await f.dao.connect(f.other).delegate(f.other.address);
+    const id = (await f.fm.nextFundingRequestId()).toNumber();
+    await f.fm.connect(f.proposer).createFundingRequest(fundingDetails());
+    for (const e of f.endorsers) await f.fm.connect(e).voteOnFundingByEndorser(id);
+    await f.fm.connect(f.other).voteOnFundingByUser(id, true, f.other.address);
+
+    const used = await sign(f.holder, 0);
+    await f.sdk.connect(f.relayer).token.submitDelegation(used);
+
+    const entries = [
+      portable(used, "used.json"),
+      portable(await sign(f.holder, 1), "a.json"),
+      portable(await sign(f.holder, 1), "b.json"),
+      portable(await sign(f.holder, 3), "gap.json"),
+      portable(await sign(f.proposer, 0, now - 1), "expired.json"),
+      portable(await sign(f.other, 0), "locked.json"),
+    ];
+    const results = await relayDelegations(f.sdk.connect(f.relayer), entries, { log: quiet });
+    const bySource = Object.fromEntries(results.map((r) => [r.source, r]));
+    expect(bySource["used.json"]).to.include({ status: "rejected" });
+    expect(bySource["used.json"].reason).to.match(/conflict: nonce 0 already used/);
+    expect(bySource["a.json"].status).to.equal("relayed");
+    expect(bySource["b.json"].reason).to.match(/conflict: another payload in this batch uses nonce 1/);
+    expect(bySource["gap.json"].reason).to.match(/conflict: nonce 3 leaves a gap/);
+    expect(bySource["expired.json"]).to.include({ status: "skipped" });
+    expect(bySource["expired.json"].reason).to.match(/^expired/);
+    expect(bySource["locked.json"]).to.include({ status: "skipped" });
+    expect(bySource["locked.json"].reason).to.match(/^locked/);
+    expect(await f.dao.nonces(f.other.address)).to.equal(0);
+
+    const foreign = await signDelegation(null, f.holder, {
+      kind: "delegateVP",
+      delegatee: f.delegatee.address,
+      deadline: now + DAY,
+      nonce: 2,
+      domain: offlineDomain(1, f.dao.address),
+    });
+    const [wrongChain] = await relayDelegations(f.sdk.connect(f.relayer), [portable(foreign)], { log: quiet });
+    expect(wrongChain).to.include({ status: "rejected", reason: "invalid: signed for chain 1" });
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, expect } = require("./helpers");
+const { loadDeployConfig, validateDeployEnv } = require("../scripts/lib/deploy-config");
+const { NETWORKS, hardhatNetworks, etherscanApiKey, constructorEnvFile } = require("../scripts/lib/networks");
+
+describe("Deployment configuration", function () {
+  const addr = (n) => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 20);
+  const constructorEnv = {
+    _priceFeedAddress: addr(1),
+    _initialCeo: addr(2),
+    _initialEndorsers: `${addr(3)},${addr(4)}`,
+    _treasuryOwner: addr(5),
+  };
+  const deployerEnv = {
+    INFURA_PROJECT_ID: "project",
+    PRIVATE_KEY: `0x${"11".repeat(32)}`,
+    ETHERSCAN_API_KEY: "key",
+  };
+
+  let dir;
+  beforeEach(() => (dir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-config-"))));
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("registers localhost, sepolia and mainnet and prefers per-network constructor files", function () {
+    const env = { ...deployerEnv, INFURA_PROJECT_SECRET: "secret", MAINNET_RPC_URL: "http://rpc" };
+    const networks = hardhatNetworks(env);
+    expect(Object.keys(networks)).to.deep.equal(["localhost", "sepolia", "mainnet"]);
+    expect(networks.sepolia).to.include({ url: "https://sepolia.infura.io/v3/project", chainId: 11155111 });
+    expect(networks.sepolia.httpHeaders.Authorization).to.equal(
+      `Basic ${Buffer.from("project:secret").toString("base64")}`
+    );
+    expect(networks.mainnet).to.deep.include({ url: "http://rpc", chainId: NETWORKS.mainnet.chainId });
+    expect(networks.mainnet.httpHeaders).to.equal(undefined);
+    expect(networks.localhost.accounts).to.equal(undefined);
+    expect(etherscanApiKey({ Etherscan_API_Key: "legacy" })).to.equal("legacy");
+
+    expect(constructorEnvFile("sepolia", dir)).to.equal(path.join(dir, "constructor.env"));
+    fs.writeFileSync(path.join(dir, "constructor.sepolia.env"), "");
+    expect(constructorEnvFile("sepolia", dir)).to.equal(path.join(dir, "constructor.sepolia.env"));
+  });
+
+  it("reports every schema problem at once", function () {
+    const env = {
+      PRIVATE_KEY: "0x1234",
+      Etherscan_API_Key: "legacy",
+      MAX_BUMPS: "six",
+      _priceFeedAddress: "0xnot-an-address",
+      _initialEndorsers: `${addr(3)},nope`,
+      _treasuryOwner: addr(5),
+      _votingPeriod: "3600",
+    };
+    const { problems, warnings } = validateDeployEnv(env, {
+      network: "mainnet",
+      constructorFile: "constructor.mainnet.env",
+    });
+    expect(problems).to.deep.equal([
+      ".env: INFURA_PROJECT_ID is missing (expected an Infura project id (or set <NETWORK>_RPC_URL))",
+      ".env: PRIVATE_KEY must be a 32-byte hex private key, got <hidden>",
+      '.env: MAX_BUMPS must be a whole number, got "six"',
+      'constructor.mainnet.env: _priceFeedAddress must be the price feed address, got "0xnot-an-address"',
+      "constructor.mainnet.env: _initialCeo is missing (expected an address)",
+      `constructor.mainnet.env: _initialEndorsers must be a comma-separated list of addresses, got "${addr(3)},nope"`,
+      "constructor.mainnet.env: governance votingPeriod is 3600; mainnet requires 259200",
+    ]);
+    expect(warnings).to.deep.equal([".env: Etherscan_API_Key is deprecated; rename it to ETHERSCAN_API_KEY"]);
+
+    const conflicting = { ...deployerEnv, Etherscan_API_Key: "other", ...constructorEnv };
+    expect(validateDeployEnv(conflicting, { network: "sepolia" }).problems).to.deep.equal([
+      ".env: ETHERSCAN_API_KEY and Etherscan_API_Key are both set and differ; remove Etherscan_API_Key",
+    ]);
+    // Local networks need no deployer keys
+    expect(validateDeployEnv(constructorEnv, { network: "localhost" }).problems).to.deep.equal([]);
+    // A dry run stands in for blank role and feed addresses, not for malformed ones
+    const blank = { _priceFeedAddress: "", _initialCeo: "", _treasuryOwner: "0x0" };
+    expect(validateDeployEnv(blank, { network: "localhost", dryRun: true }).problems).to.deep.equal([
+      'constructor.env: _treasuryOwner must be an address, got "0x0"',
+    ]);
+  });
+
+  it("loads the network's constructor file and throws one consolidated error", function () {
+    const file = path.join(dir, "constructor.sepolia.env");
+    const lines = Object.entries(constructorEnv).map(([k, v]) => `${k}=${v}`);
+    fs.writeFileSync(file, lines.join("\n"));
+    const { constructorArgs } = loadDeployConfig({ env: deployerEnv, network: "sepolia", constructorFile: file });
+    expect(constructorArgs.initialEndorsers).to.deep.equal([addr(3), addr(4)]);
+    expect(constructorArgs.governance.profile).to.equal("sepolia");
+
+    fs.writeFileSync(file, "_initialCeo=0x0\n_governanceProfile=staging\n");
+    let err;
+    try {
+      loadDeployConfig({ env: {}, network: "sepolia", constructorFile: file });
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.match(/^Invalid deployment configuration for sepolia \(7 problem\(s\)\):\n {2}- \.env:/);
+    expect(err.problems).to.have.length(7);
+    expect(err.problems).to.include(
+      'constructor.sepolia.env: _governanceProfile must be one of mainnet, sepolia, local, got "staging"'
+    );
+  });
+});
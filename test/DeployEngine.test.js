@@ -0,0 +1,221 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hre, ethers, expect } = require("./helpers");
+const { STEPS, runDeployment, reconcileManifest } = require("../scripts/lib/deploy-engine");
+const { loadManifest, manifestPath } = require("../scripts/lib/deploy-manifest");
+const { createSender } = require("../scripts/lib/tx-sender");
+const { PROFILES } = require("../scripts/lib/governance-profiles");
+
+const quiet = { log() {}, warn() {}, error() {} };
+// Waits on a pending transaction poll the node every 4s, so the first window has to outlast one poll
+const tuning = { initialWaitMs: 10000, bumpIntervalMs: 1000 };
+
+describe("Deployment engine", function () {
+  let dir;
+  beforeEach(() => (dir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-engine-"))));
+  afterEach(async () => {
+    await ethers.provider.send("evm_setAutomine", [true]);
+    await ethers.provider.send("evm_mine", []);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function constructorArgsFor() {
+    const [deployer, ceo, e1, e2, e3] = await ethers.getSigners();
+    const feed = await (await ethers.getContractFactory("MockV3Aggregator")).deploy(8, 100_000_000);
+    await feed.deployed();
+    return {
+      priceFeedAddress: feed.address,
+      initialCeo: ceo.address,
+      initialEndorsers: [e1.address, e2.address, e3.address],
+      treasuryOwner: deployer.address,
+      governance: { profile: "local", ...PROFILES.local },
+    };
+  }
+
+  const readManifest = () => JSON.parse(fs.readFileSync(manifestPath(31337, dir), "utf8"));
+  const writeManifest = (data) => fs.writeFileSync(manifestPath(31337, dir), JSON.stringify(data, null, 2));
+  const nonceOf = async (signer) => ethers.provider.getTransactionCount(signer.address, "latest");
+
+  it("waits for a step's recorded pending transaction instead of sending a second one", async function () {
+    const [deployer] = await ethers.getSigners();
+    const constructorArgs = await constructorArgsFor();
+    const deployTx = (await ethers.getContractFactory("WhitelistManager")).getDeployTransaction();
+
+    // A previous run broadcast WhitelistManager, saved the hash and stopped before it was mined
+    const nonce = await nonceOf(deployer);
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const pending = await deployer.sendTransaction(deployTx);
+    writeManifest({
+      chainId: 31337,
+      constructorArgs,
+      steps: { WhitelistManager: { status: "pending", txs: [{ hash: pending.hash, nonce }] } },
+    });
+
+    const log = {
+      ...quiet,
+      log(msg) {
+        // The transaction gets mined while the resumed run is waiting for it
+        if (String(msg).startsWith("⏳ Resuming deploy WhitelistManager")) {
+          ethers.provider.send("evm_setAutomine", [true]).then(() => ethers.provider.send("evm_mine", []));
+        }
+      },
+    };
+    const { addresses } = await runDeployment(hre, { constructorArgs, tuning, manifestDir: dir, log });
+
+    const receipt = await ethers.provider.getTransactionReceipt(pending.hash);
+    expect(addresses.WhitelistManager).to.equal(receipt.contractAddress);
+    const entry = readManifest().steps.WhitelistManager;
+    expect(entry).to.include({ status: "done", txHash: pending.hash, address: receipt.contractAddress });
+    expect(entry.txs).to.deep.equal([{ hash: pending.hash, nonce }]);
+    // One transaction per step, the recorded one included
+    expect(await nonceOf(deployer)).to.equal(nonce + STEPS.length);
+  });
+
+  it("picks up steps that were mined but never marked done, without sending anything", async function () {
+    const [deployer] = await ethers.getSigners();
+    const constructorArgs = await constructorArgsFor();
+    const first = await runDeployment(hre, { constructorArgs, tuning, manifestDir: dir, log: quiet });
+    const nonce = await nonceOf(deployer);
+
+    // Crashed after broadcasting the DAO deploy (hash recorded, receipt not) and after
+    // mining setDao before any of it reached the manifest
+    const data = readManifest();
+    const dao = data.steps.INVTRON_DAO;
+    data.steps.INVTRON_DAO = { status: "pending", args: dao.args, txs: dao.txs };
+    delete data.steps["WhitelistManager.setDao"];
+    writeManifest(data);
+
+    const messages = [];
+    const log = { ...quiet, log: (msg) => messages.push(msg) };
+    const { addresses } = await runDeployment(hre, { constructorArgs, tuning, manifestDir: dir, log });
+
+    expect(addresses).to.deep.equal(first.addresses);
+    expect(await nonceOf(deployer)).to.equal(nonce);
+    expect(readManifest().steps.INVTRON_DAO).to.include({
+      status: "done",
+      txHash: dao.txHash,
+      address: first.addresses.INVTRON_DAO,
+    });
+    expect(readManifest().steps["WhitelistManager.setDao"]).to.deep.equal({ status: "done", txs: [] });
+    expect(messages).to.include("ℹ️  WhitelistManager.setDao already applied on-chain");
+  });
+
+  it("refuses to resend a step whose nonce was used by a transaction it did not record", async function () {
+    const [deployer] = await ethers.getSigners();
+    const constructorArgs = await constructorArgsFor();
+    const nonce = await nonceOf(deployer);
+    await deployer.sendTransaction({ to: deployer.address, value: 0 });
+    writeManifest({
+      chainId: 31337,
+      constructorArgs,
+      steps: { WhitelistManager: { status: "pending", txs: [{ hash: ethers.utils.id("dropped"), nonce }] } },
+    });
+
+    await expect(
+      runDeployment(hre, { constructorArgs, tuning, manifestDir: dir, log: quiet })
+    ).to.be.rejectedWith(`deploy WhitelistManager: nonce ${nonce} was consumed by a transaction not in`);
+    expect(await nonceOf(deployer)).to.equal(nonce + 1);
+  });
+
+  describe("manifest reconciliation", function () {
+    const args = { priceFeedAddress: "0x01", governance: { profile: "local" } };
+    const withCode = { getCode: async () => "0x6080" };
+
+    function recorded(constructorArgs = args) {
+      const manifest = loadManifest(11155111, { dir, network: "sepolia" });
+      manifest.data.constructorArgs = constructorArgs;
+      Object.assign(manifest.step("WhitelistManager"), { status: "done", address: "0x02" });
+      return manifest;
+    }
+
+    it("keeps a manifest that matches the arguments and the chain", async function () {
+      const manifest = loadManifest(11155111, { dir });
+      await reconcileManifest(manifest, { provider: withCode, constructorArgs: args, chainId: 11155111, log: quiet });
+      expect(manifest.data.constructorArgs).to.equal(args);
+
+      const resumed = recorded();
+      await reconcileManifest(resumed, { provider: withCode, constructorArgs: args, chainId: 11155111, log: quiet });
+      expect(resumed.isDone("WhitelistManager")).to.equal(true);
+    });
+
+    it("rejects changed arguments or vanished contracts on a live chain", async function () {
+      const changed = { ...args, priceFeedAddress: "0x03" };
+      await expect(
+        reconcileManifest(recorded(), { provider: withCode, constructorArgs: changed, chainId: 11155111, log: quiet })
+      ).to.be.rejectedWith(/cannot be resumed: constructor arguments changed since the recorded run/);
+
+      const empty = { getCode: async () => "0x" };
+      await expect(
+        reconcileManifest(recorded(), { provider: empty, constructorArgs: args, chainId: 11155111, log: quiet })
+      ).to.be.rejectedWith(/cannot be resumed: no code at recorded WhitelistManager address 0x02/);
+    });
+
+    it("starts over on a local chain or with fresh", async function () {
+      const warnings = [];
+      const log = { ...quiet, warn: (msg) => warnings.push(msg) };
+      const changed = { ...args, priceFeedAddress: "0x03" };
+
+      const local = recorded();
+      await reconcileManifest(local, { provider: withCode, constructorArgs: changed, chainId: 31337, log });
+      expect(local.data.steps).to.deep.equal({});
+      expect(local.data.constructorArgs).to.equal(changed);
+
+      const fresh = recorded();
+      await reconcileManifest(fresh, { provider: withCode, constructorArgs: args, chainId: 1, fresh: true, log });
+      expect(fresh.isDone("WhitelistManager")).to.equal(false);
+      expect(warnings).to.deep.equal([
+        "⚠️  Starting a new deployment manifest (constructor arguments changed since the recorded run)",
+        "⚠️  Starting a new deployment manifest (DEPLOY_FRESH=1)",
+      ]);
+    });
+  });
+
+  describe("fee-bumping sender", function () {
+    it("replaces a transaction left pending past its window, at higher fees on the same nonce", async function () {
+      const [signer, to] = await ethers.getSigners();
+      const sender = createSender({ signer, chainId: 31337, initialWaitMs: 300, bumpIntervalMs: 100, log: quiet });
+      const nonce = await nonceOf(signer);
+      const broadcasts = [];
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const receipt = await sender.sendAndWait({ to: to.address, value: 1, gasLimit: 21000 }, "transfer", {
+        onBroadcast: async (tx) => {
+          broadcasts.push(tx);
+          // Only the replacement gets mined
+          if (broadcasts.length === 2) await ethers.provider.send("evm_mine", []);
+        },
+      });
+
+      expect(broadcasts.map((b) => b.nonce)).to.deep.equal([nonce, nonce]);
+      const [first, second] = broadcasts.map((b) => b.hash);
+      expect(first).to.not.equal(second);
+      expect(receipt.transactionHash).to.equal(second);
+      expect(await ethers.provider.getTransaction(first)).to.equal(null);
+      const replacement = await ethers.provider.getTransaction(second);
+      const original = await sender.suggestFees(200);
+      expect(replacement.maxFeePerGas.gt(original.maxFeePerGas)).to.equal(true);
+      expect(replacement.maxPriorityFeePerGas.gt(original.maxPriorityFeePerGas)).to.equal(true);
+
+      // A resumed run holding both hashes finds the one that was mined
+      expect((await sender.waitForAny([first, second])).transactionHash).to.equal(second);
+    });
+
+    it("gives up after the last bump with a TIMEOUT error carrying the last hash", async function () {
+      const [signer, to] = await ethers.getSigners();
+      const sender = createSender({ signer, initialWaitMs: 200, bumpIntervalMs: 100, maxBumps: 1, log: quiet });
+      const hashes = [];
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const err = await sender
+        .sendAndWait({ to: to.address, value: 1, gasLimit: 21000 }, "transfer", {
+          onBroadcast: ({ hash }) => hashes.push(hash),
+        })
+        .then(() => null, (e) => e);
+
+      expect(err).to.include({ code: "TIMEOUT", hash: hashes[1] });
+      expect(err.message).to.equal(`Gave up on transfer after 2 attempts. Check ${hashes[1]}`);
+      expect(await sender.waitForAny(hashes, 100)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { hre, ethers, expect } = require("./helpers");
+const { STEPS } = require("../scripts/lib/deploy-engine");
+const { PROFILES } = require("../scripts/lib/governance-profiles");
+const { loadDeployConfig } = require("../scripts/lib/deploy-config");
+const {
+  parseDryRunArgs,
+  deployMockFeed,
+  withPlaceholders,
+  dryRunDeployment,
+  dryRunReport,
+} = require("../scripts/lib/dry-run");
+
+describe("Deployment dry run", function () {
+  it("runs the mainnet sequence in-process and costs every transaction", async function () {
+    const feed = await deployMockFeed(hre, { price: "0.85" });
+    const endorsers = Array.from({ length: 26 }, () => ethers.Wallet.createRandom().address);
+    const constructorArgs = {
+      priceFeedAddress: feed.address,
+      initialCeo: ethers.Wallet.createRandom().address,
+      initialEndorsers: endorsers,
+      treasuryOwner: ethers.Wallet.createRandom().address,
+      governance: { profile: "mainnet", ...PROFILES.mainnet },
+    };
+    const result = await dryRunDeployment(hre, { constructorArgs, gwei: "25" });
+
+    expect(result.transactions.map((t) => t.step)).to.deep.equal(STEPS.map((s) => s.id));
+    expect(result.transactions.map((t) => t.step)).to.include.members([
+      "WhitelistManager.setDao",
+      "FundingManagerContract.setDao",
+      "InvUsdToken.transferOwnership",
+    ]);
+    const gwei = ethers.utils.parseUnits("25", "gwei");
+    for (const t of result.transactions) {
+      expect(ethers.BigNumber.from(t.gasUsed).gt(0)).to.equal(true);
+      expect(t.costWei).to.equal(ethers.BigNumber.from(t.gasUsed).mul(gwei).toString());
+    }
+    expect(result.totalCostWei).to.equal(ethers.BigNumber.from(result.totalGas).mul(gwei).toString());
+
+    const dao = await ethers.getContractAt("INVTRON_DAO", result.addresses.INVTRON_DAO);
+    expect(await dao.ENDORSER_VOTES_FOR_CEO_PASS()).to.equal(26);
+    expect(await dao.getLatestUsdPrice()).to.equal(ethers.utils.parseUnits("0.85", 18));
+    const invUsd = await ethers.getContractAt("InvUsdToken", result.addresses.InvUsdToken);
+    expect(await invUsd.owner()).to.equal(dao.address);
+    expect(result.addressInfo.INVTRON_DAO_CONTRACT).to.equal(dao.address);
+
+    const report = dryRunReport(result);
+    expect(report).to.include("ETH at 25 gwei");
+    expect(report).to.match(new RegExp(`Total\\s+${result.totalGas}\\s+`));
+    expect(report).to.include(`INVTRON_DAO_CONTRACT: ${dao.address}`);
+  });
+
+  it("rehearses the committed constructor.mainnet.env, standing in for its blank addresses", async function () {
+    const config = loadDeployConfig({ env: {}, network: "mainnet", deployer: false, dryRun: true });
+    expect(config.constructorArgs).to.include({ priceFeedAddress: "", initialCeo: "" });
+    expect(() => loadDeployConfig({ env: {}, network: "mainnet", deployer: false })).to.throw(
+      /_priceFeedAddress is missing/
+    );
+
+    const feed = await deployMockFeed(hre);
+    const { constructorArgs, placeholders } = withPlaceholders(config.constructorArgs, feed.address);
+    expect(placeholders).to.deep.equal(["_initialCeo", "_treasuryOwner", "_initialEndorsers"]);
+    expect(constructorArgs.priceFeedAddress).to.equal(feed.address);
+    expect(constructorArgs.initialEndorsers).to.have.length(PROFILES.mainnet.endorserVotesForCeoPass);
+    expect(new Set([constructorArgs.initialCeo, ...constructorArgs.initialEndorsers]).size).to.equal(27);
+    for (const a of [constructorArgs.initialCeo, constructorArgs.treasuryOwner]) {
+      expect(await ethers.provider.getCode(a)).to.equal("0x");
+    }
+    const result = await dryRunDeployment(hre, { constructorArgs, gwei: "20" });
+    const dao = await ethers.getContractAt("INVTRON_DAO", result.addresses.INVTRON_DAO);
+    expect(await dao.currentCeo()).to.equal(constructorArgs.initialCeo);
+
+    // Addresses the file does set are kept
+    const ceo = ethers.Wallet.createRandom().address;
+    const kept = withPlaceholders({ ...config.constructorArgs, initialCeo: ceo }, feed.address);
+    expect(kept.constructorArgs.initialCeo).to.equal(ceo);
+    expect(kept.placeholders).to.not.include("_initialCeo");
+  });
+
+  it("reads its options from flags or the environment and refuses other networks", async function () {
+    expect(parseDryRunArgs(["--dry-run", "--price", "1.25", "--gwei", "40"], {})).to.deep.equal({
+      dryRun: true,
+      price: "1.25",
+      gwei: "40",
+      report: undefined,
+    });
+    expect(parseDryRunArgs([], { DEPLOY_DRY_RUN: "1", DRY_RUN_REPORT: "out.json" })).to.include({
+      dryRun: true,
+      price: "1",
+      gwei: "20",
+      report: "out.json",
+    });
+    expect(parseDryRunArgs([], {}).dryRun).to.equal(false);
+
+    const live = { ...hre, network: { name: "mainnet" } };
+    await expect(dryRunDeployment(live, { constructorArgs: {}, gwei: "1" })).to.be.rejectedWith(
+      /Dry runs use the in-process Hardhat network, not mainnet/
+    );
+  });
+});
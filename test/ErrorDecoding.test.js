@@ -0,0 +1,218 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hre, ethers, expect, loadFixture, deployLocalStack } = require("./helpers");
+const {
+  ERROR_MESSAGES,
+  DaoError,
+  errorInterface,
+  extractRevertData,
+  decodeRevertData,
+  explainError,
+  describeError,
+  toDaoError,
+  replayRevertData,
+} = require("../sdk/errors");
+const { artifactErrorInterface, decodeFailure } = require("../scripts/lib/error-report");
+
+const { defaultAbiCoder, hexConcat } = ethers.utils;
+
+// Placeholder value for each ABI type the decoded errors use
+const SAMPLE = { address: ethers.constants.AddressZero, bytes32: ethers.constants.HashZero };
+const sample = (type) => SAMPLE[type] ?? 1;
+
+describe("Revert decoding", function () {
+  const iface = errorInterface();
+
+  it("decodes and explains every error in ERROR_MESSAGES without any ABI", function () {
+    for (const name of Object.keys(ERROR_MESSAGES)) {
+      const fragment = iface.getError(name);
+      const data = iface.encodeErrorResult(fragment, fragment.inputs.map((i) => sample(i.type)));
+      const decoded = decodeRevertData(data);
+      expect(decoded, name).to.include({ name, signature: fragment.format(), selector: data.slice(0, 10) });
+
+      const explanation = explainError(decoded);
+      const message = ERROR_MESSAGES[name];
+      expect(explanation, name).to.equal(typeof message === "function" ? message(decoded.args, {}) : message);
+    }
+  });
+
+  it("has a message for every Errors.* declaration", function () {
+    const source = fs.readFileSync(path.join(__dirname, "..", "contracts", "libraries", "Errors.sol"), "utf8");
+    const declared = [...source.matchAll(/error (\w+)\(/g)].map((m) => m[1]);
+    expect(Object.keys(ERROR_MESSAGES)).to.include.members(declared);
+  });
+
+  it("names the arguments of OpenZeppelin errors", function () {
+    const needed = ethers.utils.parseEther("100");
+    const data = iface.encodeErrorResult("ERC20InsufficientAllowance", [SAMPLE.address, 0, needed]);
+    const decoded = decodeRevertData(data);
+    expect(Object.keys(decoded.args)).to.deep.equal(["spender", "allowance", "needed"]);
+    expect(decoded.args.needed).to.equal(needed);
+    expect(explainError(decoded)).to.equal(
+      `Insufficient allowance for ${SAMPLE.address}: approved 0.0, need 100.0. ` +
+        "Fees are pulled by the DAO, so approve the DAO address."
+    );
+  });
+
+  it("decodes Error(string) and Panic(uint256)", function () {
+    const reason = hexConcat(["0x08c379a0", defaultAbiCoder.encode(["string"], ["not allowed"])]);
+    expect(decodeRevertData(reason)).to.deep.equal({
+      name: "Error",
+      signature: "Error(string)",
+      selector: "0x08c379a0",
+      args: { reason: "not allowed" },
+    });
+    expect(explainError(decodeRevertData(reason))).to.equal("Reverted: not allowed");
+
+    const panic = (code) => hexConcat(["0x4e487b71", defaultAbiCoder.encode(["uint256"], [code])]);
+    expect(decodeRevertData(panic(0x11))).to.deep.include({ name: "Panic", args: { code: 0x11 } });
+    expect(explainError(decodeRevertData(panic(0x11)))).to.equal("Panic 0x11: arithmetic overflow or underflow.");
+    expect(explainError(decodeRevertData(panic(0x99)))).to.equal("Panic 0x99: unknown panic code.");
+  });
+
+  it("reports unknown selectors and missing revert data", async function () {
+    expect(decodeRevertData("0xdeadbeef")).to.equal(null);
+    expect(decodeRevertData("0x")).to.equal(null);
+    expect(decodeRevertData("not hex")).to.equal(null);
+    expect(await describeError({ data: "0xdeadbeef" })).to.deep.equal({
+      name: null,
+      signature: null,
+      args: {},
+      data: "0xdeadbeef",
+      explanation: "The transaction reverted without a recognised error.",
+    });
+    expect(await describeError(new Error("network down"))).to.equal(null);
+
+    const unknown = new Error("execution reverted");
+    expect(await toDaoError(unknown)).to.equal(unknown);
+  });
+
+  it("finds revert data nested in provider errors", async function () {
+    const data = iface.encodeErrorResult("NotWhitelisted", []);
+    const shapes = [
+      data,
+      { data },
+      { error: { error: { data } } },
+      { cause: { data: { data } } },
+      { originalError: { data: { message: "execution reverted", data } } },
+      { message: "processing response error", body: JSON.stringify({ error: { code: 3, data } }) },
+    ];
+    for (const err of shapes) expect(extractRevertData(err), JSON.stringify(err)).to.equal(data);
+    expect(extractRevertData({ body: "<html>bad gateway</html>" })).to.equal(null);
+
+    const described = await describeError(shapes[4]);
+    expect(described).to.include({ name: "NotWhitelisted", explanation: ERROR_MESSAGES.NotWhitelisted });
+    const wrapped = await toDaoError(shapes[2]);
+    expect(wrapped).to.be.an.instanceOf(DaoError);
+    expect(wrapped).to.include({ code: "DAO_REVERT", errorName: "NotWhitelisted", data, cause: shapes[2] });
+    expect(await toDaoError(wrapped)).to.equal(wrapped);
+  });
+
+  it("adds the account's unlock time to lock errors when a DAO is given", async function () {
+    const data = iface.encodeErrorResult("TokensAlreadyLocked", []);
+    const unlock = 1_800_000_000;
+    const dao = {
+      tokenUnlockTimeForCeoVote: async () => ethers.BigNumber.from(unlock),
+      tokenUnlockTimeForFundingVote: async () => ethers.BigNumber.from(0),
+    };
+    const ctx = { account: SAMPLE.address, voteType: "ceo" };
+    expect((await describeError({ data }, { dao, ctx })).explanation).to.equal(
+      `You already cast a CEO vote; your tokens are locked until ${new Date(unlock * 1000).toISOString()}.`
+    );
+    expect((await describeError({ data }, { ctx })).explanation).to.equal(
+      "You already cast a CEO vote; your tokens are locked until tokenUnlockTimeForCeoVote."
+    );
+    const broken = { tokenUnlockTimeForCeoVote: async () => Promise.reject(new Error("no code")) };
+    expect((await describeError({ data }, { dao: broken, ctx: { account: SAMPLE.address } })).explanation).to.equal(
+      ERROR_MESSAGES.TokensAlreadyLocked({}, {})
+    );
+  });
+
+  describe("against the chain", function () {
+    let log;
+    beforeEach(() => {
+      log = console.log;
+      console.log = () => {};
+    });
+    afterEach(async () => {
+      console.log = log;
+      await ethers.provider.send("evm_setAutomine", [true]);
+    });
+
+    async function revertedFixture() {
+      const stack = await deployLocalStack(hre);
+      const stranger = (await ethers.getSigners())[9];
+      const call = await stack.whitelist
+        .connect(stranger)
+        .populateTransaction.makeWhitelisted(stranger.address, true);
+
+      // Mined with a fixed gas limit, so the revert lands on chain instead of failing estimation
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const tx = await stranger.sendTransaction({ ...call, gasLimit: 200_000 });
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_setAutomine", [true]);
+      return { ...stack, stranger, tx };
+    }
+
+    it("decodes a reverted call and a mined reverted transaction", async function () {
+      const { whitelist, stranger, tx } = await loadFixture(revertedFixture);
+      expect((await ethers.provider.getTransactionReceipt(tx.hash)).status).to.equal(0);
+
+      const err = await whitelist
+        .connect(stranger)
+        .makeWhitelisted(stranger.address, true)
+        .then(() => null, (e) => e);
+      expect(await describeError(err)).to.include({ name: "OnlyCeo", explanation: ERROR_MESSAGES.OnlyCeo });
+
+      const data = await replayRevertData(ethers.provider, tx.hash);
+      expect(decodeRevertData(data).name).to.equal("OnlyCeo");
+      expect(await replayRevertData(ethers.provider, await ethers.provider.getTransaction(tx.hash))).to.equal(data);
+
+      const ok = await stranger.sendTransaction({ to: stranger.address, value: 1 });
+      expect(await replayRevertData(ethers.provider, ok.hash)).to.equal(null);
+      await expect(replayRevertData(ethers.provider, ethers.constants.HashZero)).to.be.rejectedWith(
+        `Transaction ${ethers.constants.HashZero} not found`
+      );
+    });
+
+    it("decodes errors that only the published info/ ABIs declare", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "info-abis-"));
+      try {
+        const retired = { type: "error", name: "RetiredError", inputs: [{ name: "code", type: "uint256" }] };
+        fs.writeFileSync(path.join(dir, "OLD-ABI.json"), JSON.stringify({ abi: [retired] }, null, 2));
+        const data = new ethers.utils.Interface([retired]).encodeErrorResult("RetiredError", [7]);
+
+        expect((await decodeFailure(hre, { data })).name).to.equal(null);
+        const published = await artifactErrorInterface(hre, { infoDir: dir });
+        const described = await decodeFailure(hre, { data }, { iface: published });
+        expect(described).to.include({ name: "RetiredError", signature: "RetiredError(uint256)" });
+        expect(described.args.code).to.equal(7);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("runs dao:decode-error on revert data and transaction hashes", async function () {
+      const { dao, stranger, tx } = await loadFixture(revertedFixture);
+      const data = iface.encodeErrorResult("OracleStale", []);
+
+      expect(await hre.run("dao:decode-error", { input: data, dao: dao.address })).to.include({
+        name: "OracleStale",
+        explanation: ERROR_MESSAGES.OracleStale,
+      });
+      expect(await hre.run("dao:decode-error", { input: tx.hash, dao: dao.address })).to.include({
+        name: "OnlyCeo",
+        signature: "OnlyCeo()",
+      });
+      expect(await hre.run("dao:decode-error", { input: "0xdeadbeef", dao: dao.address })).to.equal(null);
+
+      const [deployer] = await ethers.getSigners();
+      const ok = await deployer.sendTransaction({ to: stranger.address, value: 1 });
+      expect(await hre.run("dao:decode-error", { input: ok.hash, dao: dao.address })).to.equal(null);
+      await expect(hre.run("dao:decode-error", { input: "OnlyCeo" })).to.be.rejectedWith(
+        "Not hex revert data or a tx hash: OnlyCeo"
+      );
+    });
+  });
+});
@@ -0,0 +1,564 @@
+const {
+  ethers,
+  expect,
+  DAY,
+  VOTING_PERIOD,
+  inv,
+  usd,
+  loadFixture,
+  expectRevert,
+  eventArgs,
+  fundingDetails,
+  signDelegateVP,
+  advance,
+  fundedStack,
+  latestTimestamp,
+} = require("./helpers");
+const { PROFILES, governanceConfig } = require("../scripts/lib/governance-profiles");
+
+// Pending, Active, Succeeded, Defeated, Executed
+const Status = { Pending: 0, Active: 1, Succeeded: 2, Defeated: 3, Executed: 4 };
+
+describe("FundingManagerContract", function () {
+  async function deployFixture() {
+    const signers = await ethers.getSigners();
+    const [, , e1, e2, e3, proposer, voterA, voterB, holder, delegatee, treasury, outsider, candidate, whale] =
+      signers;
+    const stack = await fundedStack({
+      treasuryOwner: treasury.address,
+      balances: [
+        [proposer, 10_000],
+        [voterA, 1_000_000],
+        [voterB, 1_000_000],
+        [holder, 1_000_000],
+        [delegatee, 500_000],
+        [outsider, 10_000],
+        [candidate, 30_000],
+        [whale, 100_000_000],
+      ],
+      whitelisted: [proposer, candidate],
+      selfDelegated: [voterA, voterB, holder, delegatee, whale],
+    });
+
+    return {
+      ...stack,
+      endorsers: [e1, e2, e3],
+      proposer,
+      voterA,
+      voterB,
+      holder,
+      delegatee,
+      treasury,
+      outsider,
+      candidate,
+      whale,
+      fm: stack.fundingManager,
+    };
+  }
+
+  async function createRequest(f, overrides) {
+    const id = await f.fm.nextFundingRequestId();
+    await f.fm.connect(f.proposer).createFundingRequest(fundingDetails(overrides));
+    return id;
+  }
+
+  async function activate(f, id) {
+    for (const e of f.endorsers) await f.fm.connect(e).voteOnFundingByEndorser(id);
+  }
+
+  async function activeRequest(f, overrides) {
+    const id = await createRequest(f, overrides);
+    await activate(f, id);
+    return id;
+  }
+
+  // Voting value of a self-delegated holder whose balance is younger than ~8 days:
+  // 0.05% of the USD value at $1/INV, in USD(6).
+  const baseValue = (tokens) => usd(tokens).mul(5).div(10000);
+  // 22% reward converted to INV at $1/INV
+  const rewardInv = (usd6) => usd6.mul(22).mul(ethers.BigNumber.from(10).pow(28)).div(inv(1));
+
+  describe("setDao", function () {
+    it("rejects a second setDao and the zero address", async function () {
+      const f = await loadFixture(deployFixture);
+      await expectRevert(f.fm.setDao(f.dao.address), "DaoAlreadySet");
+      const Fresh = await ethers.getContractFactory("FundingManagerContract");
+      const fresh = await Fresh.deploy(governanceConfig(PROFILES.local));
+      await expectRevert(fresh.setDao(ethers.constants.AddressZero), "DaoAddressZero");
+    });
+  });
+
+  describe("createFundingRequest", function () {
+    it("collects the $100 INV fee for the treasury and opens a pending request", async function () {
+      const f = await loadFixture(deployFixture);
+      const before = await f.dao.balanceOf(f.treasury.address);
+      const args = await eventArgs(
+        f.fm.connect(f.proposer).createFundingRequest(fundingDetails()),
+        f.fm,
+        "FundingRequestCreated"
+      );
+      expect(args.id).to.equal(0);
+      expect(args.proposer).to.equal(f.proposer.address);
+      expect((await f.dao.balanceOf(f.treasury.address)).sub(before)).to.equal(inv(100));
+
+      const req = await f.fm.fundingRequests(0);
+      expect(req.status).to.equal(Status.Pending);
+      expect(req.amount).to.equal(usd(10_000));
+      expect(req.deadline).to.equal((await latestTimestamp(ethers.provider)) + VOTING_PERIOD);
+      expect(await f.fm.nextFundingRequestId()).to.equal(1);
+    });
+
+    it("requires the proposer to be whitelisted", async function () {
+      const f = await loadFixture(deployFixture);
+      await expectRevert(f.fm.connect(f.outsider).createFundingRequest(fundingDetails()), "NotWhitelisted");
+    });
+
+    it("rejects invalid caps", async function () {
+      const f = await loadFixture(deployFixture);
+      for (const caps of [
+        { softCapAmount: 0 },
+        { hardCapAmount: 0 },
+        { softCapAmount: usd(30_000), hardCapAmount: usd(20_000) },
+      ]) {
+        await expectRevert(
+          f.fm.connect(f.proposer).createFundingRequest(fundingDetails(caps)),
+          "InvalidFundingCaps"
+        );
+      }
+    });
+
+    it("rejects a zero valuation", async function () {
+      const f = await loadFixture(deployFixture);
+      await expectRevert(
+        f.fm.connect(f.proposer).createFundingRequest(fundingDetails({ valuation: 0 })),
+        "InvalidValuation"
+      );
+    });
+
+    it("requires an INV allowance for the fee", async function () {
+      const f = await loadFixture(deployFixture);
+      await f.whitelist.connect(f.ceo).makeWhitelisted(f.outsider.address, true);
+      await expectRevert(
+        f.fm.connect(f.outsider).createFundingRequest(fundingDetails()),
+        "ERC20InsufficientAllowance"
+      );
+    });
+
+    it("rejects stale and non-positive oracle prices", async function () {
+      const f = await loadFixture(deployFixture);
+      await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+      await ethers.provider.send("evm_mine", []);
+      await expectRevert(f.fm.connect(f.proposer).createFundingRequest(fundingDetails()), "OracleStale");
+
+      await f.priceFeed.setLatestData(0, await latestTimestamp(ethers.provider));
+      await expectRevert(f.fm.connect(f.proposer).createFundingRequest(fundingDetails()), "OraclePriceInvalid");
+    });
+  });
+
+  describe("voteOnFundingByEndorser", function () {
+    it("activates the request at endorser quorum and restarts the voting period", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await createRequest(f);
+      await f.fm.connect(f.endorsers[0]).voteOnFundingByEndorser(id);
+      await f.fm.connect(f.endorsers[1]).voteOnFundingByEndorser(id);
+      expect((await f.fm.fundingRequests(id)).status).to.equal(Status.Pending);
+
+      const args = await eventArgs(
+        f.fm.connect(f.endorsers[2]).voteOnFundingByEndorser(id),
+        f.fm,
+        "ProposalStatusUpdated"
+      );
+      expect(args.status).to.equal(Status.Active);
+      const req = await f.fm.fundingRequests(id);
+      expect(req.endorserVotes).to.equal(3);
+      expect(req.deadline).to.equal((await latestTimestamp(ethers.provider)) + VOTING_PERIOD);
+      expect(await f.fm.fundingEndorsersVoted(id, f.endorsers[2].address)).to.equal(true);
+    });
+
+    it("is restricted to endorsers", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await createRequest(f);
+      await expectRevert(f.fm.connect(f.voterA).voteOnFundingByEndorser(id), "OnlyEndorser");
+    });
+
+    it("rejects a second vote from the same endorser", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await createRequest(f);
+      await f.fm.connect(f.endorsers[0]).voteOnFundingByEndorser(id);
+      await expectRevert(f.fm.connect(f.endorsers[0]).voteOnFundingByEndorser(id), "FundingEndorserAlreadyVoted");
+    });
+
+    it("rejects votes once the request is no longer pending", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await expectRevert(f.fm.connect(f.endorsers[0]).voteOnFundingByEndorser(id), "FundingProposalNotPending");
+    });
+
+    it("rejects votes after the endorsement deadline", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await createRequest(f);
+      await advance(f, VOTING_PERIOD);
+      await expectRevert(f.fm.connect(f.endorsers[0]).voteOnFundingByEndorser(id), "FundingVotingEnded");
+    });
+  });
+
+  describe("expireFundingRequest", function () {
+    it("defeats a pending request only after its deadline", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await createRequest(f);
+      await expectRevert(f.fm.expireFundingRequest(id), "FundingVotingActive");
+      await advance(f, VOTING_PERIOD);
+      await f.fm.expireFundingRequest(id);
+      expect(await f.fm.fundingStatus(id)).to.equal(Status.Defeated);
+      await expectRevert(f.fm.expireFundingRequest(id), "FundingProposalNotPending");
+    });
+  });
+
+  describe("voteOnFundingByUser", function () {
+    it("records a direct vote at 0.05% of holdings and locks the backing tokens", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      const args = await eventArgs(
+        f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address),
+        f.fm,
+        "Voted"
+      );
+      const expected = baseValue(1_000_000); // $500
+      expect(args.voter).to.equal(f.voterA.address);
+      expect(args.votingPower).to.equal(expected);
+      expect((await f.fm.fundingRequests(id)).userVotesFor).to.equal(expected);
+      expect(await f.fm.votingPowerAtVote(id, f.voterA.address)).to.equal(expected);
+      expect(await f.fm.delegateAtVote(id, f.voterA.address)).to.equal(ethers.constants.AddressZero);
+
+      // $1 of voting value locks 200 INV at $1/INV
+      expect(await f.dao.lockedBalanceForFundingVote(f.voterA.address)).to.equal(inv(100_000));
+      expect(await f.dao.totalLockedTokens()).to.equal(inv(100_000));
+    });
+
+    it("caps voting value at 10% of the request amount", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      const args = await eventArgs(
+        f.fm.connect(f.whale).voteOnFundingByUser(id, true, f.whale.address),
+        f.fm,
+        "Voted"
+      );
+      // 0.05% of $100M would be $50,000; the cap is 10% of the $10,000 soft cap
+      expect(args.votingPower).to.equal(usd(1_000));
+      expect(await f.dao.lockedBalanceForFundingVote(f.whale.address)).to.equal(inv(200_000));
+    });
+
+    it("combines delegate and token holder power when voting via tokenHolder", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      const deadline = (await latestTimestamp(ethers.provider)) + DAY;
+      const sig = await signDelegateVP(f.dao, f.holder, f.delegatee.address, deadline);
+      await f.dao.delegateVPbySig(sig.delegatee, sig.nonce, sig.deadline, sig.v, sig.r, sig.s);
+      expect(await f.dao.votingDelegate(f.holder.address)).to.equal(f.delegatee.address);
+
+      const args = await eventArgs(
+        f.fm.connect(f.delegatee).voteOnFundingByUser(id, true, f.holder.address),
+        f.fm,
+        "Voted"
+      );
+      const holderValue = baseValue(1_000_000); // $500
+      const delegateValue = baseValue(500_000); // $250
+      expect(args.voter).to.equal(f.holder.address);
+      expect(args.votingPower).to.equal(holderValue.add(delegateValue));
+      expect(await f.fm.fundingUsersVoted(id, f.holder.address)).to.equal(true);
+      expect(await f.fm.votingPowerAtVote(id, f.holder.address)).to.equal(holderValue);
+      expect(await f.fm.delegateePowerAtVote(id, f.holder.address)).to.equal(delegateValue);
+      expect(await f.fm.delegateAtVote(id, f.holder.address)).to.equal(f.delegatee.address);
+      expect(await f.dao.lockedBalanceForFundingVote(f.holder.address)).to.equal(inv(100_000));
+      expect(await f.dao.lockedBalanceForFundingVote(f.delegatee.address)).to.equal(inv(50_000));
+    });
+
+    it("rejects votes on requests that are not active", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await createRequest(f);
+      await expectRevert(
+        f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address),
+        "FundingProposalNotActiveUser"
+      );
+    });
+
+    it("rejects votes after the voting deadline", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await advance(f, VOTING_PERIOD);
+      await expectRevert(
+        f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address),
+        "FundingVotingEnded"
+      );
+    });
+
+    it("rejects a zero tokenHolder", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await expectRevert(
+        f.fm.connect(f.voterA).voteOnFundingByUser(id, true, ethers.constants.AddressZero),
+        "InvalidTokenHolder"
+      );
+    });
+
+    it("rejects voting for a holder who has not delegated to the caller", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await expectRevert(
+        f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterB.address),
+        "NotAuthorizedDelegate"
+      );
+    });
+
+    it("rejects the proposer voting on their own request", async function () {
+      const f = await loadFixture(deployFixture);
+      await f.dao.connect(f.proposer).delegate(f.proposer.address);
+      const id = await activeRequest(f);
+      await expectRevert(
+        f.fm.connect(f.proposer).voteOnFundingByUser(id, true, f.proposer.address),
+        "SelfVoting"
+      );
+    });
+
+    it("rejects voters without delegated voting power", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await expectRevert(
+        f.fm.connect(f.outsider).voteOnFundingByUser(id, true, f.outsider.address),
+        "NoVotingPower"
+      );
+    });
+
+    it("rejects an against vote when nothing has been raised", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await expectRevert(
+        f.fm.connect(f.voterA).voteOnFundingByUser(id, false, f.voterA.address),
+        "NoVotingPower"
+      );
+    });
+
+    it("rejects a second vote while the funding lock is active", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+      await expectRevert(
+        f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address),
+        "TokensAlreadyLocked"
+      );
+    });
+
+    it("never reaches FundingUserAlreadyVoted: the vote lock outlasts the voting period", async function () {
+      // GovernanceLib.validate requires tokenLockDuration > votingPeriod, so a second vote for the
+      // same holder fails on their lock until the deadline and on the deadline after it
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+      const { deadline } = await f.fm.fundingRequests(id);
+      expect((await f.dao.tokenUnlockTimeForFundingVote(f.voterA.address)).gt(deadline)).to.equal(true);
+
+      await advance(f, deadline.toNumber() - (await latestTimestamp(ethers.provider)) - 10);
+      await expectRevert(
+        f.fm.connect(f.voterA).voteOnFundingByUser(id, false, f.voterA.address),
+        "TokensAlreadyLocked"
+      );
+      await advance(f, 10);
+      await expectRevert(
+        f.fm.connect(f.voterA).voteOnFundingByUser(id, false, f.voterA.address),
+        "FundingVotingEnded"
+      );
+    });
+
+    it("rejects a fully locked delegate voting for a holder whose votes are worth nothing", async function () {
+      const f = await loadFixture(deployFixture);
+      const [dust] = (await ethers.getSigners()).slice(14);
+      // The outsider votes with the whale's votes, so its $1,000 vote asks for a 200,000 INV lock
+      // and locks its whole 10,000 INV balance
+      await f.dao.connect(f.whale).delegate(f.outsider.address);
+      await f.dao.connect(f.deployer).transfer(dust.address, 1000);
+      await f.dao.connect(dust).delegate(dust.address);
+      const deadline = (await latestTimestamp(ethers.provider)) + DAY;
+      const sig = await signDelegateVP(f.dao, dust, f.outsider.address, deadline);
+      await f.dao.delegateVPbySig(sig.delegatee, sig.nonce, sig.deadline, sig.v, sig.r, sig.s);
+
+      const first = await activeRequest(f);
+      const second = await activeRequest(f);
+      await f.fm.connect(f.outsider).voteOnFundingByUser(first, true, f.outsider.address);
+      expect(await f.dao.lockedBalanceForFundingVote(f.outsider.address)).to.equal(inv(10_000));
+
+      // Both legs clamp to zero: the outsider has no free tokens, 1000 wei of votes is worth $0
+      await expectRevert(
+        f.fm.connect(f.outsider).voteOnFundingByUser(second, true, dust.address),
+        "TokensLocked"
+      );
+    });
+  });
+
+  describe("finalizeFundingRequest", function () {
+    it("defeats an active request that failed to reach majority", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+      await f.fm.connect(f.voterB).voteOnFundingByUser(id, false, f.voterB.address);
+      await expectRevert(f.fm.finalizeFundingRequest(id), "FundingVotingActive");
+
+      await advance(f, VOTING_PERIOD);
+      await f.fm.finalizeFundingRequest(id);
+      expect(await f.fm.fundingStatus(id)).to.equal(Status.Defeated);
+      await expectRevert(f.fm.finalizeFundingRequest(id), "FundingProposalNotActive");
+    });
+
+    it("refuses to defeat a request that passed", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+      await advance(f, VOTING_PERIOD);
+      await expectRevert(f.fm.finalizeFundingRequest(id), "FundingProposalPassed");
+    });
+  });
+
+  describe("releaseFundingRequest", function () {
+    it("lets the CEO approve a passed request once", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+      await expectRevert(f.fm.connect(f.ceo).releaseFundingRequest(id), "FundingVotingActive");
+      await advance(f, VOTING_PERIOD);
+
+      await expectRevert(f.fm.connect(f.outsider).releaseFundingRequest(id), "OnlyCeo");
+      const args = await eventArgs(
+        f.fm.connect(f.ceo).releaseFundingRequest(id),
+        f.fm,
+        "FundingRequestApproved"
+      );
+      expect(args.id).to.equal(id);
+      expect((await f.fm.fundingRequests(id)).ceoApproved).to.equal(true);
+      await expectRevert(f.fm.connect(f.ceo).releaseFundingRequest(id), "FundingRequestAlreadyApproved");
+    });
+
+    it("rejects pending and failed requests", async function () {
+      const f = await loadFixture(deployFixture);
+      const pending = await createRequest(f);
+      await expectRevert(f.fm.connect(f.ceo).releaseFundingRequest(pending), "FundingProposalNotActive");
+
+      const failed = await activeRequest(f);
+      await advance(f, VOTING_PERIOD);
+      await expectRevert(f.fm.connect(f.ceo).releaseFundingRequest(failed), "FundingProposalFailed");
+    });
+  });
+
+  describe("mintTokensForFundingRequest", function () {
+    it("mints INV-USD to the proposer and seeds the exchange state", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+      await expectRevert(f.fm.mintTokensForFundingRequest(id), "FundingVotingActiveExecution");
+      await advance(f, VOTING_PERIOD);
+      await expectRevert(f.fm.mintTokensForFundingRequest(id), "FundingRequestNotApproved");
+      await f.fm.connect(f.ceo).releaseFundingRequest(id);
+
+      const args = await eventArgs(f.fm.mintTokensForFundingRequest(id), f.fm, "ProposalStatusUpdated");
+      expect(args.status).to.equal(Status.Executed);
+      const minted = usd(10_000).mul(1e12);
+      expect(await f.invUsd.balanceOf(f.proposer.address)).to.equal(minted);
+      expect((await f.dao.getExchangeState(id)).remaining).to.equal(minted);
+
+      await expectRevert(f.fm.mintTokensForFundingRequest(id), "FundingProposalNotActiveExecution");
+    });
+
+    it("refuses requests without net support", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await advance(f, VOTING_PERIOD);
+      await expectRevert(f.fm.mintTokensForFundingRequest(id), "FundingProposalFailed");
+    });
+  });
+
+  describe("rewards", function () {
+    // voterA ($500) and the holder/delegatee pair ($500 + $250) vote for, voterB ($500) votes against.
+    async function executedFixture() {
+      const f = await deployFixture();
+      const id = await activeRequest(f);
+      const deadline = (await latestTimestamp(ethers.provider)) + DAY;
+      const sig = await signDelegateVP(f.dao, f.holder, f.delegatee.address, deadline);
+      await f.dao.delegateVPbySig(sig.delegatee, sig.nonce, sig.deadline, sig.v, sig.r, sig.s);
+
+      await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+      await f.fm.connect(f.delegatee).voteOnFundingByUser(id, true, f.holder.address);
+      await f.fm.connect(f.voterB).voteOnFundingByUser(id, false, f.voterB.address);
+      expect(await f.dao.getVotes(f.voterB.address)).to.equal(inv(1_000_000));
+      return { ...f, id };
+    }
+
+    it("reports no reward and rejects claims before finalization", async function () {
+      const f = await loadFixture(executedFixture);
+      expect(await f.fm.getVotingReward(f.id, f.voterA.address)).to.equal(0);
+      await expectRevert(f.fm.connect(f.voterA).claimReward(f.id), "ProposalNotFinalized");
+    });
+
+    it("pays 22% of the registered vote in INV to a direct voter", async function () {
+      const f = await loadFixture(executedFixture);
+      await advance(f, VOTING_PERIOD);
+      await f.fm.connect(f.ceo).releaseFundingRequest(f.id);
+      await f.fm.mintTokensForFundingRequest(f.id);
+
+      const expected = rewardInv(baseValue(1_000_000)); // 22% of $500 = 110 INV
+      expect(expected).to.equal(inv(110));
+      expect(await f.fm.getVotingReward(f.id, f.voterA.address)).to.equal(expected);
+
+      const before = await f.dao.balanceOf(f.voterA.address);
+      const args = await eventArgs(f.fm.connect(f.voterA).claimReward(f.id), f.fm, "RewardClaimed");
+      expect(args.voter).to.equal(f.voterA.address);
+      expect(args.amount).to.equal(expected);
+      expect((await f.dao.balanceOf(f.voterA.address)).sub(before)).to.equal(expected);
+      expect(await f.fm.rewardClaimed(f.id, f.voterA.address)).to.equal(true);
+
+      await expectRevert(f.fm.connect(f.voterA).claimReward(f.id), "RewardAlreadyClaimed");
+    });
+
+    it("splits delegated rewards 90/10 between holder and delegate", async function () {
+      const f = await loadFixture(executedFixture);
+      await advance(f, VOTING_PERIOD);
+      await f.fm.connect(f.ceo).releaseFundingRequest(f.id);
+      await f.fm.mintTokensForFundingRequest(f.id);
+
+      const holderInv = rewardInv(baseValue(1_000_000)); // 110 INV
+      const delegateInv = rewardInv(baseValue(500_000)); // 55 INV
+      const holderShare = holderInv.mul(90).div(100); // 99 INV
+      const delegateShare = holderInv.add(delegateInv).sub(holderShare); // 11 + 55 INV
+      expect(await f.fm.getVotingReward(f.id, f.holder.address)).to.equal(holderShare);
+
+      const holderBefore = await f.dao.balanceOf(f.holder.address);
+      const delegateBefore = await f.dao.balanceOf(f.delegatee.address);
+      await f.fm.connect(f.holder).claimReward(f.id);
+      expect((await f.dao.balanceOf(f.holder.address)).sub(holderBefore)).to.equal(holderShare);
+      expect((await f.dao.balanceOf(f.delegatee.address)).sub(delegateBefore)).to.equal(delegateShare);
+      expect(holderShare).to.equal(inv(99));
+      expect(delegateShare).to.equal(inv(66));
+    });
+
+    it("rejects claims from non-voters and from the losing side", async function () {
+      const f = await loadFixture(executedFixture);
+      await advance(f, VOTING_PERIOD);
+      await f.fm.connect(f.ceo).releaseFundingRequest(f.id);
+      await f.fm.mintTokensForFundingRequest(f.id);
+
+      await expectRevert(f.fm.connect(f.outsider).claimReward(f.id), "AddressDidNotVote");
+      expect(await f.fm.getVotingReward(f.id, f.voterB.address)).to.equal(0);
+      await expectRevert(f.fm.connect(f.voterB).claimReward(f.id), "VoteMismatch");
+    });
+
+    it("rewards against votes on a defeated request", async function () {
+      const f = await loadFixture(deployFixture);
+      const id = await activeRequest(f);
+      await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+      await f.fm.connect(f.voterB).voteOnFundingByUser(id, false, f.voterB.address);
+      await advance(f, VOTING_PERIOD);
+      await f.fm.finalizeFundingRequest(id);
+
+      expect(await f.fm.getVotingReward(id, f.voterB.address)).to.equal(inv(110));
+      await f.fm.connect(f.voterB).claimReward(id);
+      await expectRevert(f.fm.connect(f.voterA).claimReward(id), "VoteMismatch");
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const {
+  ethers,
+  expect,
+  VOTING_PERIOD,
+  loadFixture,
+  fundingDetails,
+  advance,
+  fundedStack,
+  sdkFor,
+} = require("./helpers");
+const { runAction } = require("../scripts/lib/governance-actions");
+
+const quiet = { log() {} };
+
+/** Message of the error `promise` rejects with. */
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err.message;
+  }
+  throw new Error("Expected the action to fail");
+}
+
+describe("Governance action preflight", function () {
+  async function deployFixture() {
+    const [, , e1, e2, e3, proposer, voterA, voterB, outsider] = await ethers.getSigners();
+    const stack = await fundedStack({
+      balances: [
+        [proposer, 10_000],
+        [voterA, 1_000_000],
+        [voterB, 200_000],
+      ],
+      whitelisted: [proposer],
+      approved: [],
+      selfDelegated: [voterA, voterB],
+    });
+    const sdk = await sdkFor(stack);
+    return {
+      ...stack,
+      fm: stack.fundingManager,
+      endorsers: [e1, e2, e3],
+      proposer,
+      voterA,
+      voterB,
+      outsider,
+      sdk,
+    };
+  }
+
+  async function activeRequest(f) {
+    const id = (await f.fm.nextFundingRequestId()).toNumber();
+    const details = fundingDetails();
+    await runAction(f.sdk.connect(f.proposer), "create-funding", { details }, { approve: true, log: quiet });
+    for (const e of f.endorsers) await f.fm.connect(e).voteOnFundingByEndorser(id);
+    return id;
+  }
+
+  it("reports every failed check and sends nothing", async function () {
+    const f = await loadFixture(deployFixture);
+    const before = await ethers.provider.getBlockNumber();
+    const message = await failure(runAction(f.sdk.connect(f.outsider), "apply-ceo", {}, { log: quiet }));
+    expect(message).to.match(/^Preflight failed: Whitelisted/);
+    expect(message).to.include("Balance worth $25000.0");
+    expect(message).to.include("approve the DAO or pass --approve");
+    expect(await ethers.provider.getBlockNumber()).to.equal(before);
+  });
+
+  it("dry-runs a funding request without approving or sending", async function () {
+    const f = await loadFixture(deployFixture);
+    const sdk = f.sdk.connect(f.proposer);
+    const bad = fundingDetails({ softCapAmount: fundingDetails().hardCapAmount.add(1) });
+    const invalid = runAction(sdk, "create-funding", { details: bad }, { dryRun: true, log: quiet });
+    expect(await failure(invalid)).to.match(/Funding caps/);
+
+    const before = await ethers.provider.getBlockNumber();
+    const details = fundingDetails();
+    const result = await runAction(sdk, "create-funding", { details }, { dryRun: true, approve: true, log: quiet });
+    expect(result.receipt).to.equal(null);
+    expect(result.simulated).to.equal(false); // needs the approval first
+    expect(await ethers.provider.getBlockNumber()).to.equal(before);
+
+    await f.dao.connect(f.proposer).approve(f.dao.address, ethers.constants.MaxUint256);
+    const simulated = await runAction(sdk, "create-funding", { details }, { dryRun: true, log: quiet });
+    expect(simulated.simulated).to.equal(true);
+    expect(await f.fm.nextFundingRequestId()).to.equal(0);
+  });
+
+  it("checks locks, self-votes and double votes before a funding vote", async function () {
+    const f = await loadFixture(deployFixture);
+    const id = await activeRequest(f);
+
+    const own = runAction(f.sdk.connect(f.proposer), "vote-funding", { id, inFavor: true }, { log: quiet });
+    expect(await failure(own)).to.match(/Not the proposer/);
+    const against = runAction(f.sdk.connect(f.voterB), "vote-funding", { id, inFavor: false }, { log: quiet });
+    expect(await failure(against)).to.match(/Votes to oppose/);
+
+    const sdkA = f.sdk.connect(f.voterA);
+    const { receipt } = await runAction(sdkA, "vote-funding", { id, inFavor: true }, { log: quiet });
+    expect(receipt.status).to.equal(1);
+    expect(await f.fm.fundingUsersVoted(id, f.voterA.address)).to.equal(true);
+
+    const again = runAction(sdkA, "vote-funding", { id, inFavor: true }, { dryRun: true, log: quiet });
+    expect(await failure(again)).to.match(/No active funding vote lock.*Not yet voted/);
+    const closed = runAction(sdkA, "finalize", { type: "funding", id }, { dryRun: true, log: quiet });
+    expect(await failure(closed)).to.match(/Voting ended/);
+  });
+
+  it("finalizes by minting once released, then claims and unlocks", async function () {
+    const f = await loadFixture(deployFixture);
+    const id = await activeRequest(f);
+    const sdkA = f.sdk.connect(f.voterA);
+    await runAction(sdkA, "vote-funding", { id, inFavor: true }, { log: quiet });
+    await advance(f, VOTING_PERIOD);
+
+    const unreleased = runAction(sdkA, "finalize", { type: "funding", id }, { log: quiet });
+    expect(await failure(unreleased)).to.match(/waiting for the CEO to release it/);
+    await f.fm.connect(f.ceo).releaseFundingRequest(id);
+    await runAction(sdkA, "finalize", { type: "funding", id }, { log: quiet });
+    expect((await sdkA.funding.get(id)).status).to.equal("Executed");
+
+    const balance = await f.dao.balanceOf(f.voterA.address);
+    await runAction(sdkA, "claim", { id }, { log: quiet });
+    expect((await f.dao.balanceOf(f.voterA.address)).gt(balance)).to.equal(true);
+    expect(await failure(runAction(sdkA, "claim", { id }, { log: quiet }))).to.match(/already claimed/);
+
+    // Locks outlast the voting period by an hour
+    expect(await failure(runAction(sdkA, "unlock", {}, { dryRun: true, log: quiet }))).to.match(/nothing to unlock/);
+    await advance(f, 3600);
+    await runAction(sdkA, "unlock", {}, { log: quiet });
+    expect((await sdkA.token.locks()).funding.amount).to.equal(0);
+  });
+});
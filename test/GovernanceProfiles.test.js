@@ -0,0 +1,86 @@
+const { hre, ethers, expect, HOUR, loadFixture, expectRevert, deployLocalStack } = require("./helpers");
+const {
+  PROFILES,
+  resolveProfile,
+  governanceConfig,
+  assertProfileAllowed,
+} = require("../scripts/lib/governance-profiles");
+const { loadDeployConfig } = require("../scripts/lib/deploy-config");
+
+describe("Governance profiles", function () {
+  const addr = (n) => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 20);
+  const env = {
+    _priceFeedAddress: addr(1),
+    _initialCeo: addr(2),
+    _initialEndorsers: `${addr(3)},${addr(4)}`,
+    _treasuryOwner: addr(5),
+  };
+
+  it("picks the profile for the network and applies constructor.env overrides", function () {
+    const sepolia = loadDeployConfig({ env, load: false, network: "sepolia", deployer: false }).constructorArgs.governance;
+    expect(sepolia).to.deep.equal({ profile: "sepolia", ...PROFILES.sepolia });
+    expect(loadDeployConfig({ env, load: false, network: "hardhat" }).constructorArgs.governance.profile).to.equal(
+      "local"
+    );
+
+    const custom = { ...env, _governanceProfile: "mainnet", _votingPeriod: "3600", _tokenLockDuration: "7200" };
+    const { governance } = loadDeployConfig({ env: custom, load: false }).constructorArgs;
+    expect(governance).to.include({ profile: "mainnet", votingPeriod: 3600, endorserVotesForCeoPass: 26 });
+
+    expect(() => resolveProfile("staging")).to.throw(/Unknown governance profile "staging"/);
+    expect(() => resolveProfile("local", { quorum: 2 })).to.throw(/Unknown governance parameter "quorum"/);
+    expect(() => resolveProfile("local", { votingPeriod: "1.5" })).to.throw(/must be a whole number/);
+    expect(governanceConfig(PROFILES.mainnet)).to.include({
+      endorserVotesForCeoPass: "26",
+      ceoApplicationFee: ethers.utils.parseUnits("100", 18).toString(),
+    });
+  });
+
+  it("refuses mainnet deployments that differ from the mainnet profile", function () {
+    expect(() => assertProfileAllowed(1, PROFILES.mainnet)).not.to.throw();
+    expect(() => assertProfileAllowed(11155111, PROFILES.sepolia)).not.to.throw();
+    expect(() => assertProfileAllowed(1, PROFILES.sepolia)).to.throw(
+      /Refusing to deploy to chainId 1: .*endorserVotesForCeoPass 3 \(mainnet: 26\), endorserVotesForFundingPass 3/
+    );
+    expect(() => assertProfileAllowed(1, resolveProfile("mainnet", { votingPeriod: HOUR }))).to.throw(
+      /votingPeriod 3600 \(mainnet: 259200\)/
+    );
+  });
+
+  describe("contracts", function () {
+    async function mainnetFixture() {
+      return deployLocalStack(hre, { governance: PROFILES.mainnet });
+    }
+
+    it("fixes the profile in both contracts at deployment", async function () {
+      const { dao, fundingManager } = await loadFixture(mainnetFixture);
+      expect(await dao.ENDORSER_VOTES_FOR_CEO_PASS()).to.equal(26);
+      expect(await dao.ENDORSER_VOTES_FOR_FUNDING_PASS()).to.equal(26);
+      expect(await fundingManager.ENDORSER_VOTES_FOR_FUNDING_PASS()).to.equal(26);
+      expect(await dao.TOKEN_LOCK_DURATION()).to.equal(73 * HOUR);
+      expect(await fundingManager.VOTING_PERIOD()).to.equal(await dao.VOTING_PERIOD());
+      expect(await dao.CEO_REQUIRED_BALANCE_USD()).to.equal(ethers.utils.parseUnits("25000", 18));
+    });
+
+    it("rejects invalid configurations and a FundingManagerContract with a different one", async function () {
+      const { fundingManager, priceFeed, invUsd, whitelist, deployer } = await loadFixture(mainnetFixture);
+      const Dao = await ethers.getContractFactory("INVTRON_DAO", deployer);
+      const deployDao = (params) =>
+        Dao.deploy(
+          priceFeed.address,
+          deployer.address,
+          [],
+          deployer.address,
+          invUsd.address,
+          whitelist.address,
+          fundingManager.address,
+          governanceConfig(params)
+        );
+
+      await expectRevert(deployDao(PROFILES.local), "GovernanceConfigMismatch");
+      await expectRevert(deployDao({ ...PROFILES.mainnet, tokenLockDuration: 72 * HOUR }), "InvalidGovernanceConfig");
+      await expectRevert(deployDao({ ...PROFILES.mainnet, endorserVotesForCeoPass: 51 }), "InvalidGovernanceConfig");
+      await expectRevert(deployDao({ ...PROFILES.mainnet, endorserVotesForFundingPass: 0 }), "InvalidGovernanceConfig");
+    });
+  });
+});
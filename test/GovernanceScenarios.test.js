@@ -0,0 +1,113 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hre, expect, fundingDetails } = require("./helpers");
+const { failedChecks } = require("../scripts/lib/check-report");
+const {
+  loadScenario,
+  scenarioFiles,
+  validateScenario,
+  runScenario,
+  runScenarioFiles,
+  parseDuration,
+} = require("../scripts/lib/governance-scenario");
+
+describe("Governance scenarios", function () {
+  it("runs the scenarios in scenarios/ without differences", async function () {
+    const files = scenarioFiles(path.join(__dirname, "..", "scenarios"));
+    expect(files.map((f) => path.basename(f))).to.deep.equal(["endorser-renounces.yaml", "whale-delegation.yaml"]);
+    const results = await runScenarioFiles(hre, files);
+    for (const r of results) expect(failedChecks(r.checks), r.name).to.deep.equal([]);
+
+    const whale = results[1].checks;
+    expect(whale.find((c) => c.name.startsWith("#6 ")).detail).to.equal("reverted with NoVotingPower");
+    expect(whale.filter((c) => c.group === "Setup").map((c) => c.name)).to.include("judy delegates to whale");
+    expect(whale.find((c) => c.name === "fundingStatus $request")).to.include({ group: "Expectations", ok: true });
+  });
+
+  it("reports wrong expectations, unexpected reverts and unexpected successes as differences", async function () {
+    const vote = (as, extra = {}) => ({
+      as,
+      call: "FundingManagerContract.voteOnFundingByEndorser",
+      args: ["$request"],
+      ...extra,
+    });
+    const result = await runScenario(hre, {
+      name: "Differences",
+      actors: { proposer: { inv: 5000, whitelisted: true, approve: true }, holder: { inv: "100 INV" } },
+      timeline: [
+        {
+          as: "proposer",
+          call: "FundingManagerContract.createFundingRequest",
+          args: [fundingDetails()],
+          save: { request: "FundingRequestCreated.id" },
+        },
+        vote("holder"),
+        vote("endorser1", { revert: "OnlyEndorser" }),
+        vote("endorser1", { revert: "OnlyEndorser" }),
+        { wait: "1h" },
+        { expect: { fundingStatus: "$request", equals: "Active" } },
+      ],
+      expect: [
+        { balance: "@holder", equals: "100 INV" },
+        { balance: "holder", atLeast: "1 INV", atMost: "99.5 INV" },
+        { ceoStatus: "$missing", equals: "Pending" },
+      ],
+    });
+
+    expect(result.ok).to.equal(false);
+    expect(failedChecks(result.checks)).to.deep.equal([
+      "Timeline: #2 holder → FundingManagerContract.voteOnFundingByEndorser — reverted with OnlyEndorser",
+      "Timeline: #3 endorser1 → FundingManagerContract.voteOnFundingByEndorser — " +
+        "expected revert OnlyEndorser, but the call succeeded",
+      "Timeline: #4 endorser1 → FundingManagerContract.voteOnFundingByEndorser — " +
+        "expected revert OnlyEndorser, got FundingEndorserAlreadyVoted",
+      "Timeline: #6 fundingStatus $request — expected equal to Active, got Pending",
+      "Expectations: INV balance of holder — expected at most 99.5 INV, got 100.0 INV",
+      'Expectations: {"ceoStatus":"$missing","equals":"Pending"} — $missing was not saved by an earlier step',
+    ]);
+  });
+
+  it("validates a scenario before running it and reads JSON files", async function () {
+    const problems = validateScenario({
+      title: "typo",
+      governance: "staging",
+      actors: { whale: { inv: 10, vote: true, delegate: "ghost" } },
+      timeline: [
+        { wait: "3 weeks" },
+        { as: "nobody", call: "Treasury.withdraw", save: { id: "Created" } },
+        { price: 1, wait: "1h" },
+      ],
+      expect: [{ balance: "@whale" }],
+    });
+    expect(problems).to.deep.equal([
+      "unknown key title",
+      "name is missing",
+      "governance must be one of mainnet, sepolia, local, got staging",
+      "actors.whale: unknown key vote",
+      "actors.whale: delegate ghost is not an actor",
+      "timeline #1: wait must be seconds or a duration such as 73h, got 3 weeks",
+      "timeline #2: Treasury.withdraw must be <Contract>.<method> on " +
+        "INVTRON_DAO, FundingManagerContract, WhitelistManager, InvUsdToken",
+      "timeline #2: unknown actor nobody",
+      "timeline #2: save Created must be <Event>.<argument>",
+      "timeline #3: needs exactly one of wait, price, call, expect",
+      "expect #1: needs equals, atLeast or atMost",
+    ]);
+    expect(parseDuration("3d 1h")).to.equal(3 * 86400 + 3600);
+    expect(parseDuration(90)).to.equal(90);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scenario-"));
+    try {
+      const file = path.join(dir, "broken.json");
+      fs.writeFileSync(file, JSON.stringify({ name: "Broken", timeline: [{ wait: "soon" }] }));
+      const spec = loadScenario(file);
+      expect(spec).to.include({ name: "Broken", file });
+      await expect(runScenario(hre, spec)).to.be.rejectedWith(
+        /^Invalid scenario broken\.json \(1 problem\(s\)\):\n {2}- timeline #1: wait must be seconds/
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy } = require("@nomicfoundation/ignition-core");
+const { hre, ethers, expect } = require("./helpers");
+const { PROFILES, governanceConfig } = require("../scripts/lib/governance-profiles");
+const {
+  readIgnitionParameters,
+  ignitionGovernance,
+  assertIgnitionGovernance,
+} = require("../scripts/lib/ignition-guard");
+const InvtronDao = require("../ignition/modules/InvtronDao");
+const InvtronDaoLocal = require("../ignition/modules/InvtronDaoLocal");
+
+const PARAMETERS_DIR = path.join(__dirname, "..", "ignition", "parameters");
+
+describe("Ignition modules", function () {
+  // Deploy `ignitionModule` in memory on the in-process network, as `ignition deploy` does
+  async function deployModule(ignitionModule, deploymentParameters = {}) {
+    const artifactResolver = {
+      loadArtifact: (name) => hre.artifacts.readArtifact(name),
+      getBuildInfo: async (name) => {
+        const { sourceName, contractName } = await hre.artifacts.readArtifact(name);
+        return hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+      },
+    };
+    const result = await deploy({
+      config: hre.config.ignition,
+      provider: hre.network.provider,
+      artifactResolver,
+      ignitionModule,
+      deploymentParameters,
+      accounts: await hre.network.provider.request({ method: "eth_accounts" }),
+    });
+    expect(result.type).to.equal("SUCCESSFUL_DEPLOYMENT");
+    const contracts = {};
+    for (const { contractName, address } of Object.values(result.contracts)) {
+      contracts[contractName] = await ethers.getContractAt(contractName, address);
+    }
+    return contracts;
+  }
+
+  async function expectWired({ INVTRON_DAO: dao, WhitelistManager, FundingManagerContract, InvUsdToken }) {
+    expect(await WhitelistManager.dao()).to.equal(dao.address);
+    expect(await FundingManagerContract.dao()).to.equal(dao.address);
+    expect(await InvUsdToken.owner()).to.equal(dao.address);
+    expect(await dao.whitelistManager()).to.equal(WhitelistManager.address);
+    expect(await dao.fundingManager()).to.equal(FundingManagerContract.address);
+    expect(await dao.invUsdToken()).to.equal(InvUsdToken.address);
+  }
+
+  it("deploys the local module with a mock feed, wired like the deployment engine", async function () {
+    const signers = await ethers.getSigners();
+    const contracts = await deployModule(InvtronDaoLocal);
+    const { INVTRON_DAO: dao, FundingManagerContract: fm } = contracts;
+    await expectWired(contracts);
+    expect(await dao.currentCeo()).to.equal(signers[1].address);
+    expect(await dao.activeEndorserList()).to.deep.equal(signers.slice(2, 5).map((s) => s.address));
+    expect(await dao.getLatestUsdPrice()).to.equal(ethers.utils.parseEther("1"));
+    expect(await dao.ENDORSER_VOTES_FOR_CEO_PASS()).to.equal(PROFILES.local.endorserVotesForCeoPass);
+    expect(await fm.FUNDING_REQUEST_FEE()).to.equal(ethers.utils.parseEther(String(PROFILES.local.fundingRequestFee)));
+  });
+
+  it("deploys InvtronDao.js from parameters with the mainnet profile by default", async function () {
+    const [deployer, ceo, e1, e2, e3] = await ethers.getSigners();
+    const feed = await (await ethers.getContractFactory("MockV3Aggregator")).deploy(8, 250_000_000);
+    await feed.deployed();
+    const contracts = await deployModule(InvtronDao, {
+      InvtronDaoModule: {
+        priceFeedAddress: feed.address,
+        initialCeo: ceo.address,
+        initialEndorsers: [e1.address, e2.address, e3.address],
+        treasuryOwner: deployer.address,
+      },
+    });
+    const { INVTRON_DAO: dao } = contracts;
+    await expectWired(contracts);
+    expect(await dao.currentCeo()).to.equal(ceo.address);
+    expect(await dao.getLatestUsdPrice()).to.equal(ethers.utils.parseEther("2.5"));
+    expect(await dao.ENDORSER_VOTES_FOR_CEO_PASS()).to.equal(PROFILES.mainnet.endorserVotesForCeoPass);
+  });
+
+  describe("mainnet governance guard", function () {
+    const sepolia = readIgnitionParameters(PARAMETERS_DIR, InvtronDao.id, path.join(PARAMETERS_DIR, "sepolia.json"));
+    const mainnet = governanceConfig(PROFILES.mainnet);
+
+    it("resolves the governance config from module parameters, $global or the default", function () {
+      expect(ignitionGovernance(InvtronDao, {})).to.deep.equal(mainnet);
+      expect(ignitionGovernance(InvtronDao, sepolia)).to.deep.equal(sepolia.InvtronDaoModule.governance);
+      expect(ignitionGovernance(InvtronDao, { $global: { governance: "global" } })).to.equal("global");
+      expect(ignitionGovernance(InvtronDaoLocal, {})).to.deep.equal(governanceConfig(PROFILES.local));
+    });
+
+    it("refuses a non-mainnet profile on chainId 1 and allows it elsewhere", function () {
+      expect(() => assertIgnitionGovernance(1, InvtronDao, sepolia)).to.throw(
+        "Refusing to deploy InvtronDaoModule to chainId 1: the governance parameter differs from the mainnet " +
+          "profile: endorserVotesForCeoPass 3 (mainnet: 26), endorserVotesForFundingPass 3 (mainnet: 26)"
+      );
+      expect(() => assertIgnitionGovernance(1, InvtronDaoLocal, {})).to.throw(/InvtronDaoLocalModule to chainId 1/);
+      const partial = { InvtronDaoModule: { governance: { ...mainnet, fundingRequestFee: undefined } } };
+      expect(() => assertIgnitionGovernance(1, InvtronDao, partial)).to.throw(/fundingRequestFee missing/);
+
+      assertIgnitionGovernance(11155111, InvtronDao, sepolia);
+      assertIgnitionGovernance(1, InvtronDao, {});
+      const bigints = Object.fromEntries(Object.entries(mainnet).map(([k, v]) => [k, `${v}n`]));
+      assertIgnitionGovernance(1, InvtronDao, { InvtronDaoModule: { governance: bigints } });
+    });
+
+    it("reads parameters from a file, inline JSON or <module>.config.json", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ignition-"));
+      try {
+        expect(readIgnitionParameters(dir, "InvtronDaoModule")).to.deep.equal({});
+        fs.writeFileSync(path.join(dir, "InvtronDaoModule.config.json"), JSON.stringify({ $global: { a: 1 } }));
+        expect(readIgnitionParameters(dir, "InvtronDaoModule")).to.deep.equal({ $global: { a: 1 } });
+        expect(readIgnitionParameters(dir, "InvtronDaoModule", '{"InvtronDaoModule":{}}')).to.deep.equal({
+          InvtronDaoModule: {},
+        });
+        expect(() => readIgnitionParameters(dir, "InvtronDaoModule", "{ governance: {} }")).to.throw(
+          /^Could not read Ignition parameters from --parameters as JSON/
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
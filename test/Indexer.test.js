@@ -0,0 +1,200 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  hre,
+  ethers,
+  expect,
+  VOTING_PERIOD,
+  inv,
+  usd,
+  loadFixture,
+  fundingDetails,
+  advance,
+  fundedStack,
+} = require("./helpers");
+const { openStore, createIndexer, buildViews, createApiServer } = require("../indexer");
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+describe("Event indexer", function () {
+  async function deployFixture() {
+    const [, , e1, e2, e3, proposer, voterA, voterB] = await ethers.getSigners();
+    const stack = await fundedStack({
+      balances: [
+        [proposer, 10_000],
+        [voterA, 1_000_000],
+        [voterB, 200_000],
+      ],
+      whitelisted: [proposer],
+      selfDelegated: [voterA, voterB],
+    });
+    const { dao, whitelist } = stack;
+
+    const abis = {};
+    const names = {
+      dao: "INVTRON_DAO",
+      fundingManager: "FundingManagerContract",
+      whitelist: "WhitelistManager",
+      invUsd: "InvUsdToken",
+    };
+    for (const [key, name] of Object.entries(names)) abis[key] = (await hre.artifacts.readArtifact(name)).abi;
+    const addresses = {
+      dao: dao.address,
+      fundingManager: stack.fundingManager.address,
+      whitelist: whitelist.address,
+      invUsd: stack.invUsd.address,
+    };
+    const startBlock = (await dao.deployTransaction.wait()).blockNumber - 5;
+    return {
+      ...stack,
+      fm: stack.fundingManager,
+      endorsers: [e1, e2, e3],
+      proposer,
+      voterA,
+      voterB,
+      abis,
+      addresses,
+      startBlock,
+    };
+  }
+
+  async function indexerFor(f, file = null) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const store = openStore(file, { chainId, addresses: f.addresses, startBlock: Math.max(f.startBlock, 0) });
+    return createIndexer({
+      provider: ethers.provider,
+      addresses: f.addresses,
+      abis: f.abis,
+      store,
+      batchSize: 25,
+      log: quiet,
+    });
+  }
+
+  async function activeRequest(f) {
+    const id = (await f.fm.nextFundingRequestId()).toNumber();
+    await f.fm.connect(f.proposer).createFundingRequest(fundingDetails());
+    for (const e of f.endorsers) await f.fm.connect(e).voteOnFundingByEndorser(id);
+    return id;
+  }
+
+  it("folds a funding lifecycle into proposals, votes, holders and rewards", async function () {
+    const f = await loadFixture(deployFixture);
+    const id = await activeRequest(f);
+    await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+    await f.fm.connect(f.voterB).voteOnFundingByUser(id, false, f.voterB.address);
+    await advance(f, VOTING_PERIOD);
+    await f.fm.connect(f.ceo).releaseFundingRequest(id);
+    await f.fm.mintTokensForFundingRequest(id);
+    await f.fm.connect(f.voterA).claimReward(id);
+
+    const indexer = await indexerFor(f);
+    await indexer.syncToHead();
+    const views = buildViews(indexer.store.events());
+
+    const request = views.fundingRequest(id);
+    expect(request.proposer).to.equal(f.proposer.address);
+    expect(request.status).to.equal("Executed");
+    expect(request.ceoApproved).to.equal(true);
+    // Endorser quorum, CEO approval (re-emits Active), then mint
+    expect(request.statusHistory.map((s) => s.status)).to.deep.equal(["Active", "Active", "Executed"]);
+    expect(request.votesFor).to.equal(usd(500).toString());
+    expect(request.votesAgainst).to.equal(usd(100).toString());
+    const voters = views.votes({ kind: "funding", id }).map((v) => v.voter);
+    expect(voters).to.deep.equal([f.voterA.address, f.voterB.address]);
+
+    const [rewardA] = views.rewards(f.voterA.address);
+    expect(rewardA).to.include({ fundingRequestId: id, eligible: true, claimed: true });
+    expect(rewardA.claim.amount).to.equal(inv(110).toString());
+    expect(views.rewards(f.voterB.address)[0]).to.include({ eligible: false, claimed: false });
+
+    for (const h of views.holders()) {
+      expect(h.balance).to.equal((await f.dao.balanceOf(h.address)).toString());
+    }
+    const holderA = views.holders().find((h) => h.address === f.voterA.address);
+    expect(holderA.delegate).to.equal(f.voterA.address);
+    expect(holderA.votes).to.equal((await f.dao.getVotes(f.voterA.address)).toString());
+    expect(views.whitelisted().map((w) => w.user)).to.include(f.proposer.address);
+  });
+
+  it("resumes from the stored cursor without duplicating events", async function () {
+    const f = await loadFixture(deployFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "invtron-indexer-"));
+    const file = path.join(dir, "store.json");
+    try {
+      const first = await indexerFor(f, file);
+      await first.syncToHead();
+      const seen = first.store.events().length;
+      const cursor = first.store.cursor().number;
+
+      await activeRequest(f);
+      const resumed = await indexerFor(f, file);
+      expect(resumed.store.cursor().number).to.equal(cursor);
+      const added = await resumed.syncToHead();
+      expect(added).to.be.greaterThan(0);
+      expect(resumed.store.events().length).to.equal(seen + added);
+      const keys = resumed.store.events().map((e) => `${e.transactionHash}:${e.logIndex}`);
+      expect(new Set(keys).size).to.equal(keys.length);
+
+      const other = { ...f.addresses, dao: f.voterA.address };
+      expect(() => openStore(file, { chainId: resumed.store.data.chainId, addresses: other })).to.throw(
+        /another store file/
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("rolls back events from blocks dropped by a reorg", async function () {
+    const f = await loadFixture(deployFixture);
+    const id = await activeRequest(f);
+    const indexer = await indexerFor(f);
+    await indexer.syncToHead();
+
+    const fork = await ethers.provider.send("evm_snapshot", []);
+    await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+    await indexer.syncToHead();
+    expect(buildViews(indexer.store.events()).votes({ id })).to.have.length(1);
+
+    // Replace the vote block with a competing chain that is one block longer
+    await ethers.provider.send("evm_revert", [fork]);
+    await f.fm.connect(f.voterB).voteOnFundingByUser(id, true, f.voterB.address);
+    await ethers.provider.send("evm_mine", []);
+    await indexer.syncToHead();
+
+    const votes = buildViews(indexer.store.events()).votes({ id });
+    expect(votes.map((v) => v.voter)).to.deep.equal([f.voterB.address]);
+    const head = await ethers.provider.getBlock("latest");
+    expect(indexer.store.cursor()).to.deep.equal({ number: head.number, hash: head.hash });
+  });
+
+  it("serves the views over HTTP", async function () {
+    const f = await loadFixture(deployFixture);
+    const id = await activeRequest(f);
+    await f.fm.connect(f.voterA).voteOnFundingByUser(id, true, f.voterA.address);
+    const indexer = await indexerFor(f);
+    await indexer.syncToHead();
+
+    const server = createApiServer(indexer.store);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const get = async (route) => {
+      const res = await fetch(base + route);
+      return { status: res.status, body: await res.json() };
+    };
+    try {
+      const request = await get(`/funding/${id}`);
+      expect(request.status).to.equal(200);
+      expect(request.body.status).to.equal("Active");
+      expect(request.body.votes).to.have.length(1);
+      expect((await get(`/accounts/${f.voterA.address}/votes`)).body[0].id).to.equal(id);
+      expect((await get("/status")).body.cursor.number).to.equal(await ethers.provider.getBlockNumber());
+      expect((await get("/holders")).body.length).to.be.greaterThan(3);
+      expect((await get("/funding/99")).status).to.equal(404);
+      expect((await get("/nope")).status).to.equal(404);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
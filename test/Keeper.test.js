@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ethers,
+  expect,
+  HOUR,
+  TOKEN_LOCK_DURATION,
+  loadFixture,
+  fundingDetails,
+  advance,
+  fundedStack,
+  sdkFor,
+} = require("./helpers");
+const { openSchedule, createKeeper } = require("../keeper");
+
+const quiet = { log() {}, warn() {}, error() {} };
+// Hardhat automines, so the sender never needs to wait or bump
+const senderOptions = { initialWaitMs: 1000, bumpIntervalMs: 1000, log: quiet };
+
+describe("Maintenance keeper", function () {
+  async function deployFixture() {
+    const [, , e1, e2, e3, proposer, candidate, voter, keeperAccount] = await ethers.getSigners();
+    const stack = await fundedStack({
+      balances: [
+        [proposer, 10_000],
+        [candidate, 30_000],
+        [voter, 1_000_000],
+      ],
+      whitelisted: [proposer, candidate],
+      selfDelegated: [voter],
+    });
+    const sdk = await sdkFor(stack, keeperAccount);
+    const { chainId } = await ethers.provider.getNetwork();
+    const keeperFor = (file, opts = {}) =>
+      createKeeper({
+        sdk,
+        schedule: openSchedule(file, { chainId, addresses: sdk.addresses }),
+        senderOptions,
+        log: quiet,
+        ...opts,
+      });
+    return { ...stack, fm: stack.fundingManager, endorsers: [e1, e2, e3], proposer, candidate, voter, keeperFor };
+  }
+
+  /** An elected-to-be CEO application, a failing and a pending funding request, and a locked voter. */
+  async function proposals(f) {
+    const ceoId = (await f.dao.nextCeoApplicationId()).toNumber();
+    await f.dao.connect(f.candidate).applyForCeo();
+    for (const e of f.endorsers) await f.dao.connect(e).voteOnCeoByEndorser(ceoId);
+    await f.dao.connect(f.voter).voteOnCeoByUser(ceoId, true, f.voter.address);
+
+    const failing = (await f.fm.nextFundingRequestId()).toNumber();
+    await f.fm.connect(f.proposer).createFundingRequest(fundingDetails());
+    for (const e of f.endorsers) await f.fm.connect(e).voteOnFundingByEndorser(failing);
+    const pending = failing + 1;
+    await f.fm.connect(f.proposer).createFundingRequest(fundingDetails());
+    return { ceoId, failing, pending };
+  }
+
+  const statuses = (results) => Object.fromEntries(results.map((r) => [r.key, r.status]));
+
+  it("sends due calls once, resumes from its schedule and activates the elected CEO", async function () {
+    const f = await loadFixture(deployFixture);
+    const { ceoId, failing, pending } = await proposals(f);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "invtron-keeper-"));
+    const file = path.join(dir, "schedule.json");
+    try {
+      const keeper = f.keeperFor(file, { unlockSigners: [f.voter] });
+      const before = await ethers.provider.getBlockNumber();
+      const first = await keeper.tick();
+      expect(first.results).to.deep.equal([]);
+      expect(await ethers.provider.getBlockNumber()).to.equal(before);
+      expect(keeper.schedule.open().map((j) => j.key)).to.have.members([
+        `ceo:${ceoId}:finalize`,
+        `funding:${failing}:finalize`,
+        `funding:${pending}:expire`,
+        `unlock:${f.voter.address}:${(await f.dao.tokenUnlockTimeForCeoVote(f.voter.address)).toNumber()}`,
+      ]);
+
+      await advance(f, TOKEN_LOCK_DURATION + 1);
+      const due = await keeper.tick();
+      expect(Object.values(statuses(due.results))).to.deep.equal(["done", "done", "done", "done"]);
+      expect(await f.dao.electedCeo()).to.equal(f.candidate.address);
+      expect((await f.fm.fundingRequests(failing)).status).to.equal(3); // Defeated
+      expect((await f.fm.fundingRequests(pending)).status).to.equal(3);
+      expect(await f.dao.lockedBalanceForCeoVote(f.voter.address)).to.equal(0);
+
+      // A restarted keeper picks up the schedule and does not repeat anything
+      const restarted = f.keeperFor(file, { unlockSigners: [f.voter] });
+      const afterSends = await ethers.provider.getBlockNumber();
+      const again = await restarted.tick();
+      expect(again.results).to.deep.equal([]);
+      expect(again.next.method).to.equal("activateElectedCeo");
+      expect(await ethers.provider.getBlockNumber()).to.equal(afterSends);
+      expect(restarted.schedule.data.settled).to.deep.equal({ ceo: ceoId + 1, funding: pending + 1 });
+      expect(restarted.schedule.job(`ceo:${ceoId}:finalize`).receipt.hash).to.match(/^0x/);
+
+      await advance(f, 360 * HOUR);
+      const activation = await restarted.tick();
+      expect(activation.results.map((r) => r.status)).to.deep.equal(["done"]);
+      expect(await f.dao.currentCeo()).to.equal(f.candidate.address);
+      expect(await f.dao.electedCeo()).to.equal(ethers.constants.AddressZero);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("only reports due calls in simulate mode", async function () {
+    const f = await loadFixture(deployFixture);
+    const { pending } = await proposals(f);
+    await advance(f, TOKEN_LOCK_DURATION + 1);
+
+    const keeper = f.keeperFor(null, { simulate: true });
+    const before = await ethers.provider.getBlockNumber();
+    const { results } = await keeper.tick();
+    // The voter's lock is not the keeper's to release
+    expect(results.map((r) => r.status)).to.deep.equal(["simulated", "simulated", "simulated"]);
+    expect(await ethers.provider.getBlockNumber()).to.equal(before);
+    expect((await f.fm.fundingRequests(pending)).status).to.equal(0); // still Pending
+    expect(keeper.schedule.job(`funding:${pending}:expire`).status).to.equal("scheduled");
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hre, ethers, expect, DAY, expectRevert } = require("./helpers");
+const {
+  deployLocalStack,
+  increaseTime,
+  latestTimestamp,
+  refreshFeed,
+  requireLocalChain,
+} = require("../scripts/lib/local-stack");
+const { seedSandbox, ACCOUNTS, PROPOSAL_STATUS } = require("../scripts/lib/sandbox");
+const { PROFILES } = require("../scripts/lib/governance-profiles");
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+describe("Local stack and sandbox", function () {
+  it("deploys and wires the stack with the requested roles, feed and governance profile", async function () {
+    const [deployer, , , , , ceo, e1, e2, treasury] = await ethers.getSigners();
+    const stack = await deployLocalStack(hre, {
+      initialCeo: ceo.address,
+      initialEndorsers: [e1.address, e2.address],
+      treasuryOwner: treasury.address,
+      governance: PROFILES.mainnet,
+      feedDecimals: 18,
+      initialPrice: ethers.utils.parseEther("2"),
+    });
+    const { dao, whitelist, fundingManager, invUsd, priceFeed } = stack;
+    expect(stack.deployer.address).to.equal(deployer.address);
+    expect(stack.config).to.include({ initialCeo: ceo.address, treasuryOwner: treasury.address, feedDecimals: 18 });
+
+    expect(await whitelist.dao()).to.equal(dao.address);
+    expect(await fundingManager.dao()).to.equal(dao.address);
+    expect(await invUsd.owner()).to.equal(dao.address);
+    expect(await dao.currentCeo()).to.equal(ceo.address);
+    expect(await dao.activeEndorserList()).to.deep.equal([e1.address, e2.address]);
+    expect(await dao.treasuryOwner()).to.equal(treasury.address);
+    expect(await priceFeed.decimals()).to.equal(18);
+    expect(await dao.getLatestUsdPrice()).to.equal(ethers.utils.parseEther("2"));
+    expect(await dao.ENDORSER_VOTES_FOR_CEO_PASS()).to.equal(PROFILES.mainnet.endorserVotesForCeoPass);
+  });
+
+  it("defaults to signers #1-#4, a $1.00 8-decimal feed and the local profile", async function () {
+    const signers = await ethers.getSigners();
+    const { dao, priceFeed, config } = await deployLocalStack(hre);
+    expect(await dao.currentCeo()).to.equal(signers[1].address);
+    expect(config.initialEndorsers).to.deep.equal(signers.slice(2, 5).map((s) => s.address));
+    expect(await dao.treasuryOwner()).to.equal(signers[0].address);
+    expect((await priceFeed.latestRoundData()).answer).to.equal(100_000_000);
+    expect(await dao.ENDORSER_VOTES_FOR_CEO_PASS()).to.equal(PROFILES.local.endorserVotesForCeoPass);
+  });
+
+  it("refreshes the mock feed after a time jump, keeping or replacing its answer", async function () {
+    const { dao, priceFeed } = await deployLocalStack(hre);
+    await increaseTime(ethers.provider, 2 * DAY);
+    await expectRevert(dao.getLatestUsdPrice(), "OracleStale");
+
+    await refreshFeed(priceFeed);
+    const round = await priceFeed.latestRoundData();
+    // Stamped with the latest block time before the update was mined
+    expect((await latestTimestamp(ethers.provider)) - round.updatedAt.toNumber()).to.be.at.most(1);
+    expect(await dao.getLatestUsdPrice()).to.equal(ethers.utils.parseEther("1"));
+
+    await refreshFeed(priceFeed, 150_000_000);
+    expect(await dao.getLatestUsdPrice()).to.equal(ethers.utils.parseEther("1.5"));
+  });
+
+  it("only runs local tooling on a local Hardhat chain", async function () {
+    expect(await requireLocalChain(ethers.provider, "The sandbox")).to.equal(31337);
+    const mainnet = { getNetwork: async () => ({ chainId: 1 }) };
+    await expect(requireLocalChain(mainnet, "The governance sandbox")).to.be.rejectedWith(
+      "The governance sandbox only runs on a local Hardhat chain (got chainId 1)"
+    );
+    await expect(seedSandbox({ ethers: { provider: mainnet } }, { log: quiet })).to.be.rejectedWith(
+      /only runs on a local Hardhat chain/
+    );
+  });
+
+  it("seeds every proposal state and writes the account map", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sandbox-"));
+    try {
+      const out = path.join(dir, "sandbox.json");
+      const result = await seedSandbox(hre, { out, log: quiet });
+      expect(JSON.parse(fs.readFileSync(out, "utf8"))).to.deep.equal(result);
+
+      expect(result.chainId).to.equal(31337);
+      expect(result.accounts.map((a) => a.name)).to.deep.equal(ACCOUNTS.map((a) => a.name));
+      const statuses = [...Object.values(result.fundingRequests), ...Object.values(result.ceoApplications)].map(
+        (i) => i.status
+      );
+      expect(new Set(statuses)).to.deep.equal(new Set(PROPOSAL_STATUS));
+
+      const dao = await ethers.getContractAt("INVTRON_DAO", result.contracts.INVTRON_DAO_CONTRACT);
+      const whitelist = await ethers.getContractAt("WhitelistManager", result.contracts.WhitelistManager);
+      const byName = Object.fromEntries(result.accounts.map((a) => [a.name, a.address]));
+      expect(await dao.currentCeo()).to.equal(byName.ceo);
+      expect(await dao.activeEndorserList()).to.include(byName.erin);
+      expect(await whitelist.isWhitelisted(byName.grace)).to.equal(true);
+      expect(await whitelist.isWhitelisted(byName.oscar)).to.equal(false);
+      expect(await dao.delegates(byName.judy)).to.equal(byName.heidi);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,106 @@
+const { hre, ethers, expect, loadFixture } = require("./helpers");
+const {
+  SCENARIOS,
+  prepareOracleStage,
+  runOracleScenario,
+  runOracleScenarios,
+  oracleScenarioReport,
+} = require("../scripts/lib/oracle-scenarios");
+const { currentPriceFeed } = require("../scripts/lib/preflight");
+
+describe("Oracle scenarios", function () {
+  const stageFixture = () => prepareOracleStage(hre);
+
+  // [label, exchange, fundingVote, ceoApplication, lastPrice] (+ setPriceFeed for swaps)
+  const table = (steps) =>
+    steps.map((s) => [
+      s.label,
+      ...(s.outcomes.setPriceFeed ? [s.outcomes.setPriceFeed] : []),
+      s.outcomes.exchange,
+      s.outcomes.fundingVote,
+      s.outcomes.ceoApplication,
+      s.lastPrice,
+    ]);
+  const run = async (name) => {
+    const stage = await loadFixture(stageFixture);
+    return { stage, steps: await runOracleScenario(hre, stage, SCENARIOS[name]) };
+  };
+
+  it("follows a gradual drift and prices the CEO stake at the current answer", async function () {
+    const { stage, steps } = await run("gradual-drift");
+    expect(table(steps)).to.deep.equal([
+      ["start", "ok", "ok", "ok", "1.0"],
+      ["-5%", "ok", "ok", "ok", "0.95"],
+      ["-5%", "ok", "ok", "ok", "0.9025"],
+      ["-5%", "ok", "ok", "ok", "0.857375"],
+      ["-5%, CEO stake under $25k", "ok", "ok", "InsufficientInvBalance", "0.81450625"],
+      ["+9% back", "ok", "ok", "ok", "0.89"],
+    ]);
+    const { dao, fundingManager } = stage.stack;
+    const minted = (await fundingManager.fundingAmount(stage.executedId)).mul(1e12);
+    const { remaining } = await dao.getExchangeState(stage.executedId);
+    expect(remaining).to.equal(minted.sub(ethers.utils.parseEther("600")));
+  });
+
+  it("rejects exchanges more than MAX_PRICE_DEVIATION_BPS from the last exchange price", async function () {
+    const { steps } = await run("spike");
+    expect(table(steps)).to.deep.equal([
+      ["+11% spike", "PriceOutOfBounds", "ok", "ok", "1.0"],
+      ["back to lastPrice", "ok", "ok", "ok", "1.0"],
+      ["+10% exactly", "ok", "ok", "ok", "1.1"],
+      ["-10.9% from $1.10", "PriceOutOfBounds", "ok", "ok", "1.1"],
+      ["-50% crash", "PriceOutOfBounds", "ok", "InsufficientInvBalance", "1.1"],
+    ]);
+  });
+
+  it("fails every price read on stale rounds until the feed is refreshed", async function () {
+    const { steps } = await run("stale-round");
+    const stale = ["OracleStale", "OracleStale", "OracleStale", "1.0"];
+    expect(table(steps)).to.deep.equal([
+      ["one minute inside MAX_PRICE_AGE", "ok", "ok", "ok", "1.0"],
+      ["one second past MAX_PRICE_AGE", ...stale],
+      ["updatedAt is zero", ...stale],
+      ["fresh round", "ok", "ok", "ok", "1.0"],
+      ["no update for a day", ...stale],
+      ["fresh round after the wait", "ok", "ok", "ok", "1.0"],
+    ]);
+  });
+
+  it("fails every price read on non-positive answers", async function () {
+    const { steps } = await run("invalid-answer");
+    const invalid = ["OraclePriceInvalid", "OraclePriceInvalid", "OraclePriceInvalid", "1.0"];
+    expect(table(steps)).to.deep.equal([
+      ["zero", ...invalid],
+      ["negative", ...invalid],
+      ["recovers", "ok", "ok", "ok", "1.0"],
+    ]);
+  });
+
+  it("validates swapped feeds and reseeds lastPrice past the deviation guard", async function () {
+    const { stage, steps } = await run("feed-swap");
+    expect(table(steps)).to.deep.equal([
+      ["18-decimal feed at $1.05", "ok", "ok", "ok", "ok", "1.05"],
+      ["19-decimal feed", "OracleDecimalsTooLarge", "ok", "ok", "ok", "1.05"],
+      ["stale feed", "OracleStale", "ok", "ok", "ok", "1.05"],
+      ["feed at $2.00", "ok", "ok", "ok", "ok", "2.0"],
+      ["-50% on the new feed", "PriceOutOfBounds", "ok", "ok", "2.0"],
+    ]);
+    const { dao, priceFeed } = stage.stack;
+    expect(await currentPriceFeed(dao, priceFeed.address)).to.not.equal(priceFeed.address);
+  });
+
+  it("runs scenarios from one stage snapshot and prints a table per scenario", async function () {
+    const results = await runOracleScenarios(hre, { names: ["feed-swap", "spike"] });
+    expect(results.map((r) => r.name)).to.deep.equal(["feed-swap", "spike"]);
+    // The spike scenario starts from the stage's feed and $1.00, not the $2.00 feed swapped in before it
+    expect(results[1].steps[0].lastPrice).to.equal("1.0");
+
+    const report = oracleScenarioReport(results);
+    expect(report).to.include(`spike: ${SCENARIOS.spike.description}`);
+    expect(report).to.match(/\+11% spike\s+1\.11\s+-\s+PriceOutOfBounds\s+ok\s+ok\s+1\.0/);
+
+    await expect(runOracleScenarios(hre, { names: ["moon"] })).to.be.rejectedWith(
+      /Unknown oracle scenario\(s\): moon; pick from gradual-drift, spike/
+    );
+  });
+});
@@ -0,0 +1,81 @@
+const { hre, ethers, expect, DAY, loadFixture } = require("./helpers");
+const { runPreflight } = require("../scripts/lib/preflight");
+const { PROFILES } = require("../scripts/lib/governance-profiles");
+const { STEPS } = require("../scripts/lib/deploy-engine");
+
+describe("Deployment preflight", function () {
+  async function deployFixture() {
+    const [deployer, ceo, e1, e2, e3] = await ethers.getSigners();
+    const Feed = await ethers.getContractFactory("MockV3Aggregator", deployer);
+    const feed = await Feed.deploy(8, 100_000_000);
+    await feed.deployed();
+    const constructorArgs = {
+      priceFeedAddress: feed.address,
+      initialCeo: ceo.address,
+      initialEndorsers: [e1.address, e2.address, e3.address],
+      treasuryOwner: deployer.address,
+      governance: { profile: "local", ...PROFILES.local },
+    };
+    return { feed, constructorArgs, deployer, e1 };
+  }
+
+  const failures = (report) => report.checks.filter((c) => !c.ok).map((c) => `${c.group}: ${c.name}`);
+
+  it("passes valid inputs and measures every deployment step", async function () {
+    const { constructorArgs } = await loadFixture(deployFixture);
+    const report = await runPreflight(hre, { constructorArgs });
+    expect(failures(report)).to.deep.equal([]);
+    expect(report.ok).to.equal(true);
+    expect(report.gas.steps.map((s) => s.id)).to.deep.equal(STEPS.map((s) => s.id));
+    const total = report.gas.steps.reduce((sum, s) => sum.add(s.gasUsed), ethers.BigNumber.from(0));
+    expect(report.gas.total).to.equal(total.toString());
+    expect(ethers.BigNumber.from(report.gas.cost).eq(total.mul(report.gas.price))).to.equal(true);
+  });
+
+  it("fails a stale feed, short or repeated endorsers, contract roles and an unfunded deployer", async function () {
+    const { feed, constructorArgs, e1 } = await loadFixture(deployFixture);
+    const block = await ethers.provider.getBlock("latest");
+    await (await feed.setLatestData(100_000_000, block.timestamp - 2 * DAY)).wait();
+    const report = await runPreflight(hre, {
+      constructorArgs: {
+        ...constructorArgs,
+        initialEndorsers: [e1.address, e1.address.toLowerCase(), constructorArgs.initialCeo],
+        treasuryOwner: feed.address,
+        governance: { profile: "mainnet", ...PROFILES.mainnet },
+      },
+      deployer: ethers.Wallet.createRandom().address,
+    });
+    expect(report.ok).to.equal(false);
+    expect(failures(report)).to.deep.equal([
+      "Price feed: freshness",
+      "Roles: endorser quorum",
+      "Roles: unique endorsers",
+      "Roles: CEO is not an endorser",
+      "Roles: treasury owner account",
+      "Deployer: balance",
+    ]);
+    const quorum = report.checks.find((c) => c.name === "endorser quorum");
+    expect(quorum.detail).to.equal(
+      "3 initial endorser(s); the mainnet profile needs 26 for CEO and 26 for funding votes"
+    );
+
+    const multisig = await runPreflight(hre, {
+      constructorArgs: { ...constructorArgs, treasuryOwner: feed.address },
+      multisig: { treasuryOwner: true },
+    });
+    expect(multisig.checks.find((c) => c.name === "treasury owner account")).to.include({
+      ok: true,
+      detail: `${feed.address} is a contract, marked multisig`,
+    });
+  });
+
+  it("fails a price feed that does not implement AggregatorV3Interface", async function () {
+    const { constructorArgs } = await loadFixture(deployFixture);
+    const Token = await ethers.getContractFactory("InvUsdToken");
+    const token = await Token.deploy();
+    await token.deployed();
+    const args = { ...constructorArgs, priceFeedAddress: token.address };
+    const report = await runPreflight(hre, { constructorArgs: args });
+    expect(failures(report)).to.deep.equal(["Price feed: AggregatorV3Interface"]);
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hre, ethers, expect, loadFixture, personalInfo, deployLocalStack, sdkFor } = require("./helpers");
+const { parseIntents, planIntents, toSafeBatch, batchChecksum, simulateBatch } = require("../scripts/lib/safe-batch");
+
+describe("Safe batch export", function () {
+  async function deployFixture() {
+    const [, ceo, , , , alice, bob, carol, stranger] = await ethers.getSigners();
+    const stack = await deployLocalStack(hre);
+    const { whitelist } = stack;
+    for (const [s, name] of [
+      [alice, "Alice"],
+      [bob, "Bob"],
+      [carol, "Carol"],
+    ]) {
+      await whitelist.connect(s).requestWhitelisting(personalInfo(name));
+    }
+    await whitelist.connect(ceo).ceoApproveWhitelisting([carol.address], [], true);
+
+    const sdk = await sdkFor(stack);
+    return { ...stack, ceo, alice, bob, carol, stranger, sdk };
+  }
+
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-batch-"));
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("approves the pending wallets of a CSV, simulated as the CEO without changing state", async function () {
+    const f = await loadFixture(deployFixture);
+    fs.writeFileSync(
+      path.join(dir, "wallets.csv"),
+      `Name,Wallet\r\nAlice,${f.alice.address}\r\nBob,${f.bob.address.toLowerCase()}\r\n` +
+        `Carol,${f.carol.address}\r\nStranger,${f.stranger.address}\r\n`
+    );
+    const intents = parseIntents(["approve-whitelist csv=wallets.csv", `treasury-owner address=${f.bob.address}`]);
+    const { calls, skipped } = await planIntents(f.sdk, intents, { baseDir: dir });
+    expect(skipped.map((s) => [s.item, s.reason])).to.deep.equal([
+      [f.carol.address, "request is Approved"],
+      [f.stranger.address, "no whitelist request"],
+    ]);
+    expect(calls.map((c) => c.method)).to.deep.equal(["ceoApproveWhitelisting", "setTreasuryOwner"]);
+
+    const safe = await f.dao.currentCeo();
+    const batch = toSafeBatch(f.sdk, calls, { chainId: 31337, safe, name: "Weekly review" });
+    expect(batch).to.include({ version: "1.0", chainId: "31337" });
+    expect(batch.meta).to.include({ createdFromSafeAddress: safe, checksum: batchChecksum(batch) });
+    // Renaming a batch keeps its checksum; editing a call does not
+    expect(batchChecksum({ ...batch, meta: { ...batch.meta, name: "Renamed" } })).to.equal(batch.meta.checksum);
+    const tampered = { ...batch, transactions: [{ ...batch.transactions[0], value: "1" }, batch.transactions[1]] };
+    expect(batchChecksum(tampered)).to.not.equal(batch.meta.checksum);
+
+    const [approve] = batch.transactions;
+    expect(approve.to).to.equal(f.whitelist.address);
+    expect(approve.contractInputsValues).to.deep.equal({
+      wallets: JSON.stringify([f.alice.address, f.bob.address]),
+      ids: "[]",
+      approve: "true",
+    });
+
+    const { ok, results } = await simulateBatch(ethers.provider, batch, { from: safe, explain: f.sdk.explain });
+    expect(ok).to.equal(true);
+    expect(results.map((r) => r.ok)).to.deep.equal([true, true]);
+    expect(await f.sdk.whitelist.status(f.alice.address)).to.equal("Pending");
+
+    // The exported data is what the Safe executes
+    for (const tx of batch.transactions) await f.ceo.sendTransaction({ to: tx.to, data: tx.data });
+    expect(await f.whitelist.isWhitelisted(f.bob.address)).to.equal(true);
+    expect(await f.dao.treasuryOwner()).to.equal(f.bob.address);
+  });
+
+  it("refuses invalid intents and reports the call a batch would fail on", async function () {
+    const f = await loadFixture(deployFixture);
+    expect(() => parseIntents(["set-ceo address=0x1"])).to.throw(/unknown intent "set-ceo"/);
+    const badPercent = parseIntents(["daily-limit id=1 percent=150"]);
+    const planned = planIntents(f.sdk, badPercent).then(() => null, (err) => err.message);
+    expect(await planned).to.match(/percent= must be an integer from 1 to 100/);
+
+    // No such request yet: setDailyExchangeLimit reverts, so the batch stops there
+    const id = (await f.fundingManager.nextFundingRequestId()).toNumber();
+    fs.writeFileSync(
+      path.join(dir, "intents.json"),
+      JSON.stringify([
+        { intent: "whitelist", address: f.stranger.address },
+        { intent: "daily-limit", id, percent: 10 },
+        { intent: "release-funding", id },
+      ])
+    );
+    const { calls } = await planIntents(f.sdk, parseIntents(["intents.json"], dir));
+    const safe = await f.dao.currentCeo();
+    const batch = toSafeBatch(f.sdk, calls, { chainId: 31337, safe });
+    const { ok, results } = await simulateBatch(ethers.provider, batch, { from: safe, explain: f.sdk.explain });
+    expect(ok).to.equal(false);
+    expect(results.map((r) => r.ok)).to.deep.equal([true, false]);
+    expect(results[1].error).to.match(/executed/i);
+    expect(await f.whitelist.isWhitelisted(f.stranger.address)).to.equal(false);
+  });
+});
@@ -0,0 +1,198 @@
+const {
+  ethers,
+  expect,
+  VOTING_PERIOD,
+  inv,
+  usd,
+  loadFixture,
+  fundingDetails,
+  personalInfo,
+  fundedStack,
+  sdkFor,
+} = require("./helpers");
+const { createSdk, resolveAddresses, PROPOSAL_STATUS } = require("../sdk");
+const { DaoError } = require("../sdk/errors");
+const { refreshFeed } = require("../scripts/lib/local-stack");
+
+describe("JavaScript SDK", function () {
+  async function deployFixture() {
+    const [, , , , , proposer, candidate, outsider] = await ethers.getSigners();
+    const stack = await fundedStack({
+      balances: [
+        [proposer, 10_000],
+        [candidate, 30_000],
+      ],
+      whitelisted: [proposer, candidate],
+      approved: [],
+    });
+    const sdk = await sdkFor(stack);
+    return { ...stack, sdk, proposer, candidate, outsider };
+  }
+
+  // INV the DAO needs approved for a USD fee at the feed's current price, slack included
+  async function allowanceFor(dao, feeUsd) {
+    return feeUsd.mul(ethers.constants.WeiPerEther).div(await dao.getLatestUsdPrice()).mul(101).div(100);
+  }
+
+  describe("addresses", function () {
+    const address = (n) => ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 20));
+    const deployed = {
+      INVTRON_DAO_CONTRACT: address(1),
+      FundingManager: address(2),
+      WhitelistManager: address(3),
+      InvUsdToken: address(4),
+    };
+
+    it("accepts addressInfo.json and deployment-engine keys and checksums them", function () {
+      const expected = { dao: address(1), fundingManager: address(2), whitelist: address(3), invUsd: address(4) };
+      expect(resolveAddresses(deployed)).to.deep.equal(expected);
+      const engineKeys = {
+        INVTRON_DAO: address(1).toLowerCase(),
+        FundingManagerContract: address(2).toLowerCase(),
+        WhitelistManager: address(3),
+        InvUsdToken: address(4),
+      };
+      expect(resolveAddresses(engineKeys)).to.deep.equal(expected);
+    });
+
+    it("names the missing or malformed entry", function () {
+      const noDao = { ...deployed, INVTRON_DAO_CONTRACT: undefined };
+      expect(() => resolveAddresses(noDao)).to.throw("addressInfo is missing INVTRON_DAO_CONTRACT / INVTRON_DAO");
+      expect(() => resolveAddresses({ ...deployed, WhitelistManager: "" })).to.throw(
+        "addressInfo is missing WhitelistManager"
+      );
+      expect(() => resolveAddresses({ ...deployed, InvUsdToken: "0x1234" })).to.throw(
+        "addressInfo.InvUsdToken is not an address: 0x1234"
+      );
+      expect(() => createSdk({ signerOrProvider: ethers.provider, addressInfo: noDao, abis: {} })).to.throw(
+        /addressInfo is missing INVTRON_DAO_CONTRACT/
+      );
+      expect(() => createSdk({ addressInfo: deployed, abis: {} })).to.throw("createSdk needs a signer or provider");
+    });
+  });
+
+  describe("typed reads", function () {
+    it("returns requests and applications with numbers, status names and BigNumber amounts", async function () {
+      const { sdk, proposer, candidate } = await loadFixture(deployFixture);
+      expect(await sdk.funding.count()).to.equal(0);
+      expect(await sdk.ceo.count()).to.equal(0);
+
+      const created = await sdk.connect(proposer).funding.create(fundingDetails({ projectName: "Typed" }));
+      const applied = await sdk.connect(candidate).ceo.apply();
+      expect([created.id, applied.id]).to.deep.equal([0, 0]);
+      expect(await sdk.funding.count()).to.equal(1);
+
+      const request = await sdk.funding.get(0);
+      const createdAt = (await ethers.provider.getBlock(created.receipt.blockNumber)).timestamp;
+      expect(request).to.deep.include({ id: 0, proposer: proposer.address, status: "Pending", statusCode: 0 });
+      expect(request).to.include({ endorserVotes: 0, ceoApproved: false });
+      expect(request.details).to.deep.equal(fundingDetails({ projectName: "Typed" }));
+      expect(request.amount).to.equal(usd(10_000));
+      expect(request.deadline).to.be.a("number").and.to.equal(createdAt + VOTING_PERIOD);
+      expect(ethers.BigNumber.isBigNumber(request.userVotesFor)).to.equal(true);
+      expect(request.snapshotBlock).to.be.a("number");
+
+      const application = await sdk.ceo.get(0);
+      expect(Object.keys(application)).to.deep.equal([
+        "id",
+        "applicant",
+        "endorserVotes",
+        "userVotesFor",
+        "userVotesAgainst",
+        "deadline",
+        "status",
+        "statusCode",
+        "snapshotBlock",
+      ]);
+      expect(application).to.include({ id: 0, applicant: candidate.address, endorserVotes: 0 });
+      expect(PROPOSAL_STATUS[application.statusCode]).to.equal(application.status);
+      expect(application.userVotesAgainst).to.equal(0);
+
+      expect(await sdk.exchange.state(0)).to.deep.equal({
+        requestId: 0,
+        limit: ethers.BigNumber.from(0),
+        exchanged: ethers.BigNumber.from(0),
+        lastDay: 0,
+        remaining: ethers.BigNumber.from(0),
+      });
+    });
+
+    it("reads whitelist status, balances and locks for any account without a signer", async function () {
+      const { sdk, whitelist, outsider, proposer } = await loadFixture(deployFixture);
+      expect(await sdk.whitelist.status(outsider.address)).to.equal(null);
+      await whitelist.connect(outsider).requestWhitelisting(personalInfo("Outsider"));
+      expect(await sdk.whitelist.status(outsider.address)).to.equal("Pending");
+      expect(await sdk.whitelist.isWhitelisted(proposer.address)).to.equal(true);
+
+      expect(await sdk.token.balance(proposer.address)).to.equal(inv(10_000));
+      expect(await sdk.token.locks(proposer.address)).to.deep.equal({
+        ceo: { amount: ethers.BigNumber.from(0), unlockTime: 0 },
+        funding: { amount: ethers.BigNumber.from(0), unlockTime: 0 },
+      });
+      expect(await sdk.token.price()).to.equal(ethers.utils.parseEther("1"));
+
+      await expect(sdk.token.balance()).to.be.rejectedWith("This SDK method sends a transaction and needs a signer");
+    });
+  });
+
+  describe("fee allowance", function () {
+    it("approves the fee plus 1% once, then reuses the allowance", async function () {
+      const { sdk, dao, fundingManager, proposer } = await loadFixture(deployFixture);
+      const client = sdk.connect(proposer);
+      const fee = await fundingManager.FUNDING_REQUEST_FEE();
+      const needed = await allowanceFor(dao, fee);
+
+      const receipt = await client.ensureFeeAllowance(fee);
+      expect(receipt.status).to.equal(1);
+      expect(await dao.allowance(proposer.address, dao.address)).to.equal(needed);
+      const nonce = await proposer.getTransactionCount();
+      expect(await client.ensureFeeAllowance(fee)).to.equal(null);
+      expect(await proposer.getTransactionCount()).to.equal(nonce);
+
+      // create approves nothing more: it pays the fee at the current price from the existing allowance
+      const balance = await dao.balanceOf(proposer.address);
+      await client.funding.create(fundingDetails());
+      expect(await proposer.getTransactionCount()).to.equal(nonce + 1);
+      const paid = fee.mul(ethers.constants.WeiPerEther).div(await dao.getLatestUsdPrice());
+      expect(await dao.balanceOf(proposer.address)).to.equal(balance.sub(paid));
+      expect(await dao.allowance(proposer.address, dao.address)).to.equal(needed.sub(paid));
+    });
+
+    it("approves then acts when the allowance runs short, tracking the price", async function () {
+      const { sdk, dao, priceFeed, fundingManager, proposer } = await loadFixture(deployFixture);
+      const client = sdk.connect(proposer);
+      const fee = await fundingManager.FUNDING_REQUEST_FEE();
+      await client.funding.create(fundingDetails());
+
+      // INV halves in price, so the next fee costs twice the INV and needs a fresh approval
+      await refreshFeed(priceFeed, 50_000_000);
+      const nonce = await proposer.getTransactionCount();
+      const { id } = await client.funding.create(fundingDetails());
+      expect(id).to.equal(1);
+      expect(await proposer.getTransactionCount()).to.equal(nonce + 2);
+      const needed = await allowanceFor(dao, fee);
+      const paid = fee.mul(ethers.constants.WeiPerEther).div(await dao.getLatestUsdPrice());
+      expect(await dao.allowance(proposer.address, dao.address)).to.equal(needed.sub(paid));
+    });
+
+    it("covers a price drop within the 1% slack, and not beyond it", async function () {
+      const { sdk, dao, priceFeed, fundingManager, proposer } = await loadFixture(deployFixture);
+      const client = sdk.connect(proposer);
+      const fee = await fundingManager.FUNDING_REQUEST_FEE();
+
+      await client.ensureFeeAllowance(fee);
+      await refreshFeed(priceFeed, 99_500_000); // -0.5%
+      await fundingManager.connect(proposer).createFundingRequest(fundingDetails());
+
+      await client.ensureFeeAllowance(fee);
+      await refreshFeed(priceFeed, 97_000_000); // a further -2.5%
+      const err = await client.send(fundingManager.connect(proposer).createFundingRequest(fundingDetails())).then(
+        () => null,
+        (e) => e
+      );
+      expect(err).to.be.an.instanceOf(DaoError);
+      expect(err.errorName).to.equal("ERC20InsufficientAllowance");
+      expect((await dao.allowance(proposer.address, dao.address)).gt(0)).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hre, ethers, expect, DAY, loadFixture } = require("./helpers");
+const { runDeployment, addressInfoFor, UI_ABIS } = require("../scripts/lib/deploy-engine");
+const { verifyDeployment } = require("../scripts/lib/verify-deployment");
+const { increaseTime } = require("../scripts/lib/local-stack");
+const { PROFILES } = require("../scripts/lib/governance-profiles");
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+describe("Deployment verification", function () {
+  let dir;
+  let manifestDir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-deployment-"));
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  async function deployFixture() {
+    const [deployer, ceo, e1, e2, e3] = await ethers.getSigners();
+    const Feed = await ethers.getContractFactory("MockV3Aggregator", deployer);
+    const feed = await Feed.deploy(8, 100_000_000);
+    await feed.deployed();
+    const constructorArgs = {
+      priceFeedAddress: feed.address,
+      initialCeo: ceo.address,
+      initialEndorsers: [e1.address, e2.address, e3.address],
+      treasuryOwner: deployer.address,
+      governance: { profile: "local", ...PROFILES.local },
+    };
+    // The manifest directory has to outlive the per-test temp dir: fixtures are snapshots
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-manifest-"));
+    const { addresses } = await runDeployment(hre, {
+      constructorArgs,
+      tuning: { initialWaitMs: 1000, bumpIntervalMs: 1000 },
+      manifestDir,
+      log: quiet,
+    });
+    return { addresses, constructorArgs, manifestDir, feed };
+  }
+
+  after(() => manifestDir && fs.rmSync(manifestDir, { recursive: true, force: true }));
+
+  async function publishAbis(target) {
+    for (const { file, contract } of UI_ABIS) {
+      const { abi } = await hre.artifacts.readArtifact(contract);
+      fs.writeFileSync(path.join(target, file), JSON.stringify({ abi }, null, 2));
+    }
+  }
+
+  const failed = (report) => report.checks.filter((c) => !c.ok).map((c) => `${c.group}: ${c.name}`);
+
+  it("passes a deployment made by the engine, reading the initial roles from its creation tx", async function () {
+    const f = await loadFixture(deployFixture);
+    await publishAbis(dir);
+    const report = await verifyDeployment(hre, {
+      addressInfo: addressInfoFor(f.addresses),
+      constructorArgs: f.constructorArgs,
+      infoDir: dir,
+      manifestDir: f.manifestDir,
+    });
+    expect(failed(report)).to.deep.equal([]);
+    const ceo = report.checks.find((c) => c.name === "CEO");
+    expect(ceo.detail).to.include("creation tx");
+    expect(report.checks.filter((c) => c.group === "Bytecode")).to.have.length(4);
+  });
+
+  it("checks the feed the CEO switched the DAO to, not the one it was deployed with", async function () {
+    const f = await loadFixture(deployFixture);
+    await publishAbis(dir);
+    const [, ceo] = await ethers.getSigners();
+    const Feed = await ethers.getContractFactory("MockV3Aggregator");
+    const swapped = await Feed.deploy(8, 105_000_000);
+    await swapped.deployed();
+    const dao = await ethers.getContractAt("INVTRON_DAO", f.addresses.INVTRON_DAO);
+    await (await dao.connect(ceo).setPriceFeed(swapped.address)).wait();
+    await increaseTime(ethers.provider, 2 * DAY);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    await (await swapped.setLatestData(105_000_000, now)).wait();
+
+    const report = await verifyDeployment(hre, {
+      addressInfo: addressInfoFor(f.addresses),
+      constructorArgs: f.constructorArgs,
+      infoDir: dir,
+      manifestDir: f.manifestDir,
+    });
+    expect(failed(report)).to.deep.equal([]);
+    const feed = report.checks.find((c) => c.name === "AggregatorV3Interface");
+    expect(feed.detail).to.include(swapped.address);
+  });
+
+  it("flags the legacy DAO key, miswiring, role and ABI drift and a stale feed", async function () {
+    const f = await loadFixture(deployFixture);
+    await publishAbis(dir);
+    const daoAbi = JSON.parse(fs.readFileSync(path.join(dir, "ABI.json"), "utf8"));
+    daoAbi.abi.push({
+      type: "function",
+      name: "lockedBalanceRequirement",
+      stateMutability: "view",
+      inputs: [{ name: "user", type: "address" }],
+      outputs: [{ name: "", type: "uint256" }],
+    });
+    fs.writeFileSync(path.join(dir, "ABI.json"), JSON.stringify(daoAbi));
+
+    // An InvUsdToken the DAO does not own, listed under the key dv-main.js used to write
+    const stray = await (await ethers.getContractFactory("InvUsdToken")).deploy();
+    const { INVTRON_DAO_CONTRACT, ...rest } = addressInfoFor(f.addresses);
+    const addressInfo = { ...rest, INVTRON_DAO: INVTRON_DAO_CONTRACT, InvUsdToken: stray.address };
+    const [, , , , , other] = await ethers.getSigners();
+    await increaseTime(ethers.provider, 2 * DAY);
+
+    const report = await verifyDeployment(hre, {
+      addressInfo,
+      constructorArgs: { ...f.constructorArgs, initialCeo: other.address },
+      infoDir: dir,
+      manifestDir: f.manifestDir,
+    });
+    expect(report.ok).to.equal(false);
+    expect(failed(report)).to.deep.equal([
+      "Address file: DAO key",
+      "Wiring: InvUsdToken.owner",
+      "Wiring: INVTRON_DAO.invUsdToken",
+      "Price feed: freshness",
+      "Price feed: DAO price",
+      "Initial roles: CEO",
+      "ABIs: ABI.json",
+    ]);
+    const byName = Object.fromEntries(report.checks.map((c) => [c.name, c]));
+    expect(byName["DAO key"].detail).to.include("dv-main.js");
+    expect(byName["DAO price"].detail).to.include("OracleStale");
+    expect(byName["ABI.json"].detail).to.equal(
+      "removed function lockedBalanceRequirement(address user) view returns (uint256)"
+    );
+  });
+});
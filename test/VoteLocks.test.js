@@ -0,0 +1,163 @@
+const {
+  ethers,
+  expect,
+  TOKEN_LOCK_DURATION,
+  inv,
+  loadFixture,
+  expectRevert,
+  eventArgs,
+  fundingDetails,
+  advance,
+  fundedStack,
+  latestTimestamp,
+  signDelegateVP,
+  DAY,
+} = require("./helpers");
+
+// CEO and funding locks are accounted independently (INVTRON_DAO._snapshotLock)
+describe("INVTRON_DAO vote locks", function () {
+  async function deployFixture() {
+    const [, , e1, e2, e3, proposer, candidate, voter, receiver, proxy] = await ethers.getSigners();
+    const stack = await fundedStack({
+      balances: [
+        [proposer, 10_000],
+        [candidate, 30_000],
+        [voter, 1_000_000],
+        [proxy, 500_000],
+      ],
+      whitelisted: [proposer, candidate],
+      selfDelegated: [voter, proxy],
+    });
+
+    const stackSigners = { endorsers: [e1, e2, e3], proposer, candidate, voter, receiver, proxy };
+    return { ...stack, ...stackSigners, fm: stack.fundingManager };
+  }
+
+  async function activeCeoApplication(f) {
+    const id = await f.dao.nextCeoApplicationId();
+    await f.dao.connect(f.candidate).applyForCeo();
+    for (const e of f.endorsers) await f.dao.connect(e).voteOnCeoByEndorser(id);
+    return id;
+  }
+
+  async function activeFundingRequest(f) {
+    const id = await f.fm.nextFundingRequestId();
+    await f.fm.connect(f.proposer).createFundingRequest(fundingDetails());
+    for (const e of f.endorsers) await f.fm.connect(e).voteOnFundingByEndorser(id);
+    return id;
+  }
+
+  it("lets a CEO-locked balance back a funding vote", async function () {
+    const f = await loadFixture(deployFixture);
+    const ceoId = await activeCeoApplication(f);
+    const fundingId = await activeFundingRequest(f);
+
+    await f.dao.connect(f.voter).voteOnCeoByUser(ceoId, true, f.voter.address);
+    expect(await f.dao.lockedBalanceForCeoVote(f.voter.address)).to.equal(inv(1_000_000));
+    expect(await f.dao.freeTokensForCeo(f.voter.address)).to.equal(0);
+
+    await f.fm.connect(f.voter).voteOnFundingByUser(fundingId, true, f.voter.address);
+    expect(await f.dao.lockedBalanceForFundingVote(f.voter.address)).to.equal(inv(100_000));
+    expect(await f.dao.freeTokensForFunding(f.voter.address)).to.equal(inv(900_000));
+    expect(await f.dao.getVotes(f.voter.address)).to.equal(inv(1_000_000));
+    // The same tokens back both votes, so they are counted once
+    expect(await f.dao.totalLockedTokens()).to.equal(inv(1_000_000));
+  });
+
+  it("lets a funding-locked balance back a full CEO vote", async function () {
+    const f = await loadFixture(deployFixture);
+    const ceoId = await activeCeoApplication(f);
+    const fundingId = await activeFundingRequest(f);
+
+    await f.fm.connect(f.voter).voteOnFundingByUser(fundingId, true, f.voter.address);
+    expect(await f.dao.freeTokensForCeo(f.voter.address)).to.equal(inv(1_000_000));
+
+    const args = await eventArgs(
+      f.dao.connect(f.voter).voteOnCeoByUser(ceoId, true, f.voter.address),
+      f.dao,
+      "Voted"
+    );
+    expect(args.votingPower).to.equal(inv(1_000_000));
+    expect((await f.dao.ceoApplications(ceoId)).userVotesFor).to.equal(inv(1_000_000));
+    expect(await f.dao.totalLockedTokens()).to.equal(inv(1_000_000));
+  });
+
+  it("blocks transfers up to the larger of the two locks", async function () {
+    const f = await loadFixture(deployFixture);
+    const fundingId = await activeFundingRequest(f);
+    await f.fm.connect(f.voter).voteOnFundingByUser(fundingId, true, f.voter.address);
+
+    // Funding lock only: 100,000 INV stay put
+    expect(await f.dao.freeHeadroomTokens(f.voter.address)).to.equal(inv(900_000));
+    await expectRevert(
+      f.dao.connect(f.voter).transfer(f.receiver.address, inv(900_000).add(1)),
+      "TokensLocked"
+    );
+    await f.dao.connect(f.voter).transfer(f.receiver.address, inv(400_000));
+
+    // A CEO vote on the remaining 600,000 becomes the larger lock
+    const ceoId = await activeCeoApplication(f);
+    await f.dao.connect(f.voter).voteOnCeoByUser(ceoId, true, f.voter.address);
+    expect(await f.dao.lockedBalanceForCeoVote(f.voter.address)).to.equal(inv(600_000));
+    expect(await f.dao.totalLockedTokens()).to.equal(inv(600_000));
+    expect(await f.dao.freeHeadroomTokens(f.voter.address)).to.equal(0);
+    await expectRevert(f.dao.connect(f.voter).transfer(f.receiver.address, 1), "TokensLocked");
+  });
+
+  it("releases both locks after the lock duration", async function () {
+    const f = await loadFixture(deployFixture);
+    const ceoId = await activeCeoApplication(f);
+    const fundingId = await activeFundingRequest(f);
+    await f.dao.connect(f.voter).voteOnCeoByUser(ceoId, true, f.voter.address);
+    await f.fm.connect(f.voter).voteOnFundingByUser(fundingId, true, f.voter.address);
+
+    await advance(f, TOKEN_LOCK_DURATION);
+    await f.dao.connect(f.voter).unlockYourTokens();
+    expect(await f.dao.lockedBalanceForCeoVote(f.voter.address)).to.equal(0);
+    expect(await f.dao.lockedBalanceForFundingVote(f.voter.address)).to.equal(0);
+    expect(await f.dao.totalLockedTokens()).to.equal(0);
+    await f.dao.connect(f.voter).transfer(f.receiver.address, inv(1_000_000));
+  });
+
+  it("does not stack an expired lock onto a new vote of the same type", async function () {
+    const f = await loadFixture(deployFixture);
+    const first = await activeFundingRequest(f);
+    await f.fm.connect(f.voter).voteOnFundingByUser(first, true, f.voter.address);
+
+    await advance(f, TOKEN_LOCK_DURATION);
+    const second = await activeFundingRequest(f);
+    await f.fm.connect(f.voter).voteOnFundingByUser(second, true, f.voter.address);
+    expect(await f.dao.lockedBalanceForFundingVote(f.voter.address)).to.equal(inv(100_000));
+    expect(await f.dao.totalLockedTokens()).to.equal(inv(100_000));
+  });
+
+  it("does not stack a delegate's expired lock onto its next vote for the token holder", async function () {
+    const f = await loadFixture(deployFixture);
+    const deadline = (await latestTimestamp(ethers.provider)) + DAY;
+    const sig = await signDelegateVP(f.dao, f.voter, f.proxy.address, deadline);
+    await f.dao.delegateVPbySig(sig.delegatee, sig.nonce, sig.deadline, sig.v, sig.r, sig.s);
+
+    const first = await activeFundingRequest(f);
+    await f.fm.connect(f.proxy).voteOnFundingByUser(first, true, f.voter.address);
+    expect(await f.dao.lockedBalanceForFundingVote(f.proxy.address)).to.equal(inv(50_000));
+    expect(await f.dao.totalLockedTokens()).to.equal(inv(150_000));
+
+    await advance(f, TOKEN_LOCK_DURATION);
+    const second = await activeFundingRequest(f);
+    await f.fm.connect(f.proxy).voteOnFundingByUser(second, true, f.voter.address);
+    expect(await f.dao.lockedBalanceForFundingVote(f.voter.address)).to.equal(inv(100_000));
+    expect(await f.dao.lockedBalanceForFundingVote(f.proxy.address)).to.equal(inv(50_000));
+    expect(await f.dao.totalLockedTokens()).to.equal(inv(150_000));
+  });
+
+  it("keeps same-type votes exclusive while locked", async function () {
+    const f = await loadFixture(deployFixture);
+    const first = await activeFundingRequest(f);
+    const second = await activeFundingRequest(f);
+    await f.fm.connect(f.voter).voteOnFundingByUser(first, true, f.voter.address);
+    await expectRevert(
+      f.fm.connect(f.voter).voteOnFundingByUser(second, true, f.voter.address),
+      "TokensAlreadyLocked"
+    );
+  });
+});
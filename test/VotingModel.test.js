@@ -0,0 +1,263 @@
+const {
+  ethers,
+  expect,
+  DAY,
+  VOTING_PERIOD,
+  inv,
+  usd,
+  loadFixture,
+  expectRevert,
+  eventArgs,
+  fundingDetails,
+  signDelegateVP,
+  advance,
+  fundedStack,
+  latestTimestamp,
+} = require("./helpers");
+const { refreshFeed } = require("../scripts/lib/local-stack");
+const model = require("../sdk/voting-model");
+
+const { BigNumber } = ethers;
+
+// Differential test: the same randomized inputs go through the contracts and the
+// model, and every USD(6) / INV(18) integer must match. Override the seed with
+// VOTING_MODEL_SEED to reproduce or widen a run.
+const SEED = Number(process.env.VOTING_MODEL_SEED || 20241019);
+const ROUNDS = 3;
+const VOTERS = 6;
+
+/** Seeded PRNG (mulberry32) so failures reproduce. */
+function prng(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (lo, hi) => lo + Math.floor(next() * (hi - lo + 1));
+  // `n` random decimal digits, so divisions in the contracts have remainders
+  const digits = (n) => BigNumber.from(Array.from({ length: n }, () => int(0, 9)).join("") || "0");
+  return { next, int, digits };
+}
+
+describe("Funding vote model", function () {
+  async function deployStack(feedDecimals) {
+    const [, , e1, e2, e3, proposer] = await ethers.getSigners();
+    const stack = await fundedStack({ feedDecimals, balances: [[proposer, 1_000_000]], whitelisted: [proposer] });
+    return { ...stack, fm: stack.fundingManager, endorsers: [e1, e2, e3], proposer, feedDecimals };
+  }
+  const eightDecimalFeed = () => deployStack(8);
+  const eighteenDecimalFeed = () => deployStack(18);
+
+  async function fundedWallet(f, amount) {
+    const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await ethers.provider.send("hardhat_setBalance", [wallet.address, "0x56BC75E2D63100000"]); // 100 ETH
+    await f.dao.connect(f.deployer).transfer(wallet.address, amount);
+    await f.dao.connect(wallet).delegate(wallet.address);
+    return wallet;
+  }
+
+  /** Random oracle answer between $0.01 and $20 at the feed's precision. */
+  const randomAnswer = (r, decimals) => {
+    const answer8 = BigNumber.from(r.int(1_000_000, 2_000_000_000));
+    return answer8.mul(BigNumber.from(10).pow(decimals - 8)).add(r.digits(decimals - 8));
+  };
+
+  /**
+   * Voters with random balances and holding ages (some past the 12-month
+   * maturation), one of them voting through a delegate.
+   */
+  async function randomVoters(f, r) {
+    const voters = [];
+    for (let i = 0; i < VOTERS; i++) {
+      const amount = inv(r.int(1_000, 3_000_000)).add(r.digits(18));
+      voters.push({ wallet: await fundedWallet(f, amount) });
+      await advance(f, r.int(0, 400) * DAY + r.int(0, DAY));
+    }
+    const [holder, delegate] = voters;
+    const deadline = (await latestTimestamp(ethers.provider)) + DAY;
+    const sig = await signDelegateVP(f.dao, holder.wallet, delegate.wallet.address, deadline);
+    await f.dao.delegateVPbySig(sig.delegatee, sig.nonce, sig.deadline, sig.v, sig.r, sig.s);
+    holder.via = delegate.wallet;
+    return voters;
+  }
+
+  async function activeRequest(f, r) {
+    const softCap = usd(r.int(1_000, 200_000));
+    const details = fundingDetails({ softCapAmount: softCap, hardCapAmount: softCap.mul(r.int(1, 4)) });
+    const id = (await f.fm.nextFundingRequestId()).toNumber();
+    await f.fm.connect(f.proposer).createFundingRequest(details);
+    for (const e of f.endorsers) await f.fm.connect(e).voteOnFundingByEndorser(id);
+    return id;
+  }
+
+  /** Inputs the model needs for `who` at the request's snapshot, read before the vote. */
+  async function valueInputs(f, who, request, price) {
+    return {
+      votes: await f.dao.getPastVotes(who, request.snapshotBlock),
+      balanceAge: await f.dao.balanceAge(who),
+      price,
+      requestAmount: request.amount,
+    };
+  }
+
+  /** Cast one randomized vote through the contracts and check it against the model. */
+  async function voteAndCompare(f, r, id, voter) {
+    const holder = voter.wallet.address;
+    const sender = voter.via || voter.wallet;
+    const delegated = Boolean(voter.via);
+    const request = await f.fm.fundingRequests(id);
+    const raised = request.userVotesFor.gt(request.userVotesAgainst);
+    const inFavor = raised ? r.next() < 0.7 : true;
+    const price = await f.dao.getLatestUsdPrice();
+    const senderInputs = await valueInputs(f, sender.address, request, price);
+    const holderInputs = delegated ? await valueInputs(f, holder, request, price) : null;
+    const senderFree = await f.dao.freeTokensForFunding(sender.address);
+    const voterFree = delegated ? await f.dao.freeTokensForFunding(holder) : 0;
+    const locked = (who) => f.dao.lockedBalanceForFundingVote(who);
+    const senderLocked = await locked(sender.address);
+    const holderLocked = await locked(holder);
+    const holderUnlock = await f.dao.tokenUnlockTimeForFundingVote(holder);
+
+    // The vote is mined in the next block; pin its timestamp so the model sees the same `now`
+    const now = (await latestTimestamp(ethers.provider)) + r.int(1, 600);
+    await ethers.provider.send("evm_setNextBlockTimestamp", [now]);
+    const senderValue = model.votingValue({ ...senderInputs, now });
+    const holderValue = delegated ? model.votingValue({ ...holderInputs, now }) : null;
+    const expected = model.registeredVote({
+      senderValue: senderValue.value,
+      delegatedValue: delegated ? holderValue.value : 0,
+      delegated,
+      senderFree,
+      voterFree,
+      price,
+      inFavor,
+      request: {
+        hardCapAmount: request.details.hardCapAmount,
+        userVotesFor: request.userVotesFor,
+        userVotesAgainst: request.userVotesAgainst,
+      },
+    });
+
+    const tx = f.fm.connect(sender).voteOnFundingByUser(id, inFavor, holder);
+    if (expected.error) {
+      await expectRevert(tx, expected.error);
+      return null;
+    }
+    const args = await eventArgs(tx, f.fm, "Voted");
+    expect(args.votingPower).to.equal(expected.applied);
+    expect(await f.fm.votingPowerAtVote(id, holder)).to.equal(expected.votingPower);
+    expect(await f.fm.delegateePowerAtVote(id, holder)).to.equal(expected.delegateePower);
+    // The vote first drops the token holder's expired funding lock, then adds to both locks
+    const holderKept = holderUnlock.gt(now) ? holderLocked : 0;
+    expect(await locked(sender.address)).to.equal(
+      delegated ? senderLocked.add(expected.senderLock) : expected.senderLock.add(holderKept)
+    );
+    if (delegated) expect(await locked(holder)).to.equal(expected.delegatedLock.add(holderKept));
+    return { holder, inFavor, capped: senderValue.capped, rateBps: senderValue.rateBps };
+  }
+
+  async function settle(f, id) {
+    await advance(f, VOTING_PERIOD);
+    const request = await f.fm.fundingRequests(id);
+    if (request.userVotesFor.gt(request.userVotesAgainst)) {
+      await f.fm.connect(f.ceo).releaseFundingRequest(id);
+      await f.fm.mintTokensForFundingRequest(id);
+      return true;
+    }
+    await f.fm.finalizeFundingRequest(id);
+    return false;
+  }
+
+  async function compareRewards(f, r, id, votes, executed) {
+    await refreshFeed(f.priceFeed, randomAnswer(r, f.feedDecimals));
+    const price = await f.dao.getLatestUsdPrice();
+    expect(price).to.equal(model.scalePrice((await f.priceFeed.latestRoundData())[1], f.feedDecimals));
+
+    for (const { holder, inFavor } of votes) {
+      const parts = model.payoutParts({
+        correct: executed === inFavor,
+        delegatee: await f.fm.delegateAtVote(id, holder),
+        votingPower: await f.fm.votingPowerAtVote(id, holder),
+        delegateePower: await f.fm.delegateePowerAtVote(id, holder),
+        price,
+      });
+      const split = model.rewardSplit(parts);
+      expect(await f.fm.getVotingReward(id, holder)).to.equal(split.voter);
+      if (executed !== inFavor) continue;
+
+      const claimer = votes.wallets[holder];
+      const before = [await f.dao.balanceOf(holder), await f.dao.balanceOf(parts.delegatee)];
+      await f.fm.connect(claimer).claimReward(id);
+      const gained = (await f.dao.balanceOf(holder)).sub(before[0]);
+      if (parts.delegatee === ethers.constants.AddressZero) {
+        expect(gained).to.equal(split.total);
+      } else {
+        expect(gained).to.equal(split.voter);
+        expect((await f.dao.balanceOf(parts.delegatee)).sub(before[1])).to.equal(split.delegatee);
+      }
+    }
+  }
+
+  for (const [label, fixture] of [
+    ["8", eightDecimalFeed],
+    ["18", eighteenDecimalFeed],
+  ]) {
+    it(`matches voting values, registered votes and rewards exactly with a ${label}-decimal feed`, async function () {
+      const f = await loadFixture(fixture);
+      const r = prng(SEED + Number(label));
+      const seen = { capped: 0, rates: new Set() };
+
+      for (let round = 0; round < ROUNDS; round++) {
+        const voters = await randomVoters(f, r);
+        await refreshFeed(f.priceFeed, randomAnswer(r, f.feedDecimals));
+        const id = await activeRequest(f, r);
+        const votes = [];
+        votes.wallets = Object.fromEntries(voters.map((v) => [v.wallet.address, v.wallet]));
+        for (const voter of [...voters].sort(() => r.next() - 0.5)) {
+          const vote = await voteAndCompare(f, r, id, voter);
+          if (!vote) continue;
+          votes.push(vote);
+          if (vote.capped) seen.capped++;
+          seen.rates.add(vote.rateBps);
+        }
+        const executed = await settle(f, id);
+        await compareRewards(f, r, id, votes, executed);
+      }
+      // The random inputs should reach both sides of the cap and several rates
+      expect(seen.capped).to.be.greaterThan(0);
+      expect(seen.rates.size).to.be.greaterThan(2);
+    });
+  }
+
+  it("follows the documented rate schedule and reward split", function () {
+    expect(model.rateBps(0)).to.equal(5);
+    expect(model.rateBps(model.MATURATION_PERIOD / 2)).to.equal(27); // 5 + 45/2, rounded down
+    expect(model.rateBps(model.MATURATION_PERIOD)).to.equal(50);
+    expect(model.holdingSeconds(2_000, 1_000)).to.equal(0);
+
+    // $1,000,000 of INV held 12 months: 0.5% = $5,000, capped at 10% of a $20,000 request
+    const value = model.votingValue({
+      votes: inv(1_000_000),
+      price: ethers.utils.parseUnits("1", 18),
+      balanceAge: 0,
+      now: model.MATURATION_PERIOD,
+      requestAmount: usd(20_000),
+    });
+    expect(value.uncapped).to.equal(usd(5_000));
+    expect(value.value).to.equal(usd(2_000));
+
+    // 22% of a $2,000 vote at $1/INV is 440 INV; with a delegate the voter keeps 90% of it
+    const parts = model.payoutParts({
+      correct: true,
+      delegatee: ethers.Wallet.createRandom().address,
+      votingPower: usd(2_000),
+      delegateePower: usd(1_000),
+      price: ethers.utils.parseUnits("1", 18),
+    });
+    expect(parts.baseInv).to.equal(inv(440));
+    expect(model.rewardSplit(parts)).to.deep.equal({ voter: inv(396), delegatee: inv(264), total: inv(660) });
+    expect(() => model.scalePrice(1, 19)).to.throw(/OracleDecimalsTooLarge/);
+  });
+});
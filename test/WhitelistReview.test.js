@@ -0,0 +1,159 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hre, ethers, expect, loadFixture, personalInfo, deployLocalStack, sdkFor } = require("./helpers");
+const { readCsv } = require("../scripts/lib/csv");
+const {
+  REVIEW_COLUMNS,
+  pendingRequests,
+  pageOf,
+  reviewCsv,
+  readDecisions,
+  planReview,
+  applyReview,
+  reviewSummary,
+} = require("../scripts/lib/whitelist-review");
+
+describe("Whitelist review", function () {
+  async function deployFixture() {
+    const [, ceo, , , , alice, bob, carol, dave, erin, stranger] = await ethers.getSigners();
+    const stack = await deployLocalStack(hre);
+    const { whitelist } = stack;
+    for (const [s, name, city, state, country] of [
+      [alice, "Alice", "Austin", "TX", "US"],
+      [bob, "Bob", "Berlin", "BE", "DE"],
+      [carol, "Carol", "Dallas", "TX", "US"],
+      [dave, "Dave", "Albany", "NY", "US"],
+      [erin, "Erin", "Munich", "BY", "DE"],
+    ]) {
+      await whitelist.connect(s).requestWhitelisting({ ...personalInfo(name), city, state, country });
+    }
+    // Dave's request is already handled, so it is no longer pending
+    await whitelist.connect(ceo).ceoApproveWhitelisting([dave.address], [], true);
+
+    const sdk = await sdkFor(stack, ceo);
+    return { ...stack, ceo, alice, bob, carol, dave, erin, stranger, sdk };
+  }
+
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "whitelist-review-"));
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("pages and filters pending requests and exports them for review", async function () {
+    const f = await loadFixture(deployFixture);
+    const all = await pendingRequests(f.sdk);
+    expect(all.map((r) => [r.id, r.firstName])).to.deep.equal([
+      [1, "Alice"],
+      [2, "Bob"],
+      [3, "Carol"],
+      [5, "Erin"],
+    ]);
+    const texans = await pendingRequests(f.sdk, { country: "us", state: " tx" });
+    expect(texans.map((r) => r.wallet)).to.deep.equal([f.alice.address, f.carol.address]);
+    expect(await pendingRequests(f.sdk, { country: "FR" })).to.deep.equal([]);
+
+    expect(pageOf(all, 2, 3)).to.deep.include({ page: 2, pages: 2, total: 4, records: [all[3]] });
+    expect(pageOf([], 1).pages).to.equal(1);
+    expect(() => pageOf(all, 3, 3)).to.throw("Page 3 does not exist; there are 2 pages");
+
+    const file = path.join(dir, "review.csv");
+    fs.writeFileSync(file, reviewCsv(all));
+    const exported = readCsv(file);
+    expect(Object.keys(exported[0])).to.deep.equal(REVIEW_COLUMNS.map((c) => c.toLowerCase()));
+    expect(exported[1]).to.include({ id: "2", wallet: f.bob.address, city: "Berlin", country: "DE", decision: "" });
+    // Nothing decided yet
+    expect(readDecisions(file)).to.deep.equal([]);
+  });
+
+  it("refuses a decisions CSV with bad rows and lists every problem", async function () {
+    const f = await loadFixture(deployFixture);
+    const file = path.join(dir, "decisions.csv");
+    fs.writeFileSync(
+      file,
+      `wallet,decision\n${f.alice.address},approve\n0x1234,approve\n${f.bob.address},maybe\n` +
+        `${f.alice.address.toLowerCase()},Approve\n${f.alice.address},reject\n${f.carol.address},\n`
+    );
+    let err;
+    try {
+      readDecisions(file);
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.match(/^Invalid decisions in .*decisions\.csv \(3 problem\(s\)\):\n/);
+    expect(err.problems).to.deep.equal([
+      "row 3: not an address: 0x1234",
+      "row 4: decision must be approve or reject, got maybe",
+      `row 6: ${f.alice.address} was already decided differently in row 2`,
+    ]);
+  });
+
+  it("batches decisions, skips reviewed wallets and whitelists the approved ones", async function () {
+    const f = await loadFixture(deployFixture);
+    const file = path.join(dir, "decisions.csv");
+    fs.writeFileSync(
+      file,
+      `Address,Decision\n${f.alice.address},approve\n${f.bob.address},reject\n${f.carol.address},APPROVE\n` +
+        `${f.dave.address},approve\n${f.stranger.address},reject\n${f.erin.address},\n`
+    );
+    const decisions = readDecisions(file);
+    expect(decisions.map((d) => d.row)).to.deep.equal([2, 3, 4, 5, 6]);
+
+    const plan = await planReview(f.sdk, decisions, { batchSize: 1 });
+    expect(plan.batches).to.deep.equal([
+      { approve: true, wallets: [f.alice.address] },
+      { approve: true, wallets: [f.carol.address] },
+      { approve: false, wallets: [f.bob.address] },
+    ]);
+    expect(plan.skipped).to.deep.equal([
+      { item: f.dave.address, reason: "request is Approved" },
+      { item: f.stranger.address, reason: "no whitelist request" },
+    ]);
+    expect((await planReview(f.sdk, decisions)).batches.map((b) => b.wallets.length)).to.deep.equal([2, 1]);
+    await expect(planReview(f.sdk, decisions, { batchSize: 0 })).to.be.rejectedWith("Batch size must be at least 1");
+
+    const dryRun = await applyReview(f.sdk, plan, { dryRun: true });
+    expect(dryRun).to.deep.include({ whitelisted: [f.alice.address, f.carol.address], transactions: [] });
+    expect(await f.sdk.whitelist.status(f.alice.address)).to.equal("Pending");
+
+    const requests = await pendingRequests(f.sdk);
+    const result = await applyReview(f.sdk, plan);
+    expect(result.transactions.map((t) => t.wallets)).to.deep.equal(plan.batches.map((b) => b.wallets));
+    expect(await f.whitelist.isWhitelisted(f.alice.address)).to.equal(true);
+    expect(await f.whitelist.isWhitelisted(f.carol.address)).to.equal(true);
+    expect(await f.sdk.whitelist.status(f.bob.address)).to.equal("Rejected");
+    expect(await f.sdk.whitelist.status(f.erin.address)).to.equal("Pending");
+
+    expect(reviewSummary(result, requests)).to.equal(
+      [
+        "Whitelisted 2:",
+        `  ✅ ${f.alice.address} Alice Sandbox (Austin, TX, US)`,
+        `  ✅ ${f.carol.address} Carol Sandbox (Dallas, TX, US)`,
+        "Rejected 1:",
+        `  ❌ ${f.bob.address} Bob Sandbox (Berlin, BE, DE)`,
+        "Skipped 2:",
+        `  ⏭️  ${f.dave.address}: request is Approved`,
+        `  ⏭️  ${f.stranger.address}: no whitelist request`,
+        "",
+      ].join("\n")
+    );
+    expect(reviewSummary(dryRun, requests, { dryRun: true })).to.match(/^Would whitelist 2:\n/);
+  });
+
+  it("resends a batch without requests reviewed after it was planned", async function () {
+    const f = await loadFixture(deployFixture);
+    const decisions = [f.alice, f.bob, f.erin].map((s, i) => ({ wallet: s.address, approve: true, row: i + 2 }));
+    const plan = await planReview(f.sdk, decisions);
+    // Someone else rejects Bob between planning and applying
+    await f.whitelist.connect(f.ceo).ceoApproveWhitelisting([f.bob.address], [], false);
+
+    for (const dryRun of [true, false]) {
+      const result = await applyReview(f.sdk, plan, { dryRun });
+      expect(result.whitelisted).to.deep.equal([f.alice.address, f.erin.address]);
+      expect(result.skipped).to.deep.equal([{ item: f.bob.address, reason: "request is Rejected" }]);
+    }
+    expect(await f.whitelist.isWhitelisted(f.erin.address)).to.equal(true);
+    expect(await f.whitelist.isWhitelisted(f.bob.address)).to.equal(false);
+  });
+});
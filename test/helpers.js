@@ -0,0 +1,177 @@
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+const hre = require("hardhat");
+const {
+  deployLocalStack,
+  increaseTime,
+  latestTimestamp,
+  refreshFeed,
+} = require("../scripts/lib/local-stack");
+const sandbox = require("../scripts/lib/sandbox");
+const { createSdk } = require("../sdk");
+const { artifactAbis } = require("../scripts/lib/task-sdk");
+
+const { ethers } = hre;
+
+// Let `equal`/`eq` compare ethers BigNumbers with numbers, strings and each other by value
+function bigNumberEquality({ Assertion }, utils) {
+  const isBN = (v) => ethers.BigNumber.isBigNumber(v);
+  const override = (_super) =>
+    function (expected, ...rest) {
+      const actual = utils.flag(this, "object");
+      if (isBN(actual) || isBN(expected)) {
+        const a = ethers.BigNumber.from(actual);
+        const b = ethers.BigNumber.from(expected);
+        this.assert(
+          a.eq(b),
+          `expected ${a.toString()} to equal ${b.toString()}`,
+          `expected ${a.toString()} to not equal ${b.toString()}`
+        );
+        return;
+      }
+      _super.call(this, expected, ...rest);
+    };
+  for (const name of ["equal", "equals", "eq"]) Assertion.overwriteMethod(name, override);
+}
+
+chai.use(chaiAsPromised);
+chai.use(bigNumberEquality);
+const { expect } = chai;
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const VOTING_PERIOD = 72 * HOUR;
+const TOKEN_LOCK_DURATION = 73 * HOUR;
+const ONE_USD_18 = ethers.utils.parseEther("1"); // oracle price normalised to 18 decimals
+
+const inv = (v) => ethers.utils.parseEther(String(v));
+const usd = (v) => ethers.utils.parseUnits(String(v), 6);
+
+// Snapshot-based fixture cache (same idea as hardhat-network-helpers' loadFixture)
+const fixtureSnapshots = new Map();
+
+async function loadFixture(fixture) {
+  const cached = fixtureSnapshots.get(fixture);
+  if (cached) {
+    await ethers.provider.send("evm_revert", [cached.snapshotId]);
+    cached.snapshotId = await ethers.provider.send("evm_snapshot", []);
+    return cached.data;
+  }
+  const data = await fixture();
+  const snapshotId = await ethers.provider.send("evm_snapshot", []);
+  fixtureSnapshots.set(fixture, { snapshotId, data });
+  return data;
+}
+
+/** Assert that `promise` (a transaction or a call) reverts with the custom error `name`. */
+async function expectRevert(promise, name) {
+  await expect(promise).to.be.rejectedWith(new RegExp(`custom error '${name}\\(|errorName="${name}"`));
+}
+
+/** Decoded args of the first `name` event emitted by `contract` in `tx`. */
+async function eventArgs(tx, contract, name) {
+  const receipt = await (await tx).wait();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contract.address.toLowerCase()) continue;
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed.name === name) return parsed.args;
+    } catch {
+      // log from another ABI
+    }
+  }
+  throw new Error(`Event ${name} not emitted by ${contract.address}`);
+}
+
+/** The sandbox's $10,000-$20,000 "Test Project" request with `overrides` applied. */
+function fundingDetails(overrides = {}) {
+  return { ...sandbox.fundingDetails(ethers, "Test Project", 10_000, 20_000), ...overrides };
+}
+
+function personalInfo(name = "Test") {
+  return sandbox.personalInfo(name);
+}
+
+/**
+ * Deploy a local stack and prepare its accounts: `balances` are [signer, INV]
+ * pairs paid by the deployer, `whitelisted` accounts are whitelisted by the
+ * CEO, `approved` ones (the whitelisted by default) give the DAO an unlimited
+ * INV allowance for fees and `selfDelegated` ones delegate their votes to
+ * themselves. Other options go to `deployLocalStack`.
+ */
+async function fundedStack(opts = {}) {
+  const { balances = [], whitelisted = [], approved = whitelisted, selfDelegated = [], ...stackOpts } = opts;
+  const stack = await deployLocalStack(hre, stackOpts);
+  const { dao, whitelist, deployer } = stack;
+  const ceo = await ethers.getSigner(stack.config.initialCeo);
+  for (const [s, amount] of balances) await dao.connect(deployer).transfer(s.address, inv(amount));
+  for (const s of whitelisted) await whitelist.connect(ceo).makeWhitelisted(s.address, true);
+  for (const s of approved) await dao.connect(s).approve(dao.address, ethers.constants.MaxUint256);
+  for (const s of selfDelegated) await dao.connect(s).delegate(s.address);
+  return { ...stack, ceo };
+}
+
+/** `stack`'s addresses under the info/addressInfo.json keys. */
+function addressInfoOf(stack) {
+  return {
+    INVTRON_DAO_CONTRACT: stack.dao.address,
+    FundingManager: stack.fundingManager.address,
+    WhitelistManager: stack.whitelist.address,
+    InvUsdToken: stack.invUsd.address,
+  };
+}
+
+/** SDK over `stack`'s contracts, with ABIs from the Hardhat artifacts. */
+async function sdkFor(stack, signerOrProvider = ethers.provider) {
+  return createSdk({ signerOrProvider, addressInfo: addressInfoOf(stack), abis: await artifactAbis(hre) });
+}
+
+/** Sign an EIP-712 DelegateVP message for `INVTRON_DAO.delegateVPbySig`. */
+async function signDelegateVP(dao, signer, delegatee, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const nonce = await dao.nonces(signer.address);
+  const sig = await signer._signTypedData(
+    { name: "INVTRON", version: "1", chainId, verifyingContract: dao.address },
+    {
+      DelegateVP: [
+        { name: "delegatee", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    },
+    { delegatee, nonce, deadline }
+  );
+  const { v, r, s } = ethers.utils.splitSignature(sig);
+  return { delegatee, nonce, deadline, v, r, s };
+}
+
+/** Advance past `seconds` and keep the mock oracle fresh. */
+async function advance(stack, seconds) {
+  await increaseTime(ethers.provider, seconds);
+  await refreshFeed(stack.priceFeed);
+}
+
+module.exports = {
+  hre,
+  ethers,
+  expect,
+  HOUR,
+  DAY,
+  VOTING_PERIOD,
+  TOKEN_LOCK_DURATION,
+  ONE_USD_18,
+  inv,
+  usd,
+  loadFixture,
+  expectRevert,
+  eventArgs,
+  fundingDetails,
+  personalInfo,
+  fundedStack,
+  addressInfoOf,
+  sdkFor,
+  signDelegateVP,
+  advance,
+  deployLocalStack,
+  latestTimestamp,
+};